@@ -12,6 +12,16 @@ require("dotenv").config();
 const {
   securityMiddleware,
 } = require("./middlewares/security-middleware/security.middleware");
+const {
+  startOrderCleanupJob,
+} = require("./helpers/cron-jobs/order-cleanup.cron");
+const {
+  startPriceScheduleJob,
+} = require("./helpers/cron-jobs/price-schedule.cron");
+const {
+  migrateProductCategories,
+} = require("./services/category-service/category.service");
+const Cart = require("./models/cart-model/cart.model");
 
 const app = express();
 
@@ -75,6 +85,13 @@ const reviewRoute = require("./routes/review-route/review.route");
 const supportRoute = require("./routes/support-route/support.route");
 const orderRoute = require("./routes/order-route/order.route");
 const paymentRoute = require("./routes/payment-route/payment.route");
+const shippingRoute = require("./routes/shipping-route/shipping.route");
+const couponRoute = require("./routes/coupon-route/coupon.route");
+const currencyRoute = require("./routes/currency-route/currency.route");
+const taxRoute = require("./routes/tax-route/tax.route");
+const returnRoute = require("./routes/return-route/return.route");
+const guestRoute = require("./routes/guest-route/guest.route");
+const categoryRoute = require("./routes/category-route/category.route");
 
 // ==================================================
 // API Routes
@@ -90,6 +107,13 @@ app.use("/api/review", reviewRoute);
 app.use("/api/support", supportRoute);
 app.use("/api/order", orderRoute);
 app.use("/api/payment", paymentRoute);
+app.use("/api/shipping", shippingRoute);
+app.use("/api/coupon", couponRoute);
+app.use("/api/currency", currencyRoute);
+app.use("/api/tax", taxRoute);
+app.use("/api/return", returnRoute);
+app.use("/api/guest", guestRoute);
+app.use("/api/category", categoryRoute);
 
 // ==================================================
 // MongoDB Connection + Server Start
@@ -101,8 +125,18 @@ mongoose
     serverSelectionTimeoutMS: 5000,
     socketTimeoutMS: 45000,
   })
-  .then(() => {
+  .then(async () => {
     console.log("Connected to MongoDB Successfully");
+
+    // Products saved with category names are moved to Category ids once
+    const migrated = await migrateProductCategories();
+    if (migrated) console.log(`Migrated categories of ${migrated} products`);
+
+    // Cart lines are unique per variant now; drop the old per-product index
+    await Cart.syncIndexes();
+
+    startOrderCleanupJob();
+    startPriceScheduleJob();
     app.listen(PORT, () => {
       console.log(`NiDrip API Running Securely on PORT ${PORT}`);
     });
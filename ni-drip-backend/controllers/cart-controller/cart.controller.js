@@ -8,6 +8,13 @@
 const Cart = require("../../models/cart-model/cart.model");
 const User = require("../../models/user-model/user.model");
 const Product = require("../../models/product-model/product.model");
+const {
+  resolveVariant,
+  attachCartVariants,
+} = require("../../services/variant-service/variant.service");
+const {
+  repriceCartItems,
+} = require("../../services/pricing-service/pricing.service");
 
 /**
  * Helper: Sync Cart collection → User.cart array
@@ -20,12 +27,15 @@ const syncUserCart = async (userId) => {
 
 /**
  * Add product to cart (or increase quantity)
- * @body { productId: string, quantity?: number = 1 }
+ * @description Each variant of a product is its own cart line, priced at the
+ *              variant's price. Adding to a line moves it to the current price.
+ * @body { productId: string, variantId?: string, quantity?: number = 1 }
+ *       `variantId` is required for products with variants
  * @access Private
  */
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
     const userId = req.user.id;
 
     if (!productId) {
@@ -43,43 +53,51 @@ exports.addToCart = async (req, res) => {
       });
     }
 
-    if (product.stock < quantity) {
+    const { variant, price, stock } = resolveVariant(product, variantId);
+
+    if (stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} item(s) available in stock`,
+        message: `Only ${stock} item(s) available in stock`,
       });
     }
 
-    let cartItem = await Cart.findOne({ userId, productId });
+    let cartItem = await Cart.findOne({
+      userId,
+      productId,
+      variantId: variant?._id || null,
+    });
 
     if (cartItem) {
       const newQuantity = cartItem.quantity + Number(quantity);
-      if (newQuantity > product.stock) {
+      if (newQuantity > stock) {
         return res.status(400).json({
           success: false,
-          message: `Cannot add more – only ${product.stock} in stock`,
+          message: `Cannot add more – only ${stock} in stock`,
         });
       }
 
       cartItem.quantity = newQuantity;
-      cartItem.totalPrice = newQuantity * cartItem.unitPrice;
+      cartItem.unitPrice = price;
+      cartItem.totalPrice = newQuantity * price;
       await cartItem.save();
     } else {
       cartItem = new Cart({
         userId,
         productId,
+        variantId: variant?._id || null,
         quantity: Number(quantity),
-        unitPrice: product.price,
-        totalPrice: Number(quantity) * product.price,
+        unitPrice: price,
+        totalPrice: Number(quantity) * price,
       });
       await cartItem.save();
     }
 
     await syncUserCart(userId);
 
-    const populatedItem = await Cart.findById(cartItem._id).populate(
-      "productId",
-    );
+    const [populatedItem] = attachCartVariants([
+      await Cart.findById(cartItem._id).populate("productId").lean(),
+    ]);
 
     res.status(200).json({
       success: true,
@@ -87,6 +105,13 @@ exports.addToCart = async (req, res) => {
       cartItem: populatedItem,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Add to cart error:", error);
     res.status(500).json({
       success: false,
@@ -98,15 +123,15 @@ exports.addToCart = async (req, res) => {
 
 /**
  * Decrease item quantity (remove if reaches 0)
- * @body { productId: string }
+ * @body { productId: string, variantId?: string }
  * @access Private
  */
 exports.decreaseCartItem = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId = null } = req.body;
     const userId = req.user.id;
 
-    const cartItem = await Cart.findOne({ userId, productId });
+    const cartItem = await Cart.findOne({ userId, productId, variantId });
     if (!cartItem) {
       return res.status(404).json({
         success: false,
@@ -138,16 +163,16 @@ exports.decreaseCartItem = async (req, res) => {
 };
 
 /**
- * Completely remove one product from cart
- * @body { productId: string }
+ * Completely remove one product (variant) from cart
+ * @body { productId: string, variantId?: string }
  * @access Private
  */
 exports.removeProductFromCart = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId = null } = req.body;
     const userId = req.user.id;
 
-    const deleted = await Cart.deleteOne({ userId, productId });
+    const deleted = await Cart.deleteOne({ userId, productId, variantId });
 
     if (deleted.deletedCount === 0) {
       return res.status(404).json({
@@ -197,19 +222,41 @@ exports.clearCart = async (req, res) => {
 
 /**
  * Get current user's cart with populated products
+ * @description Lines of a variant carry it as `variant` (SKU, options, price,
+ *              stock, images) with a readable `variantLabel`. Lines whose
+ *              product price changed since they were added – a sale started
+ *              or ended, a scheduled price took effect – are repriced first
+ *              and carry `previousUnitPrice`; `repricedCount` says how many.
  * @access Private
  */
 exports.getCart = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const cartItems = await Cart.find({ userId })
-      .populate({
-        path: "productId",
-        select: "title price productImages stock status",
-      })
-      .sort({ createdAt: -1 })
-      .lean();
+    const { items: cartItems, repriced } = repriceCartItems(
+      attachCartVariants(
+        await Cart.find({ userId })
+          .populate({
+            path: "productId",
+            select:
+              "title price compareAtPrice sale productImages stock status variants",
+          })
+          .sort({ createdAt: -1 })
+          .lean(),
+      ),
+    );
+
+    if (repriced.length) {
+      await Cart.bulkWrite(
+        repriced.map((item) => ({
+          updateOne: {
+            filter: { _id: item._id },
+            update: { unitPrice: item.unitPrice, totalPrice: item.totalPrice },
+          },
+        })),
+      );
+      await syncUserCart(userId);
+    }
 
     const cartTotal = cartItems.reduce((sum, item) => sum + item.totalPrice, 0);
     const itemsCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
@@ -220,6 +267,7 @@ exports.getCart = async (req, res) => {
       count: cartItems.length,
       itemsCount,
       cartTotal,
+      repricedCount: repriced.length,
       items: cartItems,
     });
   } catch (error) {
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Category controller – manages the product category tree
+ * @module controllers/categoryController
+ * @description Public listing for the app and SuperAdmin CRUD with
+ *              Cloudinary image support.
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../../models/category-model/category.model");
+const Product = require("../../models/product-model/product.model");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+const {
+  slugify,
+  resolveParent,
+  listCategories,
+} = require("../../services/category-service/category.service");
+
+/**
+ * Pick the editable fields of a category from a (multipart) request body
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickCategoryFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.slug !== undefined && String(body.slug).trim()) {
+    fields.slug = slugify(body.slug);
+  }
+  if (body.sortOrder !== undefined && body.sortOrder !== "") {
+    fields.sortOrder = Number(body.sortOrder);
+  }
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === "true";
+  }
+
+  return fields;
+};
+
+/**
+ * Send the response for errors every category handler can raise
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log prefix for unexpected errors
+ */
+const handleCategoryError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0].message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A category with this slug already exists",
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Get active categories
+ * @description Sorted by sortOrder, then name. Each category carries its
+ *              `parent` id and `productCount` (ACTIVE products, those of
+ *              sub-categories included).
+ * @access Public
+ */
+exports.getCategories = async (req, res) => {
+  try {
+    const categories = await listCategories();
+
+    res.status(200).json({
+      success: true,
+      message: "Categories fetched successfully",
+      count: categories.length,
+      categories,
+    });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Get all categories, inactive ones included
+ * @access Private (SuperAdmin)
+ */
+exports.getAllCategories = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const categories = await listCategories({ includeInactive: true });
+
+    res.status(200).json({
+      success: true,
+      message: "Categories fetched successfully",
+      count: categories.length,
+      allCategories: categories,
+    });
+  } catch (error) {
+    console.error("Get all categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Create a category
+ * @body {string} name
+ * @body {string} [slug]          – derived from the name when omitted
+ * @body {string} [parent]        – parent category id (omit for top level)
+ * @body {number} [sortOrder=0]
+ * @body {boolean} [isActive=true]
+ * @files {categoryImage} – optional, 1 image
+ * @access Private (SuperAdmin)
+ */
+exports.addCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({
+        success: false,
+        message: "Category name is required",
+      });
+    }
+    fields.slug = fields.slug || slugify(fields.name);
+
+    if (await Category.exists({ slug: fields.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: "A category with this slug already exists",
+      });
+    }
+
+    fields.parent = await resolveParent(null, req.body.parent);
+
+    const imageFile = req.files?.categoryImage?.[0];
+    if (imageFile) {
+      const uploaded = await uploadToCloudinary(imageFile, "categoryImage");
+      fields.image = uploaded.url;
+    }
+
+    const category = await Category.create({ ...fields, addedBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      newCategory: { ...category.toObject(), productCount: 0 },
+    });
+  } catch (error) {
+    handleCategoryError(res, error, "Add category");
+  }
+};
+
+/**
+ * Update a category (partial)
+ * @param {string} categoryId
+ * @body {string} [name]
+ * @body {string} [slug]
+ * @body {string|null} [parent]   – "null" or "" moves it to the top level
+ * @body {number} [sortOrder]
+ * @body {boolean} [isActive]
+ * @files {categoryImage} – replaces the current image
+ * @access Private (SuperAdmin)
+ */
+exports.updateCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category id",
+      });
+    }
+
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (req.body.parent !== undefined) {
+      fields.parent = await resolveParent(category._id, req.body.parent);
+    }
+
+    const imageFile = req.files?.categoryImage?.[0];
+    if (imageFile) {
+      const uploaded = await uploadToCloudinary(imageFile, "categoryImage");
+      if (category.image) {
+        await deleteFromCloudinary(category.image).catch((err) =>
+          console.error("Image delete failed:", err),
+        );
+      }
+      fields.image = uploaded.url;
+    }
+
+    category.set(fields);
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Category updated successfully",
+      updatedCategory: category,
+    });
+  } catch (error) {
+    handleCategoryError(res, error, "Update category");
+  }
+};
+
+/**
+ * Delete a category
+ * @description Refused while products or sub-categories still reference it;
+ *              deactivate it instead to hide it from the app.
+ * @param {string} categoryId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category id",
+      });
+    }
+
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const [productCount, childCount] = await Promise.all([
+      Product.countDocuments({ category: category._id }),
+      Category.countDocuments({ parent: category._id }),
+    ]);
+    if (productCount || childCount) {
+      return res.status(409).json({
+        success: false,
+        message: productCount
+          ? `${productCount} product(s) are still in this category`
+          : "Move or delete its sub-categories first",
+      });
+    }
+
+    if (category.image) {
+      await deleteFromCloudinary(category.image).catch((err) =>
+        console.error("Image delete failed:", err),
+      );
+    }
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    handleCategoryError(res, error, "Delete category");
+  }
+};
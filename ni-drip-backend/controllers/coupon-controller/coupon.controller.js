@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Coupon controller – manages discount coupons
+ * @module controllers/couponController
+ * @description SuperAdmin CRUD for the coupons validated and redeemed at checkout.
+ */
+
+const Coupon = require("../../models/coupon-model/coupon.model");
+
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscountAmount",
+  "minSpend",
+  "categories",
+  "products",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+];
+
+// Optional numeric/date fields where an empty value means "no limit"
+const NULLABLE_FIELDS = [
+  "maxDiscountAmount",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startsAt",
+  "expiresAt",
+];
+
+/**
+ * Pick editable fields from the request body, normalizing comma separated
+ * lists and blank optional limits
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickCouponFields = (body) => {
+  const fields = {};
+
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] === undefined) continue;
+
+    let value = body[key];
+    if (NULLABLE_FIELDS.includes(key) && (value === "" || value === null)) {
+      value = null;
+    } else if (
+      (key === "categories" || key === "products") &&
+      !Array.isArray(value)
+    ) {
+      value = String(value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean);
+    }
+
+    fields[key] = value;
+  }
+
+  return fields;
+};
+
+/**
+ * Create a coupon
+ * @body {string} code
+ * @body {"PERCENTAGE"|"FIXED"} discountType
+ * @body {number} discountValue
+ * @body {number} [maxDiscountAmount]
+ * @body {number} [minSpend=0]
+ * @body {string|string[]} [categories]
+ * @body {string|string[]} [products]
+ * @body {number} [usageLimit]
+ * @body {number} [usageLimitPerUser]
+ * @body {Date} [startsAt]
+ * @body {Date} [expiresAt]
+ * @body {boolean} [isActive=true]
+ * @access Private (SuperAdmin)
+ */
+exports.addCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const fields = pickCouponFields(req.body);
+
+    if (!fields.code?.trim() || !fields.discountType || !fields.discountValue) {
+      return res.status(400).json({
+        success: false,
+        message: "Code, discount type and discount value are required",
+      });
+    }
+
+    if (await Coupon.findOne({ code: fields.code.trim().toUpperCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists",
+      });
+    }
+
+    const coupon = await Coupon.create({ ...fields, addedBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      newCoupon: coupon,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Add coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all coupons
+ * @access Private (SuperAdmin)
+ */
+exports.getAllCoupons = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupons = await Coupon.find()
+      .populate("products", "title")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupons fetched successfully",
+      count: coupons.length,
+      allCoupons: coupons,
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Update a coupon (partial)
+ * @param {string} couponId
+ * @access Private (SuperAdmin)
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const fields = pickCouponFields(req.body);
+
+    if (
+      fields.code &&
+      fields.code.trim().toUpperCase() !== coupon.code &&
+      (await Coupon.findOne({ code: fields.code.trim().toUpperCase() }))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists",
+      });
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+    await coupon.populate("products", "title");
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon updated successfully",
+      updatedCoupon: coupon,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Update coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a coupon
+ * @description Orders keep their own copy of the code and discount, so past
+ *              orders are unaffected.
+ * @param {string} couponId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Currency controller – manages exchange rates
+ * @module controllers/currencyController
+ * @description SuperAdmin CRUD for the locally stored exchange rates used to
+ *              charge customers in their own currency, plus the customer's
+ *              resolved currency for client-side price display.
+ */
+
+const ExchangeRate = require("../../models/exchange-rate-model/exchange-rate.model");
+const User = require("../../models/user-model/user.model");
+const {
+  getBaseCurrency,
+  resolveCurrency,
+} = require("../../services/currency-service/currency.service");
+
+/**
+ * Normalize comma separated strings or arrays into a string array
+ * @param {string|string[]|undefined} value
+ * @returns {string[]|undefined}
+ */
+const toList = (value) => {
+  if (value === undefined) return undefined;
+  if (Array.isArray(value)) return value;
+  return String(value).split(",");
+};
+
+/**
+ * Create an exchange rate
+ * @body {string} currency        – ISO 4217 code (e.g. "GBP")
+ * @body {number} rate            – units of currency per 1 unit of the base currency
+ * @body {string} [symbol]
+ * @body {string|string[]} [countries]
+ * @body {boolean} [isActive=true]
+ * @access Private (SuperAdmin)
+ */
+exports.addExchangeRate = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { currency, rate, symbol, countries, isActive } = req.body;
+
+    if (!currency?.trim() || rate === undefined || rate === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Currency and rate are required",
+      });
+    }
+
+    const code = currency.trim().toUpperCase();
+
+    if (code === getBaseCurrency().code) {
+      return res.status(400).json({
+        success: false,
+        message: `${code} is the base currency and always has a rate of 1`,
+      });
+    }
+
+    if (await ExchangeRate.findOne({ currency: code })) {
+      return res.status(409).json({
+        success: false,
+        message: "An exchange rate for this currency already exists",
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      currency: code,
+      rate: Number(rate),
+      symbol,
+      countries: toList(countries) || [],
+      isActive: isActive === undefined ? true : Boolean(isActive),
+      updatedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Exchange rate created successfully",
+      newRate: exchangeRate,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Add exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all exchange rates
+ * @access Private (SuperAdmin)
+ */
+exports.getAllExchangeRates = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rates fetched successfully",
+      baseCurrency: getBaseCurrency().code,
+      count: rates.length,
+      allRates: rates,
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Update an exchange rate (partial)
+ * @param {string} rateId
+ * @access Private (SuperAdmin)
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findById(req.params.rateId);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    const { rate, symbol, countries, isActive } = req.body;
+
+    if (rate !== undefined && rate !== "") exchangeRate.rate = Number(rate);
+    if (symbol !== undefined) exchangeRate.symbol = symbol;
+    if (countries !== undefined) exchangeRate.countries = toList(countries);
+    if (isActive !== undefined) exchangeRate.isActive = Boolean(isActive);
+    exchangeRate.updatedBy = req.user.id;
+
+    await exchangeRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate updated successfully",
+      updatedRate: exchangeRate,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error("Update exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * @description Customers in its countries are charged in the base currency afterwards.
+ * @param {string} rateId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(
+      req.params.rateId,
+    );
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the currency the logged-in customer is charged in
+ * @description Lets clients localize catalog (base currency) prices with the
+ *              same rate checkout uses.
+ * @access Private
+ */
+exports.getMyCurrency = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("preferredCity");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const currency = await resolveCurrency(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Currency resolved successfully",
+      baseCurrency: getBaseCurrency().code,
+      currency,
+    });
+  } catch (error) {
+    console.error("Get my currency error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
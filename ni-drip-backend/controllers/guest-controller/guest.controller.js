@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Guest controller – checkout without an account
+ * @module controllers/guestController
+ * @description Anonymous carts identified by a guest token, order lookup by
+ *              order number + email, and turning a guest into a registered
+ *              user with their guest orders attached. Guest checkout itself
+ *              (quote, coupon, place order) reuses the order controller.
+ */
+
+const mongoose = require("mongoose");
+const GuestCart = require("../../models/guest-cart-model/guest-cart.model");
+const Cart = require("../../models/cart-model/cart.model");
+const User = require("../../models/user-model/user.model");
+const Order = require("../../models/order-model/order.model");
+const Product = require("../../models/product-model/product.model");
+const {
+  passwordRegex,
+  hashPassword,
+} = require("../../helpers/password-helper/password.helper");
+const {
+  createGuestCart,
+  normalizeGuestEmail,
+  attachGuestOrders,
+} = require("../../services/guest-service/guest.service");
+const {
+  lineKey,
+  resolveVariant,
+  attachCartVariants,
+} = require("../../services/variant-service/variant.service");
+const {
+  repriceCartItems,
+} = require("../../services/pricing-service/pricing.service");
+
+/**
+ * Send an error thrown by the guest service, or a 500
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Log prefix
+ */
+const sendGuestError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Start a guest cart
+ * @description The returned token is shown once; the client sends it as the
+ *              `X-Guest-Token` header on every guest request. Carts untouched
+ *              for 30 days are removed.
+ * @access Public
+ */
+exports.createGuestCart = async (req, res) => {
+  try {
+    const { guestToken, guestCart } = await createGuestCart();
+
+    res.status(201).json({
+      success: true,
+      message: "Guest cart created",
+      guestToken,
+      expiresAt: guestCart.expiresAt,
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Create guest cart");
+  }
+};
+
+/**
+ * Get the guest cart with populated products
+ * @description Lines of a variant carry it as `variant` with a readable
+ *              `variantLabel`, and lines are repriced to the current product
+ *              price, as in the user cart.
+ * @access Guest (X-Guest-Token)
+ */
+exports.getGuestCart = async (req, res) => {
+  try {
+    const guestCart = await req.guestCart.populate({
+      path: "items.productId",
+      select:
+        "title price compareAtPrice sale productImages stock status variants",
+    });
+
+    const { items, repriced } = repriceCartItems(
+      attachCartVariants(guestCart.items.map((item) => item.toObject())),
+    );
+
+    if (repriced.length) {
+      for (const item of repriced) {
+        guestCart.items.id(item._id).unitPrice = item.unitPrice;
+      }
+      await guestCart.save();
+    }
+    const cartTotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+    const itemsCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+    res.status(200).json({
+      success: true,
+      message: "Cart retrieved successfully",
+      count: items.length,
+      itemsCount,
+      cartTotal,
+      repricedCount: repriced.length,
+      items,
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Get guest cart");
+  }
+};
+
+/**
+ * Find the guest cart line of a product (variant)
+ * @param {Object} guestCart - GuestCart document
+ * @param {string} productId
+ * @param {string|null} [variantId]
+ * @returns {Object|undefined} Cart line subdocument
+ */
+const findGuestCartItem = (guestCart, productId, variantId = null) =>
+  guestCart.items.find(
+    (item) =>
+      lineKey(item.productId, item.variantId) === lineKey(productId, variantId),
+  );
+
+/**
+ * Add product to the guest cart (or increase quantity)
+ * @body { productId: string, variantId?: string, quantity?: number = 1 }
+ *       `variantId` is required for products with variants
+ * @access Guest (X-Guest-Token)
+ */
+exports.addToGuestCart = async (req, res) => {
+  try {
+    const { productId, variantId = null, quantity = 1 } = req.body;
+    const guestCart = req.guestCart;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const { variant, price, stock } = resolveVariant(product, variantId);
+
+    const cartItem = findGuestCartItem(guestCart, productId, variant?._id);
+    const newQuantity = (cartItem?.quantity || 0) + Number(quantity);
+
+    if (newQuantity > stock) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${stock} item(s) available in stock`,
+      });
+    }
+
+    if (cartItem) {
+      cartItem.quantity = newQuantity;
+      cartItem.unitPrice = price;
+    } else {
+      guestCart.items.push({
+        productId,
+        variantId: variant?._id || null,
+        quantity: newQuantity,
+        unitPrice: price,
+        totalPrice: newQuantity * price,
+      });
+    }
+
+    await guestCart.save();
+
+    res.status(200).json({
+      success: true,
+      message: cartItem ? "Quantity updated" : "Product added to cart",
+      itemsCount: guestCart.items.reduce((sum, item) => sum + item.quantity, 0),
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Add to guest cart");
+  }
+};
+
+/**
+ * Decrease item quantity in the guest cart (remove if it reaches 0)
+ * @body { productId: string, variantId?: string }
+ * @access Guest (X-Guest-Token)
+ */
+exports.decreaseGuestCartItem = async (req, res) => {
+  try {
+    const { productId, variantId = null } = req.body;
+    const guestCart = req.guestCart;
+
+    const cartItem = findGuestCartItem(guestCart, productId, variantId);
+    if (!cartItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in cart",
+      });
+    }
+
+    if (cartItem.quantity > 1) {
+      cartItem.quantity -= 1;
+    } else {
+      guestCart.items.pull(cartItem._id);
+    }
+
+    await guestCart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Item quantity decreased",
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Decrease guest cart");
+  }
+};
+
+/**
+ * Completely remove one product (variant) from the guest cart
+ * @body { productId: string, variantId?: string }
+ * @access Guest (X-Guest-Token)
+ */
+exports.removeProductFromGuestCart = async (req, res) => {
+  try {
+    const { productId, variantId = null } = req.body;
+    const guestCart = req.guestCart;
+
+    const cartItem = findGuestCartItem(guestCart, productId, variantId);
+    if (!cartItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in cart",
+      });
+    }
+
+    guestCart.items.pull(cartItem._id);
+    await guestCart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Product removed from cart",
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Remove guest cart product");
+  }
+};
+
+/**
+ * Clear the entire guest cart
+ * @access Guest (X-Guest-Token)
+ */
+exports.clearGuestCart = async (req, res) => {
+  try {
+    req.guestCart.items = [];
+    await req.guestCart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared successfully",
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Clear guest cart");
+  }
+};
+
+/**
+ * Look up a guest order by its order number and the email it was placed with
+ * @description Both must match; an unknown order and a wrong email give the
+ *              same 404 so order numbers cannot be probed.
+ * @body {string} orderId – full order number from the confirmation email
+ * @body {string} email
+ * @access Public (rate limited)
+ */
+exports.lookupGuestOrder = async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    const email = normalizeGuestEmail(req.body.email);
+
+    const order = mongoose.isValidObjectId(orderId)
+      ? await Order.findOne({ _id: orderId, "guest.email": email })
+          .select("-guest.cart -stripePaymentIntentId -cashCollectedBy")
+          .populate({
+            path: "items.product",
+            select: "title productImages price",
+          })
+      : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "No order found for that order number and email",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Order fetched successfully",
+      order,
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Guest order lookup");
+  }
+};
+
+/**
+ * Turn a guest into a registered user
+ * @description Creates the account, moves the guest cart into it and attaches
+ *              every order placed from this guest cart. Guest orders placed
+ *              elsewhere under the same email are attached once the email is
+ *              verified (see verifyEmail). The guest token stops working.
+ * @body {string} email
+ * @body {string} password
+ * @body {string} [userName] – defaults to the name on the latest guest order
+ * @access Guest (X-Guest-Token)
+ */
+exports.convertGuestAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const guestCart = req.guestCart;
+    const email = normalizeGuestEmail(req.body.email);
+
+    if (!passwordRegex.test(password)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be 8+ chars with upper, lower, number, special",
+      });
+    }
+
+    if (await User.findOne({ email })) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Email already registered – sign in and verify your email to attach your guest orders",
+      });
+    }
+
+    const latestOrder = await Order.findOne({ "guest.cart": guestCart._id })
+      .sort({ createdAt: -1 })
+      .select("guest");
+    const userName = req.body.userName?.trim() || latestOrder?.guest.name;
+
+    if (!userName) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required",
+      });
+    }
+
+    const user = await User.create({
+      userName,
+      email,
+      password: await hashPassword(password),
+      role: "USER",
+      isActive: true,
+    });
+
+    // Carry the guest cart over so checkout can continue signed in
+    if (guestCart.items.length > 0) {
+      await Cart.insertMany(
+        guestCart.items.map((item) => ({
+          userId: user._id,
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          totalPrice: item.totalPrice,
+        })),
+      );
+      const cartItems = await Cart.find({ userId: user._id }).populate(
+        "productId",
+      );
+      await User.updateOne({ _id: user._id }, { cart: cartItems });
+    }
+
+    const attachedOrders = await attachGuestOrders(user, {
+      "guest.cart": guestCart._id,
+    });
+
+    await GuestCart.deleteOne({ _id: guestCart._id });
+
+    res.status(201).json({
+      success: true,
+      message: attachedOrders
+        ? `Account created – ${attachedOrders} guest order(s) added to your account`
+        : "Account created successfully",
+      attachedOrders,
+      user: {
+        id: user._id,
+        userName: user.userName,
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    sendGuestError(res, error, "Convert guest account");
+  }
+};
@@ -1,130 +1,302 @@
 /**
  * @fileoverview Order controller – handles checkout and order management
  * @module controllers/orderController
- * @description Supports cart-based checkout, direct buy-now, stock validation,
+ * @description Supports cart-based checkout, direct buy-now, transactional stock reservation,
  *              order history sync, and email notifications.
  */
 
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
 const Order = require("../../models/order-model/order.model");
 const User = require("../../models/user-model/user.model");
 const Product = require("../../models/product-model/product.model");
+const Cart = require("../../models/cart-model/cart.model");
+const GuestCart = require("../../models/guest-cart-model/guest-cart.model");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const {
+  sendOrderConfirmationToUser,
+  sendNewOrderNotificationToAdmin,
   sendOrderCancellationToUser,
   sendOrderCancellationToAdmin,
   sendOrderStatusUpdateEmail,
 } = require("../../helpers/email-helper/email.helper");
+const { reserveStock } = require("../../helpers/stock-helper/stock.helper");
+const {
+  resolveShippingZone,
+  calculateShippingCost,
+  assertCashOnDelivery,
+  quoteShipping,
+} = require("../../services/shipping-service/shipping.service");
+const { refundOrder } = require("../../services/refund-service/refund.service");
+const {
+  cancelOrder,
+} = require("../../services/order-cancel-service/order-cancel.service");
+const {
+  evaluateCoupon,
+  redeemCoupon,
+} = require("../../services/coupon-service/coupon.service");
+const {
+  convertAmount,
+  resolveCurrency,
+  localizeLines,
+} = require("../../services/currency-service/currency.service");
+const {
+  resolveTaxRule,
+  calculateTax,
+} = require("../../services/tax-service/tax.service");
+const {
+  buildShipment,
+} = require("../../services/shipment-service/shipment.service");
+const {
+  isInvoiceable,
+  assignInvoiceNumber,
+  generateInvoicePdf,
+  createInvoiceDownload,
+  verifyInvoiceDownload,
+} = require("../../services/invoice-service/invoice.service");
+const {
+  buildStatusEntry,
+  transitionOrder,
+} = require("../../services/order-status-service/order-status.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const {
+  lineKey,
+  resolveVariant,
+} = require("../../services/variant-service/variant.service");
+const {
+  formatAddress,
+  resolveCheckoutAddress,
+  snapshotAddress,
+} = require("../../services/address-service/address.service");
+const {
+  getReturnDeadline,
+} = require("../../services/return-service/return.service");
+const {
+  pickGuestCheckout,
+  getOrderCustomer,
+} = require("../../services/guest-service/guest.service");
+const {
+  editOrder,
+  findPendingBalance,
+} = require("../../services/order-edit-service/order-edit.service");
+const {
+  resolveExportFormat,
+  streamOrderExport,
+} = require("../../services/order-export-service/order-export.service");
+const {
+  buildOrderFilter,
+  resolveOrderSort,
+  resolvePage,
+} = require("../../services/order-query-service/order-query.service");
+
+const PAYMENT_METHODS = ["STRIPE", "PAY_ON_DELIVERY"];
+
+/**
+ * Who is checking out and where the order ships to
+ * @description Signed-in customers use their cart and address book (see
+ *              resolveCheckoutAddress). Guests – authenticated by their cart
+ *              token – send their contact details and a structured address
+ *              with every request; they are charged in the currency of the
+ *              country they ship to.
+ * @async
+ * @param {import('express').Request} req
+ * @param {{ requireContact?: boolean }} [options] - Quotes do not need the guest's email yet
+ * @returns {Promise<{ user: Object|null, guest: Object|null, cart: Array, profile: Object, checkoutAddress: Object }>}
+ *          `profile` is what currency resolution reads
+ * @throws {Error} With `statusCode` 404 (unknown user or address) or 400 (incomplete guest details)
+ */
+const resolveCheckoutCustomer = async (req, { requireContact = true } = {}) => {
+  if (req.guestCart) {
+    const { guest, address } = pickGuestCheckout(req.body, { requireContact });
+
+    return {
+      user: null,
+      guest,
+      cart: req.guestCart.items,
+      profile: { preferredCity: `${address.city}, ${address.country}` },
+      checkoutAddress: {
+        shippingAddress: formatAddress(address),
+        savedAddress: address,
+        source: "guest",
+        destination: {},
+      },
+    };
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw createHttpError(404, "User not found");
+
+  return {
+    user,
+    guest: null,
+    cart: user.cart || [],
+    profile: user,
+    checkoutAddress: resolveCheckoutAddress(user, {
+      addressId: req.body.addressId,
+      shippingAddress: req.body.shippingAddress,
+    }),
+  };
+};
+
+/**
+ * Price the lines a checkout would contain, without reserving stock.
+ * Mirrors placeOrder: the cart wins over a direct-buy product, variants are
+ * priced at their own price, and prices are converted into the customer's
+ * currency.
+ * @async
+ * @param {{ cart: Array, profile: Object }} customer - From resolveCheckoutCustomer
+ * @param {{ productId?: string, variantId?: string, quantity?: number }} body
+ * @returns {Promise<{ items: Array, subtotal: number, itemsCount: number, currency: Object }>}
+ * @throws {Error} With `statusCode` 400 when there is nothing to check out or
+ *         a line's variant is missing or unknown
+ */
+const priceCheckoutLines = async (
+  { cart, profile },
+  { productId, variantId = null, quantity = 1 },
+) => {
+  let lines = [];
+  if (cart.length > 0) {
+    lines = cart.map((cartItem) => ({
+      productId: cartItem.productId,
+      variantId: cartItem.variantId || null,
+      quantity: cartItem.quantity,
+    }));
+  } else if (productId) {
+    lines = [
+      { productId, variantId, quantity: Math.max(Number(quantity) || 1, 1) },
+    ];
+  } else {
+    throw createHttpError(400, "Cart is empty");
+  }
+
+  const products = await Product.find({
+    _id: { $in: lines.map((line) => line.productId) },
+  }).select("title price stock variantOptions variants");
+  const productById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const currency = await resolveCurrency(profile);
+  const { items, subtotal } = localizeLines(
+    lines
+      .filter((line) => productById.has(line.productId.toString()))
+      .map((line) => {
+        const { variant, price } = resolveVariant(
+          productById.get(line.productId.toString()),
+          line.variantId,
+        );
+        return {
+          product: line.productId,
+          variant: variant?._id || null,
+          quantity: line.quantity,
+          priceAtPurchase: price,
+        };
+      }),
+    currency,
+  );
+
+  return {
+    items,
+    subtotal,
+    itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    currency,
+  };
+};
 
 /**
  * Create new order (cart-based or direct buy)
- * @body {string} [shippingAddress]     – optional override (highest priority)
- * @body {number} [shippingCost=0]
+ * @description Stock for every line is reserved atomically inside a MongoDB
+ *              transaction together with the order, the user's order history
+ *              and the cart clear. If any line fails, everything is rolled back
+ *              and a PaymentIntent created for the attempt is cancelled.
+ *              Shipping is priced server-side from the destination's shipping zone.
+ *              Every amount is charged in the customer's currency (see currencyService).
+ *              Destination tax (see taxService) is added on top and stored as tax lines.
+ *              Pay-on-delivery orders skip Stripe, must fit the zone's COD limit
+ *              and are confirmed by email straight away.
+ *              Guests (guest cart token, see guestCartMiddleware) check out
+ *              their guest cart with `email`, `phone` and `address` instead of
+ *              the address book; the order keeps those contact details.
+ * @body {string} [addressId]           – address-book entry to ship to (highest priority)
+ * @body {string} [shippingAddress]     – free-text override when no addressId is sent
  * @body {string} [productId]           – required for direct buy
+ * @body {string} [variantId]           – direct buy of a product with variants
  * @body {number} [quantity=1]          – required for direct buy
- * @access Private
+ * @body {string} [couponCode]          – discount applied before the PaymentIntent amount
+ * @body {string} [paymentMethod="STRIPE"] – "STRIPE" or "PAY_ON_DELIVERY"
+ * @body {string} [email]               – guest only, required
+ * @body {string} [phone]               – guest only, defaults to address.phone
+ * @body {Object} [address]             – guest only, required (recipientName, phone, line1, line2, city, postcode, country)
+ * @access Private (user or guest)
  */
 exports.placeOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+  let paymentIntent = null;
+
   try {
-    const userId = req.user.id;
     const {
-      shippingAddress: overrideAddress,
-      shippingCost = 0,
       productId,
+      variantId = null,
       quantity = 1,
+      couponCode,
+      paymentMethod = "STRIPE",
     } = req.body;
 
-    // Fetch user with necessary fields
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
         success: false,
-        message: "User not found",
+        message: `Invalid paymentMethod. Allowed: ${PAYMENT_METHODS.join(", ")}`,
       });
     }
+    const isCashOnDelivery = paymentMethod === "PAY_ON_DELIVERY";
 
     // ────────────────────────────────────────────────────────
-    // Determine final shipping address (priority order)
-    // 1. Override from request body (user explicitly provided)
-    // 2. Last known geolocation address (automatic update)
-    // 3. Saved profile address (fallback)
+    // Determine the customer and final shipping address
+    // Guests: the address sent with the order
+    // Users (priority order):
+    // 1. Address-book entry picked at checkout (addressId)
+    // 2. Free-text override from request body
+    // 3. Default address-book entry
+    // 4. Last known geolocation, then the saved profile address
     // ────────────────────────────────────────────────────────
-    let finalShippingAddress = overrideAddress?.trim();
-
-    // Prefer geolocation if no override was given
-    if (!finalShippingAddress && user.lastKnownLocation?.address?.trim()) {
-      finalShippingAddress = user.lastKnownLocation.address.trim();
-    }
-
-    // Ultimate fallback to saved profile address
-    if (!finalShippingAddress && user.address?.trim()) {
-      finalShippingAddress = user.address.trim();
-    }
+    const { user, guest, cart, profile, checkoutAddress } =
+      await resolveCheckoutCustomer(req);
+    const userId = user ? user._id.toString() : null;
+    const {
+      shippingAddress: finalShippingAddress,
+      savedAddress,
+      source: addressSource,
+      destination,
+    } = checkoutAddress;
 
     // If still no valid address → reject order
     if (!finalShippingAddress) {
       return res.status(400).json({
         success: false,
         message:
-          "Shipping address is required. Please update your profile or enable location services.",
+          "Shipping address is required. Please add an address or enable location services.",
       });
     }
 
-    let orderItems = [];
-    let subtotal = 0;
+    let lines = [];
     let isCartBased = false;
 
     // ────────────────────────────────────────────────────────
     // MODE 1: Cart-based Checkout
     // ────────────────────────────────────────────────────────
-    if (user.cart && user.cart.length > 0) {
+    if (cart.length > 0) {
       isCartBased = true;
 
-      for (const cartItem of user.cart) {
-        const product = await Product.findById(cartItem.productId);
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            message: `Product with ID ${cartItem.productId} not found`,
-          });
-        }
-
-        if (product.stock < cartItem.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${product.title} (only ${product.stock} available)`,
-          });
-        }
-
-        const itemTotal = cartItem.quantity * product.price;
-        subtotal += itemTotal;
-
-        orderItems.push({
-          product: product._id,
-          quantity: cartItem.quantity,
-          priceAtPurchase: product.price,
-        });
-
-        // Deduct stock
-        product.stock -= cartItem.quantity;
-        await product.save();
-      }
-
-      // Clear cart after successful cart-based order
-      user.cart = [];
+      lines = cart.map((cartItem) => ({
+        productId: cartItem.productId,
+        variantId: cartItem.variantId || null,
+        quantity: cartItem.quantity,
+      }));
     }
 
     // ────────────────────────────────────────────────────────
     // MODE 2: Direct Buy / Buy Now (single product)
     // ────────────────────────────────────────────────────────
     else if (productId) {
-      const product = await Product.findById(productId);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: "Product not found",
-        });
-      }
-
       const qty = Number(quantity);
       if (isNaN(qty) || qty < 1) {
         return res.status(400).json({
@@ -133,25 +305,7 @@ exports.placeOrder = async (req, res) => {
         });
       }
 
-      if (product.stock < qty) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.title} (only ${product.stock} available)`,
-        });
-      }
-
-      const itemTotal = qty * product.price;
-      subtotal = itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: qty,
-        priceAtPurchase: product.price,
-      });
-
-      // Deduct stock
-      product.stock -= qty;
-      await product.save();
+      lines = [{ productId, variantId, quantity: qty }];
     }
 
     // If neither cart nor productId → error
@@ -163,89 +317,435 @@ exports.placeOrder = async (req, res) => {
       });
     }
 
-    const totalAmount = subtotal + Number(shippingCost);
+    // Resolve the shipping zone before touching stock – throws 400 if unserved
+    const zone = await resolveShippingZone(destination, finalShippingAddress);
+    const currency = await resolveCurrency(profile);
+    const taxRule = await resolveTaxRule(destination, finalShippingAddress);
 
-    // Create the order
-    const order = await Order.create({
-      user: userId,
-      items: orderItems,
-      totalAmount,
-      shippingAddress: finalShippingAddress,
-      shippingCost: Number(shippingCost),
-      status: "PENDING",
-      paymentMethod: "STRIPE",
-      paymentStatus: "PENDING",
-    });
-
-    // Create Stripe PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(totalAmount * 100), // Convert to cents
-      currency: "usd", // Change as needed
-      metadata: {
-        orderId: order._id.toString(),
-        userId: userId,
-      },
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+    // Generated up front so the PaymentIntent metadata and idempotency key
+    // stay identical if the driver retries the transaction callback
+    const orderId = new mongoose.Types.ObjectId();
+    let orderItems = [];
+    let subtotal = 0;
+    let shippingCost = 0;
+    let discount = { amount: 0 };
+    let taxLines = [];
+    let taxAmount = 0;
+    let totalAmount = 0;
+
+    await session.withTransaction(async () => {
+      // Reserve stock – throws (and aborts) on the first line that cannot be filled
+      ({ orderItems } = await reserveStock(lines, session));
+      ({ items: orderItems, subtotal } = localizeLines(orderItems, currency));
+
+      // Apply the coupon on reserved prices; the redemption rolls back with the order
+      discount = { amount: 0 };
+      if (couponCode?.trim()) {
+        const { coupon, discountAmount, allocations } = await evaluateCoupon({
+          code: couponCode,
+          userId,
+          guestEmail: guest?.email,
+          items: orderItems,
+          currency,
+          session,
+        });
+        await redeemCoupon(coupon._id, session);
+
+        orderItems = orderItems.map((item) => ({
+          ...item,
+          discountAmount:
+            allocations.get(lineKey(item.product, item.variant)) || 0,
+        }));
+        discount = {
+          coupon: coupon._id,
+          code: coupon.code,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+          amount: discountAmount,
+        };
+      }
 
-    // Save PaymentIntent ID to order
-    order.stripePaymentIntentId = paymentIntent.id;
-    await order.save();
+      ({ shippingCost } = calculateShippingCost(
+        zone,
+        {
+          itemsCount: orderItems.reduce((sum, item) => sum + item.quantity, 0),
+          subtotal,
+        },
+        currency,
+      ));
+
+      // Tax is charged on the discounted lines (and shipping when the rule says so)
+      ({
+        items: orderItems,
+        taxLines,
+        taxAmount,
+      } = await calculateTax(taxRule, orderItems, shippingCost));
+
+      totalAmount =
+        Math.round(
+          (subtotal - discount.amount + shippingCost + taxAmount) * 100,
+        ) / 100;
+
+      // Throws (and aborts) when the zone does not take cash for this total
+      if (isCashOnDelivery) {
+        assertCashOnDelivery(zone, totalAmount, currency);
+      }
 
-    // Update user's order history
-    user.orders.push({
-      orderId: order._id,
-      userId: userId,
-      status: "PENDING",
-      paymentStatus: "PENDING",
-      placedAt: new Date(),
-    });
+      await Order.create(
+        [
+          {
+            _id: orderId,
+            user: userId,
+            guest: guest && { ...guest, cart: req.guestCart._id },
+            items: orderItems,
+            totalAmount,
+            shippingAddress: finalShippingAddress,
+            shippingAddressDetails: savedAddress
+              ? snapshotAddress(savedAddress)
+              : undefined,
+            shippingCost,
+            discount,
+            taxLines,
+            taxAmount,
+            currency: currency.code,
+            exchangeRate: currency.rate,
+            status: "PENDING",
+            statusHistory: [
+              buildStatusEntry(null, "PENDING", {
+                actor: "CUSTOMER",
+                actorId: userId,
+                note: guest ? "Order placed as guest" : "Order placed",
+              }),
+            ],
+            paymentMethod,
+            paymentStatus: "PENDING",
+          },
+        ],
+        { session },
+      );
+
+      if (guest) {
+        // Guests have no order history – just empty their cart
+        if (isCartBased) {
+          await GuestCart.updateOne(
+            { _id: req.guestCart._id },
+            { $set: { items: [] } },
+            { session },
+          );
+        }
+      } else {
+        // Clear cart after successful cart-based order
+        if (isCartBased) {
+          await Cart.deleteMany({ userId }, { session });
+        }
+
+        // Update user's order history
+        await User.updateOne(
+          { _id: userId },
+          {
+            ...(isCartBased && { $set: { cart: [] } }),
+            $push: {
+              orders: {
+                orderId,
+                userId,
+                status: "PENDING",
+                paymentStatus: "PENDING",
+                placedAt: new Date(),
+              },
+            },
+          },
+          { session },
+        );
+      }
 
-    await user.save();
+      if (isCashOnDelivery) return;
+
+      // Create Stripe PaymentIntent last so earlier failures never reach Stripe
+      paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(totalAmount * 100), // Convert to cents
+          currency: currency.code.toLowerCase(),
+          metadata: {
+            orderId: orderId.toString(),
+            ...(userId ? { userId } : { guestEmail: guest.email }),
+          },
+          automatic_payment_methods: {
+            enabled: true,
+          },
+        },
+        { idempotencyKey: `place-order-${orderId}` },
+      );
+
+      // Save PaymentIntent ID to order
+      await Order.updateOne(
+        { _id: orderId },
+        { stripePaymentIntentId: paymentIntent.id },
+        { session },
+      );
+    });
 
     // Populate order for response (emails will be sent after payment via webhook)
-    const populatedOrder = await Order.findById(order._id)
+    const populatedOrder = await Order.findById(orderId)
       .populate({
         path: "items.product",
         select: "title productImages price",
       })
       .populate("user", "userName email phone");
 
-    // Note: Email notifications are now sent after successful payment via Stripe webhook
+    // Stripe orders are confirmed by the webhook; cash orders are confirmed now
+    if (isCashOnDelivery) {
+      Promise.all([
+        sendOrderConfirmationToUser(populatedOrder),
+        sendNewOrderNotificationToAdmin(populatedOrder),
+      ]).catch((err) => console.error("COD order email error:", err));
+    }
 
     res.status(201).json({
       success: true,
-      message: "Order placed successfully! Complete payment to confirm your order.",
+      message: isCashOnDelivery
+        ? "Order placed successfully! Pay in cash when it arrives."
+        : "Order placed successfully! Complete payment to confirm your order.",
       order: populatedOrder,
-      clientSecret: paymentIntent.client_secret,
+      clientSecret: paymentIntent?.client_secret || null,
       summary: {
+        currency: currency.code,
         subtotal,
-        shippingCost: Number(shippingCost),
+        discount: discount.amount,
+        couponCode: discount.code || null,
+        shippingCost,
+        shippingZone: zone.name,
+        taxLines,
+        taxAmount,
         totalAmount,
+        paymentMethod,
         itemsCount: orderItems.reduce((sum, item) => sum + item.quantity, 0),
         mode: isCartBased ? "Cart-based" : "Direct Buy",
         usedShippingAddress: finalShippingAddress,
-        addressSource: overrideAddress
-          ? "manual_override"
-          : user.lastKnownLocation?.address
-            ? "geolocation"
-            : "profile_saved",
+        addressSource,
       },
     });
   } catch (error) {
+    // The transaction was rolled back – make sure the customer cannot pay for it
+    if (paymentIntent) {
+      await stripe.paymentIntents
+        .cancel(paymentIntent.id)
+        .catch((err) =>
+          console.error("Failed to cancel PaymentIntent:", err.message),
+        );
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Place order error:", error);
     res.status(500).json({
       success: false,
       message: "Server error",
       error: error.message,
     });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Quote shipping for the current cart or a direct-buy product
+ * @description Uses the same zone resolution, rate tiers and tax rules as
+ *              checkout so the displayed total matches what placeOrder will charge.
+ *              An invalid coupon is ignored here; validateCoupon reports why.
+ * @body {string} [addressId]           – address-book entry to quote for
+ * @body {string} [shippingAddress]     – free-text override when no addressId is sent
+ * @body {string} [couponCode]          – include the discount in the tax estimate
+ * @body {string} [productId]           – quote a direct buy when the cart is empty
+ * @body {string} [variantId]
+ * @body {number} [quantity=1]
+ * @body {Object} [address]             – guest only, required; `email` is optional here
+ * @access Private (user or guest)
+ */
+exports.getShippingQuote = async (req, res) => {
+  try {
+    const { productId, variantId, quantity, couponCode } = req.body;
+
+    // Same customer and address resolution as placeOrder
+    const customer = await resolveCheckoutCustomer(req, {
+      requireContact: false,
+    });
+
+    const { items, subtotal, itemsCount, currency } = await priceCheckoutLines(
+      customer,
+      { productId, variantId, quantity },
+    );
+
+    const { shippingAddress: quotedAddress, destination } =
+      customer.checkoutAddress;
+
+    const quote = await quoteShipping(
+      destination,
+      {
+        itemsCount,
+        subtotal,
+        shippingAddress: quotedAddress,
+      },
+      currency,
+    );
+
+    let discountAmount = 0;
+    let taxedLines = items;
+    if (couponCode?.trim()) {
+      try {
+        let allocations;
+        ({ discountAmount, allocations } = await evaluateCoupon({
+          code: couponCode,
+          userId: customer.user?._id,
+          guestEmail: customer.guest?.email,
+          items,
+          currency,
+        }));
+        taxedLines = items.map((item) => ({
+          ...item,
+          discountAmount:
+            allocations.get(lineKey(item.product, item.variant)) || 0,
+        }));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+      }
+    }
+
+    const { taxLines, taxAmount } = await calculateTax(
+      await resolveTaxRule(destination, quotedAddress),
+      taxedLines,
+      quote.shippingCost,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping quote calculated",
+      quote: {
+        currency: currency.code,
+        subtotal,
+        itemsCount,
+        shippingAddress: quotedAddress,
+        ...quote,
+        discountAmount,
+        taxLines,
+        taxAmount,
+        totalAmount:
+          Math.round(
+            (subtotal - discountAmount + quote.shippingCost + taxAmount) * 100,
+          ) / 100,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Shipping quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Validate a coupon against the current cart or a direct-buy product
+ * @description Uses the same rules as placeOrder, so an accepted code here is
+ *              applied at checkout unless it is exhausted in the meantime.
+ * @body {string} couponCode
+ * @body {string} [productId]           – validate a direct buy when the cart is empty
+ * @body {string} [variantId]
+ * @body {number} [quantity=1]
+ * @body {Object} [address]             – guest only, required
+ * @body {string} [email]               – guest only; checks per-customer limits
+ * @access Private (user or guest)
+ */
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { couponCode, productId, variantId, quantity } = req.body;
+
+    if (!couponCode?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code is required",
+      });
+    }
+
+    const customer = await resolveCheckoutCustomer(req, {
+      requireContact: false,
+    });
+
+    const { items, subtotal, currency } = await priceCheckoutLines(customer, {
+      productId,
+      variantId,
+      quantity,
+    });
+
+    const { coupon, discountAmount, eligibleSubtotal } = await evaluateCoupon({
+      code: couponCode,
+      userId: customer.user?._id,
+      guestEmail: customer.guest?.email,
+      items,
+      currency,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon applied",
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+      },
+      currency: currency.code,
+      subtotal,
+      eligibleSubtotal,
+      discountAmount,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Validate coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
   }
 };
 
 /**
- * Get all orders (admin only)
+ * Get one page of orders (admin only)
+ * @description Filters, search and sorting run on the server (see
+ *              orderQueryService). `statusCounts` always covers every order,
+ *              so the dashboard cards do not change with the filters.
+ * @query {number} [page=1]
+ * @query {number} [limit=20]          – at most 100
+ * @query {string} [status]            – comma-separated order statuses
+ * @query {string} [paymentStatus]     – comma-separated payment statuses
+ * @query {string} [paymentMethod]     – "STRIPE" and/or "PAY_ON_DELIVERY"
+ * @query {string} [from]              – placed on or after (YYYY-MM-DD or ISO date)
+ * @query {string} [to]                – placed on or before (a bare date includes that day)
+ * @query {string} [email]             – part of the customer's email
+ * @query {number} [minTotal]
+ * @query {number} [maxTotal]
+ * @query {string} [search]            – order number, invoice number, PaymentIntent, customer name or email
+ * @query {string} [sortBy=createdAt]  – createdAt, totalAmount, status or paymentStatus
+ * @query {string} [sortOrder=desc]    – asc or desc
  * @access Private (SuperAdmin)
  */
 exports.getAllOrders = async (req, res) => {
@@ -257,21 +757,47 @@ exports.getAllOrders = async (req, res) => {
       });
     }
 
-    const orders = await Order.find()
-      .populate({
-        path: "items.product",
-        select: "title productImages price",
-      })
-      .populate("user", "userName email phone")
-      .sort({ createdAt: -1 });
+    const filter = await buildOrderFilter(req.query);
+    const sort = resolveOrderSort(req.query);
+    const { page, limit, skip } = resolvePage(req.query);
+
+    const [orders, total, statusCounts] = await Promise.all([
+      Order.find(filter)
+        .populate({
+          path: "items.product",
+          select: "title productImages price",
+        })
+        .populate("user", "userName email phone")
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Order.countDocuments(filter),
+      Order.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
 
     res.status(200).json({
       success: true,
       message: "All orders fetched successfully",
       count: orders.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      statusCounts: Object.fromEntries(
+        statusCounts.map(({ _id, count }) => [_id, count]),
+      ),
       allOrders: orders,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Get all orders error:", error);
     res.status(500).json({
       success: false,
@@ -280,6 +806,62 @@ exports.getAllOrders = async (req, res) => {
   }
 };
 
+/**
+ * Export orders for finance (SuperAdmin only)
+ * @description Streams one row per line item (see orderExportService) as a
+ *              file download, oldest order first. A failure after the first
+ *              rows were sent aborts the download, so a truncated file is
+ *              never mistaken for a complete one.
+ * @query {string} [format="csv"]   – "csv" or "jsonl"
+ * @query {string} [from]           – placed on or after (YYYY-MM-DD or ISO date)
+ * @query {string} [to]             – placed on or before (a bare date includes that day)
+ * @query {string} [status]         – comma-separated order statuses
+ * @query {string} [paymentStatus]  – comma-separated payment statuses
+ * @query {*}      [...]            – any other filter of getAllOrders
+ * @access Private (SuperAdmin)
+ */
+exports.exportOrders = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const format = resolveExportFormat(req.query.format);
+    const filter = await buildOrderFilter(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      "Content-Type": format.contentType,
+      "Content-Disposition": `attachment; filename="orders-${date}.${format.extension}"`,
+    });
+    res.status(200);
+
+    await pipeline(Readable.from(streamOrderExport(filter, format.name)), res);
+  } catch (error) {
+    // pipeline has already destroyed the response
+    if (res.headersSent) {
+      return console.error("Export orders stream error:", error.message);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Export orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get single order by ID
  * @access Private (owner or admin)
@@ -304,7 +886,7 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
-    if (order.user.toString() !== userId && !isAdmin) {
+    if (order.user?._id.toString() !== userId && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this order",
@@ -326,48 +908,210 @@ exports.getOrderById = async (req, res) => {
 };
 
 /**
- * Get all orders for current user
+ * Load a paid order, make sure it has an invoice number and stream its PDF.
+ * Orders paid before invoicing existed are numbered on first download.
+ * @async
+ * @param {import('express').Response} res
+ * @param {string} orderId
+ * @param {(order: Object) => boolean} [canAccess] - Ownership check on the loaded order
+ */
+const sendInvoicePdf = async (res, orderId, canAccess = () => true) => {
+  let order = await Order.findById(orderId).select("user paymentStatus");
+  if (!order) throw createHttpError(404, "Order not found");
+
+  if (!canAccess(order)) {
+    throw createHttpError(403, "Not authorized to view this order");
+  }
+
+  if (!isInvoiceable(order)) {
+    throw createHttpError(400, "Invoices are only available for paid orders");
+  }
+
+  await assignInvoiceNumber(order._id);
+
+  order = await Order.findById(orderId)
+    .populate({ path: "items.product", select: "title" })
+    .populate("user", "userName email");
+
+  const pdf = await generateInvoicePdf(order);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${order.invoiceNumber}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.status(200).send(pdf);
+};
+
+/**
+ * Download the PDF invoice of a paid order
+ * @description Owner or SuperAdmin only, like getOrderById.
+ * @param {string} orderId
  * @access Private
  */
-exports.getUserOrders = async (req, res) => {
+exports.getOrderInvoice = async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const orders = await Order.find({ user: userId })
-      .populate({
-        path: "items.product",
-        select: "title productImages price",
-      })
-      .sort({ createdAt: -1 });
+    const isAdmin = req.user.role === "SUPERADMIN";
 
-    res.status(200).json({
-      success: true,
-      message: "User orders fetched successfully",
-      count: orders.length,
-      orders,
-    });
+    await sendInvoicePdf(
+      res,
+      req.params.orderId,
+      (order) => isAdmin || order.user?.toString() === req.user.id,
+    );
   } catch (error) {
-    console.error("Get user orders error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Get order invoice error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
+      error: error.message,
     });
   }
 };
 
 /**
- * Cancel user's own order (PENDING only)
- * @body {string} reasonForCancel
- * @access Private (order owner)
+ * Create a short-lived signed link for downloading an invoice
+ * @description Lets the mobile app open the PDF in the browser, which cannot
+ *              send the auth header. Access rules match getOrderInvoice.
+ * @param {string} orderId
+ * @access Private
  */
-exports.cancelOrder = async (req, res) => {
+exports.getInvoiceDownloadLink = async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const { reasonForCancel } = req.body;
-    const userId = req.user.id;
+    const isAdmin = req.user.role === "SUPERADMIN";
 
-    if (!reasonForCancel || reasonForCancel.trim().length < 5) {
-      return res.status(400).json({
+    const order = await Order.findById(req.params.orderId).select(
+      "user paymentStatus",
+    );
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.user?.toString() !== req.user.id && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order",
+      });
+    }
+
+    if (!isInvoiceable(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invoices are only available for paid orders",
+      });
+    }
+
+    const { expires, signature } = createInvoiceDownload(order._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice link created",
+      downloadUrl: `${req.protocol}://${req.get("host")}${req.baseUrl}/invoice/download/${order._id}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires),
+    });
+  } catch (error) {
+    console.error("Get invoice link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download an invoice through a signed link
+ * @query {number} expires
+ * @query {string} signature
+ * @access Public (signed link from getInvoiceDownloadLink)
+ */
+exports.downloadSignedInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyInvoiceDownload(orderId, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "Invoice link is invalid or has expired",
+      });
+    }
+
+    await sendInvoicePdf(res, orderId);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Download signed invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all orders for current user
+ * @description Delivered orders carry `returnDeadline`, the last day a return
+ *              can be requested (null for orders never delivered).
+ * @access Private
+ */
+exports.getUserOrders = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const orders = await Order.find({ user: userId })
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "User orders fetched successfully",
+      count: orders.length,
+      orders: orders.map((order) => ({
+        ...order.toObject(),
+        returnDeadline: getReturnDeadline(order),
+      })),
+    });
+  } catch (error) {
+    console.error("Get user orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Cancel user's own order (PENDING only)
+ * @body {string} reasonForCancel
+ * @access Private (order owner)
+ */
+exports.cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reasonForCancel } = req.body;
+    const userId = req.user.id;
+
+    if (!reasonForCancel || reasonForCancel.trim().length < 5) {
+      return res.status(400).json({
         success: false,
         message: "Cancellation reason required (min 5 characters)",
       });
@@ -381,7 +1125,7 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    if (order.user.toString() !== userId) {
+    if (order.user?.toString() !== userId) {
       return res.status(403).json({
         success: false,
         message: "You can only cancel your own orders",
@@ -395,30 +1139,17 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
+    const cancelled = await cancelOrder({
+      orderId,
+      by: { actor: "CUSTOMER", actorId: userId, note: reasonForCancel },
+    });
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: "Order changed while it was being cancelled – please refresh",
       });
     }
 
-    order.status = "CANCELLED";
-    order.paymentStatus = "CANCELLED";
-    order.reasonForCancel = reasonForCancel.trim();
-    order.cancelledAt = new Date();
-    await order.save();
-
-    // Sync user order history
-    await User.updateOne(
-      { _id: userId, "orders.orderId": orderId },
-      {
-        $set: {
-          "orders.$.status": "CANCELLED",
-          "orders.$.paymentStatus": "CANCELLED",
-        },
-      },
-    );
-
     const populatedOrder = await Order.findById(order._id)
       .populate({
         path: "items.product",
@@ -432,9 +1163,15 @@ exports.cancelOrder = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Order cancelled successfully!",
-      orderStatus: order.status,
+      orderStatus: cancelled.status,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Cancel order error:", error);
     res.status(500).json({
       success: false,
@@ -445,10 +1182,14 @@ exports.cancelOrder = async (req, res) => {
 };
 
 /**
- * Update order status and/or payment status (SuperAdmin only)
+ * Update order status (SuperAdmin only)
+ * @description Status changes must follow the transition table in
+ *              orderStatusService and are recorded in `statusHistory`.
+ *              The payment status is not set here: it follows the Stripe
+ *              webhook, refunds, cancellation and cash collection.
  * @param {string} orderId
- * @body {string} [status]           – e.g. "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"
- * @body {string} [paymentStatus]    – e.g. "PENDING", "PAID"
+ * @body {string} status             – e.g. "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"
+ * @body {string} [note]             – stored with the status history entry
  * @access Private (SuperAdmin)
  */
 exports.updateOrderStatus = async (req, res) => {
@@ -462,17 +1203,15 @@ exports.updateOrderStatus = async (req, res) => {
     }
 
     const { orderId } = req.params;
-    const { status, paymentStatus } = req.body;
+    const { status, note } = req.body;
 
-    // At least one field must be provided
-    if (!status && !paymentStatus) {
+    if (!status) {
       return res.status(400).json({
         success: false,
-        message: "Provide at least one field: status or paymentStatus",
+        message: "status is required",
       });
     }
 
-    // Validate status if provided
     const validStatuses = [
       "PENDING",
       "PROCESSING",
@@ -480,22 +1219,152 @@ exports.updateOrderStatus = async (req, res) => {
       "DELIVERED",
       "CANCELLED",
     ];
-    if (status && !validStatuses.includes(status.toUpperCase())) {
+    if (!validStatuses.includes(status.toUpperCase())) {
       return res.status(400).json({
         success: false,
         message: `Invalid status. Allowed: ${validStatuses.join(", ")}`,
       });
     }
 
-    // Validate paymentStatus if provided
-    const validPaymentStatuses = ["PENDING", "PAID"];
+    if (status.toUpperCase() === "CANCELLED") {
+      // Gives back the PaymentIntent, stock and coupon – paid orders are
+      // refused with a 400 and go through a refund instead
+      const cancelled = await cancelOrder({
+        orderId,
+        by: { actor: "SUPERADMIN", actorId: req.user.id, note },
+      });
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Order changed while it was being cancelled – please refresh",
+        });
+      }
+    }
+
+    const order = await Order.findById(orderId).populate(
+      "user",
+      "userName email",
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // A card order starts processing when the webhook records its payment;
+    // only pay-on-delivery orders are advanced by hand while unpaid
     if (
-      paymentStatus &&
-      !validPaymentStatuses.includes(paymentStatus.toUpperCase())
+      status.toUpperCase() === "PROCESSING" &&
+      order.paymentMethod === "STRIPE" &&
+      order.paymentStatus !== "PAID"
     ) {
       return res.status(400).json({
         success: false,
-        message: `Invalid paymentStatus. Allowed: ${validPaymentStatuses.join(", ")}`,
+        message: "Card orders move to PROCESSING once the payment is received",
+      });
+    }
+
+    if (status.toUpperCase() !== "CANCELLED") {
+      // Throws 400 on an illegal transition
+      transitionOrder(order, status.toUpperCase(), {
+        actor: "SUPERADMIN",
+        actorId: req.user.id,
+        note,
+      });
+
+      await order.save();
+
+      // Sync to user's order history
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": orderId },
+        {
+          $set: {
+            "orders.$.status": order.status,
+            "orders.$.paymentStatus": order.paymentStatus,
+          },
+        },
+      );
+    }
+
+    // Send email notification to user
+    const customer = getOrderCustomer(order);
+    if (customer) {
+      await sendOrderStatusUpdateEmail?.(
+        customer.email,
+        customer.userName,
+        order._id,
+        order.status,
+        order.subject || "Your Order Status Update",
+        order.status === "SHIPPED" ? order.shipments.at(-1) : null,
+      );
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .populate("user", "userName email phone");
+
+    res.status(200).json({
+      success: true,
+      message: "Order status updated successfully",
+      updatedOrderStatus: populatedOrder,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record a shipment for an order (SuperAdmin only)
+ * @description The first shipment moves a PROCESSING order to SHIPPED. Later
+ *              shipments cover the remaining units of a split delivery.
+ * @param {string} orderId
+ * @body {string} carrier                                    – e.g. "DHL", "TCS"
+ * @body {string} trackingNumber
+ * @body {string} [trackingUrl]                              – generated for known carriers
+ * @body {Array<{productId:string, variantId?:string, quantity:number}>} [items] – omit to ship everything left
+ * @body {string} [estimatedDelivery]                        – ISO date
+ * @access Private (SuperAdmin)
+ */
+exports.addShipment = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    if (req.body.items !== undefined && !Array.isArray(req.body.items)) {
+      return res.status(400).json({
+        success: false,
+        message: "items must be an array of { productId, quantity }",
       });
     }
 
@@ -511,48 +1380,171 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Optional: Prevent changing status after DELIVERED or CANCELLED
-    if (["DELIVERED", "CANCELLED"].includes(order.status) && status) {
+    const shipment = buildShipment(order, req.body, req.user.id);
+    order.shipments.push(shipment);
+
+    if (order.status === "PROCESSING") {
+      transitionOrder(order, "SHIPPED", {
+        actor: "SUPERADMIN",
+        actorId: req.user.id,
+        note: `Shipped via ${shipment.carrier} (${shipment.trackingNumber})`,
+      });
+
+      await User.updateOne(
+        { _id: order.user?._id, "orders.orderId": orderId },
+        { $set: { "orders.$.status": order.status } },
+      );
+    }
+
+    await order.save();
+
+    const newShipment = order.shipments.at(-1);
+
+    // The shipment is saved – an order whose customer is gone gets no email
+    const customer = getOrderCustomer(order);
+    if (customer) {
+      sendOrderStatusUpdateEmail(
+        customer.email,
+        customer.userName,
+        order._id,
+        order.status,
+        "Your Order Has Shipped",
+        newShipment,
+      ).catch((err) => console.error("Shipment email error:", err));
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .populate("user", "userName email phone");
+
+    res.status(201).json({
+      success: true,
+      message: "Shipment added successfully",
+      newShipment,
+      shippedOrder: populatedOrder,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const firstError = Object.values(error.errors)[0];
       return res.status(400).json({
         success: false,
-        message: `Cannot change status of a ${order.status} order`,
+        message: firstError.message,
       });
     }
 
-    // Apply updates
-    if (status) {
-      order.status = status.toUpperCase();
+    console.error("Add shipment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record the cash a courier collected for a pay-on-delivery order (SuperAdmin only)
+ * @description Marks the order PAID, moves a SHIPPED order to DELIVERED and
+ *              numbers its invoice.
+ * @param {string} orderId
+ * @body {string} [note] – stored with the status history entry
+ * @access Private (SuperAdmin)
+ */
+exports.collectCashPayment = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
     }
-    if (paymentStatus) {
-      order.paymentStatus = paymentStatus.toUpperCase();
+
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findById(orderId).populate(
+      "user",
+      "userName email",
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
     }
 
-    // Optional: track who updated and when
-    order.updatedBy = req.user.id;
-    order.updatedAt = new Date();
+    if (order.paymentMethod !== "PAY_ON_DELIVERY") {
+      return res.status(400).json({
+        success: false,
+        message: "Only pay-on-delivery orders are paid in cash",
+      });
+    }
 
+    if (order.paymentStatus !== "PENDING") {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${order.paymentStatus}`,
+      });
+    }
+
+    if (!["SHIPPED", "DELIVERED"].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cash can only be collected once the order has shipped",
+      });
+    }
+
+    const wasShipped = order.status === "SHIPPED";
+    if (wasShipped) {
+      transitionOrder(order, "DELIVERED", {
+        actor: "SUPERADMIN",
+        actorId: req.user.id,
+        note: req.body.note || "Delivered – cash collected",
+      });
+    }
+    order.paymentStatus = "PAID";
+    order.cashCollectedAt = new Date();
+    order.cashCollectedBy = req.user.id;
     await order.save();
 
-    // Sync to user's order history
     await User.updateOne(
-      { _id: order.user, "orders.orderId": orderId },
+      { _id: order.user?._id, "orders.orderId": orderId },
       {
         $set: {
           "orders.$.status": order.status,
-          "orders.$.paymentStatus": order.paymentStatus,
+          "orders.$.paymentStatus": "PAID",
         },
       },
     );
 
-    // Send email notification to user if status changed
-    if (status) {
-      await sendOrderStatusUpdateEmail?.(
-        order.user.email,
-        order.user.userName,
+    await assignInvoiceNumber(order._id).catch((err) =>
+      console.error("Failed to assign invoice number:", err.message),
+    );
+
+    const customer = getOrderCustomer(order);
+    if (wasShipped && customer) {
+      sendOrderStatusUpdateEmail(
+        customer.email,
+        customer.userName,
         order._id,
         order.status,
-        order.subject || "Your Order Status Update",
-      );
+      ).catch((err) => console.error("Status email error:", err));
     }
 
     const populatedOrder = await Order.findById(order._id)
@@ -564,11 +1556,354 @@ exports.updateOrderStatus = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: "Order status updated successfully",
-      updatedOrderStatus: populatedOrder,
+      message: "Cash payment recorded successfully",
+      collectedOrder: populatedOrder,
     });
   } catch (error) {
-    console.error("Update order status error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Collect cash payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Refund a paid Stripe order in full or per line (SuperAdmin only)
+ * @description Omitting `items` refunds everything not yet refunded, including
+ *              shipping. Refunded quantities are returned to stock.
+ * @param {string} orderId
+ * @body {Array<{productId:string, variantId?:string, quantity:number}>} [items] – lines to refund
+ * @body {string} [reason]
+ * @access Private (SuperAdmin)
+ */
+exports.refundOrder = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: "items must be an array of { productId, quantity }",
+      });
+    }
+
+    const refund = await refundOrder({
+      orderId,
+      items,
+      reason,
+      adminId: req.user.id,
+    });
+
+    const populatedOrder = await Order.findById(orderId)
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .populate("user", "userName email phone");
+
+    res.status(200).json({
+      success: true,
+      message: `Refund of ${refund.amount.toFixed(2)} ${populatedOrder.currency} issued successfully`,
+      refund,
+      refundedOrder: populatedOrder,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Refund order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit the lines and/or delivery address of an order before it ships (SuperAdmin only)
+ * @description Allowed while the order is PENDING or PROCESSING with no
+ *              shipment or refund. Stock, shipping, coupon, tax and the total
+ *              are re-priced; a paid difference is refunded, an extra amount
+ *              becomes a balance the customer pays in the app. The edit is
+ *              recorded on the order's `edits` trail and emailed to the customer.
+ * @param {string} orderId
+ * @body {Array<{productId:string, variantId?:string, quantity:number}>} [items] – new quantity per line (0 removes, new lines are added)
+ * @body {Object} [address] – structured address (recipientName, phone, line1, line2, city, postcode, country)
+ * @body {string} [note]    – why the order was changed
+ * @access Private (SuperAdmin)
+ */
+exports.editOrder = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { orderId } = req.params;
+    const { items, address, note } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: "items must be an array of { productId, quantity }",
+      });
+    }
+
+    if (!items?.length && !address) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide items and/or address to change",
+      });
+    }
+
+    const { order, edit } = await editOrder({
+      orderId,
+      items,
+      address,
+      note,
+      adminId: req.user.id,
+    });
+
+    const settlement = {
+      CHARGE: `customer owes a balance of ${edit.adjustment.amount.toFixed(2)} ${order.currency}`,
+      REFUND: `${edit.adjustment.amount.toFixed(2)} ${order.currency} refunded`,
+      PAYMENT_UPDATED: "payment updated to the new total",
+      NONE: "no payment change",
+    }[edit.adjustment.type];
+
+    res.status(200).json({
+      success: true,
+      message: `Order updated – ${settlement}`,
+      edit,
+      editedOrder: order,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Edit order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the payment details for the balance owed after an order edit
+ * @description Returns the client secret of the balance PaymentIntent so the
+ *              app can collect it with the Stripe PaymentSheet.
+ * @param {string} orderId
+ * @access Private (order owner)
+ */
+exports.getBalancePayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findOne({ _id: orderId, user: req.user.id });
+    const balance = order && findPendingBalance(order);
+
+    if (!balance) {
+      return res.status(404).json({
+        success: false,
+        message: "No balance due on this order",
+      });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(
+      balance.stripePaymentIntentId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Balance payment ready",
+      clientSecret: paymentIntent.client_secret,
+      amount: balance.amount,
+      currency: order.currency,
+    });
+  } catch (error) {
+    console.error("Get balance payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Buy again – put a past order's items back in the cart
+ * @description Each line is re-checked against the product as it is now: it
+ *              must still exist, be ACTIVE and have enough stock for what is
+ *              already in the cart plus the ordered quantity. Lines that pass
+ *              are added at today's price (`priceChanged` flags a difference
+ *              from what was paid); the rest come back in `skipped` with a
+ *              reason. Responds 400 when nothing could be added.
+ * @param {string} orderId
+ * @access Private (order owner)
+ */
+exports.reorder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findOne({ _id: orderId, user: userId }).populate({
+      path: "items.product",
+      select: "title price stock status variantOptions variants",
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const cartItems = await Cart.find({
+      userId,
+      productId: { $in: order.items.map((item) => item.product?._id) },
+    });
+    const inCart = new Map(
+      cartItems.map((item) => [lineKey(item.productId, item.variantId), item]),
+    );
+
+    const added = [];
+    const skipped = [];
+
+    for (const item of order.items) {
+      const product = item.product;
+
+      if (!product) {
+        skipped.push({
+          product: null,
+          quantity: item.quantity,
+          reason: "Product is no longer available",
+        });
+        continue;
+      }
+
+      const line = {
+        product: product._id,
+        variant: item.variant,
+        title: product.title,
+        variantLabel: item.variantLabel,
+        quantity: item.quantity,
+      };
+      const cartItem = inCart.get(lineKey(product, item.variant));
+      const newQuantity = (cartItem?.quantity || 0) + item.quantity;
+
+      if (product.status !== "ACTIVE") {
+        skipped.push({ ...line, reason: "Product is no longer available" });
+        continue;
+      }
+
+      let unit;
+      try {
+        unit = resolveVariant(product, item.variant);
+      } catch (error) {
+        skipped.push({ ...line, reason: error.message });
+        continue;
+      }
+
+      if (unit.stock < 1) {
+        skipped.push({ ...line, reason: "Out of stock" });
+        continue;
+      }
+
+      if (newQuantity > unit.stock) {
+        skipped.push({
+          ...line,
+          reason: `Only ${unit.stock} item(s) available in stock`,
+        });
+        continue;
+      }
+
+      // Cart lines are kept at the current base-currency price
+      await Cart.updateOne(
+        { userId, productId: product._id, variantId: item.variant || null },
+        {
+          $set: {
+            quantity: newQuantity,
+            unitPrice: unit.price,
+            totalPrice: newQuantity * unit.price,
+          },
+        },
+        { upsert: true },
+      );
+
+      added.push({
+        ...line,
+        unitPrice: unit.price,
+        priceChanged:
+          convertAmount(unit.price, { rate: order.exchangeRate }) !==
+          item.priceAtPurchase,
+      });
+    }
+
+    if (!added.length) {
+      return res.status(400).json({
+        success: false,
+        message: "None of the items from this order can be added to your cart",
+        skipped,
+      });
+    }
+
+    const cart = await Cart.find({ userId }).populate("productId");
+    await User.updateOne({ _id: userId }, { cart });
+
+    res.status(200).json({
+      success: true,
+      message: skipped.length
+        ? `${added.length} item(s) added to cart – ${skipped.length} could not be added`
+        : "All items added to cart",
+      added,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Reorder error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
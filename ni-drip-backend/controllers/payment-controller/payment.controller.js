@@ -1,21 +1,61 @@
 /**
  * @fileoverview Payment controller – handles Stripe webhook processing
  * @module controllers/paymentController
- * @description Handles Stripe webhook events for payment confirmation
+ * @description Handles Stripe webhook events for payment confirmation, failures,
+ *              cancellations, refunds and disputes. Every event is logged by its
+ *              Stripe ID and processed at most once (see paymentEventService),
+ *              and handlers never move an order backwards, so retried or
+ *              out-of-order deliveries cannot double count. PaymentIntents for
+ *              a balance owed after an order edit carry `metadata.orderEdit`
+ *              and only settle that balance (see orderEditService).
  */
 
+const mongoose = require("mongoose");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const Order = require("../../models/order-model/order.model");
 const User = require("../../models/user-model/user.model");
-const Product = require("../../models/product-model/product.model");
+const PaymentEvent = require("../../models/payment-event-model/payment-event.model");
 const {
   sendOrderConfirmationToUser,
   sendNewOrderNotificationToAdmin,
+  sendOrderCancellationToUser,
+  sendDisputeAlertToAdmin,
 } = require("../../helpers/email-helper/email.helper");
+const {
+  reserveStock,
+  releaseStock,
+} = require("../../helpers/stock-helper/stock.helper");
+const {
+  syncChargeRefunds,
+} = require("../../services/refund-service/refund.service");
+const {
+  redeemCoupon,
+  releaseCoupon,
+} = require("../../services/coupon-service/coupon.service");
+const {
+  assignInvoiceNumber,
+} = require("../../services/invoice-service/invoice.service");
+const {
+  transitionOrder,
+} = require("../../services/order-status-service/order-status.service");
+const {
+  settleEditCharge,
+} = require("../../services/order-edit-service/order-edit.service");
+const {
+  recordPaymentEvent,
+  completePaymentEvent,
+  failPaymentEvent,
+} = require("../../services/payment-event-service/payment-event.service");
+
+// Payment states a webhook must never move an order out of
+const SETTLED_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"];
 
 /**
  * Handle Stripe webhook events
- * @description Processes payment_intent.succeeded and payment_intent.payment_failed events
+ * @description Processes payment_intent.succeeded, payment_intent.payment_failed,
+ *              payment_intent.canceled, charge.refunded and charge.dispute.created.
+ *              Duplicate deliveries are acknowledged without reprocessing; a
+ *              handler error returns 500 so Stripe retries the event.
  * @access Public (Stripe webhook)
  */
 exports.handleWebhook = async (req, res) => {
@@ -35,123 +75,460 @@ exports.handleWebhook = async (req, res) => {
     });
   }
 
-  // Handle the event
-  switch (event.type) {
-    case "payment_intent.succeeded":
-      await handlePaymentSuccess(event.data.object);
-      break;
+  let paymentEvent;
 
-    case "payment_intent.payment_failed":
-      await handlePaymentFailed(event.data.object);
-      break;
+  try {
+    const recorded = await recordPaymentEvent(event);
+    paymentEvent = recorded.paymentEvent;
 
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
+    if (!recorded.claimed) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    const handler = EVENT_HANDLERS[event.type];
+    const result = handler
+      ? await handler(event.data.object)
+      : { outcome: `Unhandled event type: ${event.type}`, ignored: true };
+
+    await completePaymentEvent(paymentEvent._id, result);
+  } catch (error) {
+    console.error(`Error handling ${event.type}:`, error);
+
+    if (paymentEvent) {
+      await failPaymentEvent(paymentEvent._id, error).catch((err) =>
+        console.error("Failed to record webhook failure:", err.message),
+      );
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Webhook processing failed",
+    });
   }
 
   // Return a 200 response to acknowledge receipt of the event
   res.status(200).json({ received: true });
 };
 
+/**
+ * List logged Stripe events, newest first (SuperAdmin only)
+ * @query {string} [orderId] – only events for this order
+ * @query {string} [type]    – e.g. "payment_intent.succeeded"
+ * @query {string} [status]  – RECEIVED, PROCESSING, PROCESSED, IGNORED or FAILED
+ * @query {number} [limit=100] – at most 500
+ * @access Private (SuperAdmin)
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { orderId, type, status } = req.query;
+    const filter = {};
+
+    if (orderId) {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid order ID",
+        });
+      }
+      filter.order = orderId;
+    }
+    if (type) filter.type = type;
+    if (status) filter.status = status.toUpperCase();
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const events = await PaymentEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment events fetched successfully",
+      count: events.length,
+      allPaymentEvents: events,
+    });
+  } catch (error) {
+    console.error("Get payment events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mirror an order's status and payment status into the user's order history
+ * @async
+ * @param {Object} order - Order document
+ * @param {import('mongoose').ClientSession} [session=null]
+ */
+const syncUserOrder = (order, session = null) =>
+  User.updateOne(
+    { _id: order.user, "orders.orderId": order._id },
+    {
+      $set: {
+        "orders.$.status": order.status,
+        "orders.$.paymentStatus": order.paymentStatus,
+      },
+    },
+    { session },
+  );
+
+/**
+ * Reserve an order's lines again, one at a time so the lines already taken
+ * can be put back when a later one has sold out
+ * @async
+ * @param {Object} order - Order document
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<string|null>} Why the stock could not be reserved, or null
+ */
+const reserveOrderStock = async (order, session) => {
+  const reserved = [];
+
+  try {
+    for (const item of order.items) {
+      await reserveStock(
+        [
+          {
+            productId: item.product,
+            variantId: item.variant,
+            quantity: item.quantity,
+          },
+        ],
+        session,
+      );
+      reserved.push(item);
+    }
+  } catch (err) {
+    if (err.statusCode !== 400) throw err;
+    await releaseStock(reserved, session);
+    return err.message;
+  }
+
+  return null;
+};
+
 /**
  * Handle successful payment
+ * @description A FAILED order gave its stock and coupon back, so a later
+ *              success (the customer retried) reserves them again. When the
+ *              stock is gone by then the payment is kept on a cancelled order
+ *              for a manual refund.
  * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<{ outcome: string, ignored?: boolean }>}
  */
 async function handlePaymentSuccess(paymentIntent) {
+  const { orderId } = paymentIntent.metadata;
+
+  if (!orderId) {
+    return { outcome: "No orderId in payment intent metadata", ignored: true };
+  }
+
+  if (paymentIntent.metadata.orderEdit) {
+    return settleEditCharge(paymentIntent, "PAID");
+  }
+
+  const session = await mongoose.startSession();
+  let result = null;
+
   try {
-    const { orderId, userId } = paymentIntent.metadata;
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
 
-    if (!orderId) {
-      console.error("No orderId in payment intent metadata");
-      return;
-    }
+      if (!order) {
+        result = { outcome: `Order not found: ${orderId}`, ignored: true };
+        return;
+      }
 
-    // Find and update the order
-    const order = await Order.findById(orderId);
+      if (SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        result = {
+          outcome: `Order already ${order.paymentStatus}`,
+          ignored: true,
+        };
+        return;
+      }
 
-    if (!order) {
-      console.error(`Order not found: ${orderId}`);
-      return;
-    }
+      // Money arrived for an order that was cancelled or expired meanwhile
+      if (order.status !== "PENDING") {
+        result = {
+          outcome: `Order is ${order.status} – payment needs a manual refund`,
+          ignored: true,
+        };
+        return;
+      }
+
+      if (order.paymentStatus === "FAILED") {
+        const soldOut = await reserveOrderStock(order, session);
+        if (soldOut) {
+          transitionOrder(order, "CANCELLED", {
+            note: `Paid after the stock ran out (${soldOut}) – needs a manual refund`,
+          });
+          order.paymentStatus = "PAID";
+          await order.save({ session });
+          await syncUserOrder(order, session);
 
-    // Update order status
-    order.status = "PROCESSING";
-    order.paymentStatus = "PAID";
-    await order.save();
-
-    // Sync to user's order history
-    await User.updateOne(
-      { _id: order.user, "orders.orderId": orderId },
-      {
-        $set: {
-          "orders.$.status": "PROCESSING",
-          "orders.$.paymentStatus": "PAID",
-        },
+          result = {
+            outcome: `Oversold: ${soldOut} – order cancelled, payment needs a manual refund`,
+            oversold: true,
+          };
+          return;
+        }
+        // The customer paid the discounted total, so the discount stands even
+        // if the coupon ran out in the meantime
+        if (order.discount?.coupon) {
+          await redeemCoupon(order.discount.coupon, session).catch((err) => {
+            if (err.statusCode !== 400) throw err;
+          });
+        }
       }
-    );
 
-    // Populate order for emails
-    const populatedOrder = await Order.findById(order._id)
-      .populate({
-        path: "items.product",
-        select: "title productImages price",
-      })
-      .populate("user", "userName email phone");
+      transitionOrder(order, "PROCESSING", { note: "Payment received" });
+      order.paymentStatus = "PAID";
+      await order.save({ session });
+      await syncUserOrder(order, session);
+
+      result = { outcome: "Order marked PAID and moved to PROCESSING" };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.ignored) return result;
 
-    // Send confirmation emails
-    await sendOrderConfirmationToUser(populatedOrder);
-    await sendNewOrderNotificationToAdmin(populatedOrder);
+  if (result.oversold) {
+    const cancelledOrder = await Order.findById(orderId)
+      .populate({ path: "items.product", select: "title productImages price" })
+      .populate("user", "userName email");
 
-    console.log(`Payment succeeded for order: ${orderId}`);
-  } catch (error) {
-    console.error("Error handling payment success:", error);
+    await sendOrderCancellationToUser(
+      cancelledOrder,
+      "An item sold out before your payment arrived – your payment will be refunded",
+    ).catch((err) => console.error("Cancellation email error:", err));
+
+    return { outcome: result.outcome };
   }
+
+  // Number the invoice before the confirmation email attaches it; the email
+  // still goes out without one if numbering fails
+  await assignInvoiceNumber(orderId).catch((err) =>
+    console.error("Failed to assign invoice number:", err.message),
+  );
+
+  // Populate order for emails
+  const populatedOrder = await Order.findById(orderId)
+    .populate({
+      path: "items.product",
+      select: "title productImages price",
+    })
+    .populate("user", "userName email phone");
+
+  // The payment is already recorded – a mail failure must not fail the event
+  await Promise.all([
+    sendOrderConfirmationToUser(populatedOrder),
+    sendNewOrderNotificationToAdmin(populatedOrder),
+  ]).catch((err) => console.error("Order confirmation email error:", err));
+
+  return result;
 }
 
 /**
  * Handle failed payment
+ * @description Only a PENDING payment can fail; the first failure releases the
+ *              reserved stock and coupon, repeats and late failures are ignored.
  * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<{ outcome: string, ignored?: boolean }>}
  */
 async function handlePaymentFailed(paymentIntent) {
+  const { orderId } = paymentIntent.metadata;
+
+  if (!orderId) {
+    return { outcome: "No orderId in payment intent metadata", ignored: true };
+  }
+
+  // The customer can retry the balance with the same PaymentIntent
+  if (paymentIntent.metadata.orderEdit) {
+    return { outcome: "Order edit balance payment failed", ignored: true };
+  }
+
+  const session = await mongoose.startSession();
+  let result = null;
+
   try {
-    const { orderId } = paymentIntent.metadata;
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
 
-    if (!orderId) {
-      console.error("No orderId in payment intent metadata");
-      return;
-    }
+      if (!order) {
+        result = { outcome: `Order not found: ${orderId}`, ignored: true };
+        return;
+      }
 
-    // Find the order
-    const order = await Order.findById(orderId);
+      if (order.status !== "PENDING" || order.paymentStatus !== "PENDING") {
+        result = {
+          outcome: `Order is ${order.status} / ${order.paymentStatus} – failure ignored`,
+          ignored: true,
+        };
+        return;
+      }
 
-    if (!order) {
-      console.error(`Order not found: ${orderId}`);
-      return;
-    }
+      order.paymentStatus = "FAILED";
+      await order.save({ session });
+      await syncUserOrder(order, session);
+
+      // Give the stock and coupon redemption back until the customer retries
+      await releaseStock(order.items, session);
+      await releaseCoupon(order.discount?.coupon, session);
+
+      const reason = paymentIntent.last_payment_error?.message;
+      result = {
+        outcome: `Payment failed${reason ? ` (${reason})` : ""} – stock and coupon released`,
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+/**
+ * Handle a cancelled PaymentIntent
+ * @description Cancels an unpaid order. Stock is only released when the order
+ *              still holds it (a FAILED order already gave it back).
+ * @param {Object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<{ outcome: string, ignored?: boolean }>}
+ */
+async function handlePaymentCanceled(paymentIntent) {
+  const { orderId } = paymentIntent.metadata;
+
+  if (!orderId) {
+    return { outcome: "No orderId in payment intent metadata", ignored: true };
+  }
+
+  if (paymentIntent.metadata.orderEdit) {
+    return settleEditCharge(paymentIntent, "CANCELLED");
+  }
+
+  const session = await mongoose.startSession();
+  let result = null;
 
-    // Update payment status to failed
-    order.paymentStatus = "FAILED";
-    await order.save();
-
-    // Sync to user's order history
-    await User.updateOne(
-      { _id: order.user, "orders.orderId": orderId },
-      {
-        $set: {
-          "orders.$.paymentStatus": "FAILED",
-        },
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+
+      if (!order) {
+        result = { outcome: `Order not found: ${orderId}`, ignored: true };
+        return;
       }
-    );
 
-    // Restore stock for failed payments
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
+      if (
+        order.status !== "PENDING" ||
+        !["PENDING", "FAILED"].includes(order.paymentStatus)
+      ) {
+        result = {
+          outcome: `Order is ${order.status} / ${order.paymentStatus} – cancellation ignored`,
+          ignored: true,
+        };
+        return;
+      }
+
+      const holdsStock = order.paymentStatus === "PENDING";
+      const reason = paymentIntent.cancellation_reason || "unspecified";
+
+      transitionOrder(order, "CANCELLED", {
+        note: `Payment cancelled in Stripe (${reason})`,
       });
-    }
+      order.paymentStatus = "CANCELLED";
+      await order.save({ session });
+      await syncUserOrder(order, session);
 
-    console.log(`Payment failed for order: ${orderId}`);
-  } catch (error) {
-    console.error("Error handling payment failure:", error);
+      if (holdsStock) {
+        await releaseStock(order.items, session);
+        await releaseCoupon(order.discount?.coupon, session);
+      }
+
+      result = { outcome: `Order cancelled (${reason})` };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.ignored) return result;
+
+  const populatedOrder = await Order.findById(orderId)
+    .populate({ path: "items.product", select: "title productImages price" })
+    .populate("user", "userName email");
+
+  await sendOrderCancellationToUser(
+    populatedOrder,
+    "The payment for this order was cancelled",
+  ).catch((err) => console.error("Cancellation email error:", err));
+
+  return result;
+}
+
+/**
+ * Handle refunded charge
+ * @description Records refunds issued from the Stripe Dashboard. Refunds
+ *              issued through the API are already on the order ledger.
+ * @param {Object} charge - Stripe Charge object
+ * @returns {Promise<{ outcome: string }>}
+ */
+async function handleChargeRefunded(charge) {
+  await syncChargeRefunds(charge);
+  return { outcome: `Refunds synced for charge ${charge.id}` };
+}
+
+/**
+ * Handle a new dispute (chargeback)
+ * @description Records the dispute on the order and alerts the admin. The
+ *              order status is left alone – the dispute may still be won.
+ * @param {Object} dispute - Stripe Dispute object
+ * @returns {Promise<{ outcome: string, ignored?: boolean }>}
+ */
+async function handleDisputeCreated(dispute) {
+  const order = await Order.findOne({
+    stripePaymentIntentId: dispute.payment_intent,
+  }).populate("user", "userName email");
+
+  if (!order) {
+    return {
+      outcome: `No order for disputed payment ${dispute.payment_intent}`,
+      ignored: true,
+    };
+  }
+
+  if (order.disputes.some((d) => d.stripeDisputeId === dispute.id)) {
+    return { outcome: "Dispute already recorded", ignored: true };
   }
+
+  const entry = {
+    stripeDisputeId: dispute.id,
+    amount: dispute.amount / 100,
+    reason: dispute.reason,
+    status: dispute.status,
+  };
+  order.disputes.push(entry);
+  await order.save();
+
+  await sendDisputeAlertToAdmin(order, entry).catch((err) =>
+    console.error("Dispute alert email error:", err),
+  );
+
+  return { outcome: `Dispute opened (${dispute.reason})` };
 }
+
+const EVENT_HANDLERS = {
+  "payment_intent.succeeded": handlePaymentSuccess,
+  "payment_intent.payment_failed": handlePaymentFailed,
+  "payment_intent.canceled": handlePaymentCanceled,
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleDisputeCreated,
+};
@@ -1,8 +1,8 @@
 /**
  * @fileoverview Product controller – manages catalog CRUD
  * @module controllers/productController
- * @description Handles creation, listing, details, updates, and deletion
- *              with Cloudinary image support.
+ * @description Handles creation, listing, details, updates, sales, scheduled
+ *              prices and deletion with Cloudinary image support.
  */
 
 const Product = require("../../models/product-model/product.model");
@@ -10,16 +10,43 @@ const {
   uploadToCloudinary,
   deleteFromCloudinary,
 } = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+const {
+  searchProducts,
+} = require("../../services/product-search-service/product-search.service");
+const {
+  listProducts,
+} = require("../../services/product-query-service/product-query.service");
+const {
+  resolveCategoryIds,
+} = require("../../services/category-service/category.service");
+const {
+  buildVariants,
+} = require("../../services/variant-service/variant.service");
+const {
+  MAX_PRICE_HISTORY,
+  isSaleApplied,
+  startSale,
+  endSale,
+  parseSale,
+  parseScheduledPrice,
+  preparePriceUpdate,
+  initialPriceHistory,
+  toPricingView,
+} = require("../../services/pricing-service/pricing.service");
 
 /**
  * Create new product (with images)
  * @body {string} title
  * @body {string} description
  * @body {number} price
- * @body {string|string[]} category
+ * @body {string|string[]} category – category ids or slugs (array, JSON array or comma-separated)
  * @body {number} stock
  * @body {string} [status="ACTIVE"]
+ * @body {string} [variantOptions] – JSON: [{ name, values: [] }], e.g. Color, Storage
+ * @body {string} [variants] – JSON: [{ sku, options: { [name]: value }, price, stock, newImages }];
+ *                             price and stock then come from the variants
  * @files {productImage[]} – up to 5 images
+ * @files {variantImage[]} – new variant images, in variant order
  * @access Private (SuperAdmin)
  */
 exports.addProduct = async (req, res) => {
@@ -41,6 +68,10 @@ exports.addProduct = async (req, res) => {
       });
     }
 
+    // Checked before uploading so a bad category leaves no orphaned images
+    const categoryIds = await resolveCategoryIds(category);
+    const variantData = await buildVariants(req.body, req.files?.variantImage);
+
     const uploadedImages = await Promise.all(
       req.files.productImage.map((file) =>
         uploadToCloudinary(file, "productImage"),
@@ -52,16 +83,20 @@ exports.addProduct = async (req, res) => {
     const product = new Product({
       title,
       description,
-      price: Number(price),
-      category: Array.isArray(category) ? category : [category],
-      stock: Number(stock),
+      price: variantData.price ?? Number(price),
+      category: categoryIds,
+      stock: variantData.stock ?? Number(stock),
       status: status || "ACTIVE",
       productImages: imageUrls,
+      variantOptions: variantData.variantOptions,
+      variants: variantData.variants,
       addedBy: req.user.id,
       specifications: specifications ? JSON.parse(specifications) : [],
     });
+    product.priceHistory = initialPriceHistory(product, req.user.id);
 
     await product.save();
+    await product.populate("category", "name slug");
 
     res.status(201).json({
       success: true,
@@ -69,6 +104,20 @@ exports.addProduct = async (req, res) => {
       newProduct: product,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A variant with this SKU already exists",
+      });
+    }
+
     console.error("Add product error:", error);
     res.status(500).json({
       success: false,
@@ -80,23 +129,31 @@ exports.addProduct = async (req, res) => {
 
 /**
  * Get all products
+ * @description Filtered and sorted through productQueryService. Without
+ *              `page` or `limit` every matching product is returned; with
+ *              either, one page is returned with `pagination` and the
+ *              `facets` counts of every filter.
+ * @query {string} [status]      – ACTIVE or INACTIVE
+ * @query {string} [category]    – comma-separated ids or slugs, any of them
+ *                                 (sub-categories included)
+ * @query {number} [minPrice]
+ * @query {number} [maxPrice]
+ * @query {number} [minRating]   – smallest average rating
+ * @query {boolean} [inStock]    – "true" for products with stock only
+ * @query {string} [spec]        – "Name:Value", repeatable (e.g. spec=RAM:16GB)
+ * @query {string} [sort=newest] – newest, price_asc, price_desc, rating, popularity
+ * @query {number} [page]
+ * @query {number} [limit]       – at most 100
  * @access Public
  */
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find()
-      .populate("addedBy", "userName email")
-      .populate({
-        path: "reviews.user",
-        select: "id profilePicture userName email",
-      })
-      .populate({
-        path: "ratings.user",
-        select: "id profilePicture userName email",
-      })
-      .sort({ createdAt: -1 });
-
-    if (!products.length) {
+    const { products, total, pagination, facets } = await listProducts(
+      req.query,
+    );
+
+    // A filtered page may legitimately be empty
+    if (!pagination && !total) {
       return res.status(404).json({
         success: false,
         message: "No products found",
@@ -107,9 +164,17 @@ exports.getAllProducts = async (req, res) => {
       success: true,
       message: "Products fetched successfully",
       count: products.length,
+      ...(pagination && { pagination, facets }),
       allProducts: products,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Get all products error:", error);
     res.status(500).json({
       success: false,
@@ -118,6 +183,48 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+/**
+ * Search products by text
+ * @description Ranked by relevance over title, specification values and
+ *              description (see productSearchService). Misspelled words are
+ *              corrected against the catalog first; `correctedQuery` is set
+ *              when that happened. Each product carries `highlights`: the
+ *              matched ranges of its title and a snippet with its own ranges.
+ * @query {string} q             – 2 to 100 characters
+ * @query {number} [page=1]
+ * @query {number} [limit=20]    – at most 50
+ * @access Public
+ */
+exports.searchProducts = async (req, res) => {
+  try {
+    const { query, correctedQuery, products, pagination } =
+      await searchProducts(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: "Search results fetched successfully",
+      query,
+      correctedQuery,
+      count: products.length,
+      pagination,
+      products,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Search products error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
 /**
  * Get single product details
  * @param {string} productId
@@ -127,6 +234,7 @@ exports.getProductById = async (req, res) => {
   try {
     const product = await Product.findById(req.params.productId)
       .populate("addedBy", "userName email")
+      .populate("category", "name slug")
       .populate("reviews.user", "profilePicture userName email"); // Deep populate user in reviews
 
     if (!product) {
@@ -156,13 +264,21 @@ exports.getProductById = async (req, res) => {
  * @body {string} [title]
  * @body {string} [description]
  * @body {number} [price]
- * @body {string|string[]} [category]
+ * @body {string|string[]} [category] – category ids or slugs, replaces the current ones
  * @body {number} [stock]
  * @body {string} [status]
+ * @body {string} [variantOptions] – JSON, replaces the option axes (send with `variants`)
+ * @body {string} [variants] – JSON, replaces the variants; send a variant's `_id`
+ *                             and kept `images` to keep them. While a product has
+ *                             variants its price and stock follow them.
+ *                             Prices cannot change while a sale runs (409).
  * @files {productImage[]} – replace all images if provided
+ * @files {variantImage[]} – new variant images, in variant order
  * @access Private (SuperAdmin)
  */
 exports.updateProduct = async (req, res) => {
+  let uploadedVariantImages = [];
+
   try {
     if (req.user.role !== "SUPERADMIN") {
       return res.status(403).json({
@@ -193,16 +309,9 @@ exports.updateProduct = async (req, res) => {
     // Add only the fields that are provided in the request body AND have a valid value
     updateableFields.forEach((field) => {
       if (req.body[field] !== undefined && req.body[field] !== "") {
-        // Handle category field - convert to array if it's not already
+        // Category is resolved to ids below
         if (field === "category") {
-          if (Array.isArray(req.body[field]) && req.body[field].length > 0) {
-            updates.category = req.body[field];
-          } else if (
-            typeof req.body[field] === "string" &&
-            req.body[field].trim() !== ""
-          ) {
-            updates.category = [req.body[field]];
-          }
+          return;
         }
         // Handle specifications field
         else if (field === "specifications") {
@@ -248,6 +357,42 @@ exports.updateProduct = async (req, res) => {
       }
     });
 
+    if (req.body.category !== undefined && req.body.category !== "") {
+      updates.category = await resolveCategoryIds(req.body.category);
+    }
+
+    // Price and stock of a product with variants are derived from them
+    let removedVariantImages = [];
+    if (
+      req.body.variantOptions !== undefined ||
+      req.body.variants !== undefined
+    ) {
+      const variantData = await buildVariants(
+        req.body,
+        req.files?.variantImage,
+        product.variants,
+      );
+      updates.variantOptions = variantData.variantOptions;
+      updates.variants = variantData.variants;
+      if (variantData.variants.length) {
+        updates.price = variantData.price;
+        updates.stock = variantData.stock;
+      }
+      removedVariantImages = variantData.removedImages;
+      uploadedVariantImages = variantData.uploadedImages;
+    } else if (product.variants.length) {
+      delete updates.price;
+      delete updates.stock;
+    }
+
+    // Changed prices go to the price history; they are locked during a sale
+    const priceEntries = preparePriceUpdate(product, updates, req.user.id);
+    if (priceEntries.length) {
+      updates.$push = {
+        priceHistory: { $each: priceEntries, $slice: -MAX_PRICE_HISTORY },
+      };
+    }
+
     // Handle product images separately
     if (req.files?.productImage?.length) {
       // Delete old images
@@ -280,6 +425,14 @@ exports.updateProduct = async (req, res) => {
       req.params.productId,
       updates,
       { new: true, runValidators: true },
+    ).populate("category", "name slug");
+
+    await Promise.all(
+      removedVariantImages.map((url) =>
+        deleteFromCloudinary(url).catch((err) =>
+          console.error("Image delete failed:", err),
+        ),
+      ),
     );
 
     res.status(200).json({
@@ -288,6 +441,29 @@ exports.updateProduct = async (req, res) => {
       updatedProduct: updatedProduct,
     });
   } catch (error) {
+    // Uploads for an update that was refused (e.g. a price locked by a sale)
+    await Promise.all(
+      uploadedVariantImages.map((url) =>
+        deleteFromCloudinary(url).catch((err) =>
+          console.error("Image delete failed:", err),
+        ),
+      ),
+    );
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A variant with this SKU already exists",
+      });
+    }
+
     console.error("Update product error:", error);
     res.status(500).json({
       success: false,
@@ -297,6 +473,203 @@ exports.updateProduct = async (req, res) => {
   }
 };
 
+/**
+ * Load a product with its pricing for the pricing endpoints
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Product document, or null once a response was sent
+ */
+const findProductForPricing = async (req, res) => {
+  if (req.user.role !== "SUPERADMIN") {
+    res.status(403).json({
+      success: false,
+      message: "SuperAdmin access required",
+    });
+    return null;
+  }
+
+  const product = await Product.findById(req.params.productId).select(
+    "+scheduledPrices +priceHistory",
+  );
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: "Product not found",
+    });
+    return null;
+  }
+
+  return product;
+};
+
+/**
+ * Reply with an error from the pricing service, or a 500
+ * @param {Object} res
+ * @param {Error} error
+ * @param {string} context - For the log
+ */
+const sendPricingError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Get the pricing of a product: sale, scheduled changes and price history
+ * @param {string} productId
+ * @access Private (SuperAdmin)
+ */
+exports.getProductPricing = async (req, res) => {
+  try {
+    const product = await findProductForPricing(req, res);
+    if (!product) return;
+
+    res.status(200).json({
+      success: true,
+      message: "Product pricing fetched successfully",
+      pricing: toPricingView(product),
+    });
+  } catch (error) {
+    sendPricingError(res, error, "Get product pricing");
+  }
+};
+
+/**
+ * Put a product on sale, replacing any current or upcoming sale
+ * @description A sale starting now goes live at once; a later one is started
+ *              by the price job. The regular price is kept as the
+ *              compare-at price until the sale ends.
+ * @param {string} productId
+ * @body {number} [price] – fixed sale price (products without variants)
+ * @body {number} [percentOff] – 1–90 off every variant (or the product)
+ * @body {string} [startsAt] – ISO date, defaults to now
+ * @body {string} endsAt – ISO date
+ * @access Private (SuperAdmin)
+ */
+exports.setProductSale = async (req, res) => {
+  try {
+    const product = await findProductForPricing(req, res);
+    if (!product) return;
+
+    const sale = parseSale(product, req.body);
+
+    if (product.sale) endSale(product, req.user.id);
+    product.sale = sale;
+    if (sale.startsAt <= new Date()) startSale(product, req.user.id);
+
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSaleApplied(product) ? "Sale started" : "Sale scheduled",
+      pricing: toPricingView(product),
+    });
+  } catch (error) {
+    sendPricingError(res, error, "Set product sale");
+  }
+};
+
+/**
+ * End a running sale now, or drop an upcoming one
+ * @param {string} productId
+ * @access Private (SuperAdmin)
+ */
+exports.endProductSale = async (req, res) => {
+  try {
+    const product = await findProductForPricing(req, res);
+    if (!product) return;
+
+    if (!product.sale) {
+      return res.status(400).json({
+        success: false,
+        message: "This product has no sale",
+      });
+    }
+
+    const wasApplied = isSaleApplied(product);
+    endSale(product, req.user.id);
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: wasApplied ? "Sale ended" : "Sale cancelled",
+      pricing: toPricingView(product),
+    });
+  } catch (error) {
+    sendPricingError(res, error, "End product sale");
+  }
+};
+
+/**
+ * Schedule a change of the regular price, applied by the price job
+ * @param {string} productId
+ * @body {number} price – new regular price
+ * @body {string} [variantId] – required for products with variants
+ * @body {string} effectiveAt – future ISO date
+ * @access Private (SuperAdmin)
+ */
+exports.schedulePriceChange = async (req, res) => {
+  try {
+    const product = await findProductForPricing(req, res);
+    if (!product) return;
+
+    product.scheduledPrices.push({
+      ...parseScheduledPrice(product, req.body),
+      createdBy: req.user.id,
+    });
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Price change scheduled",
+      pricing: toPricingView(product),
+    });
+  } catch (error) {
+    sendPricingError(res, error, "Schedule price change");
+  }
+};
+
+/**
+ * Cancel a scheduled price change
+ * @param {string} productId
+ * @param {string} scheduleId
+ * @access Private (SuperAdmin)
+ */
+exports.cancelScheduledPrice = async (req, res) => {
+  try {
+    const product = await findProductForPricing(req, res);
+    if (!product) return;
+
+    if (!product.scheduledPrices.id(req.params.scheduleId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled price not found",
+      });
+    }
+
+    product.scheduledPrices.pull(req.params.scheduleId);
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled price cancelled",
+      pricing: toPricingView(product),
+    });
+  } catch (error) {
+    sendPricingError(res, error, "Cancel scheduled price");
+  }
+};
+
 /**
  * Delete product and clean up images
  * @param {string} productId
@@ -319,9 +692,13 @@ exports.deleteProduct = async (req, res) => {
       });
     }
 
-    if (product.productImages?.length) {
+    const images = [
+      ...(product.productImages || []),
+      ...product.variants.flatMap((variant) => variant.images),
+    ];
+    if (images.length) {
       await Promise.all(
-        product.productImages.map((url) =>
+        images.map((url) =>
           deleteFromCloudinary(url).catch((err) =>
             console.error("Image delete failed:", err),
           ),
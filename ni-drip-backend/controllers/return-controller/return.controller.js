@@ -0,0 +1,389 @@
+/**
+ * @fileoverview Return controller – customer returns and the admin RMA queue
+ * @module controllers/returnController
+ * @description Customers request returns for delivered orders (with photos);
+ *              SuperAdmins approve or reject them, record the inspection and
+ *              complete them with a refund and restock (see returnService).
+ */
+
+const ReturnRequest = require("../../models/return-request-model/return-request.model");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+const {
+  sendReturnUpdateToUser,
+  sendNewReturnNotificationToAdmin,
+} = require("../../helpers/email-helper/email.helper");
+const {
+  transitionReturn,
+  createReturnRequest,
+  inspectReturn,
+  completeReturn,
+} = require("../../services/return-service/return.service");
+
+/**
+ * Load a return with what the customer, the admin queue and emails show
+ * @param {string|ObjectId} returnId
+ * @returns {import('mongoose').Query}
+ */
+const findPopulatedReturn = (returnId) =>
+  ReturnRequest.findById(returnId)
+    .populate({ path: "items.product", select: "title productImages" })
+    .populate("order", "currency totalAmount paymentMethod paymentStatus")
+    .populate("user", "userName email phone");
+
+/**
+ * Normalize return lines sent as an array or a JSON string (multipart forms)
+ * @param {string|Array|undefined} value
+ * @returns {Array|undefined}
+ */
+const toReturnLines = (value) =>
+  typeof value === "string" ? JSON.parse(value || "[]") : value;
+
+/**
+ * Send an error thrown by the return service, or a 500
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Log prefix
+ */
+const sendReturnError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error instanceof SyntaxError) {
+    return res.status(400).json({
+      success: false,
+      message: "items must be a valid JSON array",
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Request a return for delivered items of the user's own order
+ * @description Only possible within the return window after delivery; units
+ *              already refunded or in another open return cannot be returned
+ *              again. Photos are optional (up to 5).
+ * @body {string} orderId
+ * @body {Array<{productId:string, variantId?:string, quantity:number}>|string} items – array or JSON string
+ * @body {string} reason       – DOA, DAMAGED, WRONG_ITEM, NOT_AS_DESCRIBED or CHANGED_MIND
+ * @body {string} [description]
+ * @files {returnPhoto} – up to 5 images
+ * @access Private (order owner)
+ */
+exports.requestReturn = async (req, res) => {
+  const uploadedUrls = [];
+
+  try {
+    const { orderId, items, reason, description } = req.body;
+
+    if (!orderId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Order and return reason are required",
+      });
+    }
+
+    const lines = toReturnLines(items);
+
+    for (const file of req.files?.returnPhoto || []) {
+      const { url } = await uploadToCloudinary(file, "returnPhoto");
+      uploadedUrls.push(url);
+    }
+
+    const returnRequest = await createReturnRequest({
+      orderId,
+      userId: req.user.id,
+      items: lines,
+      reason,
+      description,
+      photos: uploadedUrls,
+    });
+
+    const populatedReturn = await findPopulatedReturn(returnRequest._id);
+
+    await sendNewReturnNotificationToAdmin(populatedReturn).catch((err) =>
+      console.error("New return email error:", err),
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${returnRequest.rmaNumber} requested successfully`,
+      newReturn: populatedReturn,
+    });
+  } catch (error) {
+    for (const url of uploadedUrls) {
+      await deleteFromCloudinary(url).catch(console.error);
+    }
+
+    sendReturnError(res, error, "Request return");
+  }
+};
+
+/**
+ * Get the authenticated user's returns, newest first
+ * @access Private
+ */
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.id })
+      .populate({ path: "items.product", select: "title productImages" })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Returns fetched successfully",
+      count: returns.length,
+      allReturns: returns,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Get my returns");
+  }
+};
+
+/**
+ * Withdraw the user's own return before the parcel is received
+ * @param {string} returnId
+ * @access Private (return owner)
+ */
+exports.cancelReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    if (returnRequest.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only cancel your own returns",
+      });
+    }
+
+    transitionReturn(returnRequest, "CANCELLED", {
+      actor: "CUSTOMER",
+      actorId: req.user.id,
+    });
+    await returnRequest.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${returnRequest.rmaNumber} cancelled`,
+      updatedReturn: returnRequest,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Cancel return");
+  }
+};
+
+/**
+ * Get the return queue, oldest first so requests are handled in order
+ * @query {string} [status]  – e.g. "REQUESTED", "APPROVED", "RECEIVED"
+ * @query {string} [orderId]
+ * @access Private (SuperAdmin)
+ */
+exports.getAllReturns = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { status, orderId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (orderId) filter.order = orderId;
+
+    const returns = await ReturnRequest.find(filter)
+      .populate({ path: "items.product", select: "title productImages" })
+      .populate("order", "currency totalAmount paymentMethod paymentStatus")
+      .populate("user", "userName email phone")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Returns fetched successfully",
+      count: returns.length,
+      allReturns: returns,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Get all returns");
+  }
+};
+
+/**
+ * Approve or reject a requested return
+ * @param {string} returnId
+ * @body {string} decision – "APPROVE" or "REJECT"
+ * @body {string} [note]   – shown to the customer; required when rejecting
+ * @access Private (SuperAdmin)
+ */
+exports.reviewReturn = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { decision, note } = req.body;
+
+    if (!["APPROVE", "REJECT"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be APPROVE or REJECT",
+      });
+    }
+
+    if (decision === "REJECT" && !note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject a return",
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    transitionReturn(
+      returnRequest,
+      decision === "APPROVE" ? "APPROVED" : "REJECTED",
+      { actor: "SUPERADMIN", actorId: req.user.id, note },
+    );
+    await returnRequest.save();
+
+    const populatedReturn = await findPopulatedReturn(returnRequest._id);
+
+    await sendReturnUpdateToUser(populatedReturn, note?.trim()).catch((err) =>
+      console.error("Return update email error:", err),
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${returnRequest.rmaNumber} ${returnRequest.status.toLowerCase()}`,
+      updatedReturn: populatedReturn,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Review return");
+  }
+};
+
+/**
+ * Record that the parcel arrived and how each line will be handled
+ * @param {string} returnId
+ * @body {Array<{productId:string, variantId?:string, disposition:string}>} items – RESTOCK or WRITE_OFF for every line
+ * @body {string} [inspectionNote]
+ * @access Private (SuperAdmin)
+ */
+exports.receiveReturn = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { items, inspectionNote } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    inspectReturn(returnRequest, items, {
+      actorId: req.user.id,
+      note: inspectionNote,
+    });
+    await returnRequest.save();
+
+    const populatedReturn = await findPopulatedReturn(returnRequest._id);
+
+    await sendReturnUpdateToUser(populatedReturn).catch((err) =>
+      console.error("Return update email error:", err),
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${returnRequest.rmaNumber} received`,
+      updatedReturn: populatedReturn,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Receive return");
+  }
+};
+
+/**
+ * Refund and restock an inspected return
+ * @description Stripe orders are refunded automatically; the refund amount
+ *              for pay-on-delivery orders is recorded for a manual payout.
+ *              RESTOCK lines go back on the shelf, WRITE_OFF lines do not.
+ * @param {string} returnId
+ * @body {string} [note]
+ * @access Private (SuperAdmin)
+ */
+exports.completeReturn = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    await completeReturn(returnRequest, {
+      actorId: req.user.id,
+      note: req.body.note,
+    });
+
+    const populatedReturn = await findPopulatedReturn(returnRequest._id);
+
+    await sendReturnUpdateToUser(populatedReturn, req.body.note?.trim()).catch(
+      (err) => console.error("Return update email error:", err),
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        returnRequest.refund.method === "STRIPE"
+          ? `Return ${returnRequest.rmaNumber} completed and refunded`
+          : `Return ${returnRequest.rmaNumber} completed – refund the customer manually`,
+      updatedReturn: populatedReturn,
+    });
+  } catch (error) {
+    sendReturnError(res, error, "Complete return");
+  }
+};
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Shipping controller – manages shipping zones and rate tables
+ * @module controllers/shippingController
+ * @description SuperAdmin CRUD for the zones used by the server-side
+ *              shipping rate engine at checkout.
+ */
+
+const ShippingZone = require("../../models/shipping-zone-model/shipping-zone.model");
+
+/**
+ * Normalize comma separated strings or arrays into a trimmed string array
+ * @param {string|string[]|undefined} value
+ * @returns {string[]|undefined}
+ */
+const toList = (value) => {
+  if (value === undefined) return undefined;
+  if (Array.isArray(value)) return value;
+  return String(value).split(",");
+};
+
+/**
+ * Keep a single default zone – clears the flag on every other zone
+ * @param {string} zoneId - Zone that keeps the default flag
+ */
+const clearOtherDefaults = async (zoneId) => {
+  await ShippingZone.updateMany(
+    { _id: { $ne: zoneId }, isDefault: true },
+    { isDefault: false },
+  );
+};
+
+/**
+ * Create a shipping zone
+ * @body {string} name
+ * @body {string|string[]} [cities]
+ * @body {string|string[]} [countries]
+ * @body {boolean} [isDefault=false]
+ * @body {Array<{minItems:number, maxItems?:number, rate:number}>} rateTiers
+ * @body {number} [freeShippingThreshold]
+ * @body {boolean} [codEnabled=false]
+ * @body {number} [codMaxOrderAmount]
+ * @body {boolean} [isActive=true]
+ * @access Private (SuperAdmin)
+ */
+exports.addShippingZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const {
+      name,
+      cities,
+      countries,
+      isDefault,
+      rateTiers,
+      freeShippingThreshold,
+      codEnabled,
+      codMaxOrderAmount,
+      isActive,
+    } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Zone name is required",
+      });
+    }
+
+    if (!Array.isArray(rateTiers) || rateTiers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one rate tier is required",
+      });
+    }
+
+    if (await ShippingZone.findOne({ name: name.trim() })) {
+      return res.status(409).json({
+        success: false,
+        message: "A shipping zone with this name already exists",
+      });
+    }
+
+    const zone = await ShippingZone.create({
+      name: name.trim(),
+      cities: toList(cities) || [],
+      countries: toList(countries) || [],
+      isDefault: Boolean(isDefault),
+      rateTiers,
+      freeShippingThreshold:
+        freeShippingThreshold === undefined || freeShippingThreshold === ""
+          ? null
+          : Number(freeShippingThreshold),
+      codEnabled: Boolean(codEnabled),
+      codMaxOrderAmount:
+        codMaxOrderAmount === undefined || codMaxOrderAmount === ""
+          ? null
+          : Number(codMaxOrderAmount),
+      isActive: isActive === undefined ? true : Boolean(isActive),
+      addedBy: req.user.id,
+    });
+
+    if (zone.isDefault) await clearOtherDefaults(zone._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Shipping zone created successfully",
+      newZone: zone,
+    });
+  } catch (error) {
+    console.error("Add shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all shipping zones
+ * @access Private (SuperAdmin)
+ */
+exports.getAllShippingZones = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zones = await ShippingZone.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zones fetched successfully",
+      count: zones.length,
+      allZones: zones,
+    });
+  } catch (error) {
+    console.error("Get shipping zones error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Update a shipping zone (partial)
+ * @param {string} zoneId
+ * @access Private (SuperAdmin)
+ */
+exports.updateShippingZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    const {
+      name,
+      cities,
+      countries,
+      isDefault,
+      rateTiers,
+      freeShippingThreshold,
+      codEnabled,
+      codMaxOrderAmount,
+      isActive,
+    } = req.body;
+
+    if (name?.trim()) zone.name = name.trim();
+    if (cities !== undefined) zone.cities = toList(cities);
+    if (countries !== undefined) zone.countries = toList(countries);
+    if (isDefault !== undefined) zone.isDefault = Boolean(isDefault);
+    if (rateTiers !== undefined) zone.rateTiers = rateTiers;
+    if (freeShippingThreshold !== undefined) {
+      zone.freeShippingThreshold =
+        freeShippingThreshold === null || freeShippingThreshold === ""
+          ? null
+          : Number(freeShippingThreshold);
+    }
+    if (codEnabled !== undefined) zone.codEnabled = Boolean(codEnabled);
+    if (codMaxOrderAmount !== undefined) {
+      zone.codMaxOrderAmount =
+        codMaxOrderAmount === null || codMaxOrderAmount === ""
+          ? null
+          : Number(codMaxOrderAmount);
+    }
+    if (isActive !== undefined) zone.isActive = Boolean(isActive);
+
+    await zone.save();
+
+    if (zone.isDefault) await clearOtherDefaults(zone._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone updated successfully",
+      updatedZone: zone,
+    });
+  } catch (error) {
+    console.error("Update shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a shipping zone
+ * @param {string} zoneId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteShippingZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zone = await ShippingZone.findByIdAndDelete(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Tax controller – manages destination tax rules
+ * @module controllers/taxController
+ * @description SuperAdmin CRUD for the tax rules placeOrder applies to the
+ *              order destination (see taxService).
+ */
+
+const TaxRule = require("../../models/tax-rule-model/tax-rule.model");
+
+/**
+ * Normalize category overrides sent as an array or JSON string
+ * @param {string|Array|undefined} value
+ * @returns {Array<{ category: string, rate: number }>|undefined}
+ */
+const toCategoryRates = (value) => {
+  if (value === undefined) return undefined;
+  const list = typeof value === "string" ? JSON.parse(value || "[]") : value;
+  return list.map(({ category, rate }) => ({ category, rate: Number(rate) }));
+};
+
+/**
+ * Create a tax rule
+ * @body {string} name                 – label shown on tax lines (e.g. "UK VAT")
+ * @body {string} country
+ * @body {string} [region]             – city/region; omit for the whole country
+ * @body {number} rate                 – percentage
+ * @body {Array}  [categoryRates]      – [{ category, rate }] overrides
+ * @body {boolean} [appliesToShipping=false]
+ * @body {boolean} [isActive=true]
+ * @access Private (SuperAdmin)
+ */
+exports.addTaxRule = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const {
+      name,
+      country,
+      region,
+      rate,
+      categoryRates,
+      appliesToShipping,
+      isActive,
+    } = req.body;
+
+    if (
+      !name?.trim() ||
+      !country?.trim() ||
+      rate === undefined ||
+      rate === ""
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, country and rate are required",
+      });
+    }
+
+    const existing = await TaxRule.findOne({
+      country: country.trim(),
+      region: region?.trim() || null,
+    }).collation({ locale: "en", strength: 2 });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax rule for this destination already exists",
+      });
+    }
+
+    const taxRule = await TaxRule.create({
+      name,
+      country,
+      region,
+      rate: Number(rate),
+      categoryRates: toCategoryRates(categoryRates) || [],
+      appliesToShipping: Boolean(appliesToShipping),
+      isActive: isActive === undefined ? true : Boolean(isActive),
+      addedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Tax rule created successfully",
+      newTaxRule: taxRule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: "Category rates must be a valid JSON array",
+      });
+    }
+
+    console.error("Add tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all tax rules
+ * @access Private (SuperAdmin)
+ */
+exports.getAllTaxRules = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const taxRules = await TaxRule.find().sort({ country: 1, region: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rules fetched successfully",
+      count: taxRules.length,
+      allTaxRules: taxRules,
+    });
+  } catch (error) {
+    console.error("Get tax rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Update a tax rule (partial)
+ * @description Orders already placed keep the tax lines they were charged.
+ * @param {string} ruleId
+ * @access Private (SuperAdmin)
+ */
+exports.updateTaxRule = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const taxRule = await TaxRule.findById(req.params.ruleId);
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+      });
+    }
+
+    const {
+      name,
+      country,
+      region,
+      rate,
+      categoryRates,
+      appliesToShipping,
+      isActive,
+    } = req.body;
+
+    if (name !== undefined) taxRule.name = name;
+    if (country !== undefined) taxRule.country = country;
+    if (region !== undefined) taxRule.region = region;
+    if (rate !== undefined && rate !== "") taxRule.rate = Number(rate);
+    if (categoryRates !== undefined) {
+      taxRule.categoryRates = toCategoryRates(categoryRates);
+    }
+    if (appliesToShipping !== undefined) {
+      taxRule.appliesToShipping = Boolean(appliesToShipping);
+    }
+    if (isActive !== undefined) taxRule.isActive = Boolean(isActive);
+
+    await taxRule.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule updated successfully",
+      updatedTaxRule: taxRule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: "Category rates must be a valid JSON array",
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax rule for this destination already exists",
+      });
+    }
+
+    console.error("Update tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a tax rule
+ * @param {string} ruleId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteTaxRule = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.ruleId);
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
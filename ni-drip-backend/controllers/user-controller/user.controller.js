@@ -1,7 +1,8 @@
 /**
  * @fileoverview User controller – authentication & profile
  * @module controllers/userController
- * @description Handles registration, login, profile updates, deletion, logout.
+ * @description Handles registration, login, profile updates, deletion, logout
+ *              and the shipping address book.
  */
 
 const bcrypt = require("bcrypt");
@@ -28,6 +29,15 @@ const {
 const {
   sendEmailVerificationOtp,
 } = require("../../helpers/email-helper/email.helper");
+const {
+  attachGuestOrders,
+} = require("../../services/guest-service/guest.service");
+const {
+  MAX_ADDRESSES,
+  pickAddressFields,
+  findUserAddress,
+  setDefaultAddress,
+} = require("../../services/address-service/address.service");
 
 /**
  * Register new user
@@ -477,13 +487,14 @@ exports.updateUserLocation = async (req, res) => {
     const fetchedAddress =
       geoResponse?.data?.display_name || "Unknown Location";
 
+    // Only the last known location is updated – the saved address and the
+    // address book are never overwritten by reverse geocoding
     const updatePayload = {
       lastKnownLocation: {
         latitude,
         longitude,
         address: fetchedAddress,
       },
-      address: fetchedAddress, // sync root address
       updatedAt: new Date(),
     };
 
@@ -514,6 +525,202 @@ exports.updateUserLocation = async (req, res) => {
   }
 };
 
+/**
+ * Get the user's saved shipping addresses
+ * @access Private
+ */
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("addresses");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Addresses fetched successfully",
+      count: user.addresses.length,
+      allAddresses: user.addresses,
+    });
+  } catch (error) {
+    console.error("Get addresses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save a new shipping address
+ * @description The first saved address always becomes the default.
+ * @body {string} recipientName
+ * @body {string} line1
+ * @body {string} city
+ * @body {string} country
+ * @body {string} [label]      – e.g. "Home", "Office"
+ * @body {string} [phone]
+ * @body {string} [line2]
+ * @body {string} [postcode]
+ * @body {boolean} [isDefault=false]
+ * @access Private
+ */
+exports.addAddress = async (req, res) => {
+  try {
+    const fields = pickAddressFields(req.body);
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    user.addresses.push(fields);
+    const newAddress = user.addresses.at(-1);
+
+    if (req.body.isDefault === true || user.addresses.length === 1) {
+      setDefaultAddress(user, newAddress);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Address saved successfully",
+      newAddress,
+      allAddresses: user.addresses,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Add address error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a saved address (only the fields sent are changed)
+ * @description `isDefault: true` makes it the default. The default cannot be
+ *              unset directly – make another address the default instead.
+ * @param {string} addressId
+ * @body {string} [recipientName|line1|city|country|label|phone|line2|postcode]
+ * @body {boolean} [isDefault]
+ * @access Private
+ */
+exports.updateAddress = async (req, res) => {
+  try {
+    const fields = pickAddressFields(req.body, { partial: true });
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const address = findUserAddress(user, req.params.addressId);
+    address.set(fields);
+
+    if (req.body.isDefault === true) setDefaultAddress(user, address);
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Address updated successfully",
+      updatedAddress: address,
+      allAddresses: user.addresses,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update address error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a saved address
+ * @description Deleting the default promotes the oldest remaining address.
+ *              Orders already placed keep their own copy of the address.
+ * @param {string} addressId
+ * @access Private
+ */
+exports.deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const address = findUserAddress(user, req.params.addressId);
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+
+    if (wasDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Address deleted successfully",
+      deletedAddressId: req.params.addressId,
+      allAddresses: user.addresses,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Delete address error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Request 6-digit OTP to verify email address
  * @body {string} [email] – optional (uses authenticated user's email if omitted)
@@ -581,6 +788,8 @@ exports.requestEmailVerification = async (req, res) => {
 
 /**
  * Verify email using the 6-digit OTP
+ * @description Guest orders placed under the verified email are attached to
+ *              the account.
  * @body {string} otp – the 6-digit code received via email
  * @access Private (logged-in user)
  */
@@ -645,9 +854,17 @@ exports.verifyEmail = async (req, res) => {
     user.emailVerificationExpires = null;
     await user.save();
 
+    // The mailbox is proven now, so the guest orders under it are theirs
+    const attachedOrders = await attachGuestOrders(user, {
+      "guest.email": user.email,
+    });
+
     res.status(200).json({
       success: true,
-      message: "Email verified successfully!",
+      message: attachedOrders
+        ? `Email verified successfully! ${attachedOrders} guest order(s) added to your account.`
+        : "Email verified successfully!",
+      attachedOrders,
     });
   } catch (error) {
     console.error("Verify email error:", error);
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Scheduled cleanup of abandoned Stripe checkouts
+ * @module helpers/cronJobs/orderCleanup
+ * @description placeOrder reserves stock immediately, so an order whose
+ *              PaymentIntent is never completed would hold inventory forever.
+ *              This job expires such orders after a configurable window
+ *              through orderCancelService (PaymentIntent, stock, coupon and
+ *              order history) and emails the customer.
+ *
+ * Environment:
+ *   ORDER_RESERVATION_MINUTES – minutes an unpaid order may hold stock (default 30)
+ *   ORDER_CLEANUP_CRON        – cron expression for the sweep (default every 5 minutes)
+ */
+
+const cron = require("node-cron");
+const Order = require("../../models/order-model/order.model");
+const {
+  cancelOrder,
+} = require("../../services/order-cancel-service/order-cancel.service");
+const { sendOrderExpiredToUser } = require("../email-helper/email.helper");
+const {
+  getOrderCustomer,
+} = require("../../services/guest-service/guest.service");
+
+const DEFAULT_RESERVATION_MINUTES = 30;
+const DEFAULT_SCHEDULE = "*/5 * * * *";
+
+/**
+ * Read the reservation window from the environment
+ * @returns {number} Minutes
+ */
+const getReservationMinutes = () => {
+  const minutes = Number(process.env.ORDER_RESERVATION_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_RESERVATION_MINUTES;
+};
+
+/**
+ * Expire a single unpaid order
+ * @async
+ * @param {Object} order - Order document
+ * @param {number} windowMinutes
+ * @returns {Promise<boolean>} true when the order was expired by this run
+ */
+const expireOrder = async (order, windowMinutes) => {
+  let expired;
+
+  try {
+    expired = await cancelOrder({
+      orderId: order._id,
+      by: { note: `Payment not completed within ${windowMinutes} minutes` },
+      stripeReason: "abandoned",
+    });
+  } catch (error) {
+    // Paid or being paid meanwhile – the webhook settles the order
+    if ([400, 409].includes(error.statusCode)) return false;
+    throw error;
+  }
+
+  if (expired) {
+    const populatedOrder = await Order.findById(order._id)
+      .populate({ path: "items.product", select: "title" })
+      .populate("user", "userName email");
+
+    if (populatedOrder && getOrderCustomer(populatedOrder)) {
+      await sendOrderExpiredToUser(populatedOrder, windowMinutes);
+    }
+  }
+
+  return Boolean(expired);
+};
+
+/**
+ * Find and expire every unpaid Stripe order older than the reservation window
+ * @async
+ * @returns {Promise<number>} Number of orders expired
+ */
+const expireUnpaidOrders = async () => {
+  const windowMinutes = getReservationMinutes();
+  const cutoff = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const staleOrders = await Order.find({
+    status: "PENDING",
+    paymentStatus: "PENDING",
+    paymentMethod: "STRIPE",
+    createdAt: { $lt: cutoff },
+  }).select("_id");
+
+  let expiredCount = 0;
+
+  for (const order of staleOrders) {
+    try {
+      if (await expireOrder(order, windowMinutes)) expiredCount++;
+    } catch (error) {
+      // One bad order must not stop the rest of the sweep
+      console.error(`Failed to expire order ${order._id}:`, error.message);
+    }
+  }
+
+  if (expiredCount > 0) {
+    console.log(`Order cleanup: expired ${expiredCount} unpaid order(s)`);
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Schedule the cleanup job. Call once after the database connection is up.
+ * @returns {import('node-cron').ScheduledTask}
+ */
+const startOrderCleanupJob = () => {
+  const schedule = process.env.ORDER_CLEANUP_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid ORDER_CLEANUP_CRON expression: ${schedule}`);
+  }
+
+  return cron.schedule(
+    schedule,
+    () =>
+      expireUnpaidOrders().catch((error) =>
+        console.error("Order cleanup error:", error),
+      ),
+    { name: "order-cleanup", noOverlap: true },
+  );
+};
+
+module.exports = {
+  expireUnpaidOrders,
+  startOrderCleanupJob,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Scheduled sale and price changes
+ * @module helpers/cronJobs/priceSchedule
+ * @description Sales and scheduled price changes are stored on the product
+ *              ahead of time; this job makes them take effect. Each sweep
+ *              applies due scheduled prices, starts sales whose start date
+ *              has passed and ends those whose end date has passed (see
+ *              pricingService). Carts pick up the new prices the next time
+ *              they are read.
+ *
+ * Environment:
+ *   PRICE_SCHEDULE_CRON – cron expression for the sweep (default every minute)
+ */
+
+const cron = require("node-cron");
+const Product = require("../../models/product-model/product.model");
+const {
+  applyDuePriceChanges,
+} = require("../../services/pricing-service/pricing.service");
+
+const DEFAULT_SCHEDULE = "* * * * *";
+
+/**
+ * Apply every sale start, sale end and scheduled price that is due
+ * @async
+ * @returns {Promise<number>} Number of products whose prices changed
+ */
+const applyDuePrices = async () => {
+  const now = new Date();
+
+  const dueProducts = await Product.find({
+    $or: [
+      { "scheduledPrices.effectiveAt": { $lte: now } },
+      { "sale.appliedAt": null, "sale.startsAt": { $lte: now } },
+      { "sale.endsAt": { $lte: now } },
+    ],
+  }).select("+scheduledPrices +priceHistory");
+
+  let changedCount = 0;
+
+  for (const product of dueProducts) {
+    try {
+      if (applyDuePriceChanges(product, now)) {
+        await product.save();
+        changedCount++;
+      }
+    } catch (error) {
+      // One bad product must not stop the rest of the sweep
+      console.error(
+        `Failed to update prices of ${product._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  if (changedCount > 0) {
+    console.log(`Price schedule: updated ${changedCount} product(s)`);
+  }
+
+  return changedCount;
+};
+
+/**
+ * Schedule the price job. Call once after the database connection is up.
+ * @returns {import('node-cron').ScheduledTask}
+ */
+const startPriceScheduleJob = () => {
+  const schedule = process.env.PRICE_SCHEDULE_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid PRICE_SCHEDULE_CRON expression: ${schedule}`);
+  }
+
+  return cron.schedule(
+    schedule,
+    () =>
+      applyDuePrices().catch((error) =>
+        console.error("Price schedule error:", error),
+      ),
+    { name: "price-schedule", noOverlap: true },
+  );
+};
+
+module.exports = {
+  applyDuePrices,
+  startPriceScheduleJob,
+};
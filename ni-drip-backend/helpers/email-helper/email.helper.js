@@ -6,6 +6,13 @@
  */
 
 const nodemailer = require("nodemailer");
+const {
+  generateInvoicePdf,
+} = require("../../services/invoice-service/invoice.service");
+const {
+  getOrderCustomer,
+} = require("../../services/guest-service/guest.service");
+const { lineKey } = require("../../services/variant-service/variant.service");
 
 // Validate required environment variables
 if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
@@ -38,9 +45,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.to      - Recipient email address
  * @param {string} options.subject - Email subject line
  * @param {string} options.html    - HTML body content
+ * @param {Array}  [options.attachments] - Nodemailer attachments (e.g. invoice PDF)
  * @returns {Promise<boolean>} Success status
  */
-const sendEmail = async ({ to, subject, html }) => {
+const sendEmail = async ({ to, subject, html, attachments }) => {
   try {
     const info = await transporter.sendMail({
       from: "NIDRIP <no-reply@nidrip.com>",
@@ -48,6 +56,7 @@ const sendEmail = async ({ to, subject, html }) => {
       subject,
       html,
       text: html.replace(/<[^>]+>/g, " ").substring(0, 200) + "...",
+      attachments,
     });
 
     console.log(`Email sent to ${to} | MessageId: ${info.messageId}`);
@@ -146,6 +155,74 @@ const formatDate = (date) => {
   }).format(new Date(date));
 };
 
+/**
+ * Format an amount in the order's currency, e.g. "£1,250.00"
+ * @param {number} amount
+ * @param {string} [currency="USD"] - ISO 4217 code
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = "USD") => {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency,
+  }).format(amount);
+};
+
+/**
+ * Product title of an order line, with its variant when it has one
+ * @param {Object} [item] - Order item with `product` populated
+ * @returns {string} e.g. "Phone X (Black / 128GB)"
+ */
+const itemTitle = (item) => {
+  const title = item?.product?.title || "Item";
+  return item?.variantLabel ? `${title} (${item.variantLabel})` : title;
+};
+
+/**
+ * The order item a refund, edit or return line refers to
+ * @param {Object} order - Order with `items`
+ * @param {{ product: Object|ObjectId, variant?: ObjectId }} line
+ * @returns {Object|undefined}
+ */
+const findOrderItem = (order, line) =>
+  order?.items?.find(
+    (item) =>
+      item.product &&
+      lineKey(item.product, item.variant) === lineKey(line.product, line.variant),
+  );
+
+/**
+ * Render an order's tax lines as summary rows
+ * @param {Object} order - Order with taxLines and currency
+ * @returns {string} HTML (empty when no tax was charged)
+ */
+const formatTaxLines = (order) => {
+  return (order.taxLines || [])
+    .map(
+      (line) =>
+        `<div><strong>${line.name} (${line.rate}%):</strong> ${formatMoney(line.amount, order.currency)}</div>`,
+    )
+    .join("");
+};
+
+/**
+ * Render a shipment's carrier and tracking details
+ * @param {Object} shipment - Order shipment (carrier, trackingNumber, trackingUrl, estimatedDelivery)
+ * @returns {string} HTML (empty when there is no shipment)
+ */
+const formatShipment = (shipment) => {
+  if (!shipment) return "";
+
+  return `
+    <div class="info-box">
+      <strong>Carrier:</strong> ${shipment.carrier}<br><br>
+      <strong>Tracking Number:</strong> ${shipment.trackingNumber}<br><br>
+      ${shipment.estimatedDelivery ? `<strong>Estimated Delivery:</strong> ${formatDate(shipment.estimatedDelivery)}<br><br>` : ""}
+      ${shipment.trackingUrl ? `<a href="${shipment.trackingUrl}" style="color:#E32264;font-weight:700;">Track your parcel</a>` : ""}
+    </div>
+  `;
+};
+
 /**
  * Get frontend base URL based on user role
  * @param {string} role - User role
@@ -308,10 +385,11 @@ const sendTicketStatusUpdateEmail = async (
 };
 
 /* ────────────────────────────────────────────────
-   Order Emails – Now using $ (USD) instead of Rs.
+   Order Emails – amounts use the order's currency
 ───────────────────────────────────────────────── */
 
 const sendOrderConfirmationToUser = async (order) => {
+  const customer = getOrderCustomer(order);
   const shortOrderId = shortenId(order._id);
 
   const itemsList = order.items
@@ -319,8 +397,8 @@ const sendOrderConfirmationToUser = async (order) => {
       (item) => `
         <li class="items-list-li">
           <div style="display:flex;justify-content:space-between;align-items:start;">
-            <div><strong>${item.product.title}</strong> × ${item.quantity}</div>
-            <div style="text-align:right;color:#666;">$${item.priceAtPurchase.toLocaleString()}</div>
+            <div><strong>${itemTitle(item)}</strong> × ${item.quantity}</div>
+            <div style="text-align:right;color:#666;">${formatMoney(item.priceAtPurchase, order.currency)}</div>
           </div>
         </li>
       `,
@@ -329,38 +407,64 @@ const sendOrderConfirmationToUser = async (order) => {
 
   const content = `
     <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Order Confirmed! 🎉</h2>
-    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${order.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${customer.userName},</p>
     <p style="font-size:17px;color:#444444;margin-bottom:32px;">
-      Thank you for your purchase! Your order is now being processed.
+      ${
+        order.paymentMethod === "PAY_ON_DELIVERY"
+          ? `Thank you for your order! Please have <strong>${formatMoney(order.totalAmount, order.currency)}</strong> ready in cash when it arrives.`
+          : "Thank you for your purchase! Your order is now being processed."
+      }
     </p>
     <div class="info-box">
       <strong>Order ID:</strong> ${shortOrderId}<br><br>
       <strong>Order Date:</strong> ${formatDate(order.createdAt)}<br><br>
-      <strong>Payment Method:</strong> ${order.paymentMethod}<br><br>
+      <strong>Payment Method:</strong> ${order.paymentMethod.replace(/_/g, " ")}<br><br>
       <strong>Shipping Address:</strong><br>
-      <div style="margin-top:8px;">${order.shippingAddress.replace(/\n/g, "<br>")}</div>
+      <div style="margin-top:8px;">${order.shippingAddressDetails?.recipientName ? `${order.shippingAddressDetails.recipientName}<br>` : ""}${order.shippingAddress.replace(/\n/g, "<br>")}</div>
     </div>
     <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Order Summary</h3>
     <ul class="items-list">${itemsList}</ul>
     <div class="total-box">
-      <div><strong>Subtotal:</strong> $${(order.totalAmount - order.shippingCost).toLocaleString()}</div>
-      <div><strong>Shipping:</strong> $${order.shippingCost.toLocaleString()}</div>
-      <div style="margin-top:16px;"><strong>Total:</strong> $${order.totalAmount.toLocaleString()}</div>
+      <div><strong>Subtotal:</strong> ${formatMoney(order.totalAmount - order.shippingCost - (order.taxAmount || 0) + (order.discount?.amount || 0), order.currency)}</div>
+      ${order.discount?.amount ? `<div><strong>Discount (${order.discount.code}):</strong> −${formatMoney(order.discount.amount, order.currency)}</div>` : ""}
+      <div><strong>Shipping:</strong> ${formatMoney(order.shippingCost, order.currency)}</div>
+      ${formatTaxLines(order)}
+      <div style="margin-top:16px;"><strong>Total:</strong> ${formatMoney(order.totalAmount, order.currency)}</div>
     </div>
+    ${!order.user && order.guest?.email ? `<div class="info-box">Look up your order any time with order number <strong>${order._id}</strong> and this email address, or create an account to keep all your orders in one place.</div>` : ""}
     <p style="font-size:16px;color:#444444;">
+      ${order.invoiceNumber ? `Your invoice ${order.invoiceNumber} is attached to this email.<br><br>` : ""}
       We'll notify you when your order ships.<br><br>
       Thank you for shopping with NIDRIP!
     </p>
   `;
 
+  // A failed render should not hold back the confirmation itself
+  let attachments;
+  if (order.invoiceNumber) {
+    try {
+      attachments = [
+        {
+          filename: `${order.invoiceNumber}.pdf`,
+          content: await generateInvoicePdf(order),
+          contentType: "application/pdf",
+        },
+      ];
+    } catch (error) {
+      console.error("Failed to render invoice:", error.message);
+    }
+  }
+
   await sendEmail({
-    to: order.user.email,
+    to: customer.email,
     subject: `NIDRIP Order Confirmed ${shortOrderId}`,
     html: getEmailTemplate(content, "Order Confirmation"),
+    attachments,
   });
 };
 
 const sendNewOrderNotificationToAdmin = async (order) => {
+  const customer = getOrderCustomer(order);
   const adminEmail = process.env.EMAIL_USER || "support@nidrip.com";
   const shortOrderId = shortenId(order._id);
 
@@ -369,7 +473,7 @@ const sendNewOrderNotificationToAdmin = async (order) => {
       (item) => `
         <li class="items-list-li">
           <div style="display:flex;justify-content:space-between;align-items:start;">
-            <div><strong>${item.product.title}</strong> × ${item.quantity}</div>
+            <div><strong>${itemTitle(item)}</strong> × ${item.quantity}</div>
           </div>
         </li>
       `,
@@ -383,11 +487,16 @@ const sendNewOrderNotificationToAdmin = async (order) => {
     </p>
     <div class="info-box">
       <strong>Order ID:</strong> ${shortOrderId}<br><br>
-      <strong>Customer:</strong> ${order.user.userName} (${order.user.email})<br><br>
-      <strong>Phone:</strong> ${order.user.phone || "Not provided"}<br><br>
-      <strong>Payment Method:</strong> ${order.paymentMethod}<br><br>
+      <strong>Customer:</strong> ${customer.userName} (${customer.email})<br><br>
+      <strong>Phone:</strong> ${customer.phone || "Not provided"}<br><br>
+      <strong>Payment Method:</strong> ${order.paymentMethod.replace(/_/g, " ")}<br><br>
       <strong>Order Date:</strong> ${formatDate(order.createdAt)}
     </div>
+    <div class="total-box">
+      <div><strong>Shipping:</strong> ${formatMoney(order.shippingCost, order.currency)}</div>
+      ${formatTaxLines(order)}
+      <div style="margin-top:16px;"><strong>Total:</strong> ${formatMoney(order.totalAmount, order.currency)}</div>
+    </div>
     <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Items</h3>
     <ul class="items-list">${itemsList}</ul>
     <div style="text-align:center;margin:40px 0;">
@@ -405,14 +514,15 @@ const sendNewOrderNotificationToAdmin = async (order) => {
 };
 
 const sendOrderCancellationToUser = async (order, reasonForCancel) => {
+  const customer = getOrderCustomer(order);
   const shortOrderId = shortenId(order._id);
 
   const itemsList = order.items
     .map(
       (item) => `
         <li style="margin:12px 0;">
-          <strong>${item.product.title}</strong> × ${item.quantity}<br>
-          <span style="color:#666;">Price: $${item.priceAtPurchase.toLocaleString()}</span>
+          <strong>${itemTitle(item)}</strong> × ${item.quantity}<br>
+          <span style="color:#666;">Price: ${formatMoney(item.priceAtPurchase, order.currency)}</span>
         </li>
       `,
     )
@@ -420,7 +530,7 @@ const sendOrderCancellationToUser = async (order, reasonForCancel) => {
 
   const content = `
     <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Order Cancelled</h2>
-    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${order.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${customer.userName},</p>
     <p style="font-size:17px;color:#444444;margin-bottom:32px;">
       Your order has been cancelled successfully. No charges were applied (Cash on Delivery).
     </p>
@@ -442,13 +552,14 @@ const sendOrderCancellationToUser = async (order, reasonForCancel) => {
   `;
 
   await sendEmail({
-    to: order.user.email,
+    to: customer.email,
     subject: `NIDRIP Order Cancelled ${shortOrderId}`,
     html: getEmailTemplate(content, "Order Cancellation"),
   });
 };
 
 const sendOrderCancellationToAdmin = async (order, reasonForCancel) => {
+  const customer = getOrderCustomer(order);
   const adminEmail = process.env.EMAIL_USER || "support@nidrip.com";
   const shortOrderId = shortenId(order._id);
 
@@ -456,8 +567,8 @@ const sendOrderCancellationToAdmin = async (order, reasonForCancel) => {
     .map(
       (item) => `
         <li style="margin:12px 0;">
-          <strong>${item.product.title}</strong> × ${item.quantity}<br>
-          <span style="color:#666;">Price: $${item.priceAtPurchase.toLocaleString()}</span>
+          <strong>${itemTitle(item)}</strong> × ${item.quantity}<br>
+          <span style="color:#666;">Price: ${formatMoney(item.priceAtPurchase, order.currency)}</span>
         </li>
       `,
     )
@@ -470,8 +581,8 @@ const sendOrderCancellationToAdmin = async (order, reasonForCancel) => {
     </p>
     <div class="info-box">
       <strong>Order ID:</strong> ${shortOrderId}<br><br>
-      <strong>Customer:</strong> ${order.user.userName} (${order.user.email})<br><br>
-      <strong>Phone:</strong> ${order.user.phone || "Not provided"}<br><br>
+      <strong>Customer:</strong> ${customer.userName} (${customer.email})<br><br>
+      <strong>Phone:</strong> ${customer.phone || "Not provided"}<br><br>
       <strong>Reason:</strong> ${reasonForCancel}<br><br>
       <strong>Cancelled:</strong> ${formatDate(new Date())}
     </div>
@@ -501,6 +612,7 @@ const sendOrderCancellationToAdmin = async (order, reasonForCancel) => {
  * @param {string} orderId
  * @param {string} newStatus
  * @param {string} [subject="Your Order Status Update"]
+ * @param {Object} [shipment] - Shipment whose tracking details are included
  */
 const sendOrderStatusUpdateEmail = async (
   userEmail,
@@ -508,6 +620,7 @@ const sendOrderStatusUpdateEmail = async (
   orderId,
   newStatus,
   subject = "Your Order Status Update",
+  shipment = null,
 ) => {
   const shortOrderId = shortenId(orderId);
 
@@ -522,6 +635,7 @@ const sendOrderStatusUpdateEmail = async (
       <strong>New Status:</strong> <span style="color:#E32264;font-weight:700;font-size:20px;">${newStatus}</span><br><br>
       <strong>Updated on:</strong> ${formatDate(new Date())}
     </div>
+    ${formatShipment(shipment)}
     <p style="font-size:17px;color:#444444;margin-bottom:32px;">
       You can view full details in <strong>My Orders</strong>.
     </p>
@@ -538,6 +652,321 @@ const sendOrderStatusUpdateEmail = async (
   });
 };
 
+/**
+ * Notify the customer that an unpaid order expired and its items were released
+ * @async
+ * @param {Object} order         - Populated order (user, items.product)
+ * @param {number} windowMinutes - Reservation window that elapsed
+ */
+const sendOrderExpiredToUser = async (order, windowMinutes) => {
+  const customer = getOrderCustomer(order);
+  const shortOrderId = shortenId(order._id);
+
+  const itemsList = order.items
+    .map(
+      (item) => `
+        <li style="margin:12px 0;">
+          <strong>${itemTitle(item)}</strong> × ${item.quantity}<br>
+          <span style="color:#666;">Price: ${formatMoney(item.priceAtPurchase, order.currency)}</span>
+        </li>
+      `,
+    )
+    .join("");
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Order Expired</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${customer.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      We didn't receive payment for your order within ${windowMinutes} minutes, so it has been cancelled and no charges were applied.
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Placed on:</strong> ${formatDate(order.createdAt)}<br><br>
+      <strong>Expired:</strong> ${formatDate(new Date())}
+    </div>
+    <h3 style="margin:32px 0 16px;color:#E32264;">Items Released</h3>
+    <ul style="padding-left:20px;">${itemsList}</ul>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      Still want them? Place a new order while they're in stock.
+    </p>
+    <p style="font-size:16px;color:#444444;">
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: customer.email,
+    subject: `NIDRIP Order Expired ${shortOrderId}`,
+    html: getEmailTemplate(content, "Order Expired"),
+  });
+};
+
+/**
+ * Notify the customer about a full or partial refund
+ * @async
+ * @param {Object} order  - Populated order (user, items.product)
+ * @param {Object} refund - { amount, items: [{ product, quantity }], reason }
+ */
+const sendOrderRefundToUser = async (order, refund) => {
+  const customer = getOrderCustomer(order);
+  const shortOrderId = shortenId(order._id);
+  const isFullRefund = order.paymentStatus === "REFUNDED";
+
+  const itemsList = refund.items
+    .map((line) => {
+      const item = findOrderItem(order, line);
+      return `
+        <li style="margin:12px 0;">
+          <strong>${itemTitle(item)}</strong> × ${line.quantity}
+        </li>
+      `;
+    })
+    .join("");
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">${isFullRefund ? "Order Refunded" : "Partial Refund Issued"}</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${customer.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      We've issued a refund of <strong>${formatMoney(refund.amount, order.currency)}</strong> to your original payment method.
+      It can take 5–10 business days to appear on your statement.
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Refunded:</strong> ${formatMoney(refund.amount, order.currency)}<br><br>
+      <strong>Total refunded so far:</strong> ${formatMoney(order.amountRefunded, order.currency)} of ${formatMoney(order.totalAmount, order.currency)}<br><br>
+      ${refund.reason ? `<strong>Reason:</strong> ${refund.reason}<br><br>` : ""}
+      <strong>Refund date:</strong> ${formatDate(new Date())}
+    </div>
+    ${itemsList ? `<h3 style="margin:32px 0 16px;color:#E32264;">Items Refunded</h3><ul style="padding-left:20px;">${itemsList}</ul>` : ""}
+    <p style="font-size:16px;color:#444444;">
+      Contact support if you need assistance.<br><br>
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: customer.email,
+    subject: `NIDRIP ${isFullRefund ? "Refund" : "Partial Refund"} ${shortOrderId}`,
+    html: getEmailTemplate(content, "Order Refund"),
+  });
+};
+
+/**
+ * Tell the customer support changed their order and how the difference is settled
+ * @async
+ * @param {Object} order - Populated order (user, items.product, edits.items.product)
+ * @param {Object} edit  - The order's latest `edits` entry
+ */
+const sendOrderEditToUser = async (order, edit) => {
+  const customer = getOrderCustomer(order);
+  const shortOrderId = shortenId(order._id);
+  const { adjustment } = edit;
+
+  const changesList = edit.items
+    .map(
+      (line) => `
+        <li style="margin:12px 0;">
+          <strong>${itemTitle({ ...findOrderItem(order, line), product: line.product })}</strong>:
+          ${line.toQuantity === 0 ? "removed" : line.fromQuantity === 0 ? `added × ${line.toQuantity}` : `${line.fromQuantity} → ${line.toQuantity}`}
+        </li>
+      `,
+    )
+    .join("");
+
+  const settlement = {
+    CHARGE: `Your new total is ${formatMoney(adjustment.amount, order.currency)} more than you paid. Open <strong>My Orders</strong> in the NIDRIP app to pay the balance – we'll ship once it's paid.`,
+    REFUND: `We've refunded the difference of <strong>${formatMoney(adjustment.amount, order.currency)}</strong> to your original payment method. It can take 5–10 business days to appear on your statement.`,
+    PAYMENT_UPDATED: `Your payment has been updated to the new total.`,
+    NONE:
+      order.paymentMethod === "PAY_ON_DELIVERY"
+        ? `Please have <strong>${formatMoney(order.totalAmount, order.currency)}</strong> ready in cash when it arrives.`
+        : "Your total has not changed.",
+  }[adjustment.type];
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Your Order Was Updated</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${customer.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      As requested, our support team has made changes to your order. ${settlement}
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Previous total:</strong> ${formatMoney(edit.previousTotal, order.currency)}<br><br>
+      <strong>New total:</strong> ${formatMoney(edit.newTotal, order.currency)}<br><br>
+      ${edit.shippingAddress?.to ? `<strong>New address:</strong> ${edit.shippingAddress.to}<br><br>` : ""}
+      ${edit.note ? `<strong>Note:</strong> ${edit.note}<br><br>` : ""}
+      <strong>Updated on:</strong> ${formatDate(edit.editedAt)}
+    </div>
+    ${changesList ? `<h3 style="margin:32px 0 16px;color:#E32264;">Items Changed</h3><ul style="padding-left:20px;">${changesList}</ul>` : ""}
+    <p style="font-size:16px;color:#444444;">
+      Didn't ask for this change? Contact support right away.<br><br>
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: customer.email,
+    subject: `NIDRIP Order Updated ${shortOrderId}`,
+    html: getEmailTemplate(content, "Order Updated"),
+  });
+};
+
+/**
+ * Alert the store admin that a customer disputed a payment
+ * @async
+ * @param {Object} order   - Order with `user` populated
+ * @param {Object} dispute - { stripeDisputeId, amount, reason }
+ */
+const sendDisputeAlertToAdmin = async (order, dispute) => {
+  const customer = getOrderCustomer(order);
+  const adminEmail = process.env.EMAIL_USER || "support@nidrip.com";
+  const shortOrderId = shortenId(order._id);
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Payment Disputed</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      A customer has opened a dispute with their bank. Submit evidence from the Stripe Dashboard before the response deadline.
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Customer:</strong> ${customer?.userName || "Unknown"} (${customer?.email || "no email"})<br><br>
+      <strong>Disputed amount:</strong> ${formatMoney(dispute.amount, order.currency)}<br><br>
+      <strong>Reason:</strong> ${(dispute.reason || "unspecified").replace(/_/g, " ")}<br><br>
+      <strong>Dispute ID:</strong> ${dispute.stripeDisputeId}
+    </div>
+  `;
+
+  await sendEmail({
+    to: adminEmail,
+    subject: `Payment Disputed ${shortOrderId}`,
+    html: getEmailTemplate(content, "Payment Dispute Alert"),
+  });
+};
+
+/**
+ * Headline and next step shown to the customer for each return status
+ * @type {Object<string, { title: string, message: string }>}
+ */
+const RETURN_STATUS_MESSAGES = {
+  APPROVED: {
+    title: "Return Approved",
+    message:
+      "Your return has been approved. Please send the items back with the return number written on the parcel.",
+  },
+  REJECTED: {
+    title: "Return Declined",
+    message: "Unfortunately we couldn't accept this return.",
+  },
+  RECEIVED: {
+    title: "Return Received",
+    message: "Your parcel has arrived and the items have been inspected.",
+  },
+  COMPLETED: {
+    title: "Return Completed",
+    message: "Your return is complete.",
+  },
+};
+
+/**
+ * Tell the customer their return moved to a new status
+ * @async
+ * @param {Object} returnRequest - Return with `user`, `order` and `items.product` populated
+ * @param {string} [note] - Message from the store (e.g. why it was declined)
+ */
+const sendReturnUpdateToUser = async (returnRequest, note) => {
+  const { title, message } = RETURN_STATUS_MESSAGES[returnRequest.status];
+  const { refund, order } = returnRequest;
+
+  const itemsList = returnRequest.items
+    .map(
+      (item) => `
+        <li style="margin:12px 0;">
+          <strong>${itemTitle({ ...findOrderItem(returnRequest.order, item), product: item.product })}</strong> × ${item.quantity}
+        </li>
+      `,
+    )
+    .join("");
+
+  const refundLine =
+    returnRequest.status !== "COMPLETED"
+      ? ""
+      : refund.method === "STRIPE"
+        ? `<strong>Refunded:</strong> ${formatMoney(refund.amount, order.currency)} to your original payment method<br><br>`
+        : `<strong>Refund due:</strong> ${formatMoney(refund.amount, order.currency)} – our team will contact you to arrange it<br><br>`;
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">${title}</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${returnRequest.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">${message}</p>
+    <div class="info-box">
+      <strong>Return No:</strong> ${returnRequest.rmaNumber}<br><br>
+      <strong>Order ID:</strong> ${shortenId(order._id)}<br><br>
+      ${refundLine}
+      ${note ? `<strong>Note:</strong> ${note}<br><br>` : ""}
+      <strong>Updated on:</strong> ${formatDate(new Date())}
+    </div>
+    <h3 style="margin:32px 0 16px;color:#E32264;">Items</h3>
+    <ul style="padding-left:20px;">${itemsList}</ul>
+    <p style="font-size:16px;color:#444444;">
+      Contact support if you need assistance.<br><br>
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: returnRequest.user.email,
+    subject: `NIDRIP ${title} ${returnRequest.rmaNumber}`,
+    html: getEmailTemplate(content, title),
+  });
+};
+
+/**
+ * Alert the store admin that a customer asked for a return
+ * @async
+ * @param {Object} returnRequest - Return with `user`, `order` and `items.product` populated
+ */
+const sendNewReturnNotificationToAdmin = async (returnRequest) => {
+  const adminEmail = process.env.EMAIL_USER || "support@nidrip.com";
+
+  const itemsList = returnRequest.items
+    .map(
+      (item) => `
+        <li class="items-list-li">
+          <strong>${itemTitle({ ...findOrderItem(returnRequest.order, item), product: item.product })}</strong> × ${item.quantity}
+        </li>
+      `,
+    )
+    .join("");
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">New Return Request</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      A customer has asked to return items and the request is waiting for approval.
+    </p>
+    <div class="info-box">
+      <strong>Return No:</strong> ${returnRequest.rmaNumber}<br><br>
+      <strong>Order ID:</strong> ${shortenId(returnRequest.order._id)}<br><br>
+      <strong>Customer:</strong> ${returnRequest.user.userName} (${returnRequest.user.email})<br><br>
+      <strong>Reason:</strong> ${returnRequest.reason.replace(/_/g, " ")}<br><br>
+      ${returnRequest.description ? `<strong>Details:</strong> ${returnRequest.description}<br><br>` : ""}
+      <strong>Photos:</strong> ${returnRequest.photos.length}
+    </div>
+    <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Items</h3>
+    <ul class="items-list">${itemsList}</ul>
+    <div style="text-align:center;margin:40px 0;">
+      <a href="${process.env.ADMIN_DASHBOARD_URL}/returns/manage-returns" class="btn-primary">
+        Review Returns
+      </a>
+    </div>
+  `;
+
+  await sendEmail({
+    to: adminEmail,
+    subject: `New Return ${returnRequest.rmaNumber}`,
+    html: getEmailTemplate(content, "New Return Request"),
+  });
+};
+
 /**
  * Send 6-digit OTP for email verification
  * @async
@@ -594,5 +1023,11 @@ module.exports = {
   sendOrderCancellationToUser,
   sendOrderCancellationToAdmin,
   sendOrderStatusUpdateEmail,
+  sendOrderExpiredToUser,
+  sendOrderRefundToUser,
+  sendOrderEditToUser,
+  sendDisputeAlertToAdmin,
+  sendReturnUpdateToUser,
+  sendNewReturnNotificationToAdmin,
   sendEmailVerificationOtp,
 };
@@ -0,0 +1,18 @@
+/**
+ * @fileoverview HTTP error utilities
+ * @module helpers/errorHelper
+ * @description Errors thrown from helpers/services that carry the status code
+ *              the calling controller should respond with.
+ */
+
+/**
+ * Build an Error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status (e.g. 400, 404, 409)
+ * @param {string} message    - Client-facing message
+ * @returns {Error & { statusCode: number }}
+ */
+exports.createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Regular expression utilities
+ * @module helpers/regexHelper
+ * @description Safe use of user input in MongoDB `$regex` filters.
+ */
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+exports.escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
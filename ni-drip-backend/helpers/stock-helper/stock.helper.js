@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Inventory reservation utilities
+ * @module helpers/stockHelper
+ * @description Atomic stock reservation used by checkout and its release when
+ *              an order is cancelled or expires unpaid.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const { createHttpError } = require("../error-helper/error.helper");
+const {
+  describeVariant,
+  resolveVariant,
+} = require("../../services/variant-service/variant.service");
+
+/**
+ * Reserve stock for every line using a guarded conditional decrement.
+ * Each product (or variant) is only decremented when its stock covers the
+ * quantity, so two concurrent checkouts can never oversell. A variant's
+ * units are taken from the variant and from the product total together.
+ * Run inside a transaction so a failing line rolls back the lines reserved
+ * before it.
+ * @async
+ * @param {Array<{ productId: string, variantId?: string|null, quantity: number }>} lines
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<{ orderItems: Array, subtotal: number }>}
+ * @throws {Error} With `statusCode` 404 (missing product) or 400 (variant
+ *         missing/unknown, insufficient stock)
+ */
+exports.reserveStock = async (lines, session) => {
+  const orderItems = [];
+  let subtotal = 0;
+
+  for (const { productId, variantId = null, quantity } of lines) {
+    const product = await Product.findOneAndUpdate(
+      variantId
+        ? {
+            _id: productId,
+            variants: {
+              $elemMatch: { _id: variantId, stock: { $gte: quantity } },
+            },
+          }
+        : {
+            _id: productId,
+            "variants.0": { $exists: false },
+            stock: { $gte: quantity },
+          },
+      variantId
+        ? { $inc: { "variants.$.stock": -quantity, stock: -quantity } }
+        : { $inc: { stock: -quantity } },
+      { new: true, session },
+    );
+
+    if (!product) {
+      const existing = await Product.findById(productId)
+        .select("title price stock variantOptions variants")
+        .session(session);
+
+      if (!existing) {
+        throw createHttpError(404, `Product with ID ${productId} not found`);
+      }
+
+      // Throws when the variant is missing or unknown
+      const { variant, stock } = resolveVariant(existing, variantId);
+      const name = variant
+        ? `${existing.title} (${describeVariant(variant)})`
+        : existing.title;
+
+      throw createHttpError(
+        400,
+        `Insufficient stock for ${name} (only ${stock} available)`,
+      );
+    }
+
+    const { variant, price } = resolveVariant(product, variantId);
+    subtotal += quantity * price;
+
+    orderItems.push({
+      product: product._id,
+      variant: variant?._id || null,
+      variantLabel: describeVariant(variant),
+      sku: variant?.sku || null,
+      quantity,
+      priceAtPurchase: price,
+    });
+  }
+
+  return { orderItems, subtotal };
+};
+
+/**
+ * Return previously reserved stock to the shelf
+ * @description Units of a variant that has since been removed from the
+ *              product have nowhere to go and are not restocked.
+ * @async
+ * @param {Array<{ product: ObjectId, variant?: ObjectId|null, quantity: number }>} items - Order items
+ * @param {import('mongoose').ClientSession} [session=null]
+ */
+exports.releaseStock = async (items, session = null) => {
+  for (const item of items) {
+    if (item.variant) {
+      await Product.updateOne(
+        { _id: item.product, "variants._id": item.variant },
+        { $inc: { "variants.$.stock": item.quantity, stock: item.quantity } },
+        { session },
+      );
+      continue;
+    }
+
+    await Product.updateOne(
+      { _id: item.product, "variants.0": { $exists: false } },
+      { $inc: { stock: item.quantity } },
+      { session },
+    );
+  }
+};
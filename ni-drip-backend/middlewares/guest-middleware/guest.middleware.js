@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Guest cart token middleware
+ * @module middlewares/guestCartMiddleware
+ * @description Authenticates guest checkout requests by the `X-Guest-Token`
+ *              header issued by POST /api/guest/create-guest-cart.
+ */
+
+const { findGuestCart } = require("../../services/guest-service/guest.service");
+
+/**
+ * Load the guest cart behind the X-Guest-Token header into `req.guestCart`
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+exports.guestCartMiddleware = async (req, res, next) => {
+  try {
+    const guestCart = await findGuestCart(req.header("X-Guest-Token")?.trim());
+
+    if (!guestCart) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: Missing or expired guest token",
+      });
+    }
+
+    req.guestCart = guestCart;
+    next();
+  } catch (error) {
+    console.error("Guest token error:", error.message);
+    return res.status(401).json({
+      success: false,
+      message: "Authentication failed",
+    });
+  }
+};
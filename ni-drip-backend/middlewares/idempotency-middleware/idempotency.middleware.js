@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Idempotency-Key middleware for mutating routes
+ * @module middlewares/idempotencyMiddleware
+ * @description When a request carries an `Idempotency-Key` header, the first
+ *              response for that key is stored and every retry with the same
+ *              key and body gets that response back instead of running the
+ *              handler again. Requests without the header are untouched.
+ *              Must run after encryptedAuthMiddleware or guestCartMiddleware –
+ *              keys are per account (a guest's cart counts as one).
+ */
+
+const crypto = require("crypto");
+const IdempotencyKey = require("../../models/idempotency-key-model/idempotency-key.model");
+
+// How long a stored response can be replayed
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// An IN_PROGRESS key older than this belongs to a crashed request and may be reused
+const STALE_LOCK_MS = 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the request body so a key cannot be replayed for a different payload
+ * @param {Object} body
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+
+/**
+ * Take over the lock of a key whose request never finished
+ * @async
+ * @param {Object} existing - IdempotencyKey document
+ * @returns {Promise<Object|null>} The claimed record, or null if still locked
+ */
+const claimStaleKey = (existing) =>
+  IdempotencyKey.findOneAndUpdate(
+    {
+      _id: existing._id,
+      status: "IN_PROGRESS",
+      updatedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { expiresAt: new Date(Date.now() + KEY_TTL_MS) },
+    { new: true },
+  );
+
+/**
+ * Replay or lock a request by its Idempotency-Key header
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+exports.idempotencyMiddleware = async (req, res, next) => {
+  const key = req.header("Idempotency-Key")?.trim();
+
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const accountId = req.user?.id ?? req.guestCart._id;
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashBody(req.body);
+
+  let record;
+
+  try {
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: accountId,
+        scope,
+        requestHash,
+        expiresAt: new Date(Date.now() + KEY_TTL_MS),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({
+        user: accountId,
+        key,
+      });
+
+      if (
+        !existing ||
+        existing.scope !== scope ||
+        existing.requestHash !== requestHash
+      ) {
+        return res.status(422).json({
+          success: false,
+          message:
+            "This Idempotency-Key was already used for a different request",
+        });
+      }
+
+      if (existing.status === "COMPLETED") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      record = await claimStaleKey(existing);
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Idempotency key error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+
+  // Store the response before it is sent, so a retry arriving right after
+  // it always finds the completed record. Server errors release the key
+  // instead, letting the client retry the same request.
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    res.json = sendJson;
+
+    const settle =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "COMPLETED",
+              responseStatus: res.statusCode,
+              responseBody: body,
+            },
+          );
+
+    return settle
+      .catch((err) =>
+        console.error("Failed to store idempotent response:", err.message),
+      )
+      .then(() => sendJson(body));
+  };
+
+  next();
+};
@@ -64,7 +64,13 @@ exports.securityMiddleware = (app) => {
       origin: allowedOrigins,
       credentials: true,
       methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-Requested-With",
+        "Idempotency-Key",
+      ],
+      exposedHeaders: ["Idempotent-Replayed"],
     }),
   );
 
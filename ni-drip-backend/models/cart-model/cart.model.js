@@ -10,6 +10,7 @@ const mongoose = require("mongoose");
  * @typedef {Object} Cart
  * @property {ObjectId} userId - Reference to the owning user
  * @property {ObjectId} productId - Reference to the Product/Book
+ * @property {ObjectId} variantId - Product variant (null for products without variants)
  * @property {number} quantity - Number of items
  * @property {number} unitPrice - Price per unit at time of addition
  * @property {number} totalPrice - quantity × unitPrice
@@ -32,6 +33,11 @@ const cartSchema = new mongoose.Schema(
       index: true,
     },
 
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
     quantity: {
       type: Number,
       required: [true, "Quantity is required"],
@@ -71,7 +77,7 @@ cartSchema.pre("save", function (next) {
   next();
 });
 
-// Prevent duplicate items for the same user + product
-cartSchema.index({ userId: 1, productId: 1 }, { unique: true });
+// Prevent duplicate items for the same user + product + variant
+cartSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
 
 module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Mongoose schema for product categories
+ * @module models/categoryModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for categories
+ * @typedef {Object} Category
+ * @property {string}        name       - Display name (e.g. "Laptops")
+ * @property {string}        slug       - Unique URL/filter key (e.g. "laptops")
+ * @property {ObjectId|null} parent     - Parent category (null = top level)
+ * @property {string|null}   image      - Cloudinary image URL
+ * @property {number}        sortOrder  - Position among its siblings (ascending)
+ * @property {boolean}       isActive   - Inactive categories are hidden from the app
+ * @property {ObjectId}      addedBy    - SuperAdmin who created the category
+ * @property {Date}          createdAt
+ * @property {Date}          updatedAt
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [60, "Category name cannot exceed 60 characters"],
+    },
+
+    slug: {
+      type: String,
+      required: [true, "Category slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug may only contain lower-case letters, digits and hyphens",
+      ],
+    },
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    image: {
+      type: String,
+      default: null,
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Mongoose schema for named sequence counters
+ * @module models/counterModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for sequence counters (one document per sequence)
+ * @typedef {Object} Counter
+ * @property {string} _id - Sequence name (e.g. "invoice")
+ * @property {number} seq - Last value handed out
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
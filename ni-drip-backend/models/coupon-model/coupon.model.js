@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Mongoose schema for discount coupons
+ * @module models/couponModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for coupons
+ * @typedef {Object} Coupon
+ * @property {string}        code               - Code entered at checkout (stored upper-case)
+ * @property {string}        description        - Internal/marketing description
+ * @property {string}        discountType       - PERCENTAGE or FIXED
+ * @property {number}        discountValue      - Percent (1–100) or fixed amount off
+ * @property {number|null}   maxDiscountAmount  - Cap for percentage discounts (null = no cap)
+ * @property {number}        minSpend           - Minimum cart subtotal required
+ * @property {string[]}      categories         - Restrict to these category slugs, sub-categories included (empty = all)
+ * @property {ObjectId[]}    products           - Restrict to these products (empty = all)
+ * @property {number|null}   usageLimit         - Total redemptions allowed (null = unlimited)
+ * @property {number|null}   usageLimitPerUser  - Redemptions allowed per customer (null = unlimited)
+ * @property {number}        usedCount          - Redemptions so far
+ * @property {Date|null}     startsAt           - Valid from (null = immediately)
+ * @property {Date|null}     expiresAt          - Valid until (null = never expires)
+ * @property {boolean}       isActive           - Inactive coupons are rejected
+ * @property {ObjectId}      addedBy            - SuperAdmin who created the coupon
+ * @property {Date}          createdAt
+ * @property {Date}          updatedAt
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    discountType: {
+      type: String,
+      enum: ["PERCENTAGE", "FIXED"],
+      required: [true, "Discount type is required"],
+    },
+
+    discountValue: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0.01, "Discount value must be positive"],
+      validate: {
+        validator: function (v) {
+          return this.discountType !== "PERCENTAGE" || v <= 100;
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+
+    maxDiscountAmount: {
+      type: Number,
+      default: null,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum spend cannot be negative"],
+    },
+
+    categories: {
+      type: [String],
+      default: [],
+      set: (v) => v.map((c) => c.trim()).filter(Boolean),
+    },
+
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Usage limit must be at least 1"],
+    },
+
+    usageLimitPerUser: {
+      type: Number,
+      default: null,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Mongoose schema for customer currencies and their exchange rates
+ * @module models/exchangeRateModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for exchange rates against the base (catalog) currency
+ * @typedef {Object} ExchangeRate
+ * @property {string}   currency  - ISO 4217 code (e.g. "GBP")
+ * @property {string}   symbol    - Display symbol (e.g. "£")
+ * @property {number}   rate      - Units of `currency` per 1 unit of the base currency
+ * @property {string[]} countries - Countries charged in this currency (e.g. "United Kingdom")
+ * @property {boolean}  isActive  - Inactive currencies fall back to the base currency
+ * @property {ObjectId} updatedBy - SuperAdmin who last changed the rate
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, "Currency code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+
+    symbol: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    rate: {
+      type: Number,
+      required: [true, "Exchange rate is required"],
+      min: [0.000001, "Exchange rate must be greater than 0"],
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+      set: (v) => v.map((c) => c.trim()).filter(Boolean),
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
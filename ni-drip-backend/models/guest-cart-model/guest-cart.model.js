@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Mongoose schema for anonymous (guest) shopping carts
+ * @module models/guestCartModel
+ */
+
+const mongoose = require("mongoose");
+
+// Idle guest carts are removed after this long
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Schema for a guest cart, identified by an opaque token held by the client
+ * @typedef {Object} GuestCart
+ * @property {string}   tokenHash          - SHA-256 of the guest token (the token itself is never stored)
+ * @property {Array}    items              - Cart lines
+ * @property {ObjectId} items.productId    - Reference to Product
+ * @property {ObjectId} items.variantId    - Product variant (null for products without variants)
+ * @property {number}   items.quantity     - Number of items
+ * @property {number}   items.unitPrice    - Price per unit at time of addition
+ * @property {number}   items.totalPrice   - quantity × unitPrice
+ * @property {Date}     expiresAt          - Removed by MongoDB after this time; pushed back on every change
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const guestCartSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    items: [
+      {
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: [true, "Product is required"],
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        quantity: {
+          type: Number,
+          required: [true, "Quantity is required"],
+          min: [1, "Quantity must be at least 1"],
+          default: 1,
+        },
+        unitPrice: {
+          type: Number,
+          required: [true, "Unit price is required"],
+          min: [0, "Unit price cannot be negative"],
+        },
+        totalPrice: {
+          type: Number,
+          required: true,
+          min: [0, "Total price cannot be negative"],
+        },
+      },
+    ],
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + GUEST_CART_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Keep line totals in sync and keep an active cart alive
+guestCartSchema.pre("save", function (next) {
+  for (const item of this.items) {
+    item.totalPrice = item.quantity * item.unitPrice;
+  }
+  this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
+  next();
+});
+
+// TTL index – MongoDB deletes the cart once expiresAt has passed
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("GuestCart", guestCartSchema);
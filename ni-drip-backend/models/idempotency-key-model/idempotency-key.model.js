@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Mongoose schema for stored Idempotency-Key responses
+ * @module models/idempotencyKeyModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for a client-supplied Idempotency-Key and the response it produced
+ * @typedef {Object} IdempotencyKey
+ * @property {string}   key            - Value of the Idempotency-Key header
+ * @property {ObjectId} user           - Account that sent the request (User, SuperAdmin or GuestCart)
+ * @property {string}   scope          - Method and route, e.g. "POST /api/order/place-order"
+ * @property {string}   requestHash    - SHA-256 of the request body
+ * @property {string}   status         - IN_PROGRESS or COMPLETED
+ * @property {number}   responseStatus - HTTP status of the stored response
+ * @property {Object}   responseBody   - JSON body of the stored response
+ * @property {Date}     expiresAt      - Removed by MongoDB after this time
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    scope: {
+      type: String,
+      required: true,
+    },
+
+    requestHash: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["IN_PROGRESS", "COMPLETED"],
+      default: "IN_PROGRESS",
+    },
+
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Keys are per account, so two users can never collide on the same value
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// TTL index – MongoDB deletes the record once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
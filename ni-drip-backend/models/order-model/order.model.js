@@ -8,17 +8,40 @@ const mongoose = require("mongoose");
 /**
  * Schema for orders
  * @typedef {Object} Order
- * @property {ObjectId} user           - Reference to the customer
+ * @property {ObjectId} user           - Reference to the customer (unset for guest orders until the guest signs up)
+ * @property {Object}   guest          - Contact details of a guest checkout (name, email, phone, cart)
  * @property {Array}    items          - List of purchased products
  * @property {ObjectId} items.product  - Reference to Product
+ * @property {ObjectId} items.variant  - Product variant bought (null for products without variants)
+ * @property {string}   items.variantLabel - Variant name at purchase, e.g. "Black / 128GB"
+ * @property {string}   items.sku      - Variant SKU at purchase
  * @property {number}   items.quantity - Quantity purchased
  * @property {number}   items.priceAtPurchase - Price at time of checkout
- * @property {number}   totalAmount    - Final total (items + shipping)
+ * @property {number}   items.refundedQuantity - Units of the line already refunded
+ * @property {number}   items.discountAmount - Share of the coupon discount allocated to the line
+ * @property {number}   items.taxAmount - Tax charged on the line
+ * @property {number}   totalAmount    - Final total (items − discount + shipping + tax)
+ * @property {string}   currency       - ISO code every amount on the order is expressed in
+ * @property {number}   exchangeRate   - Base → order currency rate used at checkout
+ * @property {Object}   discount       - Coupon breakdown (coupon, code, discountType, discountValue, amount)
+ * @property {Array}    taxLines       - Tax breakdown (name, rate, taxableAmount, amount)
+ * @property {number}   taxAmount      - Sum of the tax lines
  * @property {string}   shippingAddress - Full delivery address
+ * @property {Object}   shippingAddressDetails - Copy of the address-book entry shipped to (unset for free-text addresses)
  * @property {number}   shippingCost   - Shipping fee
  * @property {string}   status         - Order fulfillment status
+ * @property {Array}    statusHistory  - Every status change (from, to, actor, actorId, note, changedAt)
  * @property {string}   paymentMethod  - Payment method used
  * @property {string}   paymentStatus  - Payment completion status
+ * @property {Date}     cashCollectedAt - When the courier's cash was recorded (pay on delivery)
+ * @property {ObjectId} cashCollectedBy - SuperAdmin who recorded the cash
+ * @property {number}   amountRefunded - Total refunded so far
+ * @property {Array}    refunds        - Refund ledger (one entry per Stripe refund, linked to its return if any)
+ * @property {Array}    disputes       - Stripe disputes opened against the payment
+ * @property {Array}    shipments      - Parcels sent (carrier, trackingNumber, trackingUrl, items, estimatedDelivery)
+ * @property {Array}    edits          - Admin edits before shipment (changed lines, address, totals and the charge/refund settling the difference)
+ * @property {string}   invoiceNumber  - Sequential invoice number, assigned once the order is paid
+ * @property {Date}     invoicedAt     - When the invoice number was assigned
  * @property {Date}     createdAt
  * @property {Date}     updatedAt
  */
@@ -27,10 +50,37 @@ const orderSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "Order must belong to a user"],
+      required: [
+        function () {
+          return !this.guest?.email;
+        },
+        "Order must belong to a user",
+      ],
       index: true,
     },
 
+    guest: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        index: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      // Guest cart the order was placed from – proves ownership on sign-up
+      cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GuestCart",
+      },
+    },
+
     items: [
       {
         product: {
@@ -38,6 +88,18 @@ const orderSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        variantLabel: {
+          type: String,
+          default: null,
+        },
+        sku: {
+          type: String,
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
@@ -47,20 +109,115 @@ const orderSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        discountAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        taxAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
       },
     ],
 
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      code: {
+        type: String,
+        default: null,
+      },
+      discountType: {
+        type: String,
+        enum: ["PERCENTAGE", "FIXED", null],
+        default: null,
+      },
+      discountValue: {
+        type: Number,
+        default: null,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+
+    taxLines: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        rate: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        taxableAmount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     totalAmount: {
       type: Number,
       required: true,
       min: 0,
     },
 
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+
     shippingAddress: {
       type: String,
       required: [true, "Shipping address is required for delivery"],
     },
 
+    // Snapshot of the address-book entry – later edits to the entry don't change the order
+    shippingAddressDetails: {
+      label: String,
+      recipientName: String,
+      phone: String,
+      line1: String,
+      line2: String,
+      city: String,
+      postcode: String,
+      country: String,
+    },
+
     shippingCost: {
       type: Number,
       required: [true, "Shipping cost is required"],
@@ -69,10 +226,48 @@ const orderSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"],
+      enum: [
+        "PENDING",
+        "PROCESSING",
+        "SHIPPED",
+        "DELIVERED",
+        "CANCELLED",
+        "PARTIALLY_REFUNDED",
+        "REFUNDED",
+      ],
       default: "PENDING",
     },
 
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          default: null,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        actor: {
+          type: String,
+          enum: ["CUSTOMER", "SUPERADMIN", "SYSTEM"],
+          default: "SYSTEM",
+        },
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     paymentMethod: {
       type: String,
       enum: ["PAY_ON_DELIVERY", "STRIPE"],
@@ -81,19 +276,285 @@ const orderSchema = new mongoose.Schema(
 
     paymentStatus: {
       type: String,
-      enum: ["PENDING", "PAID", "FAILED", "CANCELLED"],
+      enum: [
+        "PENDING",
+        "PAID",
+        "FAILED",
+        "CANCELLED",
+        "PARTIALLY_REFUNDED",
+        "REFUNDED",
+      ],
       default: "PENDING",
     },
 
+    cashCollectedAt: {
+      type: Date,
+      default: null,
+    },
+
+    cashCollectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      default: null,
+    },
+
     stripePaymentIntentId: {
       type: String,
       default: null,
       index: true,
     },
+
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    refunds: [
+      {
+        stripeRefundId: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        items: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            variant: {
+              type: mongoose.Schema.Types.ObjectId,
+              default: null,
+            },
+            quantity: {
+              type: Number,
+              min: 1,
+            },
+          },
+        ],
+        reason: {
+          type: String,
+          trim: true,
+        },
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SuperAdmin",
+          default: null,
+        },
+        returnRequest: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ReturnRequest",
+          default: null,
+        },
+        refundedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    disputes: [
+      {
+        stripeDisputeId: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
+        status: {
+          type: String,
+          default: null,
+        },
+        openedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    shipments: [
+      {
+        carrier: {
+          type: String,
+          required: [true, "Carrier is required"],
+          trim: true,
+        },
+        trackingNumber: {
+          type: String,
+          required: [true, "Tracking number is required"],
+          trim: true,
+        },
+        trackingUrl: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        items: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+              required: true,
+            },
+            variant: {
+              type: mongoose.Schema.Types.ObjectId,
+              default: null,
+            },
+            quantity: {
+              type: Number,
+              required: true,
+              min: 1,
+            },
+          },
+        ],
+        estimatedDelivery: {
+          type: Date,
+          default: null,
+        },
+        shippedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SuperAdmin",
+          default: null,
+        },
+      },
+    ],
+
+    edits: [
+      {
+        items: [
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+              required: true,
+            },
+            variant: {
+              type: mongoose.Schema.Types.ObjectId,
+              default: null,
+            },
+            fromQuantity: {
+              type: Number,
+              required: true,
+              min: 0,
+            },
+            toQuantity: {
+              type: Number,
+              required: true,
+              min: 0,
+            },
+          },
+        ],
+        shippingAddress: {
+          from: {
+            type: String,
+            default: null,
+          },
+          to: {
+            type: String,
+            default: null,
+          },
+        },
+        previousTotal: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        newTotal: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // How the price difference was settled with the customer
+        adjustment: {
+          type: {
+            type: String,
+            enum: ["NONE", "PAYMENT_UPDATED", "CHARGE", "REFUND"],
+            default: "NONE",
+          },
+          amount: {
+            type: Number,
+            default: 0,
+            min: 0,
+          },
+          status: {
+            type: String,
+            enum: ["PENDING", "PAID", "CANCELLED", "REFUNDED", null],
+            default: null,
+          },
+          stripePaymentIntentId: {
+            type: String,
+            default: null,
+          },
+          stripeRefundIds: [String],
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SuperAdmin",
+          default: null,
+        },
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    invoiceNumber: {
+      type: String,
+      default: null,
+    },
+
+    invoicedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Admin order list: newest first, optionally narrowed to one status
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Invoice numbers are unique once assigned; unpaid orders have none
+orderSchema.index(
+  { invoiceNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { invoiceNumber: { $type: "string" } },
+  },
+);
+
+// Charge webhooks for an edit balance find their order by its PaymentIntent
+orderSchema.index(
+  { "edits.adjustment.stripePaymentIntentId": 1 },
+  {
+    partialFilterExpression: {
+      "edits.adjustment.stripePaymentIntentId": { $type: "string" },
+    },
+  },
+);
+
 module.exports = mongoose.model("Order", orderSchema);
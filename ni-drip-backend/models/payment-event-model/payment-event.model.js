@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Mongoose schema for the Stripe webhook event log
+ * @module models/paymentEventModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for received Stripe events
+ * @typedef {Object} PaymentEvent
+ * @property {string}   stripeEventId   - Stripe event ID (evt_…), unique
+ * @property {string}   type            - Event type, e.g. "payment_intent.succeeded"
+ * @property {ObjectId} order           - Order the event belongs to (null when unknown)
+ * @property {string}   paymentIntentId - PaymentIntent the event refers to
+ * @property {string}   status          - RECEIVED, PROCESSING, PROCESSED, IGNORED or FAILED
+ * @property {string}   outcome         - What processing did (or why it was skipped)
+ * @property {string}   error           - Last processing error
+ * @property {number}   attempts        - Times processing was started
+ * @property {Object}   payload         - Raw event as delivered by Stripe
+ * @property {Date}     processedAt
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const paymentEventSchema = new mongoose.Schema(
+  {
+    stripeEventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+
+    paymentIntentId: {
+      type: String,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["RECEIVED", "PROCESSING", "PROCESSED", "IGNORED", "FAILED"],
+      default: "RECEIVED",
+      index: true,
+    },
+
+    outcome: {
+      type: String,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -47,15 +47,203 @@ const reviewSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Sub-schema for a variant option axis
+ * @typedef {Object} VariantOption
+ * @property {string}   name   - Axis name (e.g. "Color", "Storage")
+ * @property {string[]} values - Values a variant may pick (e.g. ["128GB", "256GB"])
+ */
+const variantOptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Option name is required"],
+      trim: true,
+    },
+    values: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "Every option needs at least one value",
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for a purchasable variant
+ * @typedef {Object} Variant
+ * @property {string}   sku     - Stock keeping unit, unique across the catalog
+ * @property {Array<{name: string, value: string}>} options - One value per option axis
+ * @property {number}   price   - Unit price of this variant (the sale price while a sale runs)
+ * @property {number}   compareAtPrice - Regular price while a sale runs, null otherwise
+ * @property {number}   stock   - Units of this variant in stock
+ * @property {string[]} images  - Variant image URLs (max 5; the product images are used when empty)
+ */
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+  },
+  options: {
+    type: [
+      {
+        name: { type: String, required: true, trim: true },
+        value: { type: String, required: true, trim: true },
+      },
+    ],
+    _id: false,
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"],
+  },
+  compareAtPrice: {
+    type: Number,
+    default: null,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, "Stock cannot be negative"],
+  },
+  images: {
+    type: [String],
+    validate: {
+      validator: (v) => v.length <= 5,
+      message: "You can upload a maximum of 5 images per variant",
+    },
+  },
+});
+
+/**
+ * Sub-schema for a timed sale
+ * @typedef {Object} Sale
+ * @property {number} price      - Fixed sale price (products without variants)
+ * @property {number} percentOff - Discount off the regular price of every variant (or the product)
+ * @property {Date}   startsAt   - When the sale prices go live
+ * @property {Date}   endsAt     - When the regular prices come back
+ * @property {Date}   appliedAt  - When the sale prices went live (null while it is still to come)
+ */
+const saleSchema = new mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      default: null,
+      min: [0, "Sale price cannot be negative"],
+    },
+    percentOff: {
+      type: Number,
+      default: null,
+      min: [1, "A sale takes at least 1% off"],
+      max: [90, "A sale takes at most 90% off"],
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    appliedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for a future change of a regular price
+ * @typedef {Object} ScheduledPrice
+ * @property {ObjectId} variant     - Variant the price is for (null for the product)
+ * @property {number}   price       - New regular price
+ * @property {Date}     effectiveAt - When the price job applies it
+ * @property {ObjectId} createdBy   - SuperAdmin who scheduled it
+ */
+const scheduledPriceSchema = new mongoose.Schema({
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, "Price cannot be negative"],
+  },
+  effectiveAt: {
+    type: Date,
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SuperAdmin",
+    default: null,
+  },
+});
+
+/**
+ * Sub-schema for a recorded price change
+ * @typedef {Object} PriceChange
+ * @property {ObjectId} variant        - Variant whose price changed (null for the product)
+ * @property {number}   price          - Selling price from this point
+ * @property {number}   compareAtPrice - Regular price shown next to it (null outside a sale)
+ * @property {string}   reason         - CREATED, MANUAL, SCHEDULED, SALE_START or SALE_END
+ * @property {Date}     changedAt
+ * @property {ObjectId} changedBy      - SuperAdmin behind the change (null for the price job)
+ */
+const priceChangeSchema = new mongoose.Schema(
+  {
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    compareAtPrice: {
+      type: Number,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: ["CREATED", "MANUAL", "SCHEDULED", "SALE_START", "SALE_END"],
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
 /**
  * Schema for products
  * @typedef {Object} Product
  * @property {string[]}   productImages   - Array of image URLs (max 5)
  * @property {string}     title           - Product title
  * @property {string}     description     - Detailed product description
- * @property {number}     price           - Unit price
- * @property {string[]}   category        - List of categories
- * @property {number}     stock           - Available stock quantity
+ * @property {number}     price           - Unit price (lowest variant price when the product has variants); the sale price while a sale runs
+ * @property {number}     compareAtPrice  - Regular price shown struck through while a sale runs, null otherwise
+ * @property {Sale}       sale            - Current or upcoming sale (null without one)
+ * @property {ScheduledPrice[]} scheduledPrices - Future regular price changes (not selected by default)
+ * @property {PriceChange[]} priceHistory - Most recent price changes, oldest first (not selected by default)
+ * @property {ObjectId[]} category        - Categories the product is listed in
+ * @property {number}     stock           - Available stock quantity (sum of the variants' stock when it has variants)
+ * @property {VariantOption[]} variantOptions - Option axes the variants differ on (empty = no variants)
+ * @property {Variant[]}  variants        - Purchasable variants; cart and order lines name one by its `_id`
  * @property {string}     status          - ACTIVE or INACTIVE
  * @property {Rating[]}   ratings         - Array of user ratings
  * @property {number}     averageRating   - Calculated average rating
@@ -95,8 +283,35 @@ const productSchema = new mongoose.Schema(
       min: [0, "Price cannot be negative"],
     },
 
+    compareAtPrice: {
+      type: Number,
+      default: null,
+    },
+
+    sale: {
+      type: saleSchema,
+      default: null,
+    },
+
+    scheduledPrices: {
+      type: [scheduledPriceSchema],
+      default: [],
+      select: false,
+    },
+
+    priceHistory: {
+      type: [priceChangeSchema],
+      default: [],
+      select: false,
+    },
+
     category: {
-      type: [String],
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+      ],
       required: [true, "At least one category is required"],
       validate: {
         validator: function (v) {
@@ -112,6 +327,16 @@ const productSchema = new mongoose.Schema(
       min: [0, "Stock cannot be negative"],
     },
 
+    variantOptions: {
+      type: [variantOptionSchema],
+      default: [],
+    },
+
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
+
     status: {
       type: String,
       enum: ["ACTIVE", "INACTIVE"],
@@ -200,4 +425,35 @@ const productSchema = new mongoose.Schema(
   },
 );
 
+// Full-text search (see productSearchService); title matches weigh most
+productSchema.index(
+  {
+    title: "text",
+    "specifications.items.value": "text",
+    description: "text",
+  },
+  {
+    name: "product_text_search",
+    weights: {
+      title: 10,
+      "specifications.items.value": 4,
+      description: 1,
+    },
+  },
+);
+
+// SKUs are unique across products; products without variants are not indexed
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  },
+);
+
+// Lookups of the price job (see helpers/cronJobs/priceSchedule)
+productSchema.index({ "sale.startsAt": 1 }, { sparse: true });
+productSchema.index({ "sale.endsAt": 1 }, { sparse: true });
+productSchema.index({ "scheduledPrices.effectiveAt": 1 }, { sparse: true });
+
 module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Mongoose schema for return requests (RMAs)
+ * @module models/returnRequestModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for a customer's request to return delivered order lines
+ * @typedef {Object} ReturnRequest
+ * @property {string}   rmaNumber      - Sequential return number, e.g. "RMA-000042"
+ * @property {ObjectId} order          - Order the items were bought on
+ * @property {ObjectId} user           - Customer who asked for the return
+ * @property {Array}    items          - Lines being returned
+ * @property {ObjectId} items.product  - Reference to Product
+ * @property {ObjectId} items.variant  - Product variant of the order line (null without variants)
+ * @property {string}   items.variantLabel - Variant name copied from the order line
+ * @property {number}   items.quantity - Units being returned
+ * @property {string}   items.disposition - RESTOCK or WRITE_OFF, set at inspection
+ * @property {string}   reason         - Reason code (DOA, WRONG_ITEM, ...)
+ * @property {string}   description    - Customer's explanation
+ * @property {Array}    photos         - Cloudinary URLs of the customer's photos
+ * @property {string}   status         - REQUESTED, APPROVED, REJECTED, RECEIVED, COMPLETED or CANCELLED
+ * @property {Array}    statusHistory  - Every status change (from, to, actor, actorId, note, changedAt)
+ * @property {string}   inspectionNote - What the warehouse found when the parcel arrived
+ * @property {Object}   refund         - How the return was settled (method, amount, stripeRefundId)
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Return must belong to an order"],
+      index: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Return must belong to a user"],
+      index: true,
+    },
+
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        variantLabel: {
+          type: String,
+          default: null,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        disposition: {
+          type: String,
+          enum: ["RESTOCK", "WRITE_OFF", null],
+          default: null,
+        },
+      },
+    ],
+
+    reason: {
+      type: String,
+      enum: [
+        "DOA",
+        "DAMAGED",
+        "WRONG_ITEM",
+        "NOT_AS_DESCRIBED",
+        "CHANGED_MIND",
+      ],
+      required: [true, "Return reason is required"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+
+    photos: [
+      {
+        type: String,
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: [
+        "REQUESTED",
+        "APPROVED",
+        "REJECTED",
+        "RECEIVED",
+        "COMPLETED",
+        "CANCELLED",
+      ],
+      default: "REQUESTED",
+      index: true,
+    },
+
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          default: null,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        actor: {
+          type: String,
+          enum: ["CUSTOMER", "SUPERADMIN", "SYSTEM"],
+          default: "SYSTEM",
+        },
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    inspectionNote: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    refund: {
+      method: {
+        type: String,
+        enum: ["STRIPE", "MANUAL", null],
+        default: null,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      stripeRefundId: {
+        type: String,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
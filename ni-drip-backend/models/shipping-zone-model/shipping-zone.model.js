@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Mongoose schema for shipping zones and their rate tables
+ * @module models/shippingZoneModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Sub-schema for an item-count rate tier
+ * @typedef {Object} RateTier
+ * @property {number}      minItems - Smallest item count the tier applies to
+ * @property {number|null} maxItems - Largest item count (null = no upper bound)
+ * @property {number}      rate     - Shipping fee charged for the tier
+ */
+const rateTierSchema = new mongoose.Schema(
+  {
+    minItems: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    maxItems: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, "Rate cannot be negative"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for shipping zones
+ * @typedef {Object} ShippingZone
+ * @property {string}      name                  - Display name (e.g. "Pakistan Metro")
+ * @property {string[]}    cities                - City names served by the zone (e.g. "Karachi")
+ * @property {string[]}    countries             - Country names served by the zone (e.g. "Pakistan")
+ * @property {boolean}     isDefault             - Fallback zone when no city/country matches
+ * @property {RateTier[]}  rateTiers             - Item-count based rates
+ * @property {number|null} freeShippingThreshold - Subtotal from which shipping is free
+ * @property {boolean}     codEnabled            - Whether cash on delivery is offered in the zone
+ * @property {number|null} codMaxOrderAmount     - Largest order total payable in cash (null = no limit)
+ * @property {boolean}     isActive              - Inactive zones are ignored at checkout
+ * @property {ObjectId}    addedBy               - SuperAdmin who created the zone
+ * @property {Date}        createdAt
+ * @property {Date}        updatedAt
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+    },
+
+    cities: {
+      type: [String],
+      default: [],
+      set: (v) => v.map((c) => c.trim()).filter(Boolean),
+    },
+
+    countries: {
+      type: [String],
+      default: [],
+      set: (v) => v.map((c) => c.trim()).filter(Boolean),
+    },
+
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+
+    rateTiers: {
+      type: [rateTierSchema],
+      validate: {
+        validator: (v) => v && v.length > 0,
+        message: "At least one rate tier is required",
+      },
+    },
+
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: [0, "Free shipping threshold cannot be negative"],
+    },
+
+    // Zones are matched per city first, so a city-specific zone carries its own COD limit
+    codEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    codMaxOrderAmount: {
+      type: Number,
+      default: null,
+      min: [0, "Cash on delivery limit cannot be negative"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Mongoose schema for destination tax rules
+ * @module models/taxRuleModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Sub-schema for a per-category rate override
+ * @typedef {Object} CategoryRate
+ * @property {string} category - Category slug the override applies to, sub-categories included (e.g. "laptops")
+ * @property {number} rate     - Percentage charged instead of the rule's base rate
+ */
+const categoryRateSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for tax rules
+ * @typedef {Object} TaxRule
+ * @property {string}         name              - Label shown on tax lines (e.g. "UK VAT")
+ * @property {string}         country           - Country the rule applies to (e.g. "United Kingdom")
+ * @property {string|null}    region            - City/region within the country (null = whole country)
+ * @property {number}         rate              - Base percentage rate
+ * @property {CategoryRate[]} categoryRates     - Per-category overrides (e.g. reduced rate for laptops)
+ * @property {boolean}        appliesToShipping - Whether shipping is taxed at the base rate
+ * @property {boolean}        isActive          - Inactive rules are ignored at checkout
+ * @property {ObjectId}       addedBy           - SuperAdmin who created the rule
+ * @property {Date}           createdAt
+ * @property {Date}           updatedAt
+ */
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Tax name is required"],
+      trim: true,
+    },
+
+    country: {
+      type: String,
+      required: [true, "Country is required"],
+      trim: true,
+    },
+
+    region: {
+      type: String,
+      trim: true,
+      default: null,
+      set: (v) => (v && v.trim() ? v.trim() : null),
+    },
+
+    rate: {
+      type: Number,
+      required: [true, "Tax rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+
+    categoryRates: {
+      type: [categoryRateSchema],
+      default: [],
+    },
+
+    appliesToShipping: {
+      type: Boolean,
+      default: false,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One rule per destination; the country-wide rule has region null
+taxRuleSchema.index(
+  { country: 1, region: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } },
+);
+
+module.exports = mongoose.model("TaxRule", taxRuleSchema);
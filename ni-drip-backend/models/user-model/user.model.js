@@ -16,7 +16,8 @@ const mongoose = require("mongoose");
  * @property {string}        phone.countryCode        - e.g. +92, +1, +44
  * @property {string}        phone.phoneNumber        - Local number without country code
  * @property {string}        [phone.fullPhone]        - Virtual: full international number
- * @property {string|null}   address                  - Shipping/delivery address
+ * @property {string|null}   address                  - Free-text address (legacy checkout fallback)
+ * @property {Array}         addresses                - Address book (label, recipient, line1/line2, city, postcode, country, isDefault)
  * @property {string}        role                     - Always "USER"
  * @property {boolean}       isActive                 - Account active status
  * @property {Array}         cart                     - Embedded shopping cart items
@@ -109,6 +110,56 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Saved shipping addresses – at most one is the default
+    addresses: [
+      {
+        label: {
+          type: String,
+          trim: true,
+          default: null, // e.g. "Home", "Office"
+        },
+        recipientName: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        phone: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        line1: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        line2: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        city: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        postcode: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        country: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        isDefault: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+
     // Preferred delivery city (with emoji flag)
     preferredCity: {
       type: String,
@@ -154,6 +205,10 @@ const userSchema = new mongoose.Schema(
           required: true,
           index: true,
         },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
@@ -201,12 +256,27 @@ const userSchema = new mongoose.Schema(
         },
         status: {
           type: String,
-          enum: ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"],
+          enum: [
+            "PENDING",
+            "PROCESSING",
+            "SHIPPED",
+            "DELIVERED",
+            "CANCELLED",
+            "PARTIALLY_REFUNDED",
+            "REFUNDED",
+          ],
           default: "PENDING",
         },
         paymentStatus: {
           type: String,
-          enum: ["PENDING", "PAID"],
+          enum: [
+            "PENDING",
+            "PAID",
+            "FAILED",
+            "CANCELLED",
+            "PARTIALLY_REFUNDED",
+            "REFUNDED",
+          ],
           default: "PENDING",
         },
         placedAt: {
@@ -10,13 +10,21 @@ const cartController = require("../../controllers/cart-controller/cart.controlle
 const {
   encryptedAuthMiddleware,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
 
 /**
  * @description Add a product to the cart
  * @route POST /api/cart/add-to-cart
  * @access Protected
  */
-router.post("/add-to-cart", encryptedAuthMiddleware, cartController.addToCart);
+router.post(
+  "/add-to-cart",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  cartController.addToCart,
+);
 
 /**
  * @description Decrease the quantity of a specific product in the cart
@@ -26,6 +34,7 @@ router.post("/add-to-cart", encryptedAuthMiddleware, cartController.addToCart);
 router.post(
   "/remove-from-cart",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   cartController.decreaseCartItem,
 );
 
@@ -36,6 +45,7 @@ router.post(
 router.delete(
   "/remove-product-from-cart",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   cartController.removeProductFromCart,
 );
 
@@ -43,7 +53,12 @@ router.delete(
  * @description Clear all items from the user's cart
  * @route DELETE /api/cart/clear-cart
  */
-router.delete("/clear-cart", encryptedAuthMiddleware, cartController.clearCart);
+router.delete(
+  "/clear-cart",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  cartController.clearCart,
+);
 
 /**
  * @description Fetch current user's cart with populated product details
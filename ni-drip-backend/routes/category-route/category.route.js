@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Express routes for product categories
+ * @module routes/categoryRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const categoryController = require("../../controllers/category-controller/category.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const cloudinaryUtility = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+
+/**
+ * @description Get active categories with product counts
+ * @route   GET /api/category
+ * @access  Public
+ */
+router.get("/", categoryController.getCategories);
+
+/**
+ * @description Create a category (with optional image)
+ * @route   POST /api/category/add-category
+ * @access  Private (SuperAdmin)
+ */
+router.post(
+  "/add-category",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  categoryController.addCategory,
+);
+
+/**
+ * @description Get all categories, inactive ones included
+ * @route   GET /api/category/get-all-categories
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-all-categories",
+  encryptedAuthMiddleware,
+  categoryController.getAllCategories,
+);
+
+/**
+ * @description Update a category and/or its image
+ * @route   PATCH /api/category/update-category/:categoryId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/update-category/:categoryId",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  categoryController.updateCategory,
+);
+
+/**
+ * @description Delete a category no product or sub-category uses
+ * @route   DELETE /api/category/delete-category/:categoryId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/delete-category/:categoryId",
+  encryptedAuthMiddleware,
+  categoryController.deleteCategory,
+);
+
+module.exports = router;
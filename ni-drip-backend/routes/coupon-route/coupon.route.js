@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Express routes for coupon management
+ * @module routes/couponRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const couponController = require("../../controllers/coupon-controller/coupon.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Create a new coupon
+ * @route   POST /api/coupon/add-coupon
+ * @access  Private (SuperAdmin)
+ */
+router.post("/add-coupon", encryptedAuthMiddleware, couponController.addCoupon);
+
+/**
+ * @description Get all coupons
+ * @route   GET /api/coupon/get-all-coupons
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-all-coupons",
+  encryptedAuthMiddleware,
+  couponController.getAllCoupons,
+);
+
+/**
+ * @description Update a coupon
+ * @route   PATCH /api/coupon/update-coupon/:couponId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/update-coupon/:couponId",
+  encryptedAuthMiddleware,
+  couponController.updateCoupon,
+);
+
+/**
+ * @description Delete a coupon
+ * @route   DELETE /api/coupon/delete-coupon/:couponId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/delete-coupon/:couponId",
+  encryptedAuthMiddleware,
+  couponController.deleteCoupon,
+);
+
+module.exports = router;
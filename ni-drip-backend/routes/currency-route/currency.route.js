@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Express routes for currencies and exchange rates
+ * @module routes/currencyRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const currencyController = require("../../controllers/currency-controller/currency.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Get the currency the logged-in customer is charged in
+ * @route   GET /api/currency/get-my-currency
+ * @access  Private
+ */
+router.get(
+  "/get-my-currency",
+  encryptedAuthMiddleware,
+  currencyController.getMyCurrency,
+);
+
+/**
+ * @description Create an exchange rate for a customer currency
+ * @route   POST /api/currency/add-exchange-rate
+ * @access  Private (SuperAdmin)
+ */
+router.post(
+  "/add-exchange-rate",
+  encryptedAuthMiddleware,
+  currencyController.addExchangeRate,
+);
+
+/**
+ * @description Get all exchange rates
+ * @route   GET /api/currency/get-all-exchange-rates
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-all-exchange-rates",
+  encryptedAuthMiddleware,
+  currencyController.getAllExchangeRates,
+);
+
+/**
+ * @description Update an exchange rate
+ * @route   PATCH /api/currency/update-exchange-rate/:rateId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/update-exchange-rate/:rateId",
+  encryptedAuthMiddleware,
+  currencyController.updateExchangeRate,
+);
+
+/**
+ * @description Delete an exchange rate
+ * @route   DELETE /api/currency/delete-exchange-rate/:rateId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/delete-exchange-rate/:rateId",
+  encryptedAuthMiddleware,
+  currencyController.deleteExchangeRate,
+);
+
+module.exports = router;
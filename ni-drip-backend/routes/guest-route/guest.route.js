@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Express routes for guest checkout (no account)
+ * @module routes/guestRoutes
+ * @description Guest requests are authenticated by the `X-Guest-Token`
+ *              header returned from POST /api/guest/create-guest-cart.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const guestController = require("../../controllers/guest-controller/guest.controller");
+const orderController = require("../../controllers/order-controller/order.controller");
+const {
+  authLimiter,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  guestCartMiddleware,
+} = require("../../middlewares/guest-middleware/guest.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
+
+/**
+ * @description Start a guest cart and get its guest token
+ * @route POST /api/guest/create-guest-cart
+ * @access Public
+ */
+router.post("/create-guest-cart", guestController.createGuestCart);
+
+/**
+ * @description Fetch the guest cart with populated product details
+ * @route GET /api/guest/cart/get-cart
+ * @access Guest
+ */
+router.get("/cart/get-cart", guestCartMiddleware, guestController.getGuestCart);
+
+/**
+ * @description Add a product to the guest cart
+ * @route POST /api/guest/cart/add-to-cart
+ * @access Guest
+ */
+router.post(
+  "/cart/add-to-cart",
+  guestCartMiddleware,
+  idempotencyMiddleware,
+  guestController.addToGuestCart,
+);
+
+/**
+ * @description Decrease the quantity of a product in the guest cart
+ * @route POST /api/guest/cart/remove-from-cart
+ * @access Guest
+ */
+router.post(
+  "/cart/remove-from-cart",
+  guestCartMiddleware,
+  idempotencyMiddleware,
+  guestController.decreaseGuestCartItem,
+);
+
+/**
+ * @description Remove a product from the guest cart
+ * @route DELETE /api/guest/cart/remove-product-from-cart
+ * @access Guest
+ */
+router.delete(
+  "/cart/remove-product-from-cart",
+  guestCartMiddleware,
+  idempotencyMiddleware,
+  guestController.removeProductFromGuestCart,
+);
+
+/**
+ * @description Clear the guest cart
+ * @route DELETE /api/guest/cart/clear-cart
+ * @access Guest
+ */
+router.delete(
+  "/cart/clear-cart",
+  guestCartMiddleware,
+  idempotencyMiddleware,
+  guestController.clearGuestCart,
+);
+
+/**
+ * @description Quote shipping and tax for the guest cart or a direct buy
+ * @route POST /api/guest/order/get-shipping-quote
+ * @access Guest
+ */
+router.post(
+  "/order/get-shipping-quote",
+  guestCartMiddleware,
+  orderController.getShippingQuote,
+);
+
+/**
+ * @description Validate a coupon code against the guest cart or a direct buy
+ * @route POST /api/guest/order/validate-coupon
+ * @access Guest
+ */
+router.post(
+  "/order/validate-coupon",
+  guestCartMiddleware,
+  orderController.validateCoupon,
+);
+
+/**
+ * @description Place an order as a guest (email, phone and address in the body)
+ * @route POST /api/guest/order/place-order
+ * @access Guest
+ */
+router.post(
+  "/order/place-order",
+  guestCartMiddleware,
+  idempotencyMiddleware,
+  orderController.placeOrder,
+);
+
+/**
+ * @description Look up a guest order by order number and email
+ * @route POST /api/guest/order/lookup-order
+ * @access Public (rate limited)
+ */
+router.post(
+  "/order/lookup-order",
+  authLimiter,
+  guestController.lookupGuestOrder,
+);
+
+/**
+ * @description Create an account from the guest and attach their guest orders
+ * @route POST /api/guest/convert-account
+ * @access Guest
+ */
+router.post(
+  "/convert-account",
+  authLimiter,
+  guestCartMiddleware,
+  guestController.convertGuestAccount,
+);
+
+module.exports = router;
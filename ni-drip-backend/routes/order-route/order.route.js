@@ -10,6 +10,9 @@ const orderController = require("../../controllers/order-controller/order.contro
 const {
   encryptedAuthMiddleware,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
 
 /**
  * @description Place a new order
@@ -19,11 +22,34 @@ const {
 router.post(
   "/place-order",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.placeOrder,
 );
 
 /**
- * @description Get all orders
+ * @description Quote server-side shipping for the cart or a direct buy
+ * @route POST /api/order/get-shipping-quote
+ * @access Protected
+ */
+router.post(
+  "/get-shipping-quote",
+  encryptedAuthMiddleware,
+  orderController.getShippingQuote,
+);
+
+/**
+ * @description Validate a coupon code against the cart or a direct buy
+ * @route POST /api/order/validate-coupon
+ * @access Protected
+ */
+router.post(
+  "/validate-coupon",
+  encryptedAuthMiddleware,
+  orderController.validateCoupon,
+);
+
+/**
+ * @description Get a page of orders with server-side filters, search and sorting
  * @route GET /api/order/get-all-orders
  * @access Protected
  */
@@ -33,6 +59,17 @@ router.get(
   orderController.getAllOrders,
 );
 
+/**
+ * @description Export orders as CSV or JSON Lines (one row per line item)
+ * @route GET /api/order/export-orders
+ * @access Protected
+ */
+router.get(
+  "/export-orders",
+  encryptedAuthMiddleware,
+  orderController.exportOrders,
+);
+
 /**
  * @description Get details of a specific order by ID
  * @route GET /api/order/get-order-by-id/:orderId
@@ -44,6 +81,35 @@ router.get(
   orderController.getOrderById,
 );
 
+/**
+ * @description Download the PDF invoice of a paid order
+ * @route GET /api/order/invoice/:orderId
+ * @access Protected
+ */
+router.get(
+  "/invoice/:orderId",
+  encryptedAuthMiddleware,
+  orderController.getOrderInvoice,
+);
+
+/**
+ * @description Create a short-lived signed invoice download link (mobile app)
+ * @route GET /api/order/invoice-link/:orderId
+ * @access Protected
+ */
+router.get(
+  "/invoice-link/:orderId",
+  encryptedAuthMiddleware,
+  orderController.getInvoiceDownloadLink,
+);
+
+/**
+ * @description Download an invoice through a signed link
+ * @route GET /api/order/invoice/download/:orderId
+ * @access Public (signed)
+ */
+router.get("/invoice/download/:orderId", orderController.downloadSignedInvoice);
+
 /**
  * @description Get all orders belonging to the authenticated user
  * @route GET /api/order/get-my-orders
@@ -63,6 +129,7 @@ router.get(
 router.put(
   "/action/cancel-order/:orderId",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.cancelOrder,
 );
 
@@ -74,9 +141,81 @@ router.put(
 router.put(
   "/action/update-order-status/:orderId",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.updateOrderStatus,
 );
 
+/**
+ * @description Record a shipment (carrier, tracking, shipped lines) for an order (admin-initiated)
+ * @route POST /api/order/action/add-shipment/:orderId
+ * @access Protected
+ */
+router.post(
+  "/action/add-shipment/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.addShipment,
+);
+
+/**
+ * @description Record the cash collected for a pay-on-delivery order (admin-initiated)
+ * @route PUT /api/order/action/collect-cash/:orderId
+ * @access Protected
+ */
+router.put(
+  "/action/collect-cash/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.collectCashPayment,
+);
+
+/**
+ * @description Refund an order in full or per line through Stripe (admin-initiated)
+ * @route POST /api/order/action/refund-order/:orderId
+ * @access Protected
+ */
+router.post(
+  "/action/refund-order/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.refundOrder,
+);
+
+/**
+ * @description Edit order lines, quantities and address before shipment (admin-initiated)
+ * @route PUT /api/order/action/edit-order/:orderId
+ * @access Protected
+ */
+router.put(
+  "/action/edit-order/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.editOrder,
+);
+
+/**
+ * @description Get the PaymentSheet client secret for a balance owed after an order edit
+ * @route GET /api/order/balance-payment/:orderId
+ * @access Protected
+ */
+router.get(
+  "/balance-payment/:orderId",
+  encryptedAuthMiddleware,
+  orderController.getBalancePayment,
+);
+
+/**
+ * @description Put a past order's items back in the cart (buy again)
+ * @route POST /api/order/reorder/:orderId
+ * @access Protected
+ */
+router.post(
+  "/reorder/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.reorder,
+);
+
 /**
  * @description Delete an order
  * @route DELETE /api/order/delete-order/:orderId
@@ -85,6 +224,7 @@ router.put(
 router.delete(
   "/delete-order/:orderId",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.deleteOrder,
 );
 
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Express routes for Stripe webhook
+ * @fileoverview Express routes for Stripe webhook and the payment event log
  * @module routes/paymentRoutes
  */
 
@@ -7,6 +7,9 @@ const express = require("express");
 const router = express.Router();
 
 const paymentController = require("../../controllers/payment-controller/payment.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
 
 /**
  * @description Stripe webhook endpoint
@@ -16,4 +19,15 @@ const paymentController = require("../../controllers/payment-controller/payment.
  */
 router.post("/webhook", paymentController.handleWebhook);
 
+/**
+ * @description List logged Stripe webhook events (filter by order, type, status)
+ * @route GET /api/payment/get-payment-events
+ * @access Private (SuperAdmin)
+ */
+router.get(
+  "/get-payment-events",
+  encryptedAuthMiddleware,
+  paymentController.getPaymentEvents,
+);
+
 module.exports = router;
@@ -25,12 +25,19 @@ router.post(
 );
 
 /**
- * @description Get all products
+ * @description Get all products, optionally filtered, sorted and paged with facet counts
  * @route   GET /api/product/get-all-products
  * @access  Public
  */
 router.get("/get-all-products", productController.getAllProducts);
 
+/**
+ * @description Search products by text, ranked by relevance
+ * @route   GET /api/product/search
+ * @access  Public
+ */
+router.get("/search", productController.searchProducts);
+
 /**
  * @description Get single product details by ID
  * @route   GET /api/product/get-product-by-id/:productId
@@ -50,6 +57,61 @@ router.patch(
   productController.updateProduct,
 );
 
+/**
+ * @description Get the sale, scheduled price changes and price history of a product
+ * @route   GET /api/product/get-pricing/:productId
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-pricing/:productId",
+  encryptedAuthMiddleware,
+  productController.getProductPricing,
+);
+
+/**
+ * @description Put a product on sale (now or from a future date)
+ * @route   PATCH /api/product/set-sale/:productId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/set-sale/:productId",
+  encryptedAuthMiddleware,
+  productController.setProductSale,
+);
+
+/**
+ * @description End or cancel the sale of a product
+ * @route   DELETE /api/product/end-sale/:productId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/end-sale/:productId",
+  encryptedAuthMiddleware,
+  productController.endProductSale,
+);
+
+/**
+ * @description Schedule a future change of a regular price
+ * @route   POST /api/product/schedule-price/:productId
+ * @access  Private (SuperAdmin)
+ */
+router.post(
+  "/schedule-price/:productId",
+  encryptedAuthMiddleware,
+  productController.schedulePriceChange,
+);
+
+/**
+ * @description Cancel a scheduled price change
+ * @route   DELETE /api/product/cancel-scheduled-price/:productId/:scheduleId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/cancel-scheduled-price/:productId/:scheduleId",
+  encryptedAuthMiddleware,
+  productController.cancelScheduledPrice,
+);
+
 /**
  * @description Delete a product (and associated images if implemented)
  * @route   DELETE /api/product/delete-product/:productId
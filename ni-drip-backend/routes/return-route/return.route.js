@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Express routes for returns (RMA)
+ * @module routes/returnRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const returnController = require("../../controllers/return-controller/return.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
+const cloudinaryUtility = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+
+/**
+ * @description Request a return for delivered items (with optional photos)
+ * @route POST /api/return/request-return
+ * @access Protected
+ */
+router.post(
+  "/request-return",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  idempotencyMiddleware,
+  returnController.requestReturn,
+);
+
+/**
+ * @description Get all returns belonging to the authenticated user
+ * @route GET /api/return/get-my-returns
+ * @access Protected
+ */
+router.get(
+  "/get-my-returns",
+  encryptedAuthMiddleware,
+  returnController.getMyReturns,
+);
+
+/**
+ * @description Withdraw a return before the parcel is received (user-initiated)
+ * @route PATCH /api/return/action/cancel-return/:returnId
+ * @access Protected
+ */
+router.patch(
+  "/action/cancel-return/:returnId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  returnController.cancelReturn,
+);
+
+/**
+ * @description Get the return queue, optionally filtered by status or order
+ * @route GET /api/return/get-all-returns
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-returns",
+  encryptedAuthMiddleware,
+  returnController.getAllReturns,
+);
+
+/**
+ * @description Approve or reject a requested return (admin-initiated)
+ * @route PATCH /api/return/action/review-return/:returnId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/action/review-return/:returnId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  returnController.reviewReturn,
+);
+
+/**
+ * @description Record the received parcel and restock/write-off decision per line (admin-initiated)
+ * @route PATCH /api/return/action/receive-return/:returnId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/action/receive-return/:returnId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  returnController.receiveReturn,
+);
+
+/**
+ * @description Refund and restock an inspected return (admin-initiated)
+ * @route POST /api/return/action/complete-return/:returnId
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/action/complete-return/:returnId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  returnController.completeReturn,
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Express routes for shipping zone management
+ * @module routes/shippingRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const shippingController = require("../../controllers/shipping-controller/shipping.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Create a new shipping zone with its rate tiers
+ * @route   POST /api/shipping/add-shipping-zone
+ * @access  Private (SuperAdmin)
+ */
+router.post(
+  "/add-shipping-zone",
+  encryptedAuthMiddleware,
+  shippingController.addShippingZone,
+);
+
+/**
+ * @description Get all shipping zones
+ * @route   GET /api/shipping/get-all-shipping-zones
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-all-shipping-zones",
+  encryptedAuthMiddleware,
+  shippingController.getAllShippingZones,
+);
+
+/**
+ * @description Update a shipping zone
+ * @route   PATCH /api/shipping/update-shipping-zone/:zoneId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/update-shipping-zone/:zoneId",
+  encryptedAuthMiddleware,
+  shippingController.updateShippingZone,
+);
+
+/**
+ * @description Delete a shipping zone
+ * @route   DELETE /api/shipping/delete-shipping-zone/:zoneId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/delete-shipping-zone/:zoneId",
+  encryptedAuthMiddleware,
+  shippingController.deleteShippingZone,
+);
+
+module.exports = router;
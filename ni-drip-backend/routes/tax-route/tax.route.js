@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Express routes for destination tax rules
+ * @module routes/taxRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const taxController = require("../../controllers/tax-controller/tax.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Create a tax rule for a country or region
+ * @route   POST /api/tax/add-tax-rule
+ * @access  Private (SuperAdmin)
+ */
+router.post("/add-tax-rule", encryptedAuthMiddleware, taxController.addTaxRule);
+
+/**
+ * @description Get all tax rules
+ * @route   GET /api/tax/get-all-tax-rules
+ * @access  Private (SuperAdmin)
+ */
+router.get(
+  "/get-all-tax-rules",
+  encryptedAuthMiddleware,
+  taxController.getAllTaxRules,
+);
+
+/**
+ * @description Update a tax rule
+ * @route   PATCH /api/tax/update-tax-rule/:ruleId
+ * @access  Private (SuperAdmin)
+ */
+router.patch(
+  "/update-tax-rule/:ruleId",
+  encryptedAuthMiddleware,
+  taxController.updateTaxRule,
+);
+
+/**
+ * @description Delete a tax rule
+ * @route   DELETE /api/tax/delete-tax-rule/:ruleId
+ * @access  Private (SuperAdmin)
+ */
+router.delete(
+  "/delete-tax-rule/:ruleId",
+  encryptedAuthMiddleware,
+  taxController.deleteTaxRule,
+);
+
+module.exports = router;
@@ -11,6 +11,9 @@ const {
   encryptedAuthMiddleware,
   authLimiter,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
 const cloudinaryUtility = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
 
 /**
@@ -95,6 +98,51 @@ router.patch(
   userController.updateUserLocation,
 );
 
+/**
+ * @description List the user's saved shipping addresses
+ * @route   GET /api/user/get-addresses
+ * @access  Private (Authenticated user)
+ */
+router.get(
+  "/get-addresses",
+  encryptedAuthMiddleware,
+  userController.getAddresses,
+);
+
+/**
+ * @description Save a new shipping address to the address book
+ * @route   POST /api/user/add-address
+ * @access  Private (Authenticated user)
+ */
+router.post(
+  "/add-address",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  userController.addAddress,
+);
+
+/**
+ * @description Update a saved address or make it the default
+ * @route   PATCH /api/user/update-address/:addressId
+ * @access  Private (Authenticated user)
+ */
+router.patch(
+  "/update-address/:addressId",
+  encryptedAuthMiddleware,
+  userController.updateAddress,
+);
+
+/**
+ * @description Delete a saved address
+ * @route   DELETE /api/user/delete-address/:addressId
+ * @access  Private (Authenticated user)
+ */
+router.delete(
+  "/delete-address/:addressId",
+  encryptedAuthMiddleware,
+  userController.deleteAddress,
+);
+
 /**
  * @description Send email verification OTP to user email
  * @route   POST /api/user/send-verification-email
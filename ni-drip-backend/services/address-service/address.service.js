@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Address book – validation, defaults and formatting
+ * @module services/addressService
+ * @description Structured shipping addresses saved on the user. At most one
+ *              entry is the default; it is what checkout ships to when the
+ *              customer does not pick another. Orders keep a copy of the
+ *              address, so editing or deleting an entry never changes them.
+ */
+
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+const MAX_ADDRESSES = 10;
+
+const ADDRESS_FIELDS = [
+  "label",
+  "recipientName",
+  "phone",
+  "line1",
+  "line2",
+  "city",
+  "postcode",
+  "country",
+];
+
+const REQUIRED_ADDRESS_FIELDS = ["recipientName", "line1", "city", "country"];
+
+/**
+ * Read and trim the address fields from a request body
+ * @param {Object} body - Request body
+ * @param {{ partial?: boolean }} [options] - Partial updates only validate the fields sent
+ * @returns {Object} Address fields (empty optional fields become null)
+ * @throws {Error} With `statusCode` 400 when a required field is missing or blank
+ */
+const pickAddressFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== "string") {
+      throw createHttpError(400, `${field} must be a string`);
+    }
+    fields[field] = body[field]?.trim() || null;
+  }
+
+  const missing = REQUIRED_ADDRESS_FIELDS.filter((field) =>
+    partial ? field in fields && !fields[field] : !fields[field],
+  );
+
+  if (missing.length) {
+    throw createHttpError(400, `Missing address fields: ${missing.join(", ")}`);
+  }
+
+  return fields;
+};
+
+/**
+ * Find an entry in the user's address book
+ * @param {Object} user - User document
+ * @param {string} addressId
+ * @returns {Object} Address subdocument
+ * @throws {Error} With `statusCode` 404 when the user has no such address
+ */
+const findUserAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+
+  if (!address) throw createHttpError(404, "Address not found");
+
+  return address;
+};
+
+/**
+ * The address checkout uses when none is picked
+ * @param {Object} user - User document
+ * @returns {Object|null} Default address subdocument
+ */
+const getDefaultAddress = (user) =>
+  user.addresses.find((address) => address.isDefault) || null;
+
+/**
+ * Make one entry the user's only default address
+ * @param {Object} user - User document
+ * @param {Object} address - Address subdocument of the same user
+ */
+const setDefaultAddress = (user, address) => {
+  for (const entry of user.addresses) {
+    entry.isDefault = entry._id.equals(address._id);
+  }
+};
+
+/**
+ * Single-line address used on orders, invoices and emails, and for zone
+ * and tax matching
+ * @param {Object} address
+ * @returns {string} e.g. "12 High St, Flat 3, London SW1A 1AA, United Kingdom"
+ */
+const formatAddress = (address) =>
+  [
+    address.line1,
+    address.line2,
+    [address.city, address.postcode].filter(Boolean).join(" "),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Copy of an address for storing on an order
+ * @param {Object} address - Address subdocument
+ * @returns {Object} Plain address fields
+ */
+const snapshotAddress = (address) =>
+  Object.fromEntries(
+    ADDRESS_FIELDS.map((field) => [field, address[field] ?? null]),
+  );
+
+/**
+ * Decide where an order ships to
+ * @description Priority: the address-book entry picked at checkout, a free-text
+ *              override, the default address-book entry, then – for customers
+ *              without an address book – the last known location and the
+ *              profile address.
+ * @param {Object} user - User document
+ * @param {{ addressId?: string, shippingAddress?: string }} [choice] - From the request body
+ * @returns {{ shippingAddress: string|null, savedAddress: Object|null, source: string|null, destination: Object }}
+ *          `destination` is what zone and tax matching should read: a saved
+ *          address is matched on its own city and country only, never on the
+ *          profile's preferred city
+ * @throws {Error} With `statusCode` 404 when addressId is not in the address book
+ */
+const resolveCheckoutAddress = (user, { addressId, shippingAddress } = {}) => {
+  const override = shippingAddress?.trim();
+  let savedAddress = null;
+
+  if (addressId) savedAddress = findUserAddress(user, addressId);
+  else if (!override) savedAddress = getDefaultAddress(user);
+
+  if (savedAddress) {
+    return {
+      shippingAddress: formatAddress(savedAddress),
+      savedAddress,
+      source: addressId ? "address_book" : "default_address",
+      destination: {},
+    };
+  }
+
+  const location = user.lastKnownLocation?.address?.trim();
+  const profile = user.address?.trim();
+
+  return {
+    shippingAddress: override || location || profile || null,
+    savedAddress: null,
+    source: override
+      ? "manual_override"
+      : location
+        ? "geolocation"
+        : profile
+          ? "profile_saved"
+          : null,
+    destination: user,
+  };
+};
+
+module.exports = {
+  MAX_ADDRESSES,
+  pickAddressFields,
+  findUserAddress,
+  getDefaultAddress,
+  setDefaultAddress,
+  formatAddress,
+  snapshotAddress,
+  resolveCheckoutAddress,
+};
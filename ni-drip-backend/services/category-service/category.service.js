@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Category tree – slugs, hierarchy and product references
+ * @module services/categoryService
+ * @description Products reference Category documents by id. Categories form a
+ *              tree through `parent`, so a filter, coupon or tax override on a
+ *              category also covers its sub-categories. Products saved before
+ *              categories existed carried names (often JSON-encoded arrays
+ *              posted by the admin form); migrateProductCategories converts
+ *              them once at startup.
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../../models/category-model/category.model");
+const Product = require("../../models/product-model/product.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Turn a name into a slug ("Smart Watches" → "smart-watches")
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Read a list of category references sent by a client
+ * @param {string|Array<string>} value - Array, JSON-encoded array or
+ *        comma-separated string (multipart forms can only send text)
+ * @returns {Array<string>}
+ */
+const parseCategoryList = (value) => {
+  const entries = [].concat(value ?? []).flatMap((entry) => {
+    const text = String(entry).trim();
+    if (text.startsWith("[")) {
+      try {
+        return [].concat(JSON.parse(text));
+      } catch {
+        // Not JSON after all – fall through to comma splitting
+      }
+    }
+    return text.split(",");
+  });
+
+  return [
+    ...new Set(entries.map((entry) => String(entry).trim()).filter(Boolean)),
+  ];
+};
+
+/**
+ * Resolve category ids or slugs to the ids of existing categories
+ * @async
+ * @param {string|Array<string>} value - See parseCategoryList
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ * @throws {Error} With `statusCode` 400 when empty or a category is unknown
+ */
+const resolveCategoryIds = async (value) => {
+  const references = parseCategoryList(value);
+  if (!references.length) {
+    throw createHttpError(400, "At least one category is required");
+  }
+
+  const ids = references.filter((ref) => mongoose.isValidObjectId(ref));
+  const slugs = references
+    .filter((ref) => !mongoose.isValidObjectId(ref))
+    .map((ref) => ref.toLowerCase());
+
+  const categories = await Category.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }],
+  }).select("_id slug");
+
+  const unknown = references.find(
+    (ref) =>
+      !categories.some(
+        (category) =>
+          category._id.toString() === ref ||
+          category.slug === ref.toLowerCase(),
+      ),
+  );
+  if (unknown) throw createHttpError(400, `Unknown category: ${unknown}`);
+
+  return [
+    ...new Set(categories.map((category) => category._id.toString())),
+  ].map((id) => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Ids of the given categories and all of their sub-categories
+ * @async
+ * @param {Array<mongoose.Types.ObjectId|string>} ids
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+const withDescendants = async (ids) => {
+  const found = new Map(ids.map((id) => [id.toString(), id]));
+  let level = ids;
+
+  while (level.length) {
+    const children = await Category.find({ parent: { $in: level } }).select(
+      "_id",
+    );
+    level = children
+      .map((child) => child._id)
+      .filter((id) => !found.has(id.toString()));
+    level.forEach((id) => found.set(id.toString(), id));
+  }
+
+  return [...found.values()].map((id) => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Check that `parentId` may become the parent of `categoryId`
+ * @async
+ * @param {string|null} categoryId - null for a new category
+ * @param {string|null} parentId
+ * @returns {Promise<mongoose.Types.ObjectId|null>} The parent id, or null for top level
+ * @throws {Error} With `statusCode` 400 for unknown parents or cycles
+ */
+const resolveParent = async (categoryId, parentId) => {
+  if (!parentId || parentId === "null") return null;
+
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw createHttpError(400, "Invalid parent category");
+  }
+  if (categoryId && String(categoryId) === String(parentId)) {
+    throw createHttpError(400, "A category cannot be its own parent");
+  }
+
+  // Walk up from the new parent; meeting the category itself means a cycle
+  let current = await Category.findById(parentId).select("parent");
+  if (!current) throw createHttpError(400, "Parent category not found");
+
+  const parent = current._id;
+  while (current?.parent) {
+    if (categoryId && current.parent.toString() === String(categoryId)) {
+      throw createHttpError(
+        400,
+        "A category cannot be moved under one of its sub-categories",
+      );
+    }
+    current = await Category.findById(current.parent).select("parent");
+  }
+
+  return parent;
+};
+
+/**
+ * Slugs of each product's categories and of their ancestors, for coupon
+ * scopes and tax overrides that name a category
+ * @async
+ * @param {Array<mongoose.Types.ObjectId|string>} productIds
+ * @param {mongoose.ClientSession} [session]
+ * @returns {Promise<Map<string, Array<string>>>} Keyed by product id
+ */
+const getCategorySlugsByProduct = async (productIds, session = null) => {
+  const [products, categories] = await Promise.all([
+    Product.find({ _id: { $in: productIds } })
+      .select("category")
+      .session(session),
+    Category.find().select("slug parent").session(session),
+  ]);
+
+  const byId = new Map(
+    categories.map((category) => [category._id.toString(), category]),
+  );
+  const lineage = (id) => {
+    const slugs = [];
+    for (
+      let category = byId.get(String(id));
+      category && !slugs.includes(category.slug);
+      category = byId.get(String(category.parent))
+    ) {
+      slugs.push(category.slug);
+    }
+    return slugs;
+  };
+
+  return new Map(
+    products.map((product) => [
+      product._id.toString(),
+      [...new Set(product.category.flatMap((id) => lineage(id)))],
+    ]),
+  );
+};
+
+/**
+ * List categories with the number of ACTIVE products in each, including
+ * the products of their sub-categories
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Admin view
+ * @returns {Promise<Array<Object>>} Sorted by sortOrder, then name
+ */
+const listCategories = async ({ includeInactive = false } = {}) => {
+  const [categories, counts] = await Promise.all([
+    Category.find(includeInactive ? {} : { isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .lean(),
+    Product.aggregate([
+      { $match: { status: "ACTIVE" } },
+      { $unwind: "$category" },
+      { $group: { _id: "$category", products: { $addToSet: "$_id" } } },
+    ]),
+  ]);
+
+  const byId = new Map(
+    categories.map((category) => [category._id.toString(), category]),
+  );
+
+  // A product is counted once per category even if it sits in two children
+  const productsOf = new Map();
+  for (const { _id, products } of counts) {
+    const seen = new Set();
+    for (
+      let category = byId.get(_id.toString());
+      category && !seen.has(category._id.toString());
+      category = category.parent && byId.get(category.parent.toString())
+    ) {
+      const key = category._id.toString();
+      seen.add(key);
+      if (!productsOf.has(key)) productsOf.set(key, new Set());
+      products.forEach((id) => productsOf.get(key).add(id.toString()));
+    }
+  }
+
+  return categories.map((category) => ({
+    ...category,
+    productCount: productsOf.get(category._id.toString())?.size || 0,
+  }));
+};
+
+/**
+ * Convert products that still store category names to category ids
+ * @async
+ * @description Runs at startup and is idempotent: only products with string
+ *              entries are touched. Names come either plain ("laptops") or
+ *              as JSON-encoded arrays ('["laptops","electronics"]'); a
+ *              top-level category is created for every name not seen before.
+ *              The raw collection is used because the schema now casts
+ *              `category` to ObjectIds.
+ * @returns {Promise<number>} Number of products converted
+ */
+const migrateProductCategories = async () => {
+  const legacy = await Product.collection
+    .find({ category: { $elemMatch: { $type: "string" } } })
+    .project({ category: 1 })
+    .toArray();
+
+  const idBySlug = new Map();
+  const categoryIdFor = async (name) => {
+    const slug = slugify(name);
+    if (!slug) return null;
+
+    if (!idBySlug.has(slug)) {
+      const category = await Category.findOneAndUpdate(
+        { slug },
+        {
+          $setOnInsert: {
+            slug,
+            name: name.charAt(0).toUpperCase() + name.slice(1),
+          },
+        },
+        { upsert: true, new: true, runValidators: true },
+      );
+      idBySlug.set(slug, category._id);
+    }
+
+    return idBySlug.get(slug);
+  };
+
+  for (const product of legacy) {
+    const ids = [];
+    for (const entry of product.category) {
+      if (typeof entry !== "string") {
+        ids.push(entry);
+        continue;
+      }
+      for (const name of parseCategoryList(entry)) {
+        const id = await categoryIdFor(name);
+        if (id) ids.push(id);
+      }
+    }
+
+    const unique = [...new Map(ids.map((id) => [id.toString(), id])).values()];
+    await Product.collection.updateOne(
+      { _id: product._id },
+      { $set: { category: unique } },
+    );
+  }
+
+  return legacy.length;
+};
+
+module.exports = {
+  slugify,
+  resolveCategoryIds,
+  withDescendants,
+  resolveParent,
+  getCategorySlugsByProduct,
+  listCategories,
+  migrateProductCategories,
+};
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Coupon engine – validates codes and prices discounts
+ * @module services/couponService
+ * @description Checks a coupon against its validity window, usage caps and
+ *              product/category scope, then allocates the discount across the
+ *              eligible order lines so refunds can return the amount paid.
+ *              Fixed amounts and spend limits are stored in the base currency
+ *              and converted into the order's currency.
+ */
+
+const Coupon = require("../../models/coupon-model/coupon.model");
+const Order = require("../../models/order-model/order.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { convertAmount } = require("../currency-service/currency.service");
+const {
+  getCategorySlugsByProduct,
+} = require("../category-service/category.service");
+const { lineKey } = require("../variant-service/variant.service");
+
+/**
+ * Round a dollar amount to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate a coupon for a customer's order lines and compute the discount
+ * @async
+ * @param {Object} params
+ * @param {string} params.code - Coupon code as entered
+ * @param {string} [params.userId]
+ * @param {string} [params.guestEmail] - Per-customer limits count a guest's orders by email
+ * @param {Array<{ product: ObjectId, variant?: ObjectId, quantity: number, priceAtPurchase: number }>} params.items - Priced in `currency`
+ * @param {{ code: string, symbol: string, rate: number }} [params.currency] - Order currency (base when omitted)
+ * @param {import('mongoose').ClientSession} [params.session=null]
+ * @returns {Promise<{ coupon: Object, discountAmount: number, eligibleSubtotal: number, allocations: Map<string, number> }>}
+ *          `allocations` maps line key (see variantService.lineKey) → discount allocated to that line
+ * @throws {Error} With `statusCode` 404 (unknown code) or 400 (not applicable)
+ */
+const evaluateCoupon = async ({
+  code,
+  userId,
+  guestEmail,
+  items,
+  currency,
+  session = null,
+}) => {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  }).session(session);
+
+  if (!coupon || !coupon.isActive) {
+    throw createHttpError(404, "Invalid coupon code");
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw createHttpError(400, "This coupon is not active yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw createHttpError(400, "This coupon has expired");
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw createHttpError(400, "This coupon has reached its usage limit");
+  }
+
+  // A guest who has not entered an email yet is checked again at checkout
+  if (coupon.usageLimitPerUser !== null && (userId || guestEmail)) {
+    const timesUsed = await Order.countDocuments({
+      ...(userId ? { user: userId } : { "guest.email": guestEmail }),
+      "discount.coupon": coupon._id,
+      status: { $ne: "CANCELLED" },
+      paymentStatus: { $ne: "FAILED" },
+    }).session(session);
+
+    if (timesUsed >= coupon.usageLimitPerUser) {
+      throw createHttpError(
+        400,
+        "You have already used this coupon the maximum number of times",
+      );
+    }
+  }
+
+  return {
+    coupon,
+    ...(await priceCoupon(coupon, items, currency, session)),
+  };
+};
+
+/**
+ * Price a coupon against order lines: minimum spend, product/category scope,
+ * the discount and its allocation. Validity and usage caps are not checked,
+ * so an order edit can re-price a coupon the order already redeemed.
+ * @async
+ * @param {Object} coupon - Coupon document
+ * @param {Array<{ product: ObjectId, variant?: ObjectId, quantity: number, priceAtPurchase: number }>} items - Priced in `currency`
+ * @param {{ code: string, symbol: string, rate: number }} [currency] - Order currency (base when omitted)
+ * @param {import('mongoose').ClientSession} [session=null]
+ * @returns {Promise<{ discountAmount: number, eligibleSubtotal: number, allocations: Map<string, number> }>}
+ * @throws {Error} With `statusCode` 400 when the coupon does not apply to the lines
+ */
+const priceCoupon = async (coupon, items, currency, session = null) => {
+  const subtotal = items.reduce(
+    (sum, item) => sum + item.priceAtPurchase * item.quantity,
+    0,
+  );
+  const minSpend = convertAmount(coupon.minSpend, currency);
+  if (subtotal < minSpend) {
+    throw createHttpError(
+      400,
+      `Spend at least ${currency?.symbol ?? "$"}${minSpend.toFixed(2)} to use this coupon`,
+    );
+  }
+
+  // Scope: a line is eligible when it matches either list (empty lists = all)
+  let eligibleItems = items;
+  if (coupon.products.length > 0 || coupon.categories.length > 0) {
+    const scopedProductIds = coupon.products.map((id) => id.toString());
+    const scopedCategories = coupon.categories.map((c) => c.toLowerCase());
+
+    const categoriesById = await getCategorySlugsByProduct(
+      items.map((item) => item.product),
+      session,
+    );
+
+    eligibleItems = items.filter((item) => {
+      const id = item.product.toString();
+      return (
+        scopedProductIds.includes(id) ||
+        (categoriesById.get(id) || []).some((c) => scopedCategories.includes(c))
+      );
+    });
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce(
+    (sum, item) => sum + item.priceAtPurchase * item.quantity,
+    0,
+  );
+  if (eligibleSubtotal <= 0) {
+    throw createHttpError(400, "This coupon does not apply to your items");
+  }
+
+  let discountAmount =
+    coupon.discountType === "PERCENTAGE"
+      ? (eligibleSubtotal * coupon.discountValue) / 100
+      : convertAmount(coupon.discountValue, currency);
+  if (coupon.maxDiscountAmount !== null) {
+    discountAmount = Math.min(
+      discountAmount,
+      convertAmount(coupon.maxDiscountAmount, currency),
+    );
+  }
+  discountAmount = roundCents(Math.min(discountAmount, eligibleSubtotal));
+
+  // Spread the discount over eligible lines by value; the last line takes
+  // the rounding remainder so allocations always sum to the discount
+  const allocations = new Map();
+  let allocated = 0;
+  eligibleItems.forEach((item, index) => {
+    const share =
+      index === eligibleItems.length - 1
+        ? roundCents(discountAmount - allocated)
+        : roundCents(
+            (discountAmount * item.priceAtPurchase * item.quantity) /
+              eligibleSubtotal,
+          );
+    allocated = roundCents(allocated + share);
+    allocations.set(lineKey(item.product, item.variant), share);
+  });
+
+  return { discountAmount, eligibleSubtotal, allocations };
+};
+
+/**
+ * Count a redemption, guarding the global usage cap atomically
+ * @async
+ * @param {ObjectId} couponId
+ * @param {import('mongoose').ClientSession} session
+ * @throws {Error} With `statusCode` 400 when the last redemption was taken concurrently
+ */
+const redeemCoupon = async (couponId, session) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  );
+
+  if (!redeemed) {
+    throw createHttpError(400, "This coupon has reached its usage limit");
+  }
+};
+
+/**
+ * Give a redemption back when its order is cancelled or expires
+ * @async
+ * @param {ObjectId|null} couponId
+ * @param {import('mongoose').ClientSession} [session=null]
+ */
+const releaseCoupon = async (couponId, session = null) => {
+  if (!couponId) return;
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session },
+  );
+};
+
+module.exports = {
+  evaluateCoupon,
+  priceCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Currency engine – localizes catalog prices for the customer
+ * @module services/currencyService
+ * @description Products, shipping rates and coupon amounts are stored in the
+ *              base currency. At checkout they are converted into the
+ *              customer's currency with the locally stored exchange rates, so
+ *              order amounts and the PaymentIntent use the same currency.
+ */
+
+const ExchangeRate = require("../../models/exchange-rate-model/exchange-rate.model");
+
+/**
+ * The catalog (base) currency every rate is expressed against
+ * @returns {{ code: string, symbol: string, rate: number }}
+ */
+const getBaseCurrency = () => ({
+  code: (process.env.BASE_CURRENCY || "USD").toUpperCase(),
+  symbol: process.env.BASE_CURRENCY_SYMBOL || "$",
+  rate: 1,
+});
+
+/**
+ * Convert a base-currency amount, rounded to whole cents
+ * @param {number} amount - Amount in the base currency
+ * @param {{ rate: number }} [currency] - Target currency (base when omitted)
+ * @returns {number}
+ */
+const convertAmount = (amount, currency) =>
+  Math.round(amount * (currency?.rate ?? 1) * 100) / 100;
+
+/**
+ * Find the currency a customer is charged in from their preferred city's
+ * country. Countries without an active rate are charged in the base currency.
+ * @async
+ * @param {Object} user - User document (preferredCity)
+ * @returns {Promise<{ code: string, symbol: string, rate: number }>}
+ */
+const resolveCurrency = async (user) => {
+  const base = getBaseCurrency();
+  const country = user?.preferredCity?.split(",")[1]?.trim().toLowerCase();
+  if (!country) return base;
+
+  const rates = await ExchangeRate.find({ isActive: true });
+  const match = rates.find((r) =>
+    r.countries.some((c) => c.toLowerCase() === country),
+  );
+  if (!match || match.currency === base.code) return base;
+
+  return { code: match.currency, symbol: match.symbol, rate: match.rate };
+};
+
+/**
+ * Re-price order lines in the customer's currency
+ * @param {Array<{ priceAtPurchase: number, quantity: number }>} items - Lines priced in the base currency
+ * @param {{ rate: number }} currency
+ * @returns {{ items: Array, subtotal: number }}
+ */
+const localizeLines = (items, currency) => {
+  const localized = items.map((item) => ({
+    ...item,
+    priceAtPurchase: convertAmount(item.priceAtPurchase, currency),
+  }));
+
+  return {
+    items: localized,
+    subtotal:
+      Math.round(
+        localized.reduce(
+          (sum, item) => sum + item.priceAtPurchase * item.quantity * 100,
+          0,
+        ),
+      ) / 100,
+  };
+};
+
+module.exports = {
+  getBaseCurrency,
+  convertAmount,
+  resolveCurrency,
+  localizeLines,
+};
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Guest checkout – anonymous carts, guest contact details and sign-up
+ * @module services/guestService
+ * @description A guest shops with an opaque cart token instead of an account.
+ *              Their orders carry the email/phone/address they checked out
+ *              with and no user. When the guest later signs up, the orders
+ *              placed from their cart (or, once the email is verified, every
+ *              guest order under that email) are attached to the new account.
+ */
+
+const crypto = require("crypto");
+const GuestCart = require("../../models/guest-cart-model/guest-cart.model");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { pickAddressFields } = require("../address-service/address.service");
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Hash a guest token for storage and lookup
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashGuestToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Start an empty guest cart
+ * @async
+ * @returns {Promise<{ guestCart: Object, guestToken: string }>} The token is only returned here
+ */
+const createGuestCart = async () => {
+  const guestToken = crypto.randomBytes(32).toString("hex");
+  const guestCart = await GuestCart.create({
+    tokenHash: hashGuestToken(guestToken),
+  });
+
+  return { guestCart, guestToken };
+};
+
+/**
+ * Find the cart behind a guest token
+ * @async
+ * @param {string} [guestToken]
+ * @returns {Promise<Object|null>} GuestCart document
+ */
+const findGuestCart = async (guestToken) => {
+  if (!guestToken) return null;
+
+  return GuestCart.findOne({
+    tokenHash: hashGuestToken(guestToken),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * Normalize an email sent by a guest
+ * @param {string} [email]
+ * @returns {string} Trimmed, lower-case email
+ * @throws {Error} With `statusCode` 400 when missing or malformed
+ */
+const normalizeGuestEmail = (email) => {
+  const normalized =
+    typeof email === "string" ? email.trim().toLowerCase() : "";
+
+  if (!EMAIL_REGEX.test(normalized)) {
+    throw createHttpError(400, "A valid email address is required");
+  }
+
+  return normalized;
+};
+
+/**
+ * Read a guest's contact details and delivery address from a checkout body
+ * @param {Object} body - Request body
+ * @param {Object} body.address - Structured address (recipientName, phone, line1, line2, city, postcode, country)
+ * @param {string} [body.email] - Required when `requireContact` is set
+ * @param {string} [body.phone]
+ * @param {{ requireContact?: boolean }} [options] - Quotes only need the address
+ * @returns {{ guest: Object|null, address: Object }}
+ * @throws {Error} With `statusCode` 400 when a required field is missing
+ */
+const pickGuestCheckout = (body, { requireContact = true } = {}) => {
+  if (!body.address || typeof body.address !== "object") {
+    throw createHttpError(400, "Shipping address is required");
+  }
+
+  const address = pickAddressFields(body.address);
+
+  if (!requireContact && !body.email) return { guest: null, address };
+
+  const phone = body.phone?.trim() || address.phone;
+  if (requireContact && !phone) {
+    throw createHttpError(400, "A phone number is required for delivery");
+  }
+
+  return {
+    guest: {
+      name: address.recipientName,
+      email: normalizeGuestEmail(body.email),
+      phone,
+    },
+    address,
+  };
+};
+
+/**
+ * Who an order's emails and invoice are addressed to
+ * @param {Object} order - Order with `user` populated (userName, email, phone)
+ * @returns {{ userName: string, email: string, phone: * }|null}
+ */
+const getOrderCustomer = (order) => {
+  if (order.user?.email) return order.user;
+  if (!order.guest?.email) return null;
+
+  return {
+    userName: order.guest.name,
+    email: order.guest.email,
+    phone: order.guest.phone,
+  };
+};
+
+/**
+ * Move guest orders onto a user and into their order history
+ * @async
+ * @param {Object} user - User document
+ * @param {Object} filter - Which guest orders, e.g. `{ "guest.cart": cartId }`
+ * @returns {Promise<number>} Number of orders attached
+ */
+const attachGuestOrders = async (user, filter) => {
+  const orders = await Order.find({
+    ...filter,
+    user: null,
+    "guest.email": { $exists: true },
+  }).select("status paymentStatus createdAt");
+
+  if (!orders.length) return 0;
+
+  await Order.updateMany(
+    { _id: { $in: orders.map((order) => order._id) } },
+    { $set: { user: user._id } },
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        orders: {
+          $each: orders.map((order) => ({
+            orderId: order._id,
+            userId: user._id,
+            status: order.status,
+            paymentStatus: order.paymentStatus,
+            placedAt: order.createdAt,
+          })),
+        },
+      },
+    },
+  );
+
+  return orders.length;
+};
+
+module.exports = {
+  createGuestCart,
+  findGuestCart,
+  normalizeGuestEmail,
+  pickGuestCheckout,
+  getOrderCustomer,
+  attachGuestOrders,
+};
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Invoice engine – sequential numbering and PDF rendering
+ * @module services/invoiceService
+ * @description Paid orders receive the next number from the "invoice" counter
+ *              exactly once. Invoices are rendered on demand from the order,
+ *              so they always reflect the stored line prices, shipping and tax.
+ *              Signed download links let the mobile app open an invoice in the
+ *              browser without sending its auth token.
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const PDFDocument = require("pdfkit");
+const Order = require("../../models/order-model/order.model");
+const Counter = require("../../models/counter-model/counter.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { getOrderCustomer } = require("../guest-service/guest.service");
+
+const INVOICEABLE_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+const DOWNLOAD_LINK_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether an order can be invoiced
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+const isInvoiceable = (order) =>
+  INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Assign the next invoice number to a paid order.
+ * Idempotent: an order that already has a number keeps it, and the counter is
+ * only advanced in the same transaction that stores the number, so the
+ * sequence has no gaps.
+ * @async
+ * @param {string|ObjectId} orderId
+ * @returns {Promise<string>} The order's invoice number
+ * @throws {Error} With `statusCode` 404/400 when the order is missing or unpaid
+ */
+const assignInvoiceNumber = async (orderId) => {
+  const session = await mongoose.startSession();
+  let invoiceNumber = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId)
+        .select("invoiceNumber paymentStatus")
+        .session(session);
+      if (!order) throw createHttpError(404, "Order not found");
+
+      invoiceNumber = order.invoiceNumber;
+      if (invoiceNumber) return;
+
+      if (!isInvoiceable(order)) {
+        throw createHttpError(400, "Invoices are only issued for paid orders");
+      }
+
+      const { seq } = await Counter.findOneAndUpdate(
+        { _id: "invoice" },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session },
+      );
+      invoiceNumber = `INV-${String(seq).padStart(6, "0")}`;
+
+      await Order.updateOne(
+        { _id: orderId },
+        { invoiceNumber, invoicedAt: new Date() },
+        { session },
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return invoiceNumber;
+};
+
+/**
+ * Format an amount with its ISO code; the built-in PDF fonts cannot render
+ * every currency symbol
+ * @param {number} amount
+ * @param {string} [currency="USD"]
+ * @returns {string} e.g. "GBP 1,250.00"
+ */
+const formatAmount = (amount, currency = "USD") =>
+  new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency,
+    currencyDisplay: "code",
+  }).format(amount);
+
+/**
+ * Render the invoice for an order
+ * @param {Object} order - Order with `items.product` (title) and `user` (userName, email) populated
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const generateInvoicePdf = (order) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (amount) => formatAmount(amount, order.currency);
+    const date = (value) =>
+      new Intl.DateTimeFormat("en-GB", { dateStyle: "long" }).format(
+        new Date(value),
+      );
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Header
+    doc.fillColor("#E32264").fontSize(24).text("NIDRIP", left, 50);
+    doc
+      .fillColor("#000000")
+      .fontSize(18)
+      .text("INVOICE", left, 50, { align: "right" });
+    doc
+      .fontSize(10)
+      .text(`Invoice No: ${order.invoiceNumber}`, { align: "right" })
+      .text(`Invoice Date: ${date(order.invoicedAt || order.updatedAt)}`, {
+        align: "right",
+      })
+      .text(`Order ID: ${order._id}`, { align: "right" })
+      .text(`Order Date: ${date(order.createdAt)}`, { align: "right" });
+
+    // Billing details
+    doc.moveDown(2).fontSize(11).text("Bill To", left, doc.y, {
+      underline: true,
+    });
+    const customer = getOrderCustomer(order);
+    doc
+      .fontSize(10)
+      .text(customer?.userName || "Customer")
+      .text(customer?.email || "")
+      .text(order.shippingAddress)
+      .moveDown()
+      .text(`Payment Method: ${order.paymentMethod.replace(/_/g, " ")}`)
+      .text(`Payment Status: ${order.paymentStatus.replace(/_/g, " ")}`);
+
+    // Line items
+    const columns = [
+      { label: "Item", x: left, width: 215 },
+      { label: "Qty", x: left + 220, width: 40, align: "right" },
+      { label: "Unit Price", x: left + 265, width: 80, align: "right" },
+      { label: "Discount", x: left + 350, width: 65, align: "right" },
+      {
+        label: "Amount",
+        x: left + 420,
+        width: right - left - 420,
+        align: "right",
+      },
+    ];
+    // Continue below the tallest cell so wrapped titles never overlap
+    const row = (values, y) => {
+      let bottom = y;
+      columns.forEach((col, i) => {
+        doc.text(values[i], col.x, y, { width: col.width, align: col.align });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.y = bottom;
+    };
+
+    doc.moveDown(2).fontSize(10).font("Helvetica-Bold");
+    row(
+      columns.map((col) => col.label),
+      doc.y,
+    );
+    doc
+      .moveTo(left, doc.y + 4)
+      .lineTo(right, doc.y + 4)
+      .stroke();
+    doc.font("Helvetica").moveDown();
+
+    for (const item of order.items) {
+      row(
+        [
+          item.variantLabel
+            ? `${item.product?.title || "Product"} (${item.variantLabel})`
+            : item.product?.title || "Product",
+          String(item.quantity),
+          money(item.priceAtPurchase),
+          item.discountAmount ? `-${money(item.discountAmount)}` : "",
+          money(
+            item.priceAtPurchase * item.quantity - (item.discountAmount || 0),
+          ),
+        ],
+        doc.y,
+      );
+      doc.moveDown(0.5);
+    }
+
+    doc
+      .moveTo(left, doc.y + 4)
+      .lineTo(right, doc.y + 4)
+      .stroke();
+    doc.moveDown();
+
+    // Totals
+    const subtotal = order.items.reduce(
+      (sum, item) => sum + item.priceAtPurchase * item.quantity,
+      0,
+    );
+    const totals = [
+      ["Subtotal", money(subtotal)],
+      ...(order.discount?.amount
+        ? [
+            [
+              `Discount (${order.discount.code})`,
+              `-${money(order.discount.amount)}`,
+            ],
+          ]
+        : []),
+      ["Shipping", money(order.shippingCost)],
+      ...(order.taxLines || []).map((line) => [
+        `${line.name} (${line.rate}%)`,
+        money(line.amount),
+      ]),
+    ];
+    const totalRow = (label, value) => {
+      const y = doc.y;
+      doc.text(label, left + 265, y, { width: 150, align: "right" });
+      doc.text(value, left + 420, y, {
+        width: right - left - 420,
+        align: "right",
+      });
+    };
+
+    totals.forEach(([label, value]) => totalRow(label, value));
+    doc.font("Helvetica-Bold");
+    totalRow("Total", money(order.totalAmount));
+    doc.font("Helvetica");
+    if (order.amountRefunded > 0) {
+      totalRow("Refunded", `-${money(order.amountRefunded)}`);
+    }
+
+    doc
+      .moveDown(3)
+      .fontSize(9)
+      .fillColor("#666666")
+      .text(`All amounts are in ${order.currency}.`, left, doc.y, {
+        align: "center",
+        width: right - left,
+      })
+      .text("Thank you for shopping with NIDRIP!", {
+        align: "center",
+        width: right - left,
+      });
+
+    doc.end();
+  });
+
+/**
+ * Sign an invoice download for an order
+ * @param {string} orderId
+ * @param {number} expires - Expiry as a Unix timestamp in milliseconds
+ * @returns {string} Hex HMAC
+ */
+const signInvoiceDownload = (orderId, expires) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`invoice:${orderId}:${expires}`)
+    .digest("hex");
+
+/**
+ * Create a short-lived signature for downloading an invoice without auth headers
+ * @param {string} orderId
+ * @returns {{ expires: number, signature: string }}
+ */
+const createInvoiceDownload = (orderId) => {
+  const expires = Date.now() + DOWNLOAD_LINK_TTL_MS;
+  return { expires, signature: signInvoiceDownload(String(orderId), expires) };
+};
+
+/**
+ * Check a signed invoice download
+ * @param {string} orderId
+ * @param {string|number} expires
+ * @param {string} signature
+ * @returns {boolean}
+ */
+const verifyInvoiceDownload = (orderId, expires, signature) => {
+  if (!signature || !(Number(expires) > Date.now())) return false;
+
+  const expected = Buffer.from(
+    signInvoiceDownload(String(orderId), Number(expires)),
+  );
+  const given = Buffer.from(String(signature));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+module.exports = {
+  isInvoiceable,
+  assignInvoiceNumber,
+  generateInvoicePdf,
+  createInvoiceDownload,
+  verifyInvoiceDownload,
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Cancellation of unpaid orders
+ * @module services/orderCancelService
+ * @description The one way an unpaid order is cancelled – by the customer,
+ *              by support or by the cleanup job for abandoned checkouts.
+ *              Cancels the Stripe PaymentIntent so the customer can no longer
+ *              pay, gives back the reserved stock and coupon redemption and
+ *              syncs the user's order history. Paid orders are refunded
+ *              through refundService instead.
+ */
+
+const mongoose = require("mongoose");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const { releaseStock } = require("../../helpers/stock-helper/stock.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { releaseCoupon } = require("../coupon-service/coupon.service");
+const {
+  canTransition,
+  buildStatusEntry,
+} = require("../order-status-service/order-status.service");
+
+// Payment states an order can be cancelled in
+const CANCELLABLE_PAYMENT_STATUSES = ["PENDING", "FAILED"];
+
+// PaymentIntent states in which the customer may already have paid –
+// the webhook settles these, so the order must be left alone
+const IN_FLIGHT_STATUSES = ["processing", "requires_capture", "succeeded"];
+
+/**
+ * Cancel the order's PaymentIntent unless it is already being paid
+ * @async
+ * @param {string|null} paymentIntentId
+ * @param {string} reason - Stripe `cancellation_reason`
+ * @throws {Error} With `statusCode` 409 when the payment is in flight
+ */
+const cancelPaymentIntent = async (paymentIntentId, reason) => {
+  if (!paymentIntentId) return;
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+  if (IN_FLIGHT_STATUSES.includes(paymentIntent.status)) {
+    throw createHttpError(
+      409,
+      "The payment for this order is already being processed",
+    );
+  }
+  if (paymentIntent.status === "canceled") return;
+
+  await stripe.paymentIntents.cancel(paymentIntentId, {
+    cancellation_reason: reason,
+  });
+};
+
+/**
+ * Cancel an unpaid order
+ * @async
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Object} [params.by] - Actor and note, see buildStatusEntry
+ * @param {string} [params.stripeReason="requested_by_customer"] - Stripe `cancellation_reason`
+ * @returns {Promise<Object|null>} The cancelled order, or null when the order
+ *          changed meanwhile (paid, or cancelled by someone else)
+ * @throws {Error} With `statusCode` 404 (no order), 400 (paid, or a status
+ *         that cannot be cancelled) or 409 (payment in flight)
+ */
+const cancelOrder = async ({
+  orderId,
+  by,
+  stripeReason = "requested_by_customer",
+}) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw createHttpError(404, "Order not found");
+
+  if (!CANCELLABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw createHttpError(
+      400,
+      "Paid orders must be refunded instead of cancelled",
+    );
+  }
+  if (!canTransition(order.status, "CANCELLED")) {
+    throw createHttpError(400, `Cannot cancel – order is ${order.status}`);
+  }
+
+  await cancelPaymentIntent(order.stripePaymentIntentId, stripeReason);
+
+  const session = await mongoose.startSession();
+  let cancelled = null;
+
+  try {
+    await session.withTransaction(async () => {
+      cancelled = null;
+
+      // Conditional claim so a webhook, the cleanup job or another cancel
+      // racing this one can never release the same stock twice
+      const claimed = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          status: order.status,
+          paymentStatus: order.paymentStatus,
+        },
+        {
+          status: "CANCELLED",
+          paymentStatus: "CANCELLED",
+          $push: {
+            statusHistory: buildStatusEntry(order.status, "CANCELLED", by),
+          },
+        },
+        { new: true, session },
+      );
+      if (!claimed) return;
+
+      // A failed payment has already given the stock and coupon back
+      if (order.paymentStatus !== "FAILED") {
+        await releaseStock(claimed.items, session);
+        await releaseCoupon(claimed.discount?.coupon, session);
+      }
+
+      await User.updateOne(
+        { _id: claimed.user, "orders.orderId": claimed._id },
+        {
+          $set: {
+            "orders.$.status": "CANCELLED",
+            "orders.$.paymentStatus": "CANCELLED",
+          },
+        },
+        { session },
+      );
+
+      cancelled = claimed;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  cancelOrder,
+};
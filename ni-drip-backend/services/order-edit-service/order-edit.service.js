@@ -0,0 +1,544 @@
+/**
+ * @fileoverview Order editing – admin changes to lines and address before shipment
+ * @module services/orderEditService
+ * @description Lets support change quantities, add or remove lines and move
+ *              the delivery address of a PENDING or PROCESSING order that has
+ *              not shipped. Stock follows the quantity changes, and shipping,
+ *              coupon, tax and the total are re-priced the way checkout prices
+ *              them. Existing lines keep the price they were bought at; added
+ *              lines are priced from the catalog in the order's currency.
+ *              The price difference is settled with the customer:
+ *              - unpaid Stripe order: the PaymentIntent is updated to the new total
+ *              - paid Stripe order: the difference is refunded, or a balance
+ *                PaymentIntent is created for the customer to pay in the app
+ *              - pay on delivery: the courier collects the new total
+ *              Every edit is recorded on the order's `edits` trail.
+ */
+
+const mongoose = require("mongoose");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const Coupon = require("../../models/coupon-model/coupon.model");
+const {
+  reserveStock,
+  releaseStock,
+} = require("../../helpers/stock-helper/stock.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const {
+  sendOrderEditToUser,
+} = require("../../helpers/email-helper/email.helper");
+const {
+  resolveShippingZone,
+  calculateShippingCost,
+  assertCashOnDelivery,
+} = require("../shipping-service/shipping.service");
+const { priceCoupon } = require("../coupon-service/coupon.service");
+const { convertAmount } = require("../currency-service/currency.service");
+const { resolveTaxRule, calculateTax } = require("../tax-service/tax.service");
+const {
+  pickAddressFields,
+  formatAddress,
+  snapshotAddress,
+} = require("../address-service/address.service");
+const {
+  getPendingBalanceCents,
+  refundPayments,
+} = require("../refund-service/refund.service");
+const { getOrderCustomer } = require("../guest-service/guest.service");
+const { lineKey } = require("../variant-service/variant.service");
+
+const EDITABLE_STATUSES = ["PENDING", "PROCESSING"];
+
+/**
+ * Round a dollar amount to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Make sure an order can still be edited
+ * @param {Object} order - Order document
+ * @throws {Error} With `statusCode` 400 once the order shipped, was refunded or its payment failed
+ */
+const assertEditable = (order) => {
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    throw createHttpError(
+      400,
+      `Only PENDING or PROCESSING orders can be edited (order is ${order.status})`,
+    );
+  }
+
+  if (order.shipments.length > 0) {
+    throw createHttpError(400, "Orders with a shipment cannot be edited");
+  }
+
+  if (order.amountRefunded > 0) {
+    throw createHttpError(400, "Refunded orders cannot be edited");
+  }
+
+  // A failed payment already gave the stock back
+  if (!["PENDING", "PAID"].includes(order.paymentStatus)) {
+    throw createHttpError(
+      400,
+      `Cannot edit – payment is ${order.paymentStatus}`,
+    );
+  }
+};
+
+/**
+ * Apply requested quantities to the order's lines
+ * @param {Object} order - Order document
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} items -
+ *        New quantity per line; 0 removes the line, an unknown product or
+ *        variant adds one, unlisted lines stay
+ * @returns {{ lines: Array<{ product: ObjectId, variant: ObjectId|null, quantity: number, priceAtPurchase: number|null }>, changes: Array }}
+ *          `priceAtPurchase` is null for added lines until stock is reserved
+ * @throws {Error} With `statusCode` 400 on invalid quantities or an empty order
+ */
+const applyLineChanges = (order, items) => {
+  const lines = order.items.map((item) => ({
+    product: item.product,
+    variant: item.variant,
+    variantLabel: item.variantLabel,
+    sku: item.sku,
+    quantity: item.quantity,
+    priceAtPurchase: item.priceAtPurchase,
+  }));
+  const changes = [];
+
+  for (const { productId, variantId = null, quantity } of items) {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw createHttpError(400, `Invalid product ID: ${productId}`);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw createHttpError(400, `Invalid variant ID: ${variantId}`);
+    }
+    const key = lineKey(productId, variantId);
+
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 0) {
+      throw createHttpError(
+        400,
+        `Quantity for product ${productId} must be a whole number of 0 or more`,
+      );
+    }
+
+    if (changes.some((c) => lineKey(c.product, c.variant) === key)) {
+      throw createHttpError(400, `Product ${productId} is listed twice`);
+    }
+
+    const line = lines.find((l) => lineKey(l.product, l.variant) === key);
+    const fromQuantity = line?.quantity || 0;
+    if (qty === fromQuantity) continue;
+
+    if (line) {
+      line.quantity = qty;
+    } else {
+      lines.push({
+        product: new mongoose.Types.ObjectId(String(productId)),
+        variant: variantId
+          ? new mongoose.Types.ObjectId(String(variantId))
+          : null,
+        quantity: qty,
+        priceAtPurchase: null,
+      });
+    }
+
+    const changed = line || lines.at(-1);
+    changes.push({
+      product: changed.product,
+      variant: changed.variant,
+      fromQuantity,
+      toQuantity: qty,
+    });
+  }
+
+  const remaining = lines.filter((line) => line.quantity > 0);
+  if (remaining.length === 0) {
+    throw createHttpError(
+      400,
+      "An order needs at least one item – cancel or refund it instead",
+    );
+  }
+
+  return { lines: remaining, changes };
+};
+
+/**
+ * Edit an order's lines and/or delivery address (SuperAdmin)
+ * @description Runs in a transaction: stock, the re-priced order and the edit
+ *              record commit together. Stripe is called last; a balance
+ *              PaymentIntent is cancelled if the write fails, and refunds are
+ *              keyed on the edit so a retry reuses them. A balance from an
+ *              earlier edit that is still unpaid is replaced by the new one.
+ * @async
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [params.items] - Quantity changes
+ * @param {Object} [params.address] - New structured address (recipientName, phone, line1, line2, city, postcode, country)
+ * @param {string} [params.note] - Why the order was edited, e.g. "Customer called to add a size M"
+ * @param {string} params.adminId - SuperAdmin making the edit
+ * @returns {Promise<{ order: Object, edit: Object, clientSecret: string|null }>}
+ * @throws {Error} With `statusCode` 400/404 for invalid edits
+ */
+const editOrder = async ({ orderId, items = [], address, note, adminId }) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw createHttpError(400, "Invalid order ID");
+  }
+
+  const session = await mongoose.startSession();
+  let paymentIntent = null;
+  let repricedPaymentIntent = null;
+  let supersededPaymentIntentIds = [];
+
+  try {
+    await session.withTransaction(async () => {
+      supersededPaymentIntentIds = [];
+
+      const order = await Order.findById(orderId).session(session);
+      if (!order) throw createHttpError(404, "Order not found");
+
+      assertEditable(order);
+
+      const { lines, changes } = applyLineChanges(order, items);
+      const currency = { code: order.currency, rate: order.exchangeRate };
+
+      // Move stock by the difference only – the original quantities are already held
+      for (const line of lines) {
+        const change = changes.find(
+          (c) =>
+            lineKey(c.product, c.variant) ===
+            lineKey(line.product, line.variant),
+        );
+        const added = change ? change.toQuantity - change.fromQuantity : 0;
+        if (added <= 0) continue;
+
+        const { orderItems } = await reserveStock(
+          [
+            {
+              productId: line.product,
+              variantId: line.variant,
+              quantity: added,
+            },
+          ],
+          session,
+        );
+        if (line.priceAtPurchase === null) {
+          const [reserved] = orderItems;
+          line.priceAtPurchase = convertAmount(
+            reserved.priceAtPurchase,
+            currency,
+          );
+          line.variantLabel = reserved.variantLabel;
+          line.sku = reserved.sku;
+        }
+      }
+      await releaseStock(
+        changes
+          .filter((c) => c.toQuantity < c.fromQuantity)
+          .map((c) => ({
+            product: c.product,
+            variant: c.variant,
+            quantity: c.fromQuantity - c.toQuantity,
+          })),
+        session,
+      );
+
+      // A new recipient or phone counts as a change even at the same address
+      const previousAddress = order.shippingAddress;
+      let addressChanged = false;
+      if (address) {
+        const details = snapshotAddress({
+          label: order.shippingAddressDetails?.label,
+          ...pickAddressFields(address),
+        });
+        addressChanged =
+          JSON.stringify(details) !==
+          JSON.stringify(snapshotAddress(order.shippingAddressDetails || {}));
+        order.shippingAddress = formatAddress(details);
+        order.shippingAddressDetails = details;
+      }
+
+      if (changes.length === 0 && !addressChanged) {
+        throw createHttpError(400, "Nothing to change on this order");
+      }
+
+      // Structured addresses are matched on their own city and country, older
+      // free-text orders on the customer's profile as at checkout
+      const destination =
+        order.shippingAddressDetails?.city || !order.user
+          ? {}
+          : (await User.findById(order.user).session(session)) || {};
+
+      let orderItems = lines;
+      const subtotal =
+        lines.reduce(
+          (sum, line) => sum + toCents(line.priceAtPurchase) * line.quantity,
+          0,
+        ) / 100;
+
+      if (order.discount?.coupon) {
+        const coupon = await Coupon.findById(order.discount.coupon).session(
+          session,
+        );
+        if (!coupon) {
+          throw createHttpError(
+            400,
+            `Coupon ${order.discount.code} no longer exists, so its discount cannot be re-priced`,
+          );
+        }
+
+        const { discountAmount, allocations } = await priceCoupon(
+          coupon,
+          lines,
+          currency,
+          session,
+        ).catch((err) => {
+          throw err.statusCode
+            ? createHttpError(
+                400,
+                `Coupon ${order.discount.code}: ${err.message}`,
+              )
+            : err;
+        });
+
+        orderItems = lines.map((line) => ({
+          ...line,
+          discountAmount:
+            allocations.get(lineKey(line.product, line.variant)) || 0,
+        }));
+        order.discount.amount = discountAmount;
+      }
+
+      const zone = await resolveShippingZone(
+        destination,
+        order.shippingAddress,
+      );
+      const { shippingCost } = calculateShippingCost(
+        zone,
+        {
+          itemsCount: orderItems.reduce((sum, item) => sum + item.quantity, 0),
+          subtotal,
+        },
+        currency,
+      );
+
+      const taxRule = await resolveTaxRule(destination, order.shippingAddress);
+      const {
+        items: taxedItems,
+        taxLines,
+        taxAmount,
+      } = await calculateTax(taxRule, orderItems, shippingCost);
+
+      const previousTotal = order.totalAmount;
+      const newTotal =
+        Math.round(
+          (subtotal - order.discount.amount + shippingCost + taxAmount) * 100,
+        ) / 100;
+
+      if (order.paymentMethod === "PAY_ON_DELIVERY") {
+        assertCashOnDelivery(zone, newTotal, currency);
+      }
+
+      order.items = taxedItems;
+      order.shippingCost = shippingCost;
+      order.taxLines = taxLines;
+      order.taxAmount = taxAmount;
+      order.totalAmount = newTotal;
+
+      // ──────────────────────────────────────────────────────
+      // Settle the difference (Stripe last so earlier failures never reach it)
+      // ──────────────────────────────────────────────────────
+      const editKey = `order-edit-${order._id}-${order.edits.length}`;
+      let adjustment = { type: "NONE", amount: 0, status: null };
+
+      if (
+        order.paymentMethod === "STRIPE" &&
+        order.paymentStatus === "PENDING"
+      ) {
+        adjustment = {
+          type: "PAYMENT_UPDATED",
+          amount: Math.abs(toCents(newTotal) - toCents(previousTotal)) / 100,
+          status: null,
+        };
+        await stripe.paymentIntents.update(order.stripePaymentIntentId, {
+          amount: toCents(newTotal),
+        });
+        repricedPaymentIntent = {
+          id: order.stripePaymentIntentId,
+          amount: toCents(previousTotal),
+        };
+      } else if (order.paymentMethod === "STRIPE") {
+        const collectedCents =
+          toCents(previousTotal) - getPendingBalanceCents(order);
+        const differenceCents = toCents(newTotal) - collectedCents;
+
+        for (const { adjustment: earlier } of order.edits) {
+          if (earlier.type === "CHARGE" && earlier.status === "PENDING") {
+            earlier.status = "CANCELLED";
+            supersededPaymentIntentIds.push(earlier.stripePaymentIntentId);
+          }
+        }
+
+        if (differenceCents > 0) {
+          paymentIntent = await stripe.paymentIntents.create(
+            {
+              amount: differenceCents,
+              currency: order.currency.toLowerCase(),
+              metadata: {
+                orderId: order._id.toString(),
+                orderEdit: String(order.edits.length),
+              },
+              automatic_payment_methods: {
+                enabled: true,
+              },
+            },
+            { idempotencyKey: `${editKey}-charge-${differenceCents}` },
+          );
+          adjustment = {
+            type: "CHARGE",
+            amount: differenceCents / 100,
+            status: "PENDING",
+            stripePaymentIntentId: paymentIntent.id,
+          };
+        } else if (differenceCents < 0) {
+          const refunds = await refundPayments(order, -differenceCents, {
+            key: `${editKey}-refund-${-differenceCents}`,
+            reason: "Order edited",
+          });
+          adjustment = {
+            type: "REFUND",
+            amount: -differenceCents / 100,
+            status: "REFUNDED",
+            stripeRefundIds: refunds.map((refund) => refund.id),
+          };
+        }
+      }
+
+      order.edits.push({
+        items: changes,
+        shippingAddress: addressChanged
+          ? { from: previousAddress, to: order.shippingAddress }
+          : undefined,
+        previousTotal,
+        newTotal,
+        adjustment,
+        note: note?.trim(),
+        editedBy: adminId,
+      });
+
+      await order.save({ session });
+    });
+  } catch (error) {
+    // The edit was rolled back – make sure the customer cannot pay for it
+    if (paymentIntent) {
+      await stripe.paymentIntents
+        .cancel(paymentIntent.id)
+        .catch((err) =>
+          console.error("Failed to cancel PaymentIntent:", err.message),
+        );
+    }
+    // ...and that the checkout payment asks for the old total again
+    if (repricedPaymentIntent) {
+      await stripe.paymentIntents
+        .update(repricedPaymentIntent.id, {
+          amount: repricedPaymentIntent.amount,
+        })
+        .catch((err) =>
+          console.error("Failed to restore PaymentIntent amount:", err.message),
+        );
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  for (const paymentIntentId of supersededPaymentIntentIds) {
+    await stripe.paymentIntents
+      .cancel(paymentIntentId)
+      .catch((err) =>
+        console.error("Failed to cancel superseded balance:", err.message),
+      );
+  }
+
+  const populatedOrder = await Order.findById(orderId)
+    .populate({
+      path: "items.product",
+      select: "title productImages price",
+    })
+    .populate({ path: "edits.items.product", select: "title" })
+    .populate("user", "userName email phone");
+
+  if (getOrderCustomer(populatedOrder)) {
+    sendOrderEditToUser(populatedOrder, populatedOrder.edits.at(-1)).catch(
+      (err) => console.error("Order edit email error:", err),
+    );
+  }
+
+  return {
+    order: populatedOrder,
+    edit: populatedOrder.edits.at(-1),
+    clientSecret: paymentIntent?.client_secret || null,
+  };
+};
+
+/**
+ * Record the outcome of a balance PaymentIntent from an order edit
+ * @description Called from the Stripe webhook for PaymentIntents carrying
+ *              `metadata.orderEdit`. Only a PENDING balance changes.
+ * @async
+ * @param {Object} paymentIntent - Stripe PaymentIntent
+ * @param {"PAID"|"CANCELLED"} status
+ * @returns {Promise<{ outcome: string, ignored?: boolean }>}
+ */
+const settleEditCharge = async (paymentIntent, status) => {
+  const order = await Order.findOne({
+    _id: paymentIntent.metadata.orderId,
+    "edits.adjustment.stripePaymentIntentId": paymentIntent.id,
+  });
+
+  if (!order) {
+    return {
+      outcome: `No order edit for payment ${paymentIntent.id}`,
+      ignored: true,
+    };
+  }
+
+  const { adjustment } = order.edits.find(
+    (e) => e.adjustment.stripePaymentIntentId === paymentIntent.id,
+  );
+
+  if (adjustment.status !== "PENDING") {
+    return {
+      outcome:
+        status === "PAID" && adjustment.status === "CANCELLED"
+          ? "Balance was replaced by a later edit – payment needs a manual refund"
+          : `Edit balance already ${adjustment.status}`,
+      ignored: true,
+    };
+  }
+
+  adjustment.status = status;
+  await order.save();
+
+  return { outcome: `Edit balance of ${adjustment.amount} marked ${status}` };
+};
+
+/**
+ * The unpaid balance a customer owes on their order after an edit
+ * @param {Object} order - Order document
+ * @returns {Object|null} The edit's adjustment (amount, stripePaymentIntentId) or null
+ */
+const findPendingBalance = (order) =>
+  order.edits.findLast(
+    ({ adjustment }) =>
+      adjustment.type === "CHARGE" && adjustment.status === "PENDING",
+  )?.adjustment || null;
+
+module.exports = {
+  editOrder,
+  settleEditCharge,
+  findPendingBalance,
+};
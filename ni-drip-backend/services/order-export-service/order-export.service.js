@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Order export for finance – CSV and JSON Lines
+ * @module services/orderExportService
+ * @description Orders are flattened into one row per line item. Each row
+ *              repeats the order's customer, shipping, totals and Stripe
+ *              PaymentIntent so a spreadsheet or accounting import can work
+ *              from the line alone. Orders are read through a cursor and
+ *              formatted one at a time, so exports of any size stream.
+ */
+
+const Order = require("../../models/order-model/order.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { getOrderCustomer } = require("../guest-service/guest.service");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "jsonl",
+  },
+};
+
+// Column order of the CSV header; JSON Lines rows use the same keys
+const EXPORT_COLUMNS = [
+  "orderId",
+  "invoiceNumber",
+  "createdAt",
+  "status",
+  "paymentStatus",
+  "paymentMethod",
+  "currency",
+  "customerName",
+  "customerEmail",
+  "customerPhone",
+  "shippingAddress",
+  "productId",
+  "productTitle",
+  "variant",
+  "sku",
+  "quantity",
+  "refundedQuantity",
+  "priceAtPurchase",
+  "lineSubtotal",
+  "lineDiscount",
+  "lineTax",
+  "couponCode",
+  "orderDiscount",
+  "shippingCost",
+  "orderTax",
+  "orderTotal",
+  "amountRefunded",
+  "stripePaymentIntentId",
+];
+
+/**
+ * Resolve an export format name
+ * @param {string} [format="csv"] - "csv" or "jsonl"
+ * @returns {{ name: string, contentType: string, extension: string }}
+ * @throws {Error} With `statusCode` 400 for unknown formats
+ */
+const resolveExportFormat = (format = "csv") => {
+  const name = String(format).toLowerCase();
+  if (!EXPORT_FORMATS[name]) {
+    throw createHttpError(400, "Export format must be csv or jsonl");
+  }
+
+  return { name, ...EXPORT_FORMATS[name] };
+};
+
+/**
+ * Flatten an order into one export row per line item
+ * @param {Object} order - Order with `items.product` and `user` populated
+ * @returns {Array<Object>} Rows keyed by EXPORT_COLUMNS
+ */
+const buildExportRows = (order) => {
+  const customer = getOrderCustomer(order);
+
+  return order.items.map((item) => ({
+    orderId: order._id.toString(),
+    invoiceNumber: order.invoiceNumber || null,
+    createdAt: order.createdAt.toISOString(),
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    paymentMethod: order.paymentMethod,
+    currency: order.currency,
+    customerName: customer?.userName || null,
+    customerEmail: customer?.email || null,
+    customerPhone: customer?.phone ? String(customer.phone) : null,
+    shippingAddress: order.shippingAddress,
+    productId: item.product?._id?.toString() || null,
+    productTitle: item.product?.title || null,
+    variant: item.variantLabel || null,
+    sku: item.sku || null,
+    quantity: item.quantity,
+    refundedQuantity: item.refundedQuantity || 0,
+    priceAtPurchase: item.priceAtPurchase,
+    lineSubtotal: Math.round(item.priceAtPurchase * item.quantity * 100) / 100,
+    lineDiscount: item.discountAmount || 0,
+    lineTax: item.taxAmount || 0,
+    couponCode: order.discount?.code || null,
+    orderDiscount: order.discount?.amount || 0,
+    shippingCost: order.shippingCost || 0,
+    orderTax: order.taxAmount || 0,
+    orderTotal: order.totalAmount,
+    amountRefunded: order.amountRefunded || 0,
+    stripePaymentIntentId: order.stripePaymentIntentId || null,
+  }));
+};
+
+/**
+ * Quote a CSV cell when needed. Text that a spreadsheet would run as a
+ * formula (=, +, -, @) is prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value !== "string") return String(value);
+
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one export row
+ * @param {Object} row - From buildExportRows
+ * @param {string} format - "csv" or "jsonl"
+ * @returns {string} The row followed by a line break
+ */
+const formatExportRow = (row, format) =>
+  format === "csv"
+    ? `${EXPORT_COLUMNS.map((column) => toCsvCell(row[column])).join(",")}\r\n`
+    : `${JSON.stringify(row)}\n`;
+
+/**
+ * Stream the export, one chunk of text per order
+ * @async
+ * @generator
+ * @param {Object} filter - From orderQueryService.buildOrderFilter
+ * @param {string} format - "csv" or "jsonl"
+ * @yields {string} The CSV header first, then the rows of each order, oldest first
+ */
+async function* streamOrderExport(filter, format) {
+  if (format === "csv") yield `${EXPORT_COLUMNS.join(",")}\r\n`;
+
+  const cursor = Order.find(filter)
+    .populate({ path: "items.product", select: "title" })
+    .populate("user", "userName email phone")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const order of cursor) {
+    yield buildExportRows(order)
+      .map((row) => formatExportRow(row, format))
+      .join("");
+  }
+}
+
+module.exports = {
+  resolveExportFormat,
+  buildExportRows,
+  streamOrderExport,
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Admin order queries – filters, search, sorting and pages
+ * @module services/orderQueryService
+ * @description Turns the query string of the admin order list (and the
+ *              finance export) into a Mongo filter. Customer email and text
+ *              search also match registered customers through the User
+ *              collection, since orders only store a reference to them.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { escapeRegex } = require("../../helpers/regex-helper/regex.helper");
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields the order list can be sorted by
+const SORT_FIELDS = ["createdAt", "totalAmount", "status", "paymentStatus"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a date bound of a range filter
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} endOfDay - Push a bare date to the end of that day (for `to`)
+ * @returns {Date}
+ * @throws {Error} With `statusCode` 400 for unparseable dates
+ */
+const parseRangeDate = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `Invalid date: ${value}`);
+  }
+
+  if (endOfDay && DATE_ONLY_REGEX.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date;
+};
+
+/**
+ * Parse an amount bound of a range filter
+ * @param {string} value
+ * @param {string} name - Query parameter, for the error message
+ * @returns {number}
+ * @throws {Error} With `statusCode` 400 for negative or non-numeric values
+ */
+const parseAmount = (value, name) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw createHttpError(400, `${name} must be a positive number`);
+  }
+
+  return amount;
+};
+
+/**
+ * Read a comma-separated list of enum values from the query
+ * @param {string} [value] - e.g. "PAID,PARTIALLY_REFUNDED"
+ * @param {string} path - Order schema path the values belong to
+ * @returns {Array<string>|null} null when no filter was sent
+ * @throws {Error} With `statusCode` 400 for values the schema does not allow
+ */
+const parseEnumList = (value, path) => {
+  if (!value) return null;
+
+  const allowed = Order.schema.path(path).enumValues;
+  const values = String(value)
+    .split(",")
+    .map((entry) => entry.trim().toUpperCase())
+    .filter(Boolean);
+
+  const invalid = values.find((entry) => !allowed.includes(entry));
+  if (invalid) throw createHttpError(400, `Invalid ${path}: ${invalid}`);
+
+  return values;
+};
+
+/**
+ * Conditions matching orders whose customer (registered or guest) fits a pattern
+ * @async
+ * @param {RegExp} pattern
+ * @param {Array<string>} userFields - User fields to test, e.g. ["email"]
+ * @param {Array<string>} guestFields - Order guest fields to test, e.g. ["guest.email"]
+ * @returns {Promise<Array<Object>>} `$or` branches
+ */
+const matchCustomer = async (pattern, userFields, guestFields) => {
+  const users = await User.find({
+    $or: userFields.map((field) => ({ [field]: pattern })),
+  }).select("_id");
+
+  return [
+    ...(users.length ? [{ user: { $in: users.map((user) => user._id) } }] : []),
+    ...guestFields.map((field) => ({ [field]: pattern })),
+  ];
+};
+
+/**
+ * Build the order filter for the admin list and the export
+ * @async
+ * @param {Object} query - Request query
+ * @param {string} [query.status] - Comma-separated order statuses
+ * @param {string} [query.paymentStatus] - Comma-separated payment statuses
+ * @param {string} [query.paymentMethod] - Comma-separated payment methods
+ * @param {string} [query.from] - Placed on or after (ISO date)
+ * @param {string} [query.to] - Placed on or before (a bare date includes the whole day)
+ * @param {string} [query.email] - Part of the customer's email (account or guest)
+ * @param {string} [query.minTotal] - Smallest order total
+ * @param {string} [query.maxTotal] - Largest order total
+ * @param {string} [query.search] - Order number (or its last characters), invoice
+ *        number, PaymentIntent id, customer name or email
+ * @returns {Promise<Object>} Mongo filter
+ * @throws {Error} With `statusCode` 400 for invalid filters
+ */
+const buildOrderFilter = async (query = {}) => {
+  const { from, to, minTotal, maxTotal } = query;
+  const filter = {};
+  const conditions = [];
+
+  const statuses = parseEnumList(query.status, "status");
+  if (statuses) filter.status = { $in: statuses };
+
+  const paymentStatuses = parseEnumList(query.paymentStatus, "paymentStatus");
+  if (paymentStatuses) filter.paymentStatus = { $in: paymentStatuses };
+
+  const paymentMethods = parseEnumList(query.paymentMethod, "paymentMethod");
+  if (paymentMethods) filter.paymentMethod = { $in: paymentMethods };
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseRangeDate(from, false);
+    if (to) filter.createdAt.$lte = parseRangeDate(to, true);
+
+    if (from && to && filter.createdAt.$gte > filter.createdAt.$lte) {
+      throw createHttpError(400, "`from` must be before `to`");
+    }
+  }
+
+  if (minTotal || maxTotal) {
+    filter.totalAmount = {};
+    if (minTotal) filter.totalAmount.$gte = parseAmount(minTotal, "minTotal");
+    if (maxTotal) filter.totalAmount.$lte = parseAmount(maxTotal, "maxTotal");
+  }
+
+  const email = String(query.email ?? "").trim();
+  if (email) {
+    const pattern = new RegExp(escapeRegex(email), "i");
+    conditions.push({
+      $or: await matchCustomer(pattern, ["email"], ["guest.email"]),
+    });
+  }
+
+  const search = String(query.search ?? "")
+    .trim()
+    .replace(/^#/, "");
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    const branches = [
+      { invoiceNumber: pattern },
+      { stripePaymentIntentId: search },
+      ...(await matchCustomer(
+        pattern,
+        ["userName", "email"],
+        ["guest.name", "guest.email"],
+      )),
+    ];
+
+    if (mongoose.isValidObjectId(search)) {
+      branches.push({ _id: search });
+    } else if (/^[0-9a-f]{4,23}$/i.test(search)) {
+      // The admin shows orders as "#" + the last six characters of the id
+      branches.push({
+        $expr: {
+          $regexMatch: {
+            input: { $toString: "$_id" },
+            regex: `${search}$`,
+            options: "i",
+          },
+        },
+      });
+    }
+
+    conditions.push({ $or: branches });
+  }
+
+  if (conditions.length) filter.$and = conditions;
+
+  return filter;
+};
+
+/**
+ * Resolve the sort of the admin order list
+ * @param {Object} query - Request query
+ * @param {string} [query.sortBy="createdAt"] - One of SORT_FIELDS
+ * @param {string} [query.sortOrder="desc"] - "asc" or "desc"
+ * @returns {Object} Mongoose sort, with `_id` as tie-breaker so pages are stable
+ * @throws {Error} With `statusCode` 400 for unknown fields or directions
+ */
+const resolveOrderSort = ({
+  sortBy = "createdAt",
+  sortOrder = "desc",
+} = {}) => {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw createHttpError(
+      400,
+      `sortBy must be one of ${SORT_FIELDS.join(", ")}`,
+    );
+  }
+  if (!["asc", "desc"].includes(sortOrder)) {
+    throw createHttpError(400, "sortOrder must be asc or desc");
+  }
+
+  const direction = sortOrder === "asc" ? 1 : -1;
+  return { [sortBy]: direction, _id: direction };
+};
+
+/**
+ * Read the page of the admin order list
+ * @param {Object} query - Request query
+ * @param {string} [query.page=1]
+ * @param {string} [query.limit=20] - Capped at MAX_PAGE_SIZE
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const resolvePage = ({ page, limit } = {}) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  return {
+    page: pageNumber,
+    limit: pageSize,
+    skip: (pageNumber - 1) * pageSize,
+  };
+};
+
+module.exports = {
+  buildOrderFilter,
+  resolveOrderSort,
+  resolvePage,
+};
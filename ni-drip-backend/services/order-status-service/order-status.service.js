@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Order status state machine
+ * @module services/orderStatusService
+ * @description Every fulfillment status change goes through the transition
+ *              table below and is appended to the order's `statusHistory`
+ *              with the actor who made it. Illegal jumps (e.g. PENDING →
+ *              DELIVERED) are rejected with a 400.
+ */
+
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+/**
+ * Allowed next statuses per status. Refund statuses are only reached through
+ * the refund engine: a full refund at any point after payment, a partial one
+ * only once the order was delivered (before that it shows in `paymentStatus`
+ * alone). CANCELLED and REFUNDED are terminal.
+ * @type {Object<string, string[]>}
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ["PROCESSING", "CANCELLED"],
+  PROCESSING: ["SHIPPED", "CANCELLED", "REFUNDED"],
+  SHIPPED: ["DELIVERED", "REFUNDED"],
+  DELIVERED: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  PARTIALLY_REFUNDED: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+/**
+ * Check whether an order may move between two statuses
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Build a status history entry
+ * @param {string|null} from - Previous status (null when the order is created)
+ * @param {string} to
+ * @param {Object} [by]
+ * @param {"CUSTOMER"|"SUPERADMIN"|"SYSTEM"} [by.actor="SYSTEM"]
+ * @param {string|ObjectId|null} [by.actorId]
+ * @param {string} [by.note]
+ * @returns {Object}
+ */
+const buildStatusEntry = (
+  from,
+  to,
+  { actor = "SYSTEM", actorId, note } = {},
+) => ({
+  from,
+  to,
+  actor,
+  actorId: actorId || null,
+  note: note?.trim() || undefined,
+  changedAt: new Date(),
+});
+
+/**
+ * Move an order document to a new status and record it (the caller saves)
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {Object} [by] - Actor and note, see buildStatusEntry
+ * @returns {Object} The order
+ * @throws {Error} With `statusCode` 400 when the transition is not allowed
+ */
+const transitionOrder = (order, to, by) => {
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    const allowed = ORDER_STATUS_TRANSITIONS[from] || [];
+    throw createHttpError(
+      400,
+      allowed.length
+        ? `Cannot move order from ${from} to ${to}. Allowed: ${allowed.join(", ")}`
+        : `Cannot move order from ${from} – ${from} is final`,
+    );
+  }
+
+  order.status = to;
+  order.statusHistory.push(buildStatusEntry(from, to, by));
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  buildStatusEntry,
+  transitionOrder,
+};
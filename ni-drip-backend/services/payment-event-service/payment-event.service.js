@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Stripe webhook event log – deduplication and outcomes
+ * @module services/paymentEventService
+ * @description Every verified webhook delivery is stored by its Stripe event
+ *              ID before it is handled. A delivery is only processed when it
+ *              can claim the event, so Stripe retries and parallel deliveries
+ *              of the same event run the handler at most once. Failed events
+ *              are released again so the next Stripe retry can pick them up.
+ */
+
+const mongoose = require("mongoose");
+const PaymentEvent = require("../../models/payment-event-model/payment-event.model");
+const Order = require("../../models/order-model/order.model");
+
+// A claim older than this is treated as a crashed run and may be taken over
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Find the order a Stripe object belongs to
+ * @async
+ * @param {Object} object - event.data.object (PaymentIntent, Charge, Dispute…)
+ * @returns {Promise<{ orderId: ObjectId|null, paymentIntentId: string|null }>}
+ */
+const resolveEventOrder = async (object) => {
+  const paymentIntentId =
+    object.object === "payment_intent" ? object.id : object.payment_intent;
+  const metadataOrderId = object.metadata?.orderId;
+
+  if (metadataOrderId && mongoose.Types.ObjectId.isValid(metadataOrderId)) {
+    return {
+      orderId: new mongoose.Types.ObjectId(metadataOrderId),
+      paymentIntentId: paymentIntentId || null,
+    };
+  }
+
+  if (!paymentIntentId) return { orderId: null, paymentIntentId: null };
+
+  const order = await Order.findOne({
+    stripePaymentIntentId: paymentIntentId,
+  }).select("_id");
+
+  return { orderId: order?._id || null, paymentIntentId };
+};
+
+/**
+ * Store a verified event and try to claim it for processing
+ * @async
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<{ paymentEvent: Object, claimed: boolean }>} `claimed` is
+ *          false when the event was already handled or is being handled
+ */
+const recordPaymentEvent = async (event) => {
+  const { orderId, paymentIntentId } = await resolveEventOrder(
+    event.data.object,
+  );
+
+  try {
+    await PaymentEvent.updateOne(
+      { stripeEventId: event.id },
+      {
+        $setOnInsert: {
+          type: event.type,
+          order: orderId,
+          paymentIntentId,
+          payload: event,
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    // Two deliveries raced on the insert – the other one created it
+    if (error.code !== 11000) throw error;
+  }
+
+  const paymentEvent = await PaymentEvent.findOneAndUpdate(
+    {
+      stripeEventId: event.id,
+      $or: [
+        { status: { $in: ["RECEIVED", "FAILED"] } },
+        {
+          status: "PROCESSING",
+          updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) },
+        },
+      ],
+    },
+    { status: "PROCESSING", error: null, $inc: { attempts: 1 } },
+    { new: true },
+  );
+
+  if (paymentEvent) return { paymentEvent, claimed: true };
+
+  return {
+    paymentEvent: await PaymentEvent.findOne({ stripeEventId: event.id }),
+    claimed: false,
+  };
+};
+
+/**
+ * Store the result of a handled event
+ * @async
+ * @param {ObjectId} id - PaymentEvent ID
+ * @param {{ outcome: string, ignored?: boolean }} result
+ */
+const completePaymentEvent = (id, { outcome, ignored = false }) =>
+  PaymentEvent.updateOne(
+    { _id: id },
+    {
+      status: ignored ? "IGNORED" : "PROCESSED",
+      outcome,
+      processedAt: new Date(),
+    },
+  );
+
+/**
+ * Release a failed event so a later Stripe retry processes it again
+ * @async
+ * @param {ObjectId} id - PaymentEvent ID
+ * @param {Error} error
+ */
+const failPaymentEvent = (id, error) =>
+  PaymentEvent.updateOne(
+    { _id: id },
+    { status: "FAILED", error: error.message },
+  );
+
+module.exports = {
+  recordPaymentEvent,
+  completePaymentEvent,
+  failPaymentEvent,
+};
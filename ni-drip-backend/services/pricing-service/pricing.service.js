@@ -0,0 +1,494 @@
+/**
+ * @fileoverview Sale prices, scheduled price changes and price history
+ * @module services/pricingService
+ * @description `price` of a product (or variant) is always what it sells for
+ *              right now, so checkout, listings, filters and sorting need no
+ *              knowledge of sales. While a sale runs the regular price moves
+ *              to `compareAtPrice`, which the apps show struck through.
+ *              Sales and scheduled changes are applied by the price job
+ *              (helpers/cronJobs/priceSchedule); every change is kept in
+ *              `priceHistory`. Functions that change prices work on a product
+ *              document loaded with `+scheduledPrices +priceHistory`; the
+ *              caller saves it.
+ */
+
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { describeVariant } = require("../variant-service/variant.service");
+
+const MAX_PRICE_HISTORY = 100;
+const MAX_SCHEDULED_PRICES = 20;
+
+/**
+ * Round to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Lines that carry a price: each variant, or the product without variants
+ * @param {Object} product
+ * @returns {Array<Object>}
+ */
+const priceLinesOf = (product) =>
+  product.variants?.length ? product.variants : [product];
+
+/**
+ * Regular (not discounted) price of a product or variant
+ * @param {Object} line
+ * @returns {number}
+ */
+const regularPriceOf = (line) => line.compareAtPrice ?? line.price;
+
+/**
+ * Price of a line under a sale
+ * @param {Object} sale
+ * @param {number} regularPrice
+ * @returns {number} Never above the regular price
+ */
+const salePriceOf = (sale, regularPrice) =>
+  Math.min(
+    sale.price ?? roundMoney(regularPrice * (1 - sale.percentOff / 100)),
+    regularPrice,
+  );
+
+/**
+ * Whether the sale prices of a product are live
+ * @param {Object} product
+ * @returns {boolean}
+ */
+const isSaleApplied = (product) => Boolean(product.sale?.appliedAt);
+
+/**
+ * Set a line's selling price from its regular price and the running sale
+ * @param {Object} line - Product or variant
+ * @param {number} regularPrice
+ * @param {Object|null} sale - Applied sale, or null
+ */
+const setLinePrice = (line, regularPrice, sale) => {
+  const price = sale ? salePriceOf(sale, regularPrice) : regularPrice;
+  line.price = price;
+  line.compareAtPrice = price < regularPrice ? regularPrice : null;
+};
+
+/**
+ * Keep a product with variants at its lowest variant price, with the regular
+ * price of that variant as its compare-at price
+ * @param {Object} product
+ */
+const syncProductPrice = (product) => {
+  if (!product.variants?.length) return;
+
+  const cheapest = product.variants.reduce((min, variant) =>
+    variant.price < min.price ? variant : min,
+  );
+  product.price = cheapest.price;
+  product.compareAtPrice = cheapest.compareAtPrice ?? null;
+};
+
+/**
+ * History entry for the current price of a line
+ * @param {Object} product
+ * @param {Object} line - The product or one of its variants
+ * @param {string} reason - CREATED, MANUAL, SCHEDULED, SALE_START or SALE_END
+ * @param {string|null} [changedBy] - SuperAdmin id
+ * @returns {Object}
+ */
+const buildPriceEntry = (product, line, reason, changedBy = null) => ({
+  variant: line === product ? null : line._id,
+  price: line.price,
+  compareAtPrice: line.compareAtPrice ?? null,
+  reason,
+  changedAt: new Date(),
+  changedBy,
+});
+
+/**
+ * Append entries to the price history, keeping the most recent ones
+ * @param {Object} product
+ * @param {Array<Object>} entries
+ */
+const pushPriceHistory = (product, entries) => {
+  product.priceHistory.push(...entries);
+  const excess = product.priceHistory.length - MAX_PRICE_HISTORY;
+  if (excess > 0) product.priceHistory.splice(0, excess);
+};
+
+/**
+ * Put the sale prices of a product live
+ * @param {Object} product - With `sale`, `+priceHistory`
+ * @param {string|null} [changedBy]
+ */
+const startSale = (product, changedBy = null) => {
+  const lines = priceLinesOf(product);
+  for (const line of lines) {
+    setLinePrice(line, regularPriceOf(line), product.sale);
+  }
+  product.sale.appliedAt = new Date();
+  syncProductPrice(product);
+  pushPriceHistory(
+    product,
+    lines.map((line) =>
+      buildPriceEntry(product, line, "SALE_START", changedBy),
+    ),
+  );
+};
+
+/**
+ * End the sale of a product, bringing back the regular prices if it had started
+ * @param {Object} product - With `+priceHistory`
+ * @param {string|null} [changedBy]
+ */
+const endSale = (product, changedBy = null) => {
+  if (isSaleApplied(product)) {
+    const lines = priceLinesOf(product);
+    for (const line of lines) {
+      setLinePrice(line, regularPriceOf(line), null);
+    }
+    syncProductPrice(product);
+    pushPriceHistory(
+      product,
+      lines.map((line) =>
+        buildPriceEntry(product, line, "SALE_END", changedBy),
+      ),
+    );
+  }
+  product.sale = null;
+};
+
+/**
+ * Change the regular price of a product or variant; a running sale stays
+ * applied on top of it
+ * @param {Object} product - With `+priceHistory`
+ * @param {{ variant?: ObjectId|string|null, price: number }} change
+ * @param {string} reason - MANUAL or SCHEDULED
+ * @param {string|null} [changedBy]
+ * @returns {boolean} false when the variant no longer exists
+ */
+const changeRegularPrice = (product, change, reason, changedBy = null) => {
+  const line = change.variant
+    ? product.variants.find((v) => v._id.toString() === String(change.variant))
+    : product;
+  if (!line || (!change.variant && product.variants?.length)) return false;
+
+  setLinePrice(
+    line,
+    change.price,
+    isSaleApplied(product) ? product.sale : null,
+  );
+  syncProductPrice(product);
+  pushPriceHistory(product, [
+    buildPriceEntry(product, line, reason, changedBy),
+  ]);
+  return true;
+};
+
+/**
+ * Apply whatever is due on a product: scheduled changes, then the start or
+ * end of its sale
+ * @param {Object} product - With `+scheduledPrices +priceHistory`
+ * @param {Date} [now]
+ * @returns {boolean} true when anything changed
+ */
+const applyDuePriceChanges = (product, now = new Date()) => {
+  let changed = false;
+
+  const due = product.scheduledPrices
+    .filter((change) => change.effectiveAt <= now)
+    .sort((a, b) => a.effectiveAt - b.effectiveAt);
+  for (const change of due) {
+    // A change for a variant removed since is dropped
+    changeRegularPrice(product, change, "SCHEDULED", change.createdBy);
+    product.scheduledPrices.pull(change._id);
+    changed = true;
+  }
+
+  const { sale } = product;
+  if (sale && sale.endsAt <= now) {
+    endSale(product);
+    changed = true;
+  } else if (sale && !sale.appliedAt && sale.startsAt <= now) {
+    startSale(product);
+    changed = true;
+  }
+
+  return changed;
+};
+
+/**
+ * Read a date sent by the admin
+ * @param {*} value
+ * @param {string} field - For the error message
+ * @returns {Date}
+ * @throws {Error} With `statusCode` 400 when not a valid date
+ */
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Validate a sale sent by the admin
+ * @param {Object} product
+ * @param {Object} body
+ * @param {number} [body.price] - Fixed sale price (products without variants)
+ * @param {number} [body.percentOff] - 1–90, for any product
+ * @param {string} [body.startsAt] - Defaults to now
+ * @param {string} body.endsAt
+ * @param {Date} [now]
+ * @returns {Object} Sale for `product.sale`
+ * @throws {Error} With `statusCode` 400 on invalid input
+ */
+const parseSale = (product, body, now = new Date()) => {
+  const hasPrice = body.price !== undefined && body.price !== "";
+  const hasPercent = body.percentOff !== undefined && body.percentOff !== "";
+
+  if (hasPrice === hasPercent) {
+    throw createHttpError(400, "Give either a sale price or a percentage off");
+  }
+
+  let price = null;
+  let percentOff = null;
+
+  if (hasPrice) {
+    if (product.variants?.length) {
+      throw createHttpError(
+        400,
+        "Products with variants go on sale by a percentage off",
+      );
+    }
+    price = Number(body.price);
+    if (!Number.isFinite(price) || price < 0) {
+      throw createHttpError(400, "Sale price must be 0 or more");
+    }
+    if (price >= regularPriceOf(product)) {
+      throw createHttpError(400, "Sale price must be below the regular price");
+    }
+    price = roundMoney(price);
+  } else {
+    percentOff = Number(body.percentOff);
+    if (!Number.isFinite(percentOff) || percentOff < 1 || percentOff > 90) {
+      throw createHttpError(400, "Percentage off must be between 1 and 90");
+    }
+  }
+
+  const startsAt = body.startsAt ? parseDate(body.startsAt, "startsAt") : now;
+  const endsAt = parseDate(body.endsAt, "endsAt");
+  if (endsAt <= startsAt || endsAt <= now) {
+    throw createHttpError(
+      400,
+      "A sale must end after it starts and in the future",
+    );
+  }
+
+  return { price, percentOff, startsAt, endsAt, appliedAt: null };
+};
+
+/**
+ * Validate a scheduled price change sent by the admin
+ * @param {Object} product - With `+scheduledPrices`
+ * @param {Object} body
+ * @param {number} body.price - New regular price
+ * @param {string} [body.variantId] - Required for products with variants
+ * @param {string} body.effectiveAt - Future date
+ * @param {Date} [now]
+ * @returns {{ variant: ObjectId|null, price: number, effectiveAt: Date }}
+ * @throws {Error} With `statusCode` 400 on invalid input
+ */
+const parseScheduledPrice = (product, body, now = new Date()) => {
+  const price = Number(body.price);
+  if (body.price === "" || !Number.isFinite(price) || price < 0) {
+    throw createHttpError(400, "Price must be 0 or more");
+  }
+
+  let variant = null;
+  if (product.variants?.length) {
+    variant = product.variants.find(
+      (v) => v._id.toString() === String(body.variantId),
+    );
+    if (!variant) {
+      throw createHttpError(400, "Choose the variant the price is for");
+    }
+  } else if (body.variantId) {
+    throw createHttpError(400, `${product.title} has no variants`);
+  }
+
+  const effectiveAt = parseDate(body.effectiveAt, "effectiveAt");
+  if (effectiveAt <= now) {
+    throw createHttpError(
+      400,
+      "A scheduled price must take effect in the future",
+    );
+  }
+
+  if (product.scheduledPrices.length >= MAX_SCHEDULED_PRICES) {
+    throw createHttpError(
+      400,
+      `A product can have at most ${MAX_SCHEDULED_PRICES} scheduled prices`,
+    );
+  }
+
+  return {
+    variant: variant?._id || null,
+    price: roundMoney(price),
+    effectiveAt,
+  };
+};
+
+/**
+ * Check price edits made through updateProduct and record them
+ * @description While a sale runs the selling prices are sale prices, so they
+ *              cannot be edited directly – the admin ends the sale or
+ *              schedules the change. Kept variants carry their compare-at
+ *              price over.
+ * @param {Object} product - Current product
+ * @param {Object} updates - Update of updateProduct (`price`, `variants`); completed in place
+ * @param {string} changedBy - SuperAdmin id
+ * @returns {Array<Object>} History entries for the changed prices
+ * @throws {Error} With `statusCode` 409 when a price changes during a sale
+ */
+const preparePriceUpdate = (product, updates, changedBy) => {
+  const onSale = isSaleApplied(product);
+  const saleError = () =>
+    createHttpError(
+      409,
+      "End the sale or schedule the change before editing prices",
+    );
+
+  if (updates.variants) {
+    const previousById = new Map(
+      product.variants.map((variant) => [variant._id.toString(), variant]),
+    );
+    const changed = updates.variants.filter((variant) => {
+      const previous = previousById.get(variant._id.toString());
+      if (onSale && previous) {
+        if (variant.price !== previous.price) throw saleError();
+        variant.compareAtPrice = previous.compareAtPrice;
+      } else if (onSale) {
+        // A variant added during a sale joins it
+        setLinePrice(variant, variant.price, product.sale);
+      }
+      return !previous || variant.price !== previous.price;
+    });
+    if (updates.variants.length) {
+      const draft = { variants: updates.variants };
+      syncProductPrice(draft);
+      updates.compareAtPrice = draft.compareAtPrice;
+    } else {
+      updates.compareAtPrice = null;
+    }
+    return changed.map((variant) =>
+      buildPriceEntry(product, variant, "MANUAL", changedBy),
+    );
+  }
+
+  if (updates.price === undefined || updates.price === product.price) {
+    return [];
+  }
+  if (onSale) throw saleError();
+  return [
+    {
+      ...buildPriceEntry(product, product, "MANUAL", changedBy),
+      price: updates.price,
+      compareAtPrice: null,
+    },
+  ];
+};
+
+/**
+ * History entries for a new product
+ * @param {Object} product - Unsaved product
+ * @param {string} changedBy - SuperAdmin id
+ * @returns {Array<Object>}
+ */
+const initialPriceHistory = (product, changedBy) =>
+  priceLinesOf(product).map((line) =>
+    buildPriceEntry(product, line, "CREATED", changedBy),
+  );
+
+/**
+ * Pricing of a product for the admin panel
+ * @param {Object} product - With `+scheduledPrices +priceHistory`
+ * @returns {Object} Prices, sale, scheduled changes (soonest first) and history
+ *          (newest first); entries name their variant in `variantLabel`
+ */
+const toPricingView = (product) => {
+  const labelOf = (variantId) => {
+    const variant =
+      variantId &&
+      product.variants.find((v) => v._id.toString() === variantId.toString());
+    return describeVariant(variant || null);
+  };
+
+  return {
+    productId: product._id,
+    title: product.title,
+    price: product.price,
+    compareAtPrice: product.compareAtPrice ?? null,
+    sale: product.sale,
+    variants: product.variants.map((variant) => ({
+      _id: variant._id,
+      sku: variant.sku,
+      label: describeVariant(variant),
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice ?? null,
+    })),
+    scheduledPrices: [...product.scheduledPrices]
+      .sort((a, b) => a.effectiveAt - b.effectiveAt)
+      .map((change) => ({
+        ...change.toObject(),
+        variantLabel: labelOf(change.variant),
+      })),
+    priceHistory: [...product.priceHistory].reverse().map((entry) => ({
+      ...entry.toObject(),
+      variantLabel: labelOf(entry.variant),
+    })),
+  };
+};
+
+/**
+ * Bring cart lines to the current price of their product or variant
+ * @description Cart lines keep the unit price they were added at. When a sale
+ *              starts or ends, or a scheduled price lands, the next read of
+ *              the cart moves them to the live price (checkout charges the
+ *              live price either way).
+ * @param {Array<Object>} items - Lines from attachCartVariants
+ * @returns {{ items: Array<Object>, repriced: Array<Object> }} Every line, and the
+ *          lines whose price moved; those carry `previousUnitPrice`
+ */
+const repriceCartItems = (items) => {
+  const repriced = [];
+
+  const updated = items.map((item) => {
+    const unitPrice = item.variant?.price ?? item.productId?.price;
+    if (unitPrice === undefined || unitPrice === item.unitPrice) return item;
+
+    const line = {
+      ...item,
+      unitPrice,
+      totalPrice: unitPrice * item.quantity,
+      previousUnitPrice: item.unitPrice,
+    };
+    repriced.push(line);
+    return line;
+  });
+
+  return { items: updated, repriced };
+};
+
+module.exports = {
+  MAX_PRICE_HISTORY,
+  isSaleApplied,
+  startSale,
+  endSale,
+  applyDuePriceChanges,
+  parseSale,
+  parseScheduledPrice,
+  preparePriceUpdate,
+  initialPriceHistory,
+  toPricingView,
+  repriceCartItems,
+};
@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Product listing – filters, facet counts, sorting and pages
+ * @module services/productQueryService
+ * @description Turns the query string of the product list into one
+ *              aggregation. Filters are category, price range, minimum
+ *              average rating, in-stock only and specification name/value
+ *              pairs. Facet counts are disjunctive: the counts of a filter
+ *              are computed with every other filter applied but not itself,
+ *              so the customer can still see (and pick) the alternatives to
+ *              what is already selected.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const Category = require("../../models/category-model/category.model");
+const {
+  resolveCategoryIds,
+  withDescendants,
+} = require("../category-service/category.service");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { escapeRegex } = require("../../helpers/regex-helper/regex.helper");
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { averageRating: -1, totalRatings: -1, _id: 1 },
+  popularity: { popularity: -1, averageRating: -1, _id: 1 },
+};
+
+const STATUSES = ["ACTIVE", "INACTIVE"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// "4 stars & up" style rating facets
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const PRICE_BUCKETS = 5;
+
+const MAX_SPEC_FILTERS = 10;
+
+// Specification facets list the most common names and values only
+const MAX_SPEC_FACET_NAMES = 12;
+const MAX_SPEC_FACET_VALUES = 15;
+
+/**
+ * Case-insensitive whole-string pattern
+ * @param {string} text
+ * @returns {RegExp}
+ */
+const exactPattern = (text) => new RegExp(`^${escapeRegex(text)}$`, "i");
+
+/**
+ * `popularity` is the number of ratings and reviews, as products keep no
+ * sales counter
+ */
+const POPULARITY_STAGE = {
+  $addFields: {
+    popularity: {
+      $add: [
+        { $ifNull: ["$totalRatings", 0] },
+        { $ifNull: ["$totalReviews", 0] },
+      ],
+    },
+  },
+};
+
+/**
+ * Parse a non-negative number of the query
+ * @param {string} value
+ * @param {string} name - Query parameter, for the error message
+ * @returns {number}
+ * @throws {Error} With `statusCode` 400 for negative or non-numeric values
+ */
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw createHttpError(400, `${name} must be a positive number`);
+  }
+
+  return number;
+};
+
+/**
+ * Read the specification filters of the query
+ * @param {string|Array<string>} [spec] - One or more "Name:Value" pairs
+ * @returns {Map<string, { pattern: RegExp, values: Array<string> }>}
+ *          Keyed by lower-case name; values of one name are alternatives
+ * @throws {Error} With `statusCode` 400 for malformed pairs
+ */
+const parseSpecFilters = (spec) => {
+  const pairs = [].concat(spec ?? []).filter(Boolean);
+  if (pairs.length > MAX_SPEC_FILTERS) {
+    throw createHttpError(
+      400,
+      `At most ${MAX_SPEC_FILTERS} specification filters are allowed`,
+    );
+  }
+
+  const filters = new Map();
+  for (const pair of pairs) {
+    const separator = String(pair).indexOf(":");
+    const name = String(pair).slice(0, separator).trim();
+    const value = String(pair)
+      .slice(separator + 1)
+      .trim();
+
+    if (separator < 0 || !name || !value) {
+      throw createHttpError(400, `Invalid specification filter: ${pair}`);
+    }
+
+    const key = name.toLowerCase();
+    if (!filters.has(key)) {
+      filters.set(key, { pattern: exactPattern(name), values: [] });
+    }
+    filters.get(key).values.push(value);
+  }
+
+  return filters;
+};
+
+/**
+ * Build the filter of the product list, one condition per facet
+ * @async
+ * @param {Object} query - Request query
+ * @param {string} [query.status] - ACTIVE or INACTIVE
+ * @param {string} [query.category] - Comma-separated category ids or slugs (any
+ *        of them, sub-categories included)
+ * @param {string} [query.minPrice]
+ * @param {string} [query.maxPrice]
+ * @param {string} [query.minRating] - Smallest averageRating (0–5)
+ * @param {string} [query.inStock] - "true" for products with stock only
+ * @param {string|Array<string>} [query.spec] - "Name:Value" pairs, e.g. "RAM:16GB";
+ *        values of the same name are alternatives, different names must all match
+ * @returns {Promise<{ base: Object, category: Object|null, price: Object|null,
+ *           rating: Object|null, stock: Object|null, spec: Map<string, Object> }>}
+ * @throws {Error} With `statusCode` 400 for invalid filters or unknown categories
+ */
+const buildProductFilters = async (query = {}) => {
+  const { minPrice, maxPrice, minRating } = query;
+  const filters = {
+    base: {},
+    category: null,
+    price: null,
+    rating: null,
+    stock: null,
+    spec: new Map(),
+  };
+
+  if (query.status) {
+    const status = String(query.status).toUpperCase();
+    if (!STATUSES.includes(status)) {
+      throw createHttpError(400, `Invalid status: ${query.status}`);
+    }
+    filters.base.status = status;
+  }
+
+  if (query.category) {
+    const ids = await resolveCategoryIds(query.category);
+    filters.category = { category: { $in: await withDescendants(ids) } };
+  }
+
+  if (minPrice || maxPrice) {
+    filters.price = { price: {} };
+    if (minPrice) filters.price.price.$gte = parseNumber(minPrice, "minPrice");
+    if (maxPrice) filters.price.price.$lte = parseNumber(maxPrice, "maxPrice");
+
+    if (
+      minPrice &&
+      maxPrice &&
+      filters.price.price.$gte > filters.price.price.$lte
+    ) {
+      throw createHttpError(400, "minPrice must not exceed maxPrice");
+    }
+  }
+
+  if (minRating) {
+    const rating = parseNumber(minRating, "minRating");
+    if (rating > 5) throw createHttpError(400, "minRating must be at most 5");
+    filters.rating = { averageRating: { $gte: rating } };
+  }
+
+  if (String(query.inStock) === "true") {
+    filters.stock = { stock: { $gt: 0 } };
+  }
+
+  for (const [key, { pattern, values }] of parseSpecFilters(query.spec)) {
+    filters.spec.set(key, {
+      "specifications.items": {
+        $elemMatch: {
+          name: pattern,
+          value: { $in: values.map(exactPattern) },
+        },
+      },
+    });
+  }
+
+  return filters;
+};
+
+/**
+ * Combine the filter conditions, leaving one facet out
+ * @param {Object} filters - From buildProductFilters
+ * @param {string} [exclude] - "category", "price", "rating", "stock" or
+ *        "spec" (all specification filters)
+ * @param {string} [excludeSpec] - Lower-case name of one specification filter to leave out
+ * @returns {Object} `$match` filter
+ */
+const combineFilters = (filters, exclude, excludeSpec) => {
+  const conditions = [filters.base];
+
+  for (const facet of ["category", "price", "rating", "stock"]) {
+    if (facet !== exclude && filters[facet]) conditions.push(filters[facet]);
+  }
+
+  if (exclude !== "spec") {
+    for (const [key, condition] of filters.spec) {
+      if (key !== excludeSpec) conditions.push(condition);
+    }
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * Pipeline counting products per specification name and value
+ * @param {Object} match - Products to count
+ * @param {RegExp} [name] - Count this specification name only
+ * @returns {Array<Object>}
+ */
+const specFacetPipeline = (match, name) => [
+  { $match: match },
+  { $unwind: "$specifications" },
+  { $unwind: "$specifications.items" },
+  ...(name ? [{ $match: { "specifications.items.name": name } }] : []),
+  // A product counts once per value, even if a section repeats it
+  {
+    $group: {
+      _id: {
+        name: "$specifications.items.name",
+        value: "$specifications.items.value",
+        product: "$_id",
+      },
+    },
+  },
+  {
+    $group: {
+      _id: { name: "$_id.name", value: "$_id.value" },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { count: -1, "_id.value": 1 } },
+  {
+    $group: {
+      _id: "$_id.name",
+      total: { $sum: "$count" },
+      values: { $push: { value: "$_id.value", count: "$count" } },
+    },
+  },
+  { $sort: { total: -1, _id: 1 } },
+  { $limit: MAX_SPEC_FACET_NAMES },
+  {
+    $project: {
+      _id: 0,
+      name: "$_id",
+      values: { $slice: ["$values", MAX_SPEC_FACET_VALUES] },
+    },
+  },
+];
+
+/**
+ * Facet pipelines for the `$facet` stage
+ * @param {Object} filters - From buildProductFilters
+ * @returns {Object}
+ */
+const buildFacetPipelines = (filters) => {
+  const pipelines = {
+    categories: [
+      { $match: combineFilters(filters, "category") },
+      { $unwind: "$category" },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: Category.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "category",
+        },
+      },
+      { $unwind: "$category" },
+      { $match: { "category.isActive": true } },
+      { $sort: { count: -1, "category.name": 1 } },
+      {
+        $project: {
+          _id: 0,
+          id: "$_id",
+          slug: "$category.slug",
+          name: "$category.name",
+          count: 1,
+        },
+      },
+    ],
+    priceRange: [
+      { $match: combineFilters(filters, "price") },
+      {
+        $group: {
+          _id: null,
+          min: { $min: "$price" },
+          max: { $max: "$price" },
+        },
+      },
+    ],
+    priceBuckets: [
+      { $match: combineFilters(filters, "price") },
+      { $bucketAuto: { groupBy: "$price", buckets: PRICE_BUCKETS } },
+      { $project: { _id: 0, min: "$_id.min", max: "$_id.max", count: 1 } },
+    ],
+    ratings: [
+      { $match: combineFilters(filters, "rating") },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            RATING_THRESHOLDS.map((stars) => [
+              `atLeast${stars}`,
+              { $sum: { $cond: [{ $gte: ["$averageRating", stars] }, 1, 0] } },
+            ]),
+          ),
+        },
+      },
+    ],
+    stock: [
+      { $match: combineFilters(filters, "stock") },
+      {
+        $group: {
+          _id: null,
+          inStock: { $sum: { $cond: [{ $gt: ["$stock", 0] }, 1, 0] } },
+        },
+      },
+    ],
+    specifications: specFacetPipeline(combineFilters(filters, "spec")),
+  };
+
+  // A selected specification counts its values without its own filter
+  [...filters.spec.keys()].forEach((key, index) => {
+    pipelines[`specification${index}`] = specFacetPipeline(
+      combineFilters(filters, undefined, key),
+      exactPattern(key),
+    );
+  });
+
+  return pipelines;
+};
+
+/**
+ * Shape the raw `$facet` counts for the response
+ * @param {Object} raw - First document of the aggregation
+ * @param {Object} filters - From buildProductFilters
+ * @returns {Object} `{ categories, price, ratings, inStock, specifications }`
+ */
+const formatFacets = (raw, filters) => {
+  const specifications = [...raw.specifications];
+
+  [...filters.spec.keys()].forEach((key, index) => {
+    const [own] = raw[`specification${index}`];
+    const position = specifications.findIndex(
+      (facet) => facet.name.toLowerCase() === key,
+    );
+
+    if (!own) {
+      if (position >= 0) specifications.splice(position, 1);
+    } else if (position >= 0) {
+      specifications[position] = own;
+    } else {
+      specifications.push(own);
+    }
+  });
+
+  const ratings = raw.ratings[0] || {};
+
+  return {
+    categories: raw.categories,
+    price: {
+      min: raw.priceRange[0]?.min ?? null,
+      max: raw.priceRange[0]?.max ?? null,
+      buckets: raw.priceBuckets,
+    },
+    ratings: RATING_THRESHOLDS.map((stars) => ({
+      minRating: stars,
+      count: ratings[`atLeast${stars}`] || 0,
+    })),
+    inStock: raw.stock[0]?.inStock || 0,
+    specifications,
+  };
+};
+
+/**
+ * Resolve the sort of the product list
+ * @param {string} [sort="newest"] - One of SORT_OPTIONS
+ * @returns {Object} Sort stage spec, with `_id` as tie-breaker so pages are stable
+ * @throws {Error} With `statusCode` 400 for unknown options
+ */
+const resolveProductSort = (sort = "newest") => {
+  if (!SORT_OPTIONS[sort]) {
+    throw createHttpError(
+      400,
+      `sort must be one of ${Object.keys(SORT_OPTIONS).join(", ")}`,
+    );
+  }
+
+  return SORT_OPTIONS[sort];
+};
+
+/**
+ * List products
+ * @async
+ * @description Without `page` or `limit` the whole match is returned (as the
+ *              list always was) and no facets are counted; with either, one
+ *              page is returned together with the facet counts.
+ * @param {Object} query - Request query, see buildProductFilters
+ * @param {string} [query.sort="newest"] - newest, price_asc, price_desc, rating or popularity
+ * @param {string} [query.page]
+ * @param {string} [query.limit] - Capped at MAX_PAGE_SIZE
+ * @returns {Promise<{ products: Array<Object>, total: number,
+ *          pagination: Object|null, facets: Object|null }>}
+ * @throws {Error} With `statusCode` 400 for invalid filters or sort
+ */
+const listProducts = async (query = {}) => {
+  const filters = await buildProductFilters(query);
+  const sort = resolveProductSort(query.sort);
+
+  const paged = Boolean(query.page || query.limit);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+  const pageNumber = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const [raw] = await Product.aggregate([
+    POPULARITY_STAGE,
+    {
+      $facet: {
+        products: [
+          { $match: combineFilters(filters) },
+          { $sort: sort },
+          ...(paged
+            ? [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }]
+            : []),
+          // Aggregation ignores `select: false`, so the admin-only pricing goes here
+          { $unset: ["popularity", "scheduledPrices", "priceHistory"] },
+        ],
+        total: [{ $match: combineFilters(filters) }, { $count: "count" }],
+        ...(paged ? buildFacetPipelines(filters) : {}),
+      },
+    },
+  ]);
+
+  const products = await Product.populate(raw.products, [
+    { path: "addedBy", select: "userName email" },
+    { path: "category", select: "name slug" },
+    { path: "reviews.user", select: "id profilePicture userName email" },
+    { path: "ratings.user", select: "id profilePicture userName email" },
+  ]);
+  const total = raw.total[0]?.count || 0;
+
+  return {
+    products,
+    total,
+    pagination: paged
+      ? {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+        }
+      : null,
+    facets: paged ? formatFacets(raw, filters) : null,
+  };
+};
+
+module.exports = {
+  listProducts,
+};
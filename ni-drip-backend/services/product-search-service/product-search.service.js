@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Product search – text index, typo correction and highlights
+ * @module services/productSearchService
+ * @description Searches ACTIVE products through the weighted text index on
+ *              title, specification values and description, ranked by text
+ *              score. Before searching, query words the catalog does not
+ *              contain are corrected against the catalog's own vocabulary
+ *              ("iphne" → "iphone", "iphone13" → "iphone 13"), so typos in
+ *              model names still find the product. Each hit carries the
+ *              character ranges that matched, for highlighting in the app.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 10;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// The vocabulary is rebuilt at most this often
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+let vocabularyCache = { words: null, builtAt: 0 };
+
+/**
+ * Split text into lower-case search words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+
+/**
+ * Words the catalog contains, for typo correction, mapped to what the text
+ * index has to be searched for. Hyphenated model numbers are also stored
+ * without the hyphen, mapped to their parts ("wh1000xm5" → "wh 1000xm5").
+ * @async
+ * @returns {Promise<Map<string, string>>}
+ */
+const getVocabulary = async () => {
+  if (
+    vocabularyCache.words &&
+    Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS
+  ) {
+    return vocabularyCache.words;
+  }
+
+  const products = await Product.find({ status: "ACTIVE" })
+    .select("title description specifications.items.value")
+    .lean();
+
+  const words = new Map();
+  for (const product of products) {
+    const texts = [
+      product.title,
+      product.description,
+      ...(product.specifications || []).flatMap((section) =>
+        section.items.map((item) => item.value),
+      ),
+    ];
+
+    for (const text of texts) {
+      const chunks = String(text || "").split(/\s+/);
+
+      for (const chunk of chunks) {
+        const parts = tokenize(chunk);
+        parts.forEach((word) => words.set(word, word));
+
+        const compact = parts.join("");
+        if (parts.length > 1 && !words.has(compact)) {
+          words.set(compact, parts.join(" "));
+        }
+      }
+    }
+  }
+
+  vocabularyCache = { words, builtAt: Date.now() };
+  return words;
+};
+
+/**
+ * Damerau–Levenshtein distance (adjacent swaps count as one edit)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+/**
+ * Correct one query word against the catalog vocabulary
+ * @param {string} term - Lower-case query word
+ * @param {Map<string, string>} vocabulary - From getVocabulary
+ * @returns {string} The word itself, its closest catalog word, or a
+ *          letters/digits split ("s23" stays, "iphone13" → "iphone 13")
+ */
+const correctTerm = (term, vocabulary) => {
+  if (vocabulary.has(term)) return term;
+
+  // Model names typed without their space
+  const split = term.match(/^([a-z]+)(\d+)$/) || term.match(/^(\d+)([a-z]+)$/);
+  if (split && vocabulary.has(split[1]) && vocabulary.has(split[2])) {
+    return `${split[1]} ${split[2]}`;
+  }
+
+  // Short words and numbers are too ambiguous to correct
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!maxEdits || /^\d+$/.test(term)) return term;
+
+  let best = null;
+  let bestDistance = maxEdits + 1;
+  for (const word of vocabulary.keys()) {
+    if (Math.abs(word.length - term.length) > maxEdits) continue;
+
+    const distance = editDistance(term, word);
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+
+  return best || term;
+};
+
+/**
+ * Character ranges of the words in `text` that match a search term.
+ * A word matches when it starts with a term, or a term starts with it
+ * (roughly what the text index's stemming matches: "headphones" ↔ "headphone").
+ * @param {string} text
+ * @param {Array<string>} terms - Lower-case search words
+ * @returns {Array<{ start: number, end: number }>}
+ */
+const findMatches = (text, terms) => {
+  const matches = [];
+  for (const found of String(text || "").matchAll(/[A-Za-z0-9]+/g)) {
+    const word = found[0].toLowerCase();
+    const isMatch = terms.some(
+      (term) =>
+        word.startsWith(term) || (word.length >= 3 && term.startsWith(word)),
+    );
+    if (isMatch) {
+      matches.push({ start: found.index, end: found.index + found[0].length });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Cut a window of the description around its first match
+ * @param {string} text
+ * @param {Array<{ start: number, end: number }>} matches - Ranges in `text`
+ * @returns {{ text: string, matches: Array<{ start: number, end: number }> }}
+ */
+const cutSnippet = (text, matches) => {
+  let start = matches.length ? Math.max(matches[0].start - SNIPPET_LEAD, 0) : 0;
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+
+  let end = Math.min(start + SNIPPET_LENGTH, text.length);
+  if (end < text.length && text.lastIndexOf(" ", end) > start) {
+    end = text.lastIndexOf(" ", end);
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  return {
+    text: `${prefix}${text.slice(start, end).trim()}${suffix}`,
+    matches: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length,
+      })),
+  };
+};
+
+/**
+ * Build the highlights of one hit
+ * @description The snippet is taken from the description when it matches,
+ *              else from the first matching specification ("Name: value"),
+ *              else it is the start of the description.
+ * @param {Object} product
+ * @param {Array<string>} terms - Lower-case search words
+ * @returns {{ title: Array<Object>, snippet: { field: string, text: string, matches: Array<Object> } }}
+ */
+const buildHighlights = (product, terms) => {
+  const description = product.description || "";
+  const descriptionMatches = findMatches(description, terms);
+
+  let snippet = null;
+  if (!descriptionMatches.length) {
+    for (const item of (product.specifications || []).flatMap(
+      (section) => section.items,
+    )) {
+      const valueMatches = findMatches(item.value, terms);
+      if (!valueMatches.length) continue;
+
+      const offset = item.name.length + 2;
+      snippet = {
+        field: "specifications",
+        text: `${item.name}: ${item.value}`,
+        matches: valueMatches.map((match) => ({
+          start: match.start + offset,
+          end: match.end + offset,
+        })),
+      };
+      break;
+    }
+  }
+
+  return {
+    title: findMatches(product.title, terms),
+    snippet: snippet || {
+      field: "description",
+      ...cutSnippet(description, descriptionMatches),
+    },
+  };
+};
+
+/**
+ * Search ACTIVE products
+ * @async
+ * @param {Object} query - Request query
+ * @param {string} query.q - What the customer typed
+ * @param {string} [query.page=1]
+ * @param {string} [query.limit=20] - Capped at MAX_PAGE_SIZE
+ * @returns {Promise<{ query: string, correctedQuery: string|null, products: Array<Object>, pagination: Object }>}
+ *          Products carry `score` and `highlights`
+ * @throws {Error} With `statusCode` 400 for a missing or oversized query
+ */
+const searchProducts = async ({ q, page, limit } = {}) => {
+  const query = String(q ?? "").trim();
+  if (query.length < MIN_QUERY_LENGTH) {
+    throw createHttpError(
+      400,
+      `Search must be at least ${MIN_QUERY_LENGTH} characters`,
+    );
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw createHttpError(
+      400,
+      `Search must be at most ${MAX_QUERY_LENGTH} characters`,
+    );
+  }
+
+  const typed = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (!typed.length) throw createHttpError(400, "Search has no words to find");
+
+  const vocabulary = await getVocabulary();
+  const corrected = typed.map((term) => correctTerm(term, vocabulary));
+  const terms = [
+    ...new Set(
+      corrected
+        .map((term) => vocabulary.get(term) || term)
+        .join(" ")
+        .split(" "),
+    ),
+  ];
+  const correctedQuery =
+    corrected.join(" ") !== typed.join(" ") ? corrected.join(" ") : null;
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  // Words only – quotes and leading "-" would turn into phrase/negation syntax
+  const filter = { $text: { $search: terms.join(" ") }, status: "ACTIVE" };
+
+  const [products, total] = await Promise.all([
+    Product.find(filter, { score: { $meta: "textScore" } })
+      .populate("addedBy", "userName email")
+      .populate("category", "name slug")
+      .populate({
+        path: "reviews.user",
+        select: "id profilePicture userName email",
+      })
+      .populate({
+        path: "ratings.user",
+        select: "id profilePicture userName email",
+      })
+      .sort({ score: { $meta: "textScore" }, averageRating: -1, _id: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Product.countDocuments(filter),
+  ]);
+
+  return {
+    query,
+    correctedQuery,
+    products: products.map((product) => ({
+      ...product.toObject(),
+      highlights: buildHighlights(product, terms),
+    })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+module.exports = {
+  searchProducts,
+};
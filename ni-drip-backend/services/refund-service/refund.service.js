@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Stripe refund engine – full and per-line refunds
+ * @module services/refundService
+ * @description Issues refunds against an order's PaymentIntent, restocks the
+ *              refunded quantities and keeps a refund ledger on the order.
+ *              Refunds issued outside the API (Stripe Dashboard) are picked up
+ *              from the `charge.refunded` webhook and recorded without restock.
+ *              Returns (see returnService) refund through here too, restocking
+ *              only the units that passed inspection. An order edited after
+ *              payment may hold extra balance payments (see orderEditService);
+ *              refunds are spread over those once the original payment is used up.
+ */
+
+const mongoose = require("mongoose");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const { releaseStock } = require("../../helpers/stock-helper/stock.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const {
+  transitionOrder,
+} = require("../order-status-service/order-status.service");
+const {
+  sendOrderRefundToUser,
+} = require("../../helpers/email-helper/email.helper");
+const { getOrderCustomer } = require("../guest-service/guest.service");
+const { lineKey } = require("../variant-service/variant.service");
+
+const REFUNDABLE_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED"];
+
+// Closed orders can still be refunded from the Stripe Dashboard (e.g. a late
+// payment on a cancelled order); only the payment side is recorded for them
+const CLOSED_ORDER_STATUSES = ["CANCELLED", "REFUNDED"];
+
+/**
+ * Round a dollar amount to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Work out which lines (and how many units) a refund request covers
+ * @param {Object} order - Order document
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [items] - Omit for a full refund
+ * @returns {Array<{ item: Object, quantity: number }>}
+ * @throws {Error} With `statusCode` 400 on unknown lines or excess quantities
+ */
+const resolveRefundLines = (order, items) => {
+  if (!items || items.length === 0) {
+    return order.items
+      .map((item) => ({
+        item,
+        quantity: item.quantity - item.refundedQuantity,
+      }))
+      .filter((line) => line.quantity > 0);
+  }
+
+  return items.map(({ productId, variantId, quantity }) => {
+    const item = order.items.find(
+      (i) => lineKey(i.product, i.variant) === lineKey(productId, variantId),
+    );
+    if (!item) {
+      throw createHttpError(400, `Product ${productId} is not in this order`);
+    }
+
+    const qty = Number(quantity);
+    const remaining = item.quantity - item.refundedQuantity;
+    if (!Number.isInteger(qty) || qty < 1 || qty > remaining) {
+      throw createHttpError(
+        400,
+        `Refund quantity for product ${productId} must be between 1 and ${remaining}`,
+      );
+    }
+
+    return { item, quantity: qty };
+  });
+};
+
+/**
+ * What the customer paid for some units of a line: price minus their share of
+ * the coupon, plus the tax charged on them
+ * @param {Object} item - Order item
+ * @param {number} quantity
+ * @returns {number} Cents
+ */
+const lineRefundCents = (item, quantity) =>
+  toCents(item.priceAtPurchase) * quantity -
+  Math.round((toCents(item.discountAmount || 0) * quantity) / item.quantity) +
+  Math.round((toCents(item.taxAmount || 0) * quantity) / item.quantity);
+
+/**
+ * Value of some order lines as a refund would price them (shipping excluded)
+ * @param {Object} order - Order document
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} items
+ * @returns {number} Dollars
+ * @throws {Error} With `statusCode` 400 on unknown lines or excess quantities
+ */
+const quoteLinesRefund = (order, items) =>
+  resolveRefundLines(order, items).reduce(
+    (sum, { item, quantity }) => sum + lineRefundCents(item, quantity),
+    0,
+  ) / 100;
+
+/**
+ * Outstanding balance from order edits the customer has not paid yet
+ * @param {Object} order - Order document
+ * @returns {number} Cents
+ */
+const getPendingBalanceCents = (order) =>
+  (order.edits || [])
+    .filter(
+      ({ adjustment }) =>
+        adjustment?.type === "CHARGE" && adjustment.status === "PENDING",
+    )
+    .reduce((sum, { adjustment }) => sum + toCents(adjustment.amount), 0);
+
+/**
+ * Every PaymentIntent that took money for the order: the checkout payment,
+ * then paid edit balances in the order they were made
+ * @param {Object} order - Order document
+ * @returns {string[]}
+ */
+const getPaymentIntentIds = (order) => [
+  order.stripePaymentIntentId,
+  ...(order.edits || [])
+    .filter(
+      ({ adjustment }) =>
+        adjustment?.type === "CHARGE" && adjustment.status === "PAID",
+    )
+    .map(({ adjustment }) => adjustment.stripePaymentIntentId),
+];
+
+/**
+ * Refund an amount from the order's payments, oldest payment first
+ * @description Refunds issued under the same key by an earlier attempt (whose
+ *              database write failed) count towards the amount, so a retry
+ *              never refunds twice.
+ * @async
+ * @param {Object} order - Order document
+ * @param {number} amountCents
+ * @param {Object} options
+ * @param {string} options.key - Identifies this refund across retries
+ * @param {string} [options.reason]
+ * @returns {Promise<Array<Object>>} Stripe refunds
+ * @throws {Error} With `statusCode` 400 when the payments hold less than the amount
+ */
+const refundPayments = async (order, amountCents, { key, reason }) => {
+  const metadata = {
+    orderId: order._id.toString(),
+    reason: reason || "",
+    refundKey: key,
+  };
+  const paymentIntentIds = getPaymentIntentIds(order);
+
+  if (paymentIntentIds.length === 1) {
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentIds[0],
+        amount: amountCents,
+        metadata,
+      },
+      { idempotencyKey: key },
+    );
+    return [refund];
+  }
+
+  const refunds = [];
+  let remainingCents = amountCents;
+
+  for (const paymentIntentId of paymentIntentIds) {
+    const issued = (
+      await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 })
+    ).data.filter(
+      (refund) =>
+        refund.metadata?.refundKey === key && refund.status !== "failed",
+    );
+    refunds.push(...issued);
+    remainingCents -= issued.reduce((sum, refund) => sum + refund.amount, 0);
+    if (remainingCents <= 0) break;
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(
+      paymentIntentId,
+      { expand: ["latest_charge"] },
+    );
+    const charge = paymentIntent.latest_charge;
+    const amount = Math.min(
+      charge ? charge.amount_captured - charge.amount_refunded : 0,
+      remainingCents,
+    );
+    if (amount <= 0) continue;
+
+    refunds.push(
+      await stripe.refunds.create(
+        { payment_intent: paymentIntentId, amount, metadata },
+        { idempotencyKey: `${key}-${paymentIntentId}` },
+      ),
+    );
+    remainingCents -= amount;
+  }
+
+  if (remainingCents > 0) {
+    throw createHttpError(
+      400,
+      "The order's payments do not cover this refund – check the Stripe Dashboard",
+    );
+  }
+
+  return refunds;
+};
+
+/**
+ * Apply a Stripe refund to the order, restock and sync the user's history.
+ * Idempotent per Stripe refund ID, so retries never double count.
+ * @async
+ * @param {string} orderId
+ * @param {Object} entry
+ * @param {string} entry.stripeRefundId
+ * @param {number} entry.amount - Dollars
+ * @param {Array<{ product: ObjectId, quantity: number }>} entry.items - Lines refunded
+ * @param {string} [entry.reason]
+ * @param {string|null} [entry.refundedBy] - SuperAdmin ID
+ * @param {string|null} [entry.returnRequest] - Return the refund settles
+ * @param {Array<{ product: ObjectId, quantity: number }>} [restockItems=entry.items] - Lines to put back on the shelf
+ * @returns {Promise<boolean>} false when the refund was already recorded
+ */
+const recordRefund = async (orderId, entry, restockItems = entry.items) => {
+  const session = await mongoose.startSession();
+  let recorded = false;
+
+  try {
+    await session.withTransaction(async () => {
+      recorded = false;
+
+      const order = await Order.findById(orderId).session(session);
+      if (
+        !order ||
+        order.refunds.some((r) => r.stripeRefundId === entry.stripeRefundId)
+      ) {
+        return;
+      }
+
+      for (const { product, variant, quantity } of entry.items) {
+        const item = order.items.find(
+          (i) => lineKey(i.product, i.variant) === lineKey(product, variant),
+        );
+        item.refundedQuantity += quantity;
+      }
+
+      order.amountRefunded = toCents(order.amountRefunded + entry.amount) / 100;
+      order.refunds.push(entry);
+
+      const refundState =
+        toCents(order.amountRefunded) >= toCents(order.totalAmount)
+          ? "REFUNDED"
+          : "PARTIALLY_REFUNDED";
+      order.paymentStatus = refundState;
+
+      // The refund lives in paymentStatus; fulfilment only follows a full
+      // refund, or a partial one once everything has been delivered, so the
+      // paid lines left on an open order can still ship
+      if (
+        !CLOSED_ORDER_STATUSES.includes(order.status) &&
+        (refundState === "REFUNDED" || order.status === "DELIVERED")
+      ) {
+        transitionOrder(order, refundState, {
+          actor: entry.refundedBy ? "SUPERADMIN" : "SYSTEM",
+          actorId: entry.refundedBy,
+          note: entry.reason || "Refund issued",
+        });
+      }
+
+      await order.save({ session });
+
+      // A cancelled order's stock went back when it was cancelled
+      if (order.status !== "CANCELLED") {
+        await releaseStock(restockItems, session);
+      }
+
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": order._id },
+        {
+          $set: {
+            "orders.$.status": order.status,
+            "orders.$.paymentStatus": refundState,
+          },
+        },
+        { session },
+      );
+
+      recorded = true;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return recorded;
+};
+
+/**
+ * Email the customer about a recorded refund
+ * @async
+ * @param {string} orderId
+ * @param {Object} refund - { amount, items, reason }
+ */
+const notifyRefund = async (orderId, refund) => {
+  const populatedOrder = await Order.findById(orderId)
+    .populate({ path: "items.product", select: "title" })
+    .populate("user", "userName email");
+
+  if (populatedOrder && getOrderCustomer(populatedOrder)) {
+    await sendOrderRefundToUser(populatedOrder, refund);
+  }
+};
+
+/**
+ * Issue a full or per-line refund for a paid Stripe order
+ * @async
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [params.items] - Omit for a full refund
+ * @param {string} [params.reason]
+ * @param {string} params.adminId - SuperAdmin issuing the refund
+ * @param {string} [params.returnRequestId] - Return the refund settles
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [params.restockItems] - Defaults to every refunded line
+ * @returns {Promise<{ refundId: string, amount: number }>}
+ * @throws {Error} With `statusCode` 400/404 for invalid requests
+ */
+const refundOrder = async ({
+  orderId,
+  items,
+  reason,
+  adminId,
+  returnRequestId,
+  restockItems,
+}) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw createHttpError(404, "Order not found");
+
+  if (order.paymentMethod !== "STRIPE" || !order.stripePaymentIntentId) {
+    throw createHttpError(400, "Only Stripe orders can be refunded");
+  }
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw createHttpError(
+      400,
+      `Cannot refund – payment is ${order.paymentStatus}`,
+    );
+  }
+
+  const lines = resolveRefundLines(order, items);
+  if (lines.length === 0) {
+    throw createHttpError(400, "Nothing left to refund on this order");
+  }
+
+  // An unpaid edit balance was never collected, so it cannot go back
+  const remainingCents =
+    toCents(order.totalAmount) -
+    toCents(order.amountRefunded) -
+    getPendingBalanceCents(order);
+  const linesCents = lines.reduce(
+    (sum, { item, quantity }) => sum + lineRefundCents(item, quantity),
+    0,
+  );
+
+  // Refunding every remaining unit closes the order, so shipping goes back too
+  const closesOrder = order.items.every((item) => {
+    const line = lines.find((l) => l.item === item);
+    return item.quantity - item.refundedQuantity === (line?.quantity || 0);
+  });
+  const amountCents = closesOrder
+    ? remainingCents
+    : Math.min(linesCents, remainingCents);
+
+  if (amountCents <= 0) {
+    throw createHttpError(400, "Nothing left to refund on this order");
+  }
+
+  // Keyed on the ledger size so an admin retry after a failed write reuses
+  // the same Stripe refund instead of issuing a second one
+  const refunds = await refundPayments(order, amountCents, {
+    key: `refund-${order._id}-${order.refunds.length}`,
+    reason,
+  });
+
+  const entry = {
+    stripeRefundId: refunds[0].id,
+    amount: amountCents / 100,
+    items: lines.map(({ item, quantity }) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity,
+    })),
+    reason: reason?.trim(),
+    refundedBy: adminId,
+    returnRequest: returnRequestId || null,
+  };
+
+  const restockLines = restockItems
+    ? restockItems.map(({ productId, variantId, quantity }) => ({
+        product: productId,
+        variant: variantId,
+        quantity,
+      }))
+    : entry.items;
+
+  // One ledger entry per Stripe refund; the lines and restock go on the first
+  let recorded = false;
+  for (const [index, refund] of refunds.entries()) {
+    const ledgerEntry =
+      refunds.length === 1
+        ? entry
+        : {
+            ...entry,
+            stripeRefundId: refund.id,
+            amount: refund.amount / 100,
+            items: index === 0 ? entry.items : [],
+          };
+
+    if (
+      await recordRefund(
+        order._id,
+        ledgerEntry,
+        index === 0 ? restockLines : [],
+      )
+    ) {
+      recorded = true;
+    }
+  }
+
+  if (recorded) {
+    await notifyRefund(order._id, entry);
+  }
+
+  return { refundId: refunds[0].id, amount: entry.amount };
+};
+
+/**
+ * Record refunds issued outside the API for a refunded charge.
+ * Refunds created by {@link refundOrder} carry `metadata.orderId` and are
+ * recorded by that call, so only external refunds are handled here.
+ * @async
+ * @param {Object} charge - Stripe Charge from the `charge.refunded` event
+ */
+const syncChargeRefunds = async (charge) => {
+  if (!charge.payment_intent) return;
+
+  const order = await Order.findOne({
+    $or: [
+      { stripePaymentIntentId: charge.payment_intent },
+      { "edits.adjustment.stripePaymentIntentId": charge.payment_intent },
+    ],
+  });
+  if (!order) {
+    console.error(`No order for refunded charge: ${charge.id}`);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list({
+    payment_intent: charge.payment_intent,
+    limit: 100,
+  });
+
+  for (const refund of refunds.data) {
+    if (refund.metadata?.orderId || refund.status === "failed") continue;
+
+    const entry = {
+      stripeRefundId: refund.id,
+      amount: refund.amount / 100,
+      items: [],
+      reason: refund.reason || "Refunded via Stripe Dashboard",
+      refundedBy: null,
+    };
+
+    if (await recordRefund(order._id, entry)) {
+      await notifyRefund(order._id, entry);
+    }
+  }
+};
+
+module.exports = {
+  getPendingBalanceCents,
+  refundPayments,
+  quoteLinesRefund,
+  refundOrder,
+  syncChargeRefunds,
+};
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Return (RMA) workflow for delivered orders
+ * @module services/returnService
+ * @description A customer asks to return delivered lines within the return
+ *              window; a SuperAdmin approves or rejects it, inspects the parcel
+ *              when it arrives (each line is restocked or written off) and then
+ *              completes it. Completion refunds Stripe orders through the
+ *              refund engine; pay-on-delivery returns are settled by hand and
+ *              only restocked here.
+ */
+
+const Counter = require("../../models/counter-model/counter.model");
+const Order = require("../../models/order-model/order.model");
+const ReturnRequest = require("../../models/return-request-model/return-request.model");
+const { releaseStock } = require("../../helpers/stock-helper/stock.helper");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const {
+  buildStatusEntry,
+} = require("../order-status-service/order-status.service");
+const {
+  quoteLinesRefund,
+  refundOrder,
+} = require("../refund-service/refund.service");
+const { lineKey } = require("../variant-service/variant.service");
+
+const RETURN_REASONS = [
+  "DOA",
+  "DAMAGED",
+  "WRONG_ITEM",
+  "NOT_AS_DESCRIBED",
+  "CHANGED_MIND",
+];
+
+const RETURN_DISPOSITIONS = ["RESTOCK", "WRITE_OFF"];
+
+const DEFAULT_RETURN_WINDOW_DAYS = 30;
+
+/**
+ * Allowed next statuses per return status. Customers can withdraw a return
+ * until the parcel is received.
+ * @type {Object<string, string[]>}
+ */
+const RETURN_STATUS_TRANSITIONS = {
+  REQUESTED: ["APPROVED", "REJECTED", "CANCELLED"],
+  APPROVED: ["RECEIVED", "CANCELLED"],
+  RECEIVED: ["COMPLETED"],
+  REJECTED: [],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+// Returns still holding units of their order lines
+const OPEN_RETURN_STATUSES = ["REQUESTED", "APPROVED", "RECEIVED"];
+
+/**
+ * Read the return window from the environment
+ * @returns {number} Days after delivery
+ */
+const getReturnWindowDays = () => {
+  const days = Number(process.env.RETURN_WINDOW_DAYS);
+  return days > 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+/**
+ * When the order was marked DELIVERED
+ * @param {Object} order - Order document
+ * @returns {Date|null}
+ */
+const getDeliveredAt = (order) =>
+  order.statusHistory.findLast((entry) => entry.to === "DELIVERED")
+    ?.changedAt || null;
+
+/**
+ * Last day a return can be requested for the order
+ * @param {Object} order - Order document
+ * @returns {Date|null} null when the order was never delivered
+ */
+const getReturnDeadline = (order) => {
+  const deliveredAt = getDeliveredAt(order);
+  if (!deliveredAt) return null;
+
+  return new Date(
+    deliveredAt.getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000,
+  );
+};
+
+/**
+ * Move a return to a new status and record it (the caller saves)
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} to - Target status
+ * @param {Object} [by] - Actor and note, see buildStatusEntry
+ * @returns {Object} The return request
+ * @throws {Error} With `statusCode` 400 when the transition is not allowed
+ */
+const transitionReturn = (returnRequest, to, by) => {
+  const from = returnRequest.status;
+
+  if (!(RETURN_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw createHttpError(400, `Cannot move return from ${from} to ${to}`);
+  }
+
+  returnRequest.status = to;
+  returnRequest.statusHistory.push(buildStatusEntry(from, to, by));
+
+  return returnRequest;
+};
+
+/**
+ * Units per line already refunded or tied up in other returns
+ * @async
+ * @param {Object} order - Order document
+ * @returns {Promise<Map<string, number>>} line key (see variantService.lineKey) → units
+ */
+const getClaimedQuantities = async (order) => {
+  const claimed = new Map(
+    order.items.map((item) => [
+      lineKey(item.product, item.variant),
+      item.refundedQuantity,
+    ]),
+  );
+
+  // Stripe returns already count in refundedQuantity once completed
+  const returns = await ReturnRequest.find({
+    order: order._id,
+    $or: [
+      { status: { $in: OPEN_RETURN_STATUSES } },
+      { status: "COMPLETED", "refund.method": "MANUAL" },
+    ],
+  }).select("items");
+
+  for (const { items } of returns) {
+    for (const { product, variant, quantity } of items) {
+      const key = lineKey(product, variant);
+      claimed.set(key, (claimed.get(key) || 0) + quantity);
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Validate the lines of a new return against the order
+ * @async
+ * @param {Object} order - Order document
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} items
+ * @returns {Promise<Array<{ product: ObjectId, variant: ObjectId|null, variantLabel: string|null, quantity: number }>>}
+ * @throws {Error} With `statusCode` 400 on unknown lines or excess quantities
+ */
+const resolveReturnLines = async (order, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, "Select at least one item to return");
+  }
+
+  const keys = items.map(({ productId, variantId }) =>
+    lineKey(String(productId), variantId),
+  );
+  if (new Set(keys).size !== keys.length) {
+    throw createHttpError(400, "Each product can only be listed once");
+  }
+
+  const claimed = await getClaimedQuantities(order);
+
+  return items.map(({ productId, variantId, quantity }) => {
+    const item = order.items.find(
+      (i) =>
+        lineKey(i.product, i.variant) === lineKey(String(productId), variantId),
+    );
+    if (!item) {
+      throw createHttpError(400, `Product ${productId} is not in this order`);
+    }
+
+    const qty = Number(quantity);
+    const returnable =
+      item.quantity - (claimed.get(lineKey(item.product, item.variant)) || 0);
+    if (returnable <= 0) {
+      throw createHttpError(
+        400,
+        `Product ${productId} has already been returned or refunded`,
+      );
+    }
+    if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+      throw createHttpError(
+        400,
+        `Return quantity for product ${productId} must be between 1 and ${returnable}`,
+      );
+    }
+
+    return {
+      product: item.product,
+      variant: item.variant,
+      variantLabel: item.variantLabel,
+      quantity: qty,
+    };
+  });
+};
+
+/**
+ * Hand out the next RMA number
+ * @async
+ * @returns {Promise<string>} e.g. "RMA-000042"
+ */
+const nextRmaNumber = async () => {
+  const { seq } = await Counter.findOneAndUpdate(
+    { _id: "rma" },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true },
+  );
+
+  return `RMA-${String(seq).padStart(6, "0")}`;
+};
+
+/**
+ * Open a return for delivered lines of the customer's own order
+ * @async
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.userId - Customer asking for the return
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} params.items
+ * @param {string} params.reason - One of RETURN_REASONS
+ * @param {string} [params.description]
+ * @param {string[]} [params.photos] - Uploaded photo URLs
+ * @returns {Promise<Object>} The new ReturnRequest
+ * @throws {Error} With `statusCode` 400/403/404 when the return is not allowed
+ */
+const createReturnRequest = async ({
+  orderId,
+  userId,
+  items,
+  reason,
+  description,
+  photos = [],
+}) => {
+  if (!RETURN_REASONS.includes(reason)) {
+    throw createHttpError(
+      400,
+      `Return reason must be one of: ${RETURN_REASONS.join(", ")}`,
+    );
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) throw createHttpError(404, "Order not found");
+
+  if (order.user?.toString() !== userId) {
+    throw createHttpError(403, "You can only return your own orders");
+  }
+
+  const deadline = getReturnDeadline(order);
+  if (
+    !deadline ||
+    !["DELIVERED", "PARTIALLY_REFUNDED"].includes(order.status)
+  ) {
+    throw createHttpError(400, "Only delivered orders can be returned");
+  }
+  if (Date.now() > deadline.getTime()) {
+    throw createHttpError(
+      400,
+      `The ${getReturnWindowDays()}-day return window closed on ${deadline.toDateString()}`,
+    );
+  }
+
+  const lines = await resolveReturnLines(order, items);
+
+  return ReturnRequest.create({
+    rmaNumber: await nextRmaNumber(),
+    order: order._id,
+    user: userId,
+    items: lines,
+    reason,
+    description: description?.trim(),
+    photos,
+    statusHistory: [
+      buildStatusEntry(null, "REQUESTED", {
+        actor: "CUSTOMER",
+        actorId: userId,
+      }),
+    ],
+  });
+};
+
+/**
+ * Record the inspection of a received parcel
+ * @param {Object} returnRequest - ReturnRequest document in APPROVED status
+ * @param {Array<{ productId: string, variantId?: string, disposition: string }>} dispositions - One per returned line
+ * @param {Object} by - { actorId, note }
+ * @throws {Error} With `statusCode` 400 when a line is missing or invalid
+ */
+const inspectReturn = (returnRequest, dispositions, { actorId, note }) => {
+  if (!Array.isArray(dispositions)) {
+    throw createHttpError(
+      400,
+      "items must be an array of { productId, disposition }",
+    );
+  }
+
+  for (const line of returnRequest.items) {
+    const inspected = dispositions.find(
+      (d) =>
+        lineKey(String(d.productId), d.variantId) ===
+        lineKey(line.product, line.variant),
+    );
+    if (!RETURN_DISPOSITIONS.includes(inspected?.disposition)) {
+      throw createHttpError(
+        400,
+        `Disposition for product ${line.product} must be RESTOCK or WRITE_OFF`,
+      );
+    }
+    line.disposition = inspected.disposition;
+  }
+
+  transitionReturn(returnRequest, "RECEIVED", {
+    actor: "SUPERADMIN",
+    actorId,
+    note,
+  });
+  returnRequest.inspectionNote = note?.trim() || null;
+};
+
+/**
+ * Refund and restock an inspected return, then close it
+ * @description Stripe orders are refunded through the refund engine, which
+ *              restocks the RESTOCK lines in the same transaction; a refund
+ *              already linked to this return is reused, so a retry after a
+ *              failed save never pays out twice. Other orders are settled
+ *              manually and only restocked here.
+ * @async
+ * @param {Object} returnRequest - ReturnRequest document in RECEIVED status
+ * @param {Object} by - { actorId, note }
+ * @returns {Promise<Object>} The completed return request (saved)
+ * @throws {Error} With `statusCode` 400/404 when it cannot be completed
+ */
+const completeReturn = async (returnRequest, { actorId, note }) => {
+  if (returnRequest.status !== "RECEIVED") {
+    throw createHttpError(
+      400,
+      `Cannot complete – return is ${returnRequest.status}`,
+    );
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) throw createHttpError(404, "Order not found");
+
+  const items = returnRequest.items.map(({ product, variant, quantity }) => ({
+    productId: product.toString(),
+    variantId: variant,
+    quantity,
+  }));
+  const restockItems = returnRequest.items
+    .filter((line) => line.disposition === "RESTOCK")
+    .map(({ product, variant, quantity }) => ({
+      productId: product.toString(),
+      variantId: variant,
+      quantity,
+    }));
+
+  const existingRefund = order.refunds.find((refund) =>
+    refund.returnRequest?.equals(returnRequest._id),
+  );
+
+  if (existingRefund) {
+    returnRequest.refund = {
+      method: "STRIPE",
+      amount: existingRefund.amount,
+      stripeRefundId: existingRefund.stripeRefundId,
+    };
+  } else if (order.paymentMethod === "STRIPE") {
+    const refund = await refundOrder({
+      orderId: order._id,
+      items,
+      reason: `Return ${returnRequest.rmaNumber} (${returnRequest.reason})`,
+      adminId: actorId,
+      returnRequestId: returnRequest._id,
+      restockItems,
+    });
+
+    returnRequest.refund = {
+      method: "STRIPE",
+      amount: refund.amount,
+      stripeRefundId: refund.refundId,
+    };
+  } else {
+    // Priced before restocking so an invalid line stops both
+    const amount = quoteLinesRefund(order, items);
+
+    await releaseStock(
+      restockItems.map(({ productId, variantId, quantity }) => ({
+        product: productId,
+        variant: variantId,
+        quantity,
+      })),
+    );
+
+    returnRequest.refund = { method: "MANUAL", amount, stripeRefundId: null };
+  }
+
+  transitionReturn(returnRequest, "COMPLETED", {
+    actor: "SUPERADMIN",
+    actorId,
+    note,
+  });
+
+  return returnRequest.save();
+};
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_DISPOSITIONS,
+  RETURN_STATUS_TRANSITIONS,
+  getReturnWindowDays,
+  getReturnDeadline,
+  transitionReturn,
+  createReturnRequest,
+  inspectReturn,
+  completeReturn,
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Shipment engine – carriers, tracking and split shipments
+ * @module services/shipmentService
+ * @description Builds shipment records for an order. A shipment may cover
+ *              every unshipped unit or only some lines, so one order can go
+ *              out in several parcels. Tracking links are generated for known
+ *              carriers when the admin does not paste one.
+ */
+
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { lineKey } = require("../variant-service/variant.service");
+
+const SHIPPABLE_ORDER_STATUSES = ["PROCESSING", "SHIPPED"];
+
+// Public tracking pages, keyed by upper-cased carrier name
+const CARRIER_TRACKING_URLS = {
+  DHL: "https://www.dhl.com/en/express/tracking.html?AWB=",
+  FEDEX: "https://www.fedex.com/fedextrack/?trknbr=",
+  UPS: "https://www.ups.com/track?tracknum=",
+  USPS: "https://tools.usps.com/go/TrackConfirmAction?tLabels=",
+};
+
+/**
+ * Build the public tracking link for a parcel
+ * @param {string} carrier
+ * @param {string} trackingNumber
+ * @returns {string|null} Null for carriers without a known tracking page
+ */
+const buildTrackingUrl = (carrier, trackingNumber) => {
+  const base = CARRIER_TRACKING_URLS[carrier.toUpperCase()];
+  return base ? `${base}${encodeURIComponent(trackingNumber)}` : null;
+};
+
+/**
+ * Units of each line still waiting to ship (refunded units never ship)
+ * @param {Object} order - Order document
+ * @returns {Map<string, number>} Line key (see variantService.lineKey) → unshipped quantity
+ */
+const getUnshippedQuantities = (order) => {
+  const remaining = new Map(
+    order.items.map((item) => [
+      lineKey(item.product, item.variant),
+      item.quantity - item.refundedQuantity,
+    ]),
+  );
+
+  for (const shipment of order.shipments || []) {
+    for (const line of shipment.items) {
+      const key = lineKey(line.product, line.variant);
+      remaining.set(
+        key,
+        Math.max(0, (remaining.get(key) || 0) - line.quantity),
+      );
+    }
+  }
+
+  return remaining;
+};
+
+/**
+ * Validate a shipment request and build the record to push onto the order
+ * @param {Object} order - Order document (items.product unpopulated or populated)
+ * @param {Object} data
+ * @param {string} data.carrier
+ * @param {string} data.trackingNumber
+ * @param {string} [data.trackingUrl] - Generated for known carriers when omitted
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [data.items] - Omit to ship everything left
+ * @param {string|Date} [data.estimatedDelivery]
+ * @param {string} [adminId] - SuperAdmin creating the shipment
+ * @returns {Object} Shipment sub-document data
+ * @throws {Error} With `statusCode` 400 on invalid input or nothing left to ship
+ */
+const buildShipment = (
+  order,
+  { carrier, trackingNumber, trackingUrl, items, estimatedDelivery },
+  adminId,
+) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw createHttpError(
+      400,
+      `Only ${SHIPPABLE_ORDER_STATUSES.join(" or ")} orders can be shipped`,
+    );
+  }
+
+  if (!carrier?.trim() || !trackingNumber?.trim()) {
+    throw createHttpError(400, "Carrier and tracking number are required");
+  }
+
+  if (trackingUrl && !/^https?:\/\/\S+$/i.test(trackingUrl.trim())) {
+    throw createHttpError(400, "Tracking URL must be an http(s) link");
+  }
+
+  let eta = null;
+  if (estimatedDelivery) {
+    eta = new Date(estimatedDelivery);
+    if (Number.isNaN(eta.getTime())) {
+      throw createHttpError(400, "Estimated delivery must be a valid date");
+    }
+  }
+
+  const remaining = getUnshippedQuantities(order);
+
+  let lines;
+  if (!items || items.length === 0) {
+    lines = order.items
+      .map((item) => ({
+        product: (item.product._id || item.product).toString(),
+        variant: item.variant,
+        quantity: remaining.get(lineKey(item.product, item.variant)) || 0,
+      }))
+      .filter((line) => line.quantity > 0);
+  } else {
+    lines = items.map(({ productId, variantId, quantity }) => {
+      const key = lineKey(String(productId), variantId);
+      if (!remaining.has(key)) {
+        throw createHttpError(400, `Product ${productId} is not in this order`);
+      }
+
+      const qty = Number(quantity);
+      const left = remaining.get(key);
+      if (!Number.isInteger(qty) || qty < 1 || qty > left) {
+        throw createHttpError(
+          400,
+          `Shipped quantity for product ${productId} must be between 1 and ${left}`,
+        );
+      }
+
+      // Repeated lines for one product share the same remaining quantity
+      remaining.set(key, left - qty);
+      return {
+        product: String(productId),
+        variant: variantId || null,
+        quantity: qty,
+      };
+    });
+  }
+
+  if (lines.length === 0) {
+    throw createHttpError(400, "Every item on this order has already shipped");
+  }
+
+  return {
+    carrier: carrier.trim(),
+    trackingNumber: trackingNumber.trim(),
+    trackingUrl:
+      trackingUrl?.trim() ||
+      buildTrackingUrl(carrier.trim(), trackingNumber.trim()),
+    items: lines,
+    estimatedDelivery: eta,
+    createdBy: adminId || null,
+  };
+};
+
+module.exports = {
+  CARRIER_TRACKING_URLS,
+  buildTrackingUrl,
+  getUnshippedQuantities,
+  buildShipment,
+};
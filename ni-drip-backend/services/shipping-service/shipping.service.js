@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Server-side shipping rate engine
+ * @module services/shippingService
+ * @description Resolves the shipping zone for a destination and prices a
+ *              cart against the zone's item-count tiers and free-shipping
+ *              threshold. Clients never supply the shipping cost. Zone rates
+ *              are stored in the base currency and converted for the customer.
+ *              Zones also decide whether cash on delivery is offered and up to
+ *              which order total.
+ */
+
+const ShippingZone = require("../../models/shipping-zone-model/shipping-zone.model");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const { convertAmount } = require("../currency-service/currency.service");
+
+/**
+ * Split a preferred city such as "🇵🇰 Karachi, Pakistan" into its parts
+ * @param {string|null} preferredCity
+ * @returns {{ city: string|null, country: string|null }}
+ */
+const parsePreferredCity = (preferredCity) => {
+  if (!preferredCity) return { city: null, country: null };
+
+  const [cityPart, countryPart] = preferredCity.split(",");
+
+  return {
+    city:
+      cityPart
+        .replace(/^[^A-Za-z]+/, "")
+        .trim()
+        .toLowerCase() || null,
+    country: countryPart?.trim().toLowerCase() || null,
+  };
+};
+
+/**
+ * Split text into lower-cased words, dropping punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Check whether a phrase appears as whole words in a list of words, so
+ * "India" matches "Mumbai, India" but not "Indianapolis, Indiana"
+ * @param {string[]} words
+ * @param {string[]} phrase
+ * @returns {boolean}
+ */
+const containsPhrase = (words, phrase) =>
+  phrase.length > 0 &&
+  words.some((_, start) =>
+    phrase.every((word, offset) => words[start + offset] === word),
+  );
+
+/**
+ * Check whether any zone entry matches the parsed value or appears in the address
+ * @param {string[]} entries - Zone cities or countries
+ * @param {string|null} value - Parsed city/country from the preferred city
+ * @param {string[]} addressWords - Words of the shipping address
+ * @returns {boolean}
+ */
+const matchesDestination = (entries, value, addressWords) =>
+  entries.some((entry) => {
+    const needle = entry.toLowerCase();
+    return needle === value || containsPhrase(addressWords, tokenize(needle));
+  });
+
+/**
+ * Find the active zone serving the user's destination.
+ * City matches win over country matches, which win over the default zone.
+ * @async
+ * @param {Object} user - User document (preferredCity, lastKnownLocation, address)
+ * @param {string} [shippingAddress] - Final address the order will ship to
+ * @returns {Promise<import('mongoose').Document>} Matching ShippingZone
+ * @throws {Error} With `statusCode` 400 when no zone serves the destination
+ */
+const resolveShippingZone = async (user, shippingAddress) => {
+  const zones = await ShippingZone.find({ isActive: true }).sort({
+    createdAt: 1,
+  });
+
+  const { city, country } = parsePreferredCity(user.preferredCity);
+  const addressWords = tokenize(
+    shippingAddress || user.lastKnownLocation?.address || user.address || "",
+  );
+
+  const zone =
+    zones.find((z) => matchesDestination(z.cities, city, addressWords)) ||
+    zones.find((z) => matchesDestination(z.countries, country, addressWords)) ||
+    zones.find((z) => z.isDefault);
+
+  if (!zone) {
+    throw createHttpError(400, "Shipping is not available for your location");
+  }
+
+  return zone;
+};
+
+/**
+ * Price a cart against a zone
+ * @param {Object} zone - ShippingZone document
+ * @param {{ itemsCount: number, subtotal: number }} cart - Subtotal in the customer's currency
+ * @param {{ rate: number }} [currency] - Customer currency (base when omitted)
+ * @returns {{ shippingCost: number, freeShippingApplied: boolean }}
+ */
+const calculateShippingCost = (zone, { itemsCount, subtotal }, currency) => {
+  if (
+    zone.freeShippingThreshold !== null &&
+    zone.freeShippingThreshold !== undefined &&
+    subtotal >= convertAmount(zone.freeShippingThreshold, currency)
+  ) {
+    return { shippingCost: 0, freeShippingApplied: true };
+  }
+
+  const tiers = [...zone.rateTiers].sort((a, b) => a.minItems - b.minItems);
+
+  // Fall back to the highest tier when the count exceeds every bounded tier
+  const tier =
+    tiers.find(
+      (t) =>
+        itemsCount >= t.minItems &&
+        (t.maxItems === null || itemsCount <= t.maxItems),
+    ) || tiers[tiers.length - 1];
+
+  return {
+    shippingCost: convertAmount(tier.rate, currency),
+    freeShippingApplied: false,
+  };
+};
+
+/**
+ * Cash on delivery terms for a zone
+ * @param {Object} zone - ShippingZone document
+ * @param {{ rate: number }} [currency] - Customer currency (base when omitted)
+ * @returns {{ available: boolean, maxOrderAmount: number|null }} Limit in the customer's currency
+ */
+const getCashOnDelivery = (zone, currency) => ({
+  available: Boolean(zone.codEnabled),
+  maxOrderAmount:
+    zone.codEnabled &&
+    zone.codMaxOrderAmount !== null &&
+    zone.codMaxOrderAmount !== undefined
+      ? convertAmount(zone.codMaxOrderAmount, currency)
+      : null,
+});
+
+/**
+ * Make sure an order may be paid in cash on delivery
+ * @param {Object} zone - ShippingZone document
+ * @param {number} totalAmount - Order total in the customer's currency
+ * @param {{ code: string, rate: number }} [currency]
+ * @throws {Error} With `statusCode` 400 when COD is off or the total is over the limit
+ */
+const assertCashOnDelivery = (zone, totalAmount, currency) => {
+  const { available, maxOrderAmount } = getCashOnDelivery(zone, currency);
+
+  if (!available) {
+    throw createHttpError(
+      400,
+      "Cash on delivery is not available for your location",
+    );
+  }
+
+  if (maxOrderAmount !== null && totalAmount > maxOrderAmount) {
+    throw createHttpError(
+      400,
+      `Cash on delivery is limited to orders up to ${maxOrderAmount.toFixed(2)} ${currency?.code || ""}`.trim(),
+    );
+  }
+};
+
+/**
+ * Produce a full shipping quote for the user's destination
+ * @async
+ * @param {Object} user - User document
+ * @param {{ itemsCount: number, subtotal: number, shippingAddress?: string }} cart
+ * @param {{ rate: number }} [currency] - Customer currency (base when omitted)
+ * @returns {Promise<Object>} Quote with cost, zone, free-shipping progress and COD terms
+ */
+const quoteShipping = async (
+  user,
+  { itemsCount, subtotal, shippingAddress },
+  currency,
+) => {
+  const zone = await resolveShippingZone(user, shippingAddress);
+  const { shippingCost, freeShippingApplied } = calculateShippingCost(
+    zone,
+    { itemsCount, subtotal },
+    currency,
+  );
+  const freeShippingThreshold =
+    zone.freeShippingThreshold === null
+      ? null
+      : convertAmount(zone.freeShippingThreshold, currency);
+
+  return {
+    zone: { id: zone._id, name: zone.name },
+    shippingCost,
+    freeShippingApplied,
+    freeShippingThreshold,
+    amountToFreeShipping:
+      freeShippingThreshold !== null && !freeShippingApplied
+        ? Math.round((freeShippingThreshold - subtotal) * 100) / 100
+        : 0,
+    cashOnDelivery: getCashOnDelivery(zone, currency),
+  };
+};
+
+module.exports = {
+  parsePreferredCity,
+  resolveShippingZone,
+  calculateShippingCost,
+  getCashOnDelivery,
+  assertCashOnDelivery,
+  quoteShipping,
+};
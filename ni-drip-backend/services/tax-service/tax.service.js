@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tax engine – destination tax rules applied at checkout
+ * @module services/taxService
+ * @description Resolves the tax rule for the order destination and turns the
+ *              discounted line amounts (and optionally shipping) into tax
+ *              lines. Categories with an override, such as electronics, are
+ *              taxed at their own rate and reported on a separate line.
+ */
+
+const TaxRule = require("../../models/tax-rule-model/tax-rule.model");
+const {
+  getCategorySlugsByProduct,
+} = require("../category-service/category.service");
+const { parsePreferredCity } = require("../shipping-service/shipping.service");
+
+/**
+ * Round to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find the active tax rule for the user's destination.
+ * Region (city) rules win over country-wide rules; no rule means no tax.
+ * @async
+ * @param {Object} user - User document (preferredCity, lastKnownLocation, address)
+ * @param {string} [shippingAddress] - Final address the order will ship to
+ * @returns {Promise<import('mongoose').Document|null>} Matching TaxRule
+ */
+const resolveTaxRule = async (user, shippingAddress) => {
+  const rules = await TaxRule.find({ isActive: true });
+  if (!rules.length) return null;
+
+  const { city, country } = parsePreferredCity(user?.preferredCity);
+  const address = (
+    shippingAddress ||
+    user?.lastKnownLocation?.address ||
+    user?.address ||
+    ""
+  ).toLowerCase();
+
+  const matches = (entry, value) => {
+    const needle = entry?.toLowerCase();
+    return !!needle && (needle === value || address.includes(needle));
+  };
+
+  const inCountry = rules.filter((r) => matches(r.country, country));
+
+  return (
+    inCountry.find((r) => r.region && matches(r.region, city)) ||
+    inCountry.find((r) => !r.region) ||
+    null
+  );
+};
+
+/**
+ * Compute tax lines for an order
+ * @async
+ * @param {Object|null} rule - TaxRule document (no tax when null)
+ * @param {Array<{ product: ObjectId, quantity: number, priceAtPurchase: number, discountAmount?: number }>} items
+ *        Lines priced in the order currency
+ * @param {number} [shippingCost=0] - Shipping in the order currency
+ * @returns {Promise<{ items: Array, taxLines: Array, taxAmount: number }>}
+ *          Items carry their `taxAmount` share for refunds
+ */
+const calculateTax = async (rule, items, shippingCost = 0) => {
+  if (!rule) {
+    return {
+      items: items.map((item) => ({ ...item, taxAmount: 0 })),
+      taxLines: [],
+      taxAmount: 0,
+    };
+  }
+
+  const categoryOf = await getCategorySlugsByProduct(
+    items.map((item) => item.product),
+  );
+
+  const overrides = new Map(
+    rule.categoryRates.map((c) => [c.category.toLowerCase(), c.rate]),
+  );
+
+  // Lines are grouped by the rate they are charged at
+  const groups = new Map();
+  const addToGroup = (name, rate, taxableAmount) => {
+    const key = `${name}:${rate}`;
+    const group = groups.get(key) || { name, rate, taxableAmount: 0 };
+    group.taxableAmount += taxableAmount;
+    groups.set(key, group);
+  };
+
+  const taxedItems = items.map((item) => {
+    // First of the product's categories with an override decides the rate
+    const category = (categoryOf.get(String(item.product)) || [])
+      .map((c) => c.toLowerCase())
+      .find((c) => overrides.has(c));
+    const rate = category ? overrides.get(category) : rule.rate;
+    const taxable = Math.max(
+      item.priceAtPurchase * item.quantity - (item.discountAmount || 0),
+      0,
+    );
+
+    if (rate > 0) {
+      addToGroup(
+        category ? `${rule.name} (${category})` : rule.name,
+        rate,
+        taxable,
+      );
+    }
+
+    return { ...item, taxAmount: toCents((taxable * rate) / 100) };
+  });
+
+  if (rule.appliesToShipping && shippingCost > 0 && rule.rate > 0) {
+    addToGroup(rule.name, rule.rate, shippingCost);
+  }
+
+  const taxLines = [...groups.values()].map((group) => ({
+    name: group.name,
+    rate: group.rate,
+    taxableAmount: toCents(group.taxableAmount),
+    amount: toCents((group.taxableAmount * group.rate) / 100),
+  }));
+
+  return {
+    items: taxedItems,
+    taxLines,
+    taxAmount: toCents(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+};
+
+module.exports = {
+  resolveTaxRule,
+  calculateTax,
+};
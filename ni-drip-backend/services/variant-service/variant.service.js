@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Product variants – option axes, variant lookup and line keys
+ * @module services/variantService
+ * @description A product may be sold in variants (e.g. Color × Storage), each
+ *              with its own SKU, price, stock and images. The product keeps
+ *              the lowest variant price and the total variant stock in
+ *              `price` / `stock`, so listings, filters and sorting work the
+ *              same for products with and without variants.
+ *              Cart and order lines name the variant they hold; `lineKey`
+ *              tells two lines of the same product apart wherever lines are
+ *              matched (coupons, refunds, returns, shipments and edits).
+ */
+
+const mongoose = require("mongoose");
+const { createHttpError } = require("../../helpers/error-helper/error.helper");
+const {
+  uploadToCloudinary,
+} = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+
+const MAX_OPTION_AXES = 3;
+const MAX_VARIANT_IMAGES = 5;
+
+/**
+ * Key identifying a cart or order line: its product, plus its variant if any
+ * @param {ObjectId|string|Object} product - Id or populated product
+ * @param {ObjectId|string|null} [variant]
+ * @returns {string}
+ */
+const lineKey = (product, variant = null) => {
+  const productId = (product?._id || product).toString();
+  return variant ? `${productId}:${variant}` : productId;
+};
+
+/**
+ * Human readable variant name ("Black / 128GB")
+ * @param {Object|null} variant
+ * @returns {string|null}
+ */
+const describeVariant = (variant) =>
+  variant ? variant.options.map((option) => option.value).join(" / ") : null;
+
+/**
+ * Pick the variant a cart or order line refers to
+ * @param {Object} product - Product document (with `variants`)
+ * @param {string|null} [variantId]
+ * @returns {{ variant: Object|null, price: number, stock: number }}
+ *          Price and stock of the variant, or of the product without variants
+ * @throws {Error} With `statusCode` 400 when a variant is missing, unknown or not expected
+ */
+const resolveVariant = (product, variantId = null) => {
+  if (!product.variants?.length) {
+    if (variantId) {
+      throw createHttpError(400, `${product.title} has no variants`);
+    }
+    return { variant: null, price: product.price, stock: product.stock };
+  }
+
+  if (!variantId) {
+    const axes = product.variantOptions.map((option) => option.name);
+    throw createHttpError(
+      400,
+      `Choose ${axes.join(" and ").toLowerCase() || "an option"} for ${product.title}`,
+    );
+  }
+
+  const variant = product.variants.find(
+    (v) => v._id.toString() === String(variantId),
+  );
+  if (!variant) {
+    throw createHttpError(
+      400,
+      `The selected option of ${product.title} is no longer available`,
+    );
+  }
+
+  return { variant, price: variant.price, stock: variant.stock };
+};
+
+/**
+ * Attach the chosen variant to cart lines with a populated product
+ * @param {Array<Object>} items - Plain cart lines; `productId` populated with `variants`
+ * @returns {Array<Object>} Lines with `variant` (null without one) and
+ *          `variantLabel`; the product's variant list is left out
+ */
+const attachCartVariants = (items) =>
+  items.map((item) => {
+    const { variants = [], ...product } = item.productId || {};
+    const variant =
+      (item.variantId &&
+        variants.find((v) => v._id.toString() === item.variantId.toString())) ||
+      null;
+
+    return {
+      ...item,
+      productId: item.productId ? product : item.productId,
+      variant,
+      variantLabel: describeVariant(variant),
+    };
+  });
+
+/**
+ * Parse a JSON field of a multipart form (or an already parsed value)
+ * @param {*} value
+ * @param {string} field - For the error message
+ * @returns {Array}
+ */
+const parseJsonArray = (value, field) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Reported below
+  }
+  throw createHttpError(400, `${field} must be a JSON array`);
+};
+
+/**
+ * Validate option axes sent by the admin
+ * @param {Array} input
+ * @returns {Array<{ name: string, values: string[] }>}
+ * @throws {Error} With `statusCode` 400 on blank, duplicate or too many axes
+ */
+const normalizeOptions = (input) => {
+  const options = input.map((option) => ({
+    name: String(option?.name || "").trim(),
+    values: [
+      ...new Set([].concat(option?.values || []).map((v) => String(v).trim())),
+    ].filter(Boolean),
+  }));
+
+  if (options.length > MAX_OPTION_AXES) {
+    throw createHttpError(
+      400,
+      `A product can have at most ${MAX_OPTION_AXES} options`,
+    );
+  }
+
+  const names = new Set();
+  for (const option of options) {
+    if (!option.name) throw createHttpError(400, "Option names are required");
+    if (!option.values.length) {
+      throw createHttpError(
+        400,
+        `Option ${option.name} needs at least one value`,
+      );
+    }
+    if (names.has(option.name.toLowerCase())) {
+      throw createHttpError(400, `Option ${option.name} is listed twice`);
+    }
+    names.add(option.name.toLowerCase());
+  }
+
+  return options;
+};
+
+/**
+ * Build the variants of a product from the admin form
+ * @async
+ * @description Every variant picks one value per option axis; combinations
+ *              and SKUs must be unique within the product (the database
+ *              enforces SKUs across products). Variants keep their `_id`
+ *              when it is sent back, so cart lines and orders that name them
+ *              stay valid. New images arrive as `variantImage` files in
+ *              variant order, `newImages` of them per variant; they are only
+ *              uploaded once everything else is valid.
+ * @param {Object} body
+ * @param {string|Array} body.variantOptions - JSON: [{ name, values: [] }]
+ * @param {string|Array} body.variants - JSON: [{ _id?, sku, options: { [axis]: value },
+ *        price, stock, images?: [kept URLs], newImages?: number }]
+ * @param {Array} [files=[]] - Multer `variantImage` files
+ * @param {Array} [existing=[]] - Current variants of the product
+ * @returns {Promise<{ variantOptions: Array, variants: Array, price: number|null, stock: number|null, removedImages: string[], uploadedImages: string[] }>}
+ *          `price` / `stock` are the derived product values (null without
+ *          variants); `uploadedImages` are the new uploads, for the caller to
+ *          delete when the product is not saved after all
+ * @throws {Error} With `statusCode` 400 on invalid input
+ */
+const buildVariants = async (
+  { variantOptions, variants },
+  files = [],
+  existing = [],
+) => {
+  const options = normalizeOptions(
+    parseJsonArray(variantOptions, "variantOptions"),
+  );
+  const input = parseJsonArray(variants, "variants");
+
+  if (!options.length && input.length) {
+    throw createHttpError(400, "Add the options the variants differ on");
+  }
+  if (options.length && !input.length) {
+    throw createHttpError(400, "Add at least one variant");
+  }
+
+  const existingById = new Map(existing.map((v) => [v._id.toString(), v]));
+  const skus = new Set();
+  const combinations = new Set();
+  let fileCursor = 0;
+
+  const parsed = input.map((entry, index) => {
+    const label = `Variant ${index + 1}`;
+
+    const sku = String(entry?.sku || "")
+      .trim()
+      .toUpperCase();
+    if (!sku) throw createHttpError(400, `${label}: SKU is required`);
+    if (skus.has(sku)) throw createHttpError(400, `SKU ${sku} is used twice`);
+    skus.add(sku);
+
+    const picked = options.map(({ name, values }) => {
+      const value = String(entry?.options?.[name] ?? "").trim();
+      if (!values.includes(value)) {
+        throw createHttpError(
+          400,
+          `${sku}: choose one of ${values.join(", ")} for ${name}`,
+        );
+      }
+      return { name, value };
+    });
+    const combination = picked.map((o) => o.value).join("\u0000");
+    if (combinations.has(combination)) {
+      throw createHttpError(
+        400,
+        `Two variants are ${picked.map((o) => o.value).join(" / ")}`,
+      );
+    }
+    combinations.add(combination);
+
+    const price = Number(entry?.price);
+    if (entry?.price === "" || !Number.isFinite(price) || price < 0) {
+      throw createHttpError(400, `${sku}: price must be 0 or more`);
+    }
+    const stock = Number(entry?.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw createHttpError(
+        400,
+        `${sku}: stock must be a whole number of 0 or more`,
+      );
+    }
+
+    // Only URLs the variant already had can be kept
+    const previous = existingById.get(String(entry?._id));
+    const kept = []
+      .concat(entry?.images || [])
+      .filter((url) => previous?.images.includes(url));
+    const newImages = Math.max(Number(entry?.newImages) || 0, 0);
+    const uploads = files.slice(fileCursor, fileCursor + newImages);
+    fileCursor += newImages;
+    if (kept.length + uploads.length > MAX_VARIANT_IMAGES) {
+      throw createHttpError(
+        400,
+        `${sku}: at most ${MAX_VARIANT_IMAGES} images per variant`,
+      );
+    }
+
+    return {
+      _id: previous ? previous._id : new mongoose.Types.ObjectId(),
+      sku,
+      options: picked,
+      price,
+      stock,
+      images: kept,
+      uploads,
+    };
+  });
+
+  if (fileCursor !== files.length) {
+    throw createHttpError(400, "Variant images do not match the variants");
+  }
+
+  const uploadedImages = [];
+  for (const variant of parsed) {
+    const uploaded = await Promise.all(
+      variant.uploads.map((file) => uploadToCloudinary(file, "productImage")),
+    );
+    variant.images.push(...uploaded.map((img) => img.url));
+    uploadedImages.push(...uploaded.map((img) => img.url));
+    delete variant.uploads;
+  }
+
+  const keptImages = new Set(parsed.flatMap((variant) => variant.images));
+  const removedImages = existing
+    .flatMap((variant) => variant.images)
+    .filter((url) => !keptImages.has(url));
+
+  return {
+    variantOptions: options,
+    variants: parsed,
+    price: parsed.length ? Math.min(...parsed.map((v) => v.price)) : null,
+    stock: parsed.length ? parsed.reduce((sum, v) => sum + v.stock, 0) : null,
+    removedImages,
+    uploadedImages,
+  };
+};
+
+module.exports = {
+  lineKey,
+  describeVariant,
+  resolveVariant,
+  attachCartVariants,
+  buildVariants,
+};
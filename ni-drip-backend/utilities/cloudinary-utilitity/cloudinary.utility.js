@@ -53,7 +53,7 @@ const fileFilter = (req, file, cb) => {
 
 /**
  * Multer configuration: memory storage + file filter + size limit
- * Supports multiple fields: profilePicture (1), productImage (up to 5)
+ * Supports multiple fields: profilePicture (1), productImage (up to 5), variantImage (up to 20, stored with product images), returnPhoto (up to 5), categoryImage (1)
  * @type {import('multer').Multer}
  */
 exports.upload = multer({
@@ -63,11 +63,14 @@ exports.upload = multer({
 }).fields([
   { name: "profilePicture", maxCount: 1 },
   { name: "productImage", maxCount: 5 },
+  { name: "variantImage", maxCount: 20 },
+  { name: "returnPhoto", maxCount: 5 },
+  { name: "categoryImage", maxCount: 1 },
 ]);
 
 /**
  * Determine Cloudinary folder based on upload context
- * @param {string} type - "profilePicture" | "productImage"
+ * @param {string} type - "profilePicture" | "productImage" | "returnPhoto" | "categoryImage"
  * @returns {string} Folder path under NiDrip/
  */
 const getFolderForUploadType = (type) => {
@@ -78,6 +81,10 @@ const getFolderForUploadType = (type) => {
       return `${base}/profilePictures`;
     case "productImage":
       return `${base}/productImage`;
+    case "returnPhoto":
+      return `${base}/returnPhotos`;
+    case "categoryImage":
+      return `${base}/categoryImages`;
     default:
       throw new Error(`Unsupported upload type: ${type}`);
   }
@@ -87,7 +94,7 @@ const getFolderForUploadType = (type) => {
  * Upload single image buffer to Cloudinary
  * @async
  * @param {import('multer').Express.Multer.File} file - Multer file object
- * @param {string} type - Upload context ("profilePicture" | "productImage")
+ * @param {string} type - Upload context ("profilePicture" | "productImage" | "returnPhoto" | "categoryImage")
  * @param {string} [existingPublicId] - Optional: overwrite existing image
  * @returns {Promise<{ url: string, publicId: string }>} Secure URL and public_id
  * @throws {Error} If upload fails or no file provided
@@ -39,12 +39,33 @@ import Products from "../screens/manage-products/products/Products";
 import ProductDetails from "../screens/manage-products/product-details/ProductDetails";
 import UpdateProduct from "../screens/manage-products/update-product/UpdateProduct";
 
+// Categories Management
+import Categories from "../screens/manage-categories/Categories";
+
+// Coupons Management
+import Coupons from "../screens/manage-coupons/Coupons";
+
+// Currencies Management
+import Currencies from "../screens/manage-currencies/Currencies";
+
+// Taxes Management
+import Taxes from "../screens/manage-taxes/Taxes";
+
+// Payments
+import PaymentEvents from "../screens/manage-payments/PaymentEvents";
+
+// Returns Management
+import Returns from "../screens/manage-returns/Returns";
+
 // Inventory Management
 import Inventory from "../screens/manage-inventory/Inventory";
 
 // Reviews Management
 import Reviews from "../screens/manage-reviews/Reviews";
 
+// Shipping Management
+import Shipping from "../screens/manage-shipping/Shipping";
+
 // Support Tickets Management
 import SupportTickets from "../screens/manage-support-tickets/SupportTickets";
 
@@ -109,12 +130,33 @@ const AppNavigator = () => {
           element={<UpdateProduct />}
         />
 
+        {/* Categories Management */}
+        <Route path="categories/manage-categories" element={<Categories />} />
+
+        {/* Coupons Management */}
+        <Route path="coupons/manage-coupons" element={<Coupons />} />
+
+        {/* Currencies Management */}
+        <Route path="currencies/manage-currencies" element={<Currencies />} />
+
+        {/* Taxes Management */}
+        <Route path="taxes/manage-taxes" element={<Taxes />} />
+
+        {/* Payments */}
+        <Route path="payments/payment-events" element={<PaymentEvents />} />
+
+        {/* Returns Management */}
+        <Route path="returns/manage-returns" element={<Returns />} />
+
         {/* Inventory Management */}
         <Route path="inventory/manage-inventory" element={<Inventory />} />
 
         {/* Reviews Management */}
         <Route path="reviews/manage-reviews" element={<Reviews />} />
 
+        {/* Shipping Management */}
+        <Route path="shipping/manage-shipping" element={<Shipping />} />
+
         {/* Support Tickets Management */}
         <Route
           path="support/manage-support-tickets"
@@ -0,0 +1,280 @@
+/**
+ * @file category.slice.js
+ * @module Redux/Slices/Category
+ * @description
+ * Redux Toolkit slice managing the product category tree.
+ * * Core Features:
+ * - Category CRUD: Create, list, update and delete the categories products are filed under.
+ * - Image Uploads: Create/update send multipart FormData so a category image can be attached.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * - State Syncing: Updates the local list after every mutation.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllCategories
+ * @async
+ * @description Fetches every category, inactive ones included.
+ * @returns {Array<Object>} Array of category records with their product counts.
+ */
+export const getAllCategories = createAsyncThunk(
+  "category/getAllCategories",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/category/get-all-categories`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allCategories, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allCategories: allCategories || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addCategory
+ * @async
+ * @description Creates a category.
+ * @param {FormData} formData - Name, slug, parent, sort order, active flag and optional `categoryImage`.
+ */
+export const addCategory = createAsyncThunk(
+  "category/addCategory",
+  async (formData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/category/add-category`,
+        formData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "multipart/form-data",
+          },
+        },
+      );
+
+      const { newCategory, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, newCategory };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function updateCategory
+ * @async
+ * @description Updates a category and/or replaces its image.
+ * @param {Object} payload
+ * @param {string} payload.categoryId - The category to update.
+ * @param {FormData} payload.formData - Fields to change.
+ */
+export const updateCategory = createAsyncThunk(
+  "category/updateCategory",
+  async ({ categoryId, formData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/category/update-category/${categoryId}`,
+        formData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "multipart/form-data",
+          },
+        },
+      );
+
+      const { updatedCategory, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, updatedCategory };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function deleteCategory
+ * @async
+ * @description Removes a category and updates the state. The backend refuses
+ * while products or sub-categories still reference it.
+ * @param {string} categoryId - The unique ID of the category to delete.
+ */
+export const deleteCategory = createAsyncThunk(
+  "category/deleteCategory",
+  async (categoryId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/category/delete-category/${categoryId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, deletedCategoryId: categoryId };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const categorySlice = createSlice({
+  name: "categories",
+  initialState: {
+    allCategories: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearCategoryMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+
+      .addCase(getAllCategories.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllCategories.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allCategories = action.payload.allCategories;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllCategories.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch categories";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(addCategory.fulfilled, (state, action) => {
+        state.allCategories.push(action.payload.newCategory);
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(addCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create category";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(updateCategory.fulfilled, (state, action) => {
+        const { updatedCategory } = action.payload;
+        // The update response carries no product count; keep the listed one
+        state.allCategories = state.allCategories.map((category) =>
+          category._id === updatedCategory._id
+            ? { ...updatedCategory, productCount: category.productCount }
+            : category,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(updateCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update category";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(deleteCategory.fulfilled, (state, action) => {
+        state.allCategories = state.allCategories.filter(
+          (category) => category._id !== action.payload.deletedCategoryId,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(deleteCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Deletion failed";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearCategoryMessage } = categorySlice.actions;
+
+export default categorySlice.reducer;
@@ -0,0 +1,276 @@
+/**
+ * @file coupon.slice.js
+ * @module Redux/Slices/Coupon
+ * @description
+ * Redux Toolkit slice managing discount coupons.
+ * * Core Features:
+ * - Coupon CRUD: Create, list, update and delete the coupons redeemed at checkout.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * - State Syncing: Updates the local list after every mutation.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllCoupons
+ * @async
+ * @description Fetches every coupon.
+ * @returns {Array<Object>} Array of coupon records.
+ */
+export const getAllCoupons = createAsyncThunk(
+  "coupon/getAllCoupons",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/coupon/get-all-coupons`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allCoupons, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allCoupons: allCoupons || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addCoupon
+ * @async
+ * @description Creates a coupon.
+ * @param {Object} couponData - Code, discount, scope, usage caps and validity window.
+ */
+export const addCoupon = createAsyncThunk(
+  "coupon/addCoupon",
+  async (couponData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/coupon/add-coupon`,
+        couponData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { newCoupon, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, newCoupon };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function updateCoupon
+ * @async
+ * @description Updates a coupon.
+ * @param {Object} payload
+ * @param {string} payload.couponId - The coupon to update.
+ * @param {Object} payload.couponData - Fields to change.
+ */
+export const updateCoupon = createAsyncThunk(
+  "coupon/updateCoupon",
+  async ({ couponId, couponData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/coupon/update-coupon/${couponId}`,
+        couponData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { updatedCoupon, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, updatedCoupon };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function deleteCoupon
+ * @async
+ * @description Removes a coupon and updates the state.
+ * @param {string} couponId - The unique ID of the coupon to delete.
+ */
+export const deleteCoupon = createAsyncThunk(
+  "coupon/deleteCoupon",
+  async (couponId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/coupon/delete-coupon/${couponId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, deletedCouponId: couponId };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const couponSlice = createSlice({
+  name: "coupons",
+  initialState: {
+    allCoupons: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearCouponMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+
+      .addCase(getAllCoupons.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllCoupons.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allCoupons = action.payload.allCoupons;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllCoupons.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch coupons";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(addCoupon.fulfilled, (state, action) => {
+        const { newCoupon } = action.payload;
+        state.allCoupons.unshift(newCoupon);
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(addCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create coupon";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(updateCoupon.fulfilled, (state, action) => {
+        const { updatedCoupon } = action.payload;
+        state.allCoupons = state.allCoupons.map((coupon) =>
+          coupon._id === updatedCoupon._id ? updatedCoupon : coupon,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(updateCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update coupon";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(deleteCoupon.fulfilled, (state, action) => {
+        state.allCoupons = state.allCoupons.filter(
+          (coupon) => coupon._id !== action.payload.deletedCouponId,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(deleteCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Deletion failed";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearCouponMessage } = couponSlice.actions;
+
+export default couponSlice.reducer;
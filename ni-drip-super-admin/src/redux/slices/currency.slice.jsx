@@ -0,0 +1,282 @@
+/**
+ * @file currency.slice.js
+ * @module Redux/Slices/Currency
+ * @description
+ * Redux Toolkit slice managing the exchange rates used to charge customers in their own currency.
+ * * Core Features:
+ * - Rate CRUD: Create, list, update and delete exchange rates against the base currency.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * - State Syncing: Updates the local list after every mutation.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllExchangeRates
+ * @async
+ * @description Fetches every exchange rate and the base currency they are expressed against.
+ * @returns {Array<Object>} Array of exchange rate records.
+ */
+export const getAllExchangeRates = createAsyncThunk(
+  "currency/getAllExchangeRates",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/currency/get-all-exchange-rates`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allRates, baseCurrency, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allRates: allRates || [],
+        baseCurrency,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addExchangeRate
+ * @async
+ * @description Creates an exchange rate.
+ * @param {Object} rateData - Currency code, symbol, rate and the countries charged in it.
+ */
+export const addExchangeRate = createAsyncThunk(
+  "currency/addExchangeRate",
+  async (rateData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/currency/add-exchange-rate`,
+        rateData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { newRate, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, newRate };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function updateExchangeRate
+ * @async
+ * @description Updates an exchange rate.
+ * @param {Object} payload
+ * @param {string} payload.rateId - The exchange rate to update.
+ * @param {Object} payload.rateData - Fields to change.
+ */
+export const updateExchangeRate = createAsyncThunk(
+  "currency/updateExchangeRate",
+  async ({ rateId, rateData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/currency/update-exchange-rate/${rateId}`,
+        rateData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { updatedRate, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, updatedRate };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function deleteExchangeRate
+ * @async
+ * @description Removes an exchange rate and updates the state.
+ * @param {string} rateId - The unique ID of the exchange rate to delete.
+ */
+export const deleteExchangeRate = createAsyncThunk(
+  "currency/deleteExchangeRate",
+  async (rateId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/currency/delete-exchange-rate/${rateId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, deletedRateId: rateId };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const currencySlice = createSlice({
+  name: "currencies",
+  initialState: {
+    allRates: [],
+    baseCurrency: null,
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearCurrencyMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+
+      .addCase(getAllExchangeRates.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllExchangeRates.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allRates = action.payload.allRates;
+        state.baseCurrency = action.payload.baseCurrency;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllExchangeRates.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch exchange rates";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(addExchangeRate.fulfilled, (state, action) => {
+        const { newRate } = action.payload;
+        state.allRates.unshift(newRate);
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(addExchangeRate.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to create exchange rate";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(updateExchangeRate.fulfilled, (state, action) => {
+        const { updatedRate } = action.payload;
+        state.allRates = state.allRates.map((rate) =>
+          rate._id === updatedRate._id ? updatedRate : rate,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(updateExchangeRate.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to update exchange rate";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(deleteExchangeRate.fulfilled, (state, action) => {
+        state.allRates = state.allRates.filter(
+          (rate) => rate._id !== action.payload.deletedRateId,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(deleteExchangeRate.rejected, (state, action) => {
+        state.error = action.payload?.message || "Deletion failed";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearCurrencyMessage } = currencySlice.actions;
+
+export default currencySlice.reducer;
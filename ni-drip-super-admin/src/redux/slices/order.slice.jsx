@@ -22,11 +22,13 @@ const getToken = () => localStorage.getItem("authToken");
 /**
  * @function getAllOrders
  * @async
- * @description Fetches the complete list of orders from the database.
+ * @description Fetches one page of orders; filtering, search and sorting run on the server.
+ * @param {Object} [query] - Optional `page`, `limit`, `status`, `paymentStatus`, `paymentMethod`,
+ * `from`, `to`, `email`, `minTotal`, `maxTotal`, `search`, `sortBy` and `sortOrder`.
  */
 export const getAllOrders = createAsyncThunk(
   "order/getAllOrders",
-  async (_, { rejectWithValue }) => {
+  async (query = {}, { rejectWithValue }) => {
     const token = getToken();
     if (!token)
       return rejectWithValue({
@@ -34,22 +36,31 @@ export const getAllOrders = createAsyncThunk(
         success: false,
       });
 
+    // Drop empty filters so the backend does not match on ""
+    const params = Object.fromEntries(
+      Object.entries(query).filter(([, value]) => value),
+    );
+
     try {
       const response = await axios.get(
-        `${BACKEND_API_URL}/order/get-all-orders`, // Ensure this matches your route
+        `${BACKEND_API_URL}/order/get-all-orders`,
         {
           headers: { Authorization: `Bearer ${token}` },
+          params,
         },
       );
 
-      const { allOrders, message, success } = response.data;
+      const { allOrders, pagination, statusCounts, message, success } =
+        response.data;
 
       if (!success) throw new Error(message);
 
       return {
         success: true,
         message: message,
-        allOrders: allOrders || response.data,
+        allOrders: allOrders || [],
+        pagination,
+        statusCounts: statusCounts || {},
       };
     } catch (error) {
       const backendError = error.response?.data;
@@ -65,12 +76,14 @@ export const getAllOrders = createAsyncThunk(
 /**
  * @function updateOrderStatus
  * @async
- * @description Updates the order status and/or payment status.
- * @param {{ orderId: string, status?: string, paymentStatus?: string }} payload
+ * @description Updates the order status. The backend rejects status moves its
+ * transition table does not allow; the payment status only changes through
+ * payments, refunds, cancellation and cash collection.
+ * @param {{ orderId: string, status: string, note?: string }} payload
  */
 export const updateOrderStatus = createAsyncThunk(
   "order/updateOrderStatus",
-  async ({ orderId, status, paymentStatus }, { rejectWithValue }) => {
+  async ({ orderId, status, note }, { rejectWithValue }) => {
     const token = getToken();
 
     if (!token)
@@ -82,7 +95,7 @@ export const updateOrderStatus = createAsyncThunk(
     try {
       const response = await axios.put(
         `${BACKEND_API_URL}/order/action/update-order-status/${orderId}`,
-        { status, paymentStatus },
+        { status, note },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -112,6 +125,210 @@ export const updateOrderStatus = createAsyncThunk(
   },
 );
 
+/**
+ * @function refundOrder
+ * @async
+ * @description Issues a full or per-line Stripe refund for an order.
+ * @param {{ orderId: string, items?: Array<{productId: string, variantId?: string, quantity: number}>, reason?: string }} payload
+ */
+export const refundOrder = createAsyncThunk(
+  "order/refundOrder",
+  async ({ orderId, items, reason }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/order/action/refund-order/${orderId}`,
+        { items, reason },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, refundedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        refundedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function editOrder
+ * @async
+ * @description Edits the lines, quantities and/or delivery address of an order
+ * that has not shipped. The server re-prices it and refunds or bills the
+ * difference.
+ * @param {{ orderId: string, items?: Array<{productId: string, variantId?: string, quantity: number}>, address?: Object, note?: string }} payload
+ */
+export const editOrder = createAsyncThunk(
+  "order/editOrder",
+  async ({ orderId, ...changes }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/edit-order/${orderId}`,
+        changes,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, editedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        editedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addShipment
+ * @async
+ * @description Records a shipment (carrier, tracking and shipped lines). The
+ * first shipment moves a PROCESSING order to SHIPPED.
+ * @param {{ orderId: string, carrier: string, trackingNumber: string, trackingUrl?: string, estimatedDelivery?: string, items?: Array<{ productId: string, variantId?: string, quantity: number }> }} payload
+ */
+export const addShipment = createAsyncThunk(
+  "order/addShipment",
+  async ({ orderId, ...shipment }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/order/action/add-shipment/${orderId}`,
+        shipment,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, shippedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        shippedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function collectCashPayment
+ * @async
+ * @description Records the cash collected for a pay-on-delivery order. A
+ * SHIPPED order is marked DELIVERED at the same time.
+ * @param {string} orderId
+ */
+export const collectCashPayment = createAsyncThunk(
+  "order/collectCashPayment",
+  async (orderId, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/collect-cash/${orderId}`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, collectedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        collectedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
 /**
  * @function deleteOrder
  * @async
@@ -157,10 +374,152 @@ export const deleteOrder = createAsyncThunk(
   },
 );
 
+/**
+ * @function downloadInvoice
+ * @async
+ * @description Fetches the PDF invoice of a paid order and saves it through the browser.
+ * @param {string} orderId
+ */
+export const downloadInvoice = createAsyncThunk(
+  "order/downloadInvoice",
+  async (orderId, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/invoice/${orderId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          responseType: "blob",
+        },
+      );
+
+      const filename =
+        response.headers["content-disposition"]?.match(
+          /filename="(.+)"/,
+        )?.[1] || `invoice-${orderId}.pdf`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      return { success: true, message: "Invoice downloaded", filename };
+    } catch (error) {
+      // Errors arrive as a blob because of the PDF response type
+      let backendError = null;
+      try {
+        backendError = JSON.parse(await error.response?.data?.text());
+      } catch {
+        backendError = null;
+      }
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function exportOrders
+ * @async
+ * @description Downloads orders as one row per line item for finance.
+ * @param {Object} [filters] - Optional `format` ("csv" | "jsonl"), `from`, `to`, `status` and `paymentStatus`.
+ */
+export const exportOrders = createAsyncThunk(
+  "order/exportOrders",
+  async (filters = {}, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    // Drop empty filters so the backend does not match on ""
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value),
+    );
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/export-orders`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params,
+          responseType: "blob",
+        },
+      );
+
+      const filename =
+        response.headers["content-disposition"]?.match(
+          /filename="(.+)"/,
+        )?.[1] || `orders.${params.format || "csv"}`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      return { success: true, message: "Orders exported", filename };
+    } catch (error) {
+      // Errors arrive as a blob because of the file response type
+      let backendError = null;
+      try {
+        backendError = JSON.parse(await error.response?.data?.text());
+      } catch {
+        backendError = null;
+      }
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Swap an order on the current page for its updated copy, keeping the
+ * status counts behind the stat cards in step.
+ * @param {Object} state - Orders slice state
+ * @param {string} orderId
+ * @param {Object} order - Updated order from the backend
+ */
+const replaceOrder = (state, orderId, order) => {
+  const index = state.allOrders.findIndex((o) => o._id === orderId);
+  if (index === -1) return;
+
+  const previousStatus = state.allOrders[index].status;
+  if (order.status && order.status !== previousStatus) {
+    state.statusCounts[previousStatus] =
+      (state.statusCounts[previousStatus] || 1) - 1;
+    state.statusCounts[order.status] =
+      (state.statusCounts[order.status] || 0) + 1;
+  }
+
+  state.allOrders[index] = order;
+};
+
 const orderSlice = createSlice({
   name: "orders",
   initialState: {
     allOrders: [],
+    pagination: { page: 1, limit: 20, total: 0, totalPages: 0 },
+    statusCounts: {},
     loading: false,
     error: null,
     message: null,
@@ -183,6 +542,8 @@ const orderSlice = createSlice({
       .addCase(getAllOrders.fulfilled, (state, action) => {
         state.loading = false;
         state.allOrders = action.payload.allOrders;
+        state.pagination = action.payload.pagination;
+        state.statusCounts = action.payload.statusCounts;
         state.success = true;
       })
       .addCase(getAllOrders.rejected, (state, action) => {
@@ -200,11 +561,7 @@ const orderSlice = createSlice({
         state.loading = false;
         const { orderId, updatedOrderStatus } = action.payload;
 
-        // Find the index of the updated order and swap it out with the new data
-        const index = state.allOrders.findIndex((o) => o._id === orderId);
-        if (index !== -1) {
-          state.allOrders[index] = updatedOrderStatus;
-        }
+        replaceOrder(state, orderId, updatedOrderStatus);
 
         state.message = action.payload.message;
         state.success = true;
@@ -216,6 +573,50 @@ const orderSlice = createSlice({
         state.success = false;
       })
 
+      /* Edit Order Cases */
+      .addCase(editOrder.fulfilled, (state, action) => {
+        const { orderId, editedOrder } = action.payload;
+
+        replaceOrder(state, orderId, editedOrder);
+
+        state.message = action.payload.message;
+        state.success = true;
+      })
+
+      /* Add Shipment Cases */
+      .addCase(addShipment.fulfilled, (state, action) => {
+        const { orderId, shippedOrder } = action.payload;
+
+        replaceOrder(state, orderId, shippedOrder);
+
+        state.message = action.payload.message;
+        state.success = true;
+      })
+
+      /* Collect Cash Payment Cases */
+      .addCase(collectCashPayment.fulfilled, (state, action) => {
+        const { orderId, collectedOrder } = action.payload;
+
+        replaceOrder(state, orderId, collectedOrder);
+
+        state.message = action.payload.message;
+        state.success = true;
+      })
+
+      /* Refund Order Cases */
+      .addCase(refundOrder.fulfilled, (state, action) => {
+        const { orderId, refundedOrder } = action.payload;
+
+        replaceOrder(state, orderId, refundedOrder);
+
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(refundOrder.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to refund order";
+        state.success = false;
+      })
+
       /* Delete Order Cases */
       .addCase(deleteOrder.pending, (state) => {
         state.loading = true;
@@ -226,9 +627,16 @@ const orderSlice = createSlice({
         const deletedOrderId = action.payload.orderId;
 
         // Remove the order from the local list immediately
+        const deletedOrder = state.allOrders.find(
+          (order) => order._id === deletedOrderId,
+        );
         state.allOrders = state.allOrders.filter(
           (order) => order._id !== deletedOrderId,
         );
+        if (deletedOrder) {
+          state.pagination.total -= 1;
+          state.statusCounts[deletedOrder.status] -= 1;
+        }
 
         state.message = action.payload.message;
         state.success = true;
@@ -0,0 +1,114 @@
+/**
+ * @file payment.slice.js
+ * @module Redux/Slices/Payment
+ * @description
+ * Redux Toolkit slice for the Stripe webhook event log.
+ * * Core Features:
+ * - Event Log: Fetches the raw Stripe events the backend received, with their processing outcome.
+ * - Filtering: Narrows the log by order, event type or processing status on the server.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getPaymentEvents
+ * @async
+ * @description Fetches logged Stripe webhook events, newest first.
+ * @param {Object} [filters] - Optional `orderId`, `type` and `status`.
+ * @returns {Array<Object>} Array of payment event records.
+ */
+export const getPaymentEvents = createAsyncThunk(
+  "payments/getPaymentEvents",
+  async (filters = {}, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    // Drop empty filters so the backend does not match on ""
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value),
+    );
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/payment/get-payment-events`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params,
+        },
+      );
+
+      const { allPaymentEvents, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allPaymentEvents: allPaymentEvents || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const paymentSlice = createSlice({
+  name: "payments",
+  initialState: {
+    allPaymentEvents: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearPaymentMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getPaymentEvents.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getPaymentEvents.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allPaymentEvents = action.payload.allPaymentEvents;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getPaymentEvents.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch payment events";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearPaymentMessage } = paymentSlice.actions;
+
+export default paymentSlice.reducer;
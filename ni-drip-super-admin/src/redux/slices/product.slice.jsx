@@ -8,6 +8,7 @@
  * - **Binary Data Support:** Optimized for `multipart/form-data` to handle product image uploads.
  * - **Secure Requests:** Automatically retrieves and attaches Bearer tokens from `localStorage`.
  * - **Optimistic UI Updates:** Synchronizes the `products` list immediately upon successful deletion or modification.
+ * - **Pricing:** Sales, scheduled price changes and price history; these thunks hand the pricing back to the caller instead of storing it.
  * * @requires @reduxjs/toolkit
  * @requires axios
  */
@@ -279,6 +280,203 @@ export const deleteProduct = createAsyncThunk(
   },
 );
 
+/**
+ * @function getProductPricing
+ * @async
+ * @description Fetches the sale, scheduled price changes and price history of a product.
+ * @param {string} productId - The unique MongoDB ID of the product.
+ * @returns {Object} The product pricing (`sale`, `scheduledPrices`, `priceHistory`, variant prices).
+ */
+export const getProductPricing = createAsyncThunk(
+  "product/getProductPricing",
+  async (productId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/get-pricing/${productId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const { pricing, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { pricing, message, success: true };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function setProductSale
+ * @async
+ * @description Puts a product on sale now or from a future date, replacing any current sale.
+ * @param {{ productId: string, price?: number, percentOff?: number, startsAt?: string, endsAt: string }} payload
+ * @returns {Object} The product pricing (`sale`, `scheduledPrices`, `priceHistory`, variant prices).
+ */
+export const setProductSale = createAsyncThunk(
+  "product/setProductSale",
+  async ({ productId, ...sale }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/product/set-sale/${productId}`,
+        sale,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const { pricing, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { pricing, message, success: true };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function endProductSale
+ * @async
+ * @description Ends a running sale, or cancels one that has not started.
+ * @param {string} productId - The unique MongoDB ID of the product.
+ * @returns {Object} The product pricing (`sale`, `scheduledPrices`, `priceHistory`, variant prices).
+ */
+export const endProductSale = createAsyncThunk(
+  "product/endProductSale",
+  async (productId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/product/end-sale/${productId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const { pricing, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { pricing, message, success: true };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function schedulePriceChange
+ * @async
+ * @description Schedules a future change of a regular price.
+ * @param {{ productId: string, price: number, variantId?: string, effectiveAt: string }} payload
+ * @returns {Object} The product pricing (`sale`, `scheduledPrices`, `priceHistory`, variant prices).
+ */
+export const schedulePriceChange = createAsyncThunk(
+  "product/schedulePriceChange",
+  async ({ productId, ...change }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/product/schedule-price/${productId}`,
+        change,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const { pricing, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { pricing, message, success: true };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function cancelScheduledPrice
+ * @async
+ * @description Cancels a scheduled price change.
+ * @param {{ productId: string, scheduleId: string }} payload
+ * @returns {Object} The product pricing (`sale`, `scheduledPrices`, `priceHistory`, variant prices).
+ */
+export const cancelScheduledPrice = createAsyncThunk(
+  "product/cancelScheduledPrice",
+  async ({ productId, scheduleId }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/product/cancel-scheduled-price/${productId}/${scheduleId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const { pricing, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { pricing, message, success: true };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
 const productSlice = createSlice({
   name: "products",
   initialState: {
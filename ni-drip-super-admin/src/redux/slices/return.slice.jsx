@@ -0,0 +1,224 @@
+/**
+ * @file return.slice.js
+ * @module Redux/Slices/Return
+ * @description
+ * Redux Toolkit slice for the return (RMA) queue.
+ * * Core Features:
+ * - Queue: Fetches customer return requests, optionally filtered by status or order.
+ * - Workflow: Approves/rejects requests, records the inspection (restock or write-off per line) and completes the refund.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+const notAuthenticated = {
+  message: "Admin is not authenticated.",
+  success: false,
+};
+
+/**
+ * @function toRejection
+ * @description Shapes an axios error into the payload every thunk rejects with.
+ * @param {Error} error
+ * @returns {Object} `{ message, success, status }`
+ */
+const toRejection = (error) => ({
+  message: error.response?.data?.message || error.message,
+  success: false,
+  status: error.response?.status || 0,
+});
+
+/**
+ * @function getAllReturns
+ * @async
+ * @description Fetches the return queue, oldest first.
+ * @param {Object} [filters] - Optional `status` and `orderId`.
+ * @returns {Array<Object>} Array of return requests.
+ */
+export const getAllReturns = createAsyncThunk(
+  "returns/getAllReturns",
+  async (filters = {}, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token) return rejectWithValue(notAuthenticated);
+
+    // Drop empty filters so the backend does not match on ""
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value),
+    );
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/return/get-all-returns`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params,
+        },
+      );
+
+      const { allReturns, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, allReturns: allReturns || [] };
+    } catch (error) {
+      return rejectWithValue(toRejection(error));
+    }
+  },
+);
+
+/**
+ * @function reviewReturn
+ * @async
+ * @description Approves or rejects a requested return; the customer is emailed.
+ * @param {Object} params - `{ returnId, decision: "APPROVE" | "REJECT", note }`
+ * @returns {Object} The updated return request.
+ */
+export const reviewReturn = createAsyncThunk(
+  "returns/reviewReturn",
+  async ({ returnId, decision, note }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token) return rejectWithValue(notAuthenticated);
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/return/action/review-return/${returnId}`,
+        { decision, note },
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(toRejection(error));
+    }
+  },
+);
+
+/**
+ * @function receiveReturn
+ * @async
+ * @description Records the received parcel and the restock/write-off decision for every line.
+ * @param {Object} params - `{ returnId, items: [{ productId, variantId?, disposition }], inspectionNote }`
+ * @returns {Object} The updated return request.
+ */
+export const receiveReturn = createAsyncThunk(
+  "returns/receiveReturn",
+  async ({ returnId, items, inspectionNote }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token) return rejectWithValue(notAuthenticated);
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/return/action/receive-return/${returnId}`,
+        { items, inspectionNote },
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(toRejection(error));
+    }
+  },
+);
+
+/**
+ * @function completeReturn
+ * @async
+ * @description Refunds (Stripe) or records the manual refund, restocks and closes an inspected return.
+ * @param {Object} params - `{ returnId, note }`
+ * @returns {Object} The completed return request.
+ */
+export const completeReturn = createAsyncThunk(
+  "returns/completeReturn",
+  async ({ returnId, note }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token) return rejectWithValue(notAuthenticated);
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/return/action/complete-return/${returnId}`,
+        { note },
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(toRejection(error));
+    }
+  },
+);
+
+/**
+ * @function replaceReturn
+ * @description Swaps an updated return into the queue in place.
+ */
+const replaceReturn = (state, action) => {
+  state.actionLoading = false;
+  state.message = action.payload.message;
+  const { updatedReturn } = action.payload;
+  const index = state.allReturns.findIndex((r) => r._id === updatedReturn._id);
+  if (index !== -1) state.allReturns[index] = updatedReturn;
+};
+
+const returnSlice = createSlice({
+  name: "returns",
+  initialState: {
+    allReturns: [],
+    loading: false,
+    actionLoading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearReturnMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getAllReturns.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllReturns.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allReturns = action.payload.allReturns;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllReturns.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch returns";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+
+    for (const thunk of [reviewReturn, receiveReturn, completeReturn]) {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.actionLoading = true;
+          state.error = null;
+        })
+        .addCase(thunk.fulfilled, replaceReturn)
+        .addCase(thunk.rejected, (state, action) => {
+          state.actionLoading = false;
+          state.error = action.payload?.message || "Failed to update return";
+        });
+    }
+  },
+});
+
+export const { clearReturnMessage } = returnSlice.actions;
+
+export default returnSlice.reducer;
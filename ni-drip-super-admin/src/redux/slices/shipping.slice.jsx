@@ -0,0 +1,290 @@
+/**
+ * @file shipping.slice.js
+ * @module Redux/Slices/Shipping
+ * @description
+ * Redux Toolkit slice managing shipping zones and their rate tables.
+ * * Core Features:
+ * - Zone CRUD: Create, list, update and delete the zones used by the server-side rate engine.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * - State Syncing: Keeps a single default zone in local state after create/update.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllShippingZones
+ * @async
+ * @description Fetches every shipping zone.
+ * @returns {Array<Object>} Array of shipping zone records.
+ */
+export const getAllShippingZones = createAsyncThunk(
+  "shipping/getAllShippingZones",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/shipping/get-all-shipping-zones`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allZones, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allZones: allZones || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addShippingZone
+ * @async
+ * @description Creates a shipping zone.
+ * @param {Object} zoneData - Name, destinations, rate tiers and free-shipping threshold.
+ */
+export const addShippingZone = createAsyncThunk(
+  "shipping/addShippingZone",
+  async (zoneData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/shipping/add-shipping-zone`,
+        zoneData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { newZone, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, newZone };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function updateShippingZone
+ * @async
+ * @description Updates a shipping zone.
+ * @param {Object} payload
+ * @param {string} payload.zoneId - The zone to update.
+ * @param {Object} payload.zoneData - Fields to change.
+ */
+export const updateShippingZone = createAsyncThunk(
+  "shipping/updateShippingZone",
+  async ({ zoneId, zoneData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/shipping/update-shipping-zone/${zoneId}`,
+        zoneData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { updatedZone, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, updatedZone };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function deleteShippingZone
+ * @async
+ * @description Removes a shipping zone and updates the state.
+ * @param {string} zoneId - The unique ID of the zone to delete.
+ */
+export const deleteShippingZone = createAsyncThunk(
+  "shipping/deleteShippingZone",
+  async (zoneId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/shipping/delete-shipping-zone/${zoneId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, deletedZoneId: zoneId };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Mirrors the backend rule that only one zone can be the default
+ * @param {Array<Object>} zones
+ * @param {Object} zone - Zone that was just saved
+ */
+const syncDefaultFlag = (zones, zone) => {
+  if (!zone.isDefault) return;
+  zones.forEach((z) => {
+    if (z._id !== zone._id) z.isDefault = false;
+  });
+};
+
+const shippingSlice = createSlice({
+  name: "shipping",
+  initialState: {
+    allZones: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearShippingMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+
+      .addCase(getAllShippingZones.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllShippingZones.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allZones = action.payload.allZones;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllShippingZones.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch zones";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(addShippingZone.fulfilled, (state, action) => {
+        const { newZone } = action.payload;
+        syncDefaultFlag(state.allZones, newZone);
+        state.allZones.unshift(newZone);
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(addShippingZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create zone";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(updateShippingZone.fulfilled, (state, action) => {
+        const { updatedZone } = action.payload;
+        syncDefaultFlag(state.allZones, updatedZone);
+        state.allZones = state.allZones.map((zone) =>
+          zone._id === updatedZone._id ? updatedZone : zone,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(updateShippingZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update zone";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(deleteShippingZone.fulfilled, (state, action) => {
+        state.allZones = state.allZones.filter(
+          (zone) => zone._id !== action.payload.deletedZoneId,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(deleteShippingZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Deletion failed";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearShippingMessage } = shippingSlice.actions;
+
+export default shippingSlice.reducer;
@@ -0,0 +1,276 @@
+/**
+ * @file tax.slice.js
+ * @module Redux/Slices/Tax
+ * @description
+ * Redux Toolkit slice managing the destination tax rules applied at checkout.
+ * * Core Features:
+ * - Rule CRUD: Create, list, update and delete tax rules per country or region.
+ * - Secure Requests: Attaches Bearer tokens from localStorage for admin-level operations.
+ * - State Syncing: Updates the local list after every mutation.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllTaxRules
+ * @async
+ * @description Fetches every tax rule.
+ * @returns {Array<Object>} Array of tax rule records.
+ */
+export const getAllTaxRules = createAsyncThunk(
+  "tax/getAllTaxRules",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/tax/get-all-tax-rules`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allTaxRules, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message: message,
+        allTaxRules: allTaxRules || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addTaxRule
+ * @async
+ * @description Creates a tax rule.
+ * @param {Object} ruleData - Name, destination, rate and category overrides.
+ */
+export const addTaxRule = createAsyncThunk(
+  "tax/addTaxRule",
+  async (ruleData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/tax/add-tax-rule`,
+        ruleData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { newTaxRule, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, newTaxRule };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function updateTaxRule
+ * @async
+ * @description Updates a tax rule.
+ * @param {Object} payload
+ * @param {string} payload.ruleId - The tax rule to update.
+ * @param {Object} payload.ruleData - Fields to change.
+ */
+export const updateTaxRule = createAsyncThunk(
+  "tax/updateTaxRule",
+  async ({ ruleId, ruleData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/tax/update-tax-rule/${ruleId}`,
+        ruleData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { updatedTaxRule, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, updatedTaxRule };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function deleteTaxRule
+ * @async
+ * @description Removes a tax rule and updates the state.
+ * @param {string} ruleId - The unique ID of the tax rule to delete.
+ */
+export const deleteTaxRule = createAsyncThunk(
+  "tax/deleteTaxRule",
+  async (ruleId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/tax/delete-tax-rule/${ruleId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return { success: true, message, deletedRuleId: ruleId };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const taxSlice = createSlice({
+  name: "taxes",
+  initialState: {
+    allTaxRules: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearTaxMessage: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+
+      .addCase(getAllTaxRules.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(getAllTaxRules.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allTaxRules = action.payload.allTaxRules;
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(getAllTaxRules.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch tax rules";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(addTaxRule.fulfilled, (state, action) => {
+        const { newTaxRule } = action.payload;
+        state.allTaxRules.unshift(newTaxRule);
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(addTaxRule.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create tax rule";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(updateTaxRule.fulfilled, (state, action) => {
+        const { updatedTaxRule } = action.payload;
+        state.allTaxRules = state.allTaxRules.map((rule) =>
+          rule._id === updatedTaxRule._id ? updatedTaxRule : rule,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(updateTaxRule.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update tax rule";
+        state.message = action.payload?.message;
+        state.success = false;
+      })
+
+      .addCase(deleteTaxRule.fulfilled, (state, action) => {
+        state.allTaxRules = state.allTaxRules.filter(
+          (rule) => rule._id !== action.payload.deletedRuleId,
+        );
+        state.message = action.payload.message;
+        state.success = action.payload.success;
+      })
+      .addCase(deleteTaxRule.rejected, (state, action) => {
+        state.error = action.payload?.message || "Deletion failed";
+        state.message = action.payload?.message;
+        state.success = false;
+      });
+  },
+});
+
+export const { clearTaxMessage } = taxSlice.actions;
+
+export default taxSlice.reducer;
@@ -21,6 +21,13 @@ import reviewReducer from "../slices/review.slice";
 import supportReducer from "../slices/support.slice";
 import userReducer from "../slices/user.slice";
 import orderReducer from "../slices/order.slice";
+import shippingReducer from "../slices/shipping.slice";
+import couponReducer from "../slices/coupon.slice";
+import categoryReducer from "../slices/category.slice";
+import currencyReducer from "../slices/currency.slice";
+import taxReducer from "../slices/tax.slice";
+import paymentReducer from "../slices/payment.slice";
+import returnReducer from "../slices/return.slice";
 
 /**
  * A wrapper around localStorage to provide async-like
@@ -67,6 +74,13 @@ const rootReducer = combineReducers({
   support: supportReducer,
   users: userReducer,
   orders: orderReducer,
+  shipping: shippingReducer,
+  coupons: couponReducer,
+  categories: categoryReducer,
+  currencies: currencyReducer,
+  taxes: taxReducer,
+  payments: paymentReducer,
+  returns: returnReducer,
 });
 
 /**
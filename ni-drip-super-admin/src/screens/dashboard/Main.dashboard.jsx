@@ -32,13 +32,15 @@ const Main = () => {
   const support = useSelector((state) => state.support.allTickets || []);
   const allUsers = useSelector((state) => state.users.allUsers || []);
   const allOrders = useSelector((state) => state.orders.allOrders || []);
+  const orderPagination = useSelector((state) => state.orders.pagination);
 
   useEffect(() => {
     if (user?.id) {
       dispatch(getAllProducts());
       dispatch(getAllTickets());
       dispatch(getAllUsers());
-      dispatch(getAllOrders());
+      // Only the total is needed here; it comes with any page
+      dispatch(getAllOrders({ limit: 1 }));
     }
   }, [dispatch, user?.id]);
 
@@ -68,9 +70,9 @@ const Main = () => {
 
   const orderStats = useMemo(() => {
     return {
-      totalOrders: allOrders.length,
+      totalOrders: orderPagination.total,
     };
-  }, [allOrders]);
+  }, [orderPagination]);
 
   const handleNavigateProducts = () =>
     navigate("/super-admin/products/manage-products");
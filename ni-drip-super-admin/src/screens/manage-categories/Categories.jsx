@@ -0,0 +1,456 @@
+/**
+ * @file Categories.jsx
+ * @module Screens/Categories/Management
+ * @description
+ * Administrative interface for the product category tree shown on the app dashboard.
+ * * **Core Functionality:**
+ * - **Category Tree:** Lists categories nested under their parents, in display order, with their product counts.
+ * - **Category Form:** Name, slug, parent, sort order, visibility and an optional image.
+ * - **Destructive Workflows:** Deleting a category requires Modal confirmation; the backend refuses while products or sub-categories still use it.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllCategories,
+  addCategory,
+  updateCategory,
+  deleteCategory,
+} from "../../redux/slices/category.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import productPlaceholder from "../../assets/placeHolder/product-placeholder.jpg";
+import { toast } from "react-hot-toast";
+import "./Categories.css";
+
+// The backend reads "null" as "no parent"
+const TOP_LEVEL = "null";
+
+const EMPTY_FORM = {
+  name: "",
+  slug: "",
+  parent: TOP_LEVEL,
+  sortOrder: "0",
+  isActive: true,
+};
+
+/**
+ * Turn a name into a slug preview ("Smart Watches" → "smart-watches")
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Order categories depth-first so children follow their parent
+ * @param {Array<Object>} categories - Already sorted by sortOrder, then name
+ * @returns {Array<{category: Object, depth: number}>}
+ */
+const toTreeRows = (categories) => {
+  const ids = new Set(categories.map((category) => category._id));
+  const childrenOf = new Map();
+  categories.forEach((category) => {
+    // Orphans (parent deleted elsewhere) are listed at the top level
+    const key = ids.has(category.parent) ? category.parent : TOP_LEVEL;
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(category);
+  });
+
+  const rows = [];
+  const visit = (key, depth) =>
+    (childrenOf.get(key) || []).forEach((category) => {
+      rows.push({ category, depth });
+      visit(category._id, depth + 1);
+    });
+  visit(TOP_LEVEL, 0);
+
+  return rows;
+};
+
+/**
+ * Ids of a category and everything below it (invalid parents for it)
+ * @param {Array<Object>} categories
+ * @param {string} categoryId
+ * @returns {Set<string>}
+ */
+const subtreeIds = (categories, categoryId) => {
+  const ids = new Set([categoryId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    categories.forEach((category) => {
+      if (ids.has(category.parent) && !ids.has(category._id)) {
+        ids.add(category._id);
+        grew = true;
+      }
+    });
+  }
+  return ids;
+};
+
+const Categories = () => {
+  const dispatch = useDispatch();
+  const fileInputRef = useRef(null);
+  const user = useSelector((state) => state.auth.user);
+  const { allCategories = [], loading } = useSelector(
+    (state) => state.categories,
+  );
+  const [search, setSearch] = useState("");
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [imageFile, setImageFile] = useState(null);
+  const [imagePreview, setImagePreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllCategories());
+    }
+  }, [dispatch, user?.id]);
+
+  const categoryNames = useMemo(
+    () =>
+      new Map(allCategories.map((category) => [category._id, category.name])),
+    [allCategories],
+  );
+
+  const rows = useMemo(() => {
+    const term = search.toLowerCase();
+    const tree = toTreeRows(allCategories);
+    if (!term) return tree;
+    return tree.filter(
+      ({ category }) =>
+        category.name?.toLowerCase().includes(term) ||
+        category.slug?.toLowerCase().includes(term),
+    );
+  }, [allCategories, search]);
+
+  const parentOptions = useMemo(() => {
+    const excluded = editingCategory
+      ? subtreeIds(allCategories, editingCategory._id)
+      : new Set();
+    return [
+      { value: TOP_LEVEL, label: "Top level" },
+      ...toTreeRows(allCategories)
+        .filter(({ category }) => !excluded.has(category._id))
+        .map(({ category, depth }) => ({
+          value: category._id,
+          label: `${"— ".repeat(depth)}${category.name}`,
+        })),
+    ];
+  }, [allCategories, editingCategory]);
+
+  const openForm = (category) => {
+    setEditingCategory(category);
+    setForm(
+      category
+        ? {
+            name: category.name,
+            slug: category.slug,
+            parent: category.parent || TOP_LEVEL,
+            sortOrder: String(category.sortOrder ?? 0),
+            isActive: category.isActive,
+          }
+        : EMPTY_FORM,
+    );
+    setImageFile(null);
+    setImagePreview(category?.image || null);
+    setIsFormOpen(true);
+  };
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleImageSelect = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setImageFile(file);
+    setImagePreview(URL.createObjectURL(file));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error("Category name is required");
+      return;
+    }
+    if (form.sortOrder !== "" && Number.isNaN(Number(form.sortOrder))) {
+      toast.error("Sort order must be a number");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("name", form.name.trim());
+    formData.append("slug", form.slug.trim() || slugify(form.name));
+    formData.append("parent", form.parent);
+    formData.append("sortOrder", form.sortOrder === "" ? "0" : form.sortOrder);
+    formData.append("isActive", String(form.isActive));
+    if (imageFile) formData.append("categoryImage", imageFile);
+
+    setSaving(true);
+    const result = editingCategory
+      ? await dispatch(
+          updateCategory({ categoryId: editingCategory._id, formData }),
+        )
+      : await dispatch(addCategory(formData));
+    setSaving(false);
+
+    const thunk = editingCategory ? updateCategory : addCategory;
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsFormOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to save category");
+    }
+  };
+
+  const handleOpenDeleteModal = (category) => {
+    setSelectedCategory(category);
+    setIsDeleteModalOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!selectedCategory) return;
+    setDeleting(true);
+
+    const result = await dispatch(deleteCategory(selectedCategory._id));
+
+    if (deleteCategory.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsDeleteModalOpen(false);
+      setSelectedCategory(null);
+    } else {
+      toast.error(result.payload?.message || "Deletion failed");
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <section id="categories">
+      <div className="categories-container">
+        <div className="categories-breadcrumb">
+          <div className="categories-header">
+            <h1 className="categories-title">Categories</h1>
+            <p className="categories-subtitle">
+              Organise products into the categories shown in the app
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={450}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="btn-container">
+          <Button
+            title="Add Category"
+            width={170}
+            icon={<i className="fas fa-plus-circle"></i>}
+            onPress={() => openForm(null)}
+          />
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Slug</th>
+                    <th>Parent</th>
+                    <th>Order</th>
+                    <th>Products</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ category, depth }) => (
+                    <tr key={category._id}>
+                      <td>
+                        <div
+                          className="category-cell"
+                          style={{ paddingLeft: search ? 0 : depth * 24 }}
+                        >
+                          <img
+                            src={category.image || productPlaceholder}
+                            alt={category.name}
+                            className="category-thumb"
+                          />
+                          <span className="category-name">{category.name}</span>
+                        </div>
+                      </td>
+                      <td className="category-slug">{category.slug}</td>
+                      <td>{categoryNames.get(category.parent) || "—"}</td>
+                      <td>{category.sortOrder}</td>
+                      <td>{category.productCount}</td>
+                      <td>
+                        <span
+                          className={`badge ${category.isActive ? "badge-success" : "badge-error"}`}
+                        >
+                          {category.isActive ? "Active" : "Hidden"}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          <button
+                            className="btn-icon"
+                            onClick={() => openForm(category)}
+                            title="Edit Category"
+                          >
+                            <i className="fas fa-pencil-alt"></i>
+                          </button>
+                          <button
+                            className="btn-icon btn-danger"
+                            onClick={() => handleOpenDeleteModal(category)}
+                            title="Delete Category"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && rows.length === 0 && (
+              <div className="no-categories-state">
+                <i className="fas fa-sitemap no-categories-icon"></i>
+                <h3>No Categories Found</h3>
+                <p>Create a category to start organising the catalog.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingCategory ? "Edit Category" : "Add Category"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsFormOpen(false),
+          },
+          {
+            label: editingCategory ? "Save Changes" : "Create Category",
+            className: "primary-btn",
+            onClick: handleSave,
+            loading: saving,
+          },
+        ]}
+      >
+        <div id="category-form">
+          <div
+            className="image-picker"
+            onClick={() => fileInputRef.current.click()}
+          >
+            <img src={imagePreview || productPlaceholder} alt="Category" />
+            <span>{imagePreview ? "Change image" : "Click to upload"}</span>
+          </div>
+          <input
+            type="file"
+            ref={fileInputRef}
+            accept="image/*"
+            style={{ display: "none" }}
+            onChange={handleImageSelect}
+          />
+
+          <InputField
+            label="Name"
+            value={form.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            required
+          />
+          <InputField
+            label="Slug"
+            value={form.slug}
+            onChange={(e) => updateField("slug", e.target.value.toLowerCase())}
+          />
+          <p className="form-hint">
+            Used in links, filters, coupons and tax rules. Leave empty to use{" "}
+            <strong>{slugify(form.name) || "the name"}</strong>.
+          </p>
+
+          <InputField
+            label="Parent"
+            dropdownOptions={parentOptions}
+            selectedValue={form.parent}
+            onValueChange={(e) => updateField("parent", e.target.value)}
+            fullWidth
+          />
+          <InputField
+            label="Sort order"
+            type="number"
+            value={form.sortOrder}
+            onChange={(e) => updateField("sortOrder", e.target.value)}
+          />
+          <p className="form-hint">
+            Lower numbers are shown first among categories with the same parent.
+          </p>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+            />
+            Visible in the app
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Category?"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsDeleteModalOpen(false),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: deleting,
+          },
+        ]}
+      >
+        Are you sure you want to delete{" "}
+        <strong>{selectedCategory?.name}</strong>? Categories that still hold
+        products or sub-categories cannot be deleted; hide them instead.
+      </Modal>
+    </section>
+  );
+};
+
+export default Categories;
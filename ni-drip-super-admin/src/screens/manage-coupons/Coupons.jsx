@@ -0,0 +1,522 @@
+/**
+ * @file Coupons.jsx
+ * @module Screens/Coupons/Management
+ * @description
+ * Administrative interface for the discount coupons redeemed at checkout.
+ * * **Core Functionality:**
+ * - **Coupon Registry:** Lists every coupon with its discount, scope, usage and validity window.
+ * - **Coupon Form:** Percentage or fixed discounts with optional cap, minimum spend, category/product scope and usage limits.
+ * - **Destructive Workflows:** Deleting a coupon requires Modal confirmation.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllCoupons,
+  addCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../../redux/slices/coupon.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+import "./Coupons.css";
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  discountType: "PERCENTAGE",
+  discountValue: "",
+  maxDiscountAmount: "",
+  minSpend: "",
+  categories: "",
+  products: "",
+  usageLimit: "",
+  usageLimitPerUser: "",
+  startsAt: "",
+  expiresAt: "",
+  isActive: true,
+};
+
+/**
+ * Format a date for a `date` input
+ * @param {string|null} value
+ * @returns {string}
+ */
+const toDateInput = (value) =>
+  value ? new Date(value).toLocaleDateString("en-CA") : "";
+
+/**
+ * Convert a coupon document into editable form values
+ * @param {Object} coupon
+ * @returns {Object}
+ */
+const toFormValues = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description || "",
+  discountType: coupon.discountType,
+  discountValue: String(coupon.discountValue),
+  maxDiscountAmount: coupon.maxDiscountAmount ?? "",
+  minSpend: coupon.minSpend ? String(coupon.minSpend) : "",
+  categories: coupon.categories.join(", "),
+  products: coupon.products.map((p) => p._id || p).join(", "),
+  usageLimit: coupon.usageLimit ?? "",
+  usageLimitPerUser: coupon.usageLimitPerUser ?? "",
+  startsAt: toDateInput(coupon.startsAt),
+  expiresAt: toDateInput(coupon.expiresAt),
+  isActive: coupon.isActive,
+});
+
+/**
+ * Human readable label for a coupon's discount
+ * @param {Object} coupon
+ * @returns {string}
+ */
+const formatDiscount = (coupon) => {
+  const value =
+    coupon.discountType === "PERCENTAGE"
+      ? `${coupon.discountValue}% off`
+      : `$${Number(coupon.discountValue).toFixed(2)} off`;
+
+  return coupon.maxDiscountAmount !== null &&
+    coupon.maxDiscountAmount !== undefined
+    ? `${value} (max $${Number(coupon.maxDiscountAmount).toFixed(2)})`
+    : value;
+};
+
+/**
+ * Human readable label for a coupon's scope
+ * @param {Object} coupon
+ * @returns {string}
+ */
+const formatScope = (coupon) => {
+  const scope = [
+    ...coupon.categories,
+    ...coupon.products.map((p) => p.title || p),
+  ];
+  return scope.length ? scope.join(", ") : "All products";
+};
+
+/**
+ * Human readable validity window
+ * @param {Object} coupon
+ * @returns {string}
+ */
+const formatWindow = (coupon) => {
+  const format = (date) => new Date(date).toLocaleDateString();
+  if (!coupon.startsAt && !coupon.expiresAt) return "No expiry";
+  if (!coupon.startsAt) return `Until ${format(coupon.expiresAt)}`;
+  if (!coupon.expiresAt) return `From ${format(coupon.startsAt)}`;
+  return `${format(coupon.startsAt)} – ${format(coupon.expiresAt)}`;
+};
+
+const Coupons = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const { allCoupons = [], loading } = useSelector((state) => state.coupons);
+  const [search, setSearch] = useState("");
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [selectedCoupon, setSelectedCoupon] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllCoupons());
+    }
+  }, [dispatch, user?.id]);
+
+  const filteredCoupons = useMemo(() => {
+    const term = search.toLowerCase();
+    return allCoupons.filter(
+      (coupon) =>
+        coupon.code?.toLowerCase().includes(term) ||
+        coupon.description?.toLowerCase().includes(term),
+    );
+  }, [allCoupons, search]);
+
+  const openCreateForm = () => {
+    setEditingCoupon(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (coupon) => {
+    setEditingCoupon(coupon);
+    setForm(toFormValues(coupon));
+    setIsFormOpen(true);
+  };
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    if (!form.code.trim()) {
+      toast.error("Coupon code is required");
+      return;
+    }
+
+    const discountValue = Number(form.discountValue);
+    if (
+      form.discountValue === "" ||
+      !(discountValue > 0) ||
+      (form.discountType === "PERCENTAGE" && discountValue > 100)
+    ) {
+      toast.error(
+        form.discountType === "PERCENTAGE"
+          ? "Percentage must be between 1 and 100"
+          : "Discount amount must be greater than 0",
+      );
+      return;
+    }
+
+    if (
+      form.startsAt &&
+      form.expiresAt &&
+      new Date(form.startsAt) > new Date(form.expiresAt)
+    ) {
+      toast.error("Start date must be before the expiry date");
+      return;
+    }
+
+    const toNumberOrNull = (value) => (value === "" ? null : Number(value));
+
+    const couponData = {
+      code: form.code.trim(),
+      description: form.description.trim(),
+      discountType: form.discountType,
+      discountValue,
+      maxDiscountAmount:
+        form.discountType === "PERCENTAGE"
+          ? toNumberOrNull(form.maxDiscountAmount)
+          : null,
+      minSpend: form.minSpend === "" ? 0 : Number(form.minSpend),
+      categories: form.categories,
+      products: form.products,
+      usageLimit: toNumberOrNull(form.usageLimit),
+      usageLimitPerUser: toNumberOrNull(form.usageLimitPerUser),
+      startsAt: form.startsAt || null,
+      // Inclusive of the whole expiry day
+      expiresAt: form.expiresAt ? `${form.expiresAt}T23:59:59.999` : null,
+      isActive: form.isActive,
+    };
+
+    setSaving(true);
+    const result = editingCoupon
+      ? await dispatch(
+          updateCoupon({ couponId: editingCoupon._id, couponData }),
+        )
+      : await dispatch(addCoupon(couponData));
+    setSaving(false);
+
+    const thunk = editingCoupon ? updateCoupon : addCoupon;
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsFormOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to save coupon");
+    }
+  };
+
+  const handleOpenDeleteModal = (coupon) => {
+    setSelectedCoupon(coupon);
+    setIsDeleteModalOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!selectedCoupon) return;
+    setDeleting(true);
+
+    const result = await dispatch(deleteCoupon(selectedCoupon._id));
+
+    if (deleteCoupon.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsDeleteModalOpen(false);
+      setSelectedCoupon(null);
+    } else {
+      toast.error(result.payload?.message || "Deletion failed");
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <section id="coupons">
+      <div className="coupons-container">
+        <div className="coupons-breadcrumb">
+          <div className="coupons-header">
+            <h1 className="coupons-title">Coupons</h1>
+            <p className="coupons-subtitle">
+              Manage discount codes, their scope and usage limits
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={450}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="btn-container">
+          <Button
+            title="Add Coupon"
+            width={150}
+            icon={<i className="fas fa-plus-circle"></i>}
+            onPress={openCreateForm}
+          />
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Min Spend</th>
+                    <th>Applies To</th>
+                    <th>Usage</th>
+                    <th>Validity</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredCoupons.map((coupon) => (
+                    <tr key={coupon._id}>
+                      <td>
+                        <span className="coupon-code">{coupon.code}</span>
+                        {coupon.description && (
+                          <span className="coupon-description">
+                            {coupon.description}
+                          </span>
+                        )}
+                      </td>
+                      <td>{formatDiscount(coupon)}</td>
+                      <td>
+                        {coupon.minSpend
+                          ? `$${coupon.minSpend.toFixed(2)}`
+                          : "—"}
+                      </td>
+                      <td className="scope">{formatScope(coupon)}</td>
+                      <td>
+                        {coupon.usedCount} / {coupon.usageLimit ?? "∞"}
+                        {coupon.usageLimitPerUser !== null && (
+                          <span className="usage-hint">
+                            {coupon.usageLimitPerUser} per customer
+                          </span>
+                        )}
+                      </td>
+                      <td>{formatWindow(coupon)}</td>
+                      <td>
+                        <span
+                          className={`badge ${coupon.isActive ? "badge-success" : "badge-error"}`}
+                        >
+                          {coupon.isActive ? "Active" : "Inactive"}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          <button
+                            className="btn-icon"
+                            onClick={() => openEditForm(coupon)}
+                            title="Edit Coupon"
+                          >
+                            <i className="fas fa-pencil-alt"></i>
+                          </button>
+                          <button
+                            className="btn-icon btn-danger"
+                            onClick={() => handleOpenDeleteModal(coupon)}
+                            title="Delete Coupon"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && filteredCoupons.length === 0 && (
+              <div className="no-coupons-state">
+                <i className="fas fa-tags no-coupons-icon"></i>
+                <h3>No Coupons Found</h3>
+                <p>Create a coupon to offer discounts at checkout.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingCoupon ? "Edit Coupon" : "Add Coupon"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsFormOpen(false),
+          },
+          {
+            label: editingCoupon ? "Save Changes" : "Create Coupon",
+            className: "primary-btn",
+            onClick: handleSave,
+            loading: saving,
+          },
+        ]}
+      >
+        <div id="coupon-form">
+          <InputField
+            label="Code"
+            value={form.code}
+            onChange={(e) => updateField("code", e.target.value.toUpperCase())}
+            required
+          />
+          <InputField
+            label="Description"
+            value={form.description}
+            onChange={(e) => updateField("description", e.target.value)}
+          />
+
+          <div className="type-toggle">
+            {["PERCENTAGE", "FIXED"].map((type) => (
+              <button
+                key={type}
+                type="button"
+                className={`type-option ${form.discountType === type ? "active" : ""}`}
+                onClick={() => updateField("discountType", type)}
+              >
+                {type === "PERCENTAGE" ? "Percentage" : "Fixed Amount"}
+              </button>
+            ))}
+          </div>
+
+          <div className="form-row">
+            <InputField
+              label={
+                form.discountType === "PERCENTAGE"
+                  ? "Discount (%)"
+                  : "Discount ($)"
+              }
+              type="number"
+              value={form.discountValue}
+              onChange={(e) => updateField("discountValue", e.target.value)}
+              required
+            />
+            {form.discountType === "PERCENTAGE" && (
+              <InputField
+                label="Max discount ($)"
+                type="number"
+                value={form.maxDiscountAmount}
+                onChange={(e) =>
+                  updateField("maxDiscountAmount", e.target.value)
+                }
+              />
+            )}
+          </div>
+
+          <InputField
+            label="Minimum spend ($)"
+            type="number"
+            value={form.minSpend}
+            onChange={(e) => updateField("minSpend", e.target.value)}
+          />
+          <InputField
+            label="Category slugs (comma separated)"
+            value={form.categories}
+            onChange={(e) => updateField("categories", e.target.value)}
+          />
+          <InputField
+            label="Product IDs (comma separated)"
+            value={form.products}
+            onChange={(e) => updateField("products", e.target.value)}
+          />
+          <p className="form-hint">
+            Leave categories and products empty to apply to the whole cart.
+          </p>
+
+          <div className="form-row">
+            <InputField
+              label="Total uses"
+              type="number"
+              value={form.usageLimit}
+              onChange={(e) => updateField("usageLimit", e.target.value)}
+            />
+            <InputField
+              label="Uses per customer"
+              type="number"
+              value={form.usageLimitPerUser}
+              onChange={(e) => updateField("usageLimitPerUser", e.target.value)}
+            />
+          </div>
+          <p className="form-hint">Leave usage limits empty for unlimited.</p>
+
+          <div className="form-row">
+            <InputField
+              label="Starts on"
+              type="date"
+              value={form.startsAt}
+              onChange={(e) => updateField("startsAt", e.target.value)}
+            />
+            <InputField
+              label="Expires on"
+              type="date"
+              value={form.expiresAt}
+              onChange={(e) => updateField("expiresAt", e.target.value)}
+            />
+          </div>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+            />
+            Active
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Coupon?"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsDeleteModalOpen(false),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: deleting,
+          },
+        ]}
+      >
+        Are you sure you want to delete <strong>{selectedCoupon?.code}</strong>?
+      </Modal>
+    </section>
+  );
+};
+
+export default Coupons;
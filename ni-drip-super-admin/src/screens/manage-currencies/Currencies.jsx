@@ -0,0 +1,354 @@
+/**
+ * @file Currencies.jsx
+ * @module Screens/Currencies/Management
+ * @description
+ * Administrative interface for the exchange rates used to charge customers in their own currency.
+ * * **Core Functionality:**
+ * - **Rate Registry:** Lists every currency with its rate against the base currency and the countries charged in it.
+ * - **Rate Form:** Create or edit a currency's symbol, rate, countries and active flag.
+ * - **Destructive Workflows:** Deleting a rate requires Modal confirmation; its countries fall back to the base currency.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllExchangeRates,
+  addExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+} from "../../redux/slices/currency.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+import "./Currencies.css";
+
+const EMPTY_FORM = {
+  currency: "",
+  symbol: "",
+  rate: "",
+  countries: "",
+  isActive: true,
+};
+
+/**
+ * Convert an exchange rate document into editable form values
+ * @param {Object} rate
+ * @returns {Object}
+ */
+const toFormValues = (rate) => ({
+  currency: rate.currency,
+  symbol: rate.symbol || "",
+  rate: String(rate.rate),
+  countries: rate.countries.join(", "),
+  isActive: rate.isActive,
+});
+
+const Currencies = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const {
+    allRates = [],
+    baseCurrency,
+    loading,
+  } = useSelector((state) => state.currencies);
+  const [search, setSearch] = useState("");
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [selectedRate, setSelectedRate] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllExchangeRates());
+    }
+  }, [dispatch, user?.id]);
+
+  const filteredRates = useMemo(() => {
+    const term = search.toLowerCase();
+    return allRates.filter(
+      (rate) =>
+        rate.currency?.toLowerCase().includes(term) ||
+        rate.countries?.some((c) => c.toLowerCase().includes(term)),
+    );
+  }, [allRates, search]);
+
+  const openCreateForm = () => {
+    setEditingRate(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (rate) => {
+    setEditingRate(rate);
+    setForm(toFormValues(rate));
+    setIsFormOpen(true);
+  };
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    if (!/^[A-Z]{3}$/.test(form.currency.trim())) {
+      toast.error("Currency must be a 3-letter ISO code (e.g. GBP)");
+      return;
+    }
+
+    const rate = Number(form.rate);
+    if (form.rate === "" || !(rate > 0)) {
+      toast.error("Exchange rate must be greater than 0");
+      return;
+    }
+
+    const rateData = {
+      currency: form.currency.trim(),
+      symbol: form.symbol.trim(),
+      rate,
+      countries: form.countries,
+      isActive: form.isActive,
+    };
+
+    setSaving(true);
+    const result = editingRate
+      ? await dispatch(
+          updateExchangeRate({ rateId: editingRate._id, rateData }),
+        )
+      : await dispatch(addExchangeRate(rateData));
+    setSaving(false);
+
+    const thunk = editingRate ? updateExchangeRate : addExchangeRate;
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsFormOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to save exchange rate");
+    }
+  };
+
+  const handleOpenDeleteModal = (rate) => {
+    setSelectedRate(rate);
+    setIsDeleteModalOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!selectedRate) return;
+    setDeleting(true);
+
+    const result = await dispatch(deleteExchangeRate(selectedRate._id));
+
+    if (deleteExchangeRate.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsDeleteModalOpen(false);
+      setSelectedRate(null);
+    } else {
+      toast.error(result.payload?.message || "Deletion failed");
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <section id="currencies">
+      <div className="currencies-container">
+        <div className="currencies-breadcrumb">
+          <div className="currencies-header">
+            <h1 className="currencies-title">Currencies</h1>
+            <p className="currencies-subtitle">
+              Manage exchange rates against the base currency
+              {baseCurrency ? ` (${baseCurrency})` : ""}
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={450}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="btn-container">
+          <Button
+            title="Add Currency"
+            width={150}
+            icon={<i className="fas fa-plus-circle"></i>}
+            onPress={openCreateForm}
+          />
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Currency</th>
+                    <th>Rate</th>
+                    <th>Countries</th>
+                    <th>Last Updated</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredRates.map((rate) => (
+                    <tr key={rate._id}>
+                      <td>
+                        <span className="currency-code">{rate.currency}</span>
+                        {rate.symbol && (
+                          <span className="currency-symbol">{rate.symbol}</span>
+                        )}
+                      </td>
+                      <td>
+                        1 {baseCurrency} = {rate.rate} {rate.currency}
+                      </td>
+                      <td className="countries">
+                        {rate.countries.join(", ") || "—"}
+                      </td>
+                      <td>{new Date(rate.updatedAt).toLocaleDateString()}</td>
+                      <td>
+                        <span
+                          className={`badge ${rate.isActive ? "badge-success" : "badge-error"}`}
+                        >
+                          {rate.isActive ? "Active" : "Inactive"}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          <button
+                            className="btn-icon"
+                            onClick={() => openEditForm(rate)}
+                            title="Edit Rate"
+                          >
+                            <i className="fas fa-pencil-alt"></i>
+                          </button>
+                          <button
+                            className="btn-icon btn-danger"
+                            onClick={() => handleOpenDeleteModal(rate)}
+                            title="Delete Rate"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && filteredRates.length === 0 && (
+              <div className="no-currencies-state">
+                <i className="fas fa-coins no-currencies-icon"></i>
+                <h3>No Exchange Rates Found</h3>
+                <p>
+                  Every customer is charged in the base currency until a rate is
+                  added.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingRate ? "Edit Exchange Rate" : "Add Exchange Rate"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsFormOpen(false),
+          },
+          {
+            label: editingRate ? "Save Changes" : "Create Rate",
+            className: "primary-btn",
+            onClick: handleSave,
+            loading: saving,
+          },
+        ]}
+      >
+        <div id="currency-form">
+          <div className="form-row">
+            <InputField
+              label="Currency code"
+              value={form.currency}
+              onChange={(e) =>
+                updateField("currency", e.target.value.toUpperCase())
+              }
+              editable={!editingRate}
+              required
+            />
+            <InputField
+              label="Symbol"
+              value={form.symbol}
+              onChange={(e) => updateField("symbol", e.target.value)}
+            />
+          </div>
+          <InputField
+            label={`Rate (${form.currency || "units"} per 1 ${baseCurrency || "base"})`}
+            type="number"
+            value={form.rate}
+            onChange={(e) => updateField("rate", e.target.value)}
+            required
+          />
+          <InputField
+            label="Countries (comma separated)"
+            value={form.countries}
+            onChange={(e) => updateField("countries", e.target.value)}
+          />
+          <p className="form-hint">
+            Use the country names from the customer's preferred city, e.g.
+            "United Kingdom".
+          </p>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+            />
+            Active
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Exchange Rate?"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsDeleteModalOpen(false),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: deleting,
+          },
+        ]}
+      >
+        Are you sure you want to delete{" "}
+        <strong>{selectedRate?.currency}</strong>? Customers in its countries
+        will be charged in {baseCurrency}.
+      </Modal>
+    </section>
+  );
+};
+
+export default Currencies;
@@ -7,6 +7,7 @@
  * - **Inline Adjustments:** Direct increment/decrement buttons to modify product quantities without leaving the view.
  * - **Heuristic Status Calculation:** Dynamically assigns stock health labels (In Stock, Low Stock, Out of Stock) based on numerical thresholds.
  * - **Defensive Logic:** Prevents stock levels from dropping below zero using `Math.max(0, ...)`.
+ * - **Variants:** Products sold in variants show their total stock; it is adjusted per variant on the product form.
  * - **Sync Strategy:** Reuses the `updateProduct` thunk to ensure the backend remains the source of truth for inventory counts.
  * * @requires react-redux
  * @requires react-hot-toast
@@ -101,6 +102,7 @@ const Inventory = () => {
                   {filteredProducts.map((product) => {
                     const isLowStock = product.stock > 0 && product.stock <= 5;
                     const isOutOfStock = product.stock <= 0;
+                    const variantCount = product.variants?.length || 0;
 
                     return (
                       <tr
@@ -142,7 +144,11 @@ const Inventory = () => {
                             <span className="stock-number">
                               {product.stock}
                             </span>
-                            <span className="stock-label">units</span>
+                            <span className="stock-label">
+                              {variantCount
+                                ? `units across ${variantCount} variants`
+                                : "units"}
+                            </span>
                           </div>
                         </td>
                         <td>
@@ -150,15 +156,24 @@ const Inventory = () => {
                             <button
                               className="btn-stock btn-minus"
                               onClick={() => handleStockUpdate(product, -1)}
-                              disabled={isOutOfStock}
-                              title="Decrease Stock"
+                              disabled={isOutOfStock || variantCount > 0}
+                              title={
+                                variantCount
+                                  ? "Stock is kept per variant – edit the product"
+                                  : "Decrease Stock"
+                              }
                             >
                               <i className="fas fa-minus"></i>
                             </button>
                             <button
                               className="btn-stock btn-plus"
                               onClick={() => handleStockUpdate(product, 1)}
-                              title="Increase Stock"
+                              disabled={variantCount > 0}
+                              title={
+                                variantCount
+                                  ? "Stock is kept per variant – edit the product"
+                                  : "Increase Stock"
+                              }
                             >
                               <i className="fas fa-plus"></i>
                             </button>
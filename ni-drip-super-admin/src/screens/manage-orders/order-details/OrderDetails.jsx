@@ -8,7 +8,11 @@
  * - **Order Summary Grid:** Employs a refined two-column layout with sticky visuals for product imagery (if applicable) and a flowing content column for details.
  * - **Bento-style Metrics:** Curates key order insights (Total, Status, Payment) into an aesthetically pleasing, color-harmonized grid for intuitive scanning.
  * - **Itemized Breakdown:** Presents order items in a clean, expandable card format with thumbnails, quantities, and subtotals for enhanced readability.
- * - **Timeline Visualization:** Integrates a elegant status timeline to track order progression visually.
+ * - **Timeline Visualization:** Renders the recorded status history – each transition with its actor, time and note.
+ * - **Invoice Download:** Paid orders expose a PDF invoice download next to the status pill.
+ * - **Shipments:** Lists every parcel with carrier and tracking link; the "Add Shipment" modal ships all or part of the remaining units.
+ * - **Payment Events:** Card-paid orders link to the Stripe webhook log filtered to the order.
+ * - **Edit Mode:** Before shipment, "Edit Order" turns the items and address into a form – change quantities, remove or add products and move the delivery address. The server re-prices the order and refunds or bills the difference; every edit is listed under "Edit History".
  * **Technical Logic:**
  * - **State Hydration:** Leverages `location.state` for efficient data passing, minimizing redundant API fetches.
  * - **Simulated Latency:** Incorporates an 800ms delay via `setTimeout` to synchronize with global loading animations for a polished UX.
@@ -18,15 +22,78 @@
 
 import React, { useState, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-hot-toast";
+import {
+  downloadInvoice,
+  addShipment,
+  editOrder,
+} from "../../../redux/slices/order.slice";
+import { getAllProducts } from "../../../redux/slices/product.slice";
 import Loader from "../../../utilities/loader/Loader.utility";
+import InputField from "../../../utilities/input-field/InputField.utility";
+import Modal from "../../../utilities/modal/Modal.utlity";
 import "./OrderDetails.css";
 
+const INVOICEABLE_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"];
+const SHIPPABLE_STATUSES = ["PROCESSING", "SHIPPED"];
+const EDITABLE_STATUSES = ["PENDING", "PROCESSING"];
+const EDITABLE_PAYMENT_STATUSES = ["PENDING", "PAID"];
+
+const ADDRESS_FIELDS = [
+  { key: "recipientName", label: "Recipient Name" },
+  { key: "phone", label: "Phone" },
+  { key: "line1", label: "Address Line 1" },
+  { key: "line2", label: "Address Line 2 (optional)" },
+  { key: "city", label: "City" },
+  { key: "postcode", label: "Postcode" },
+  { key: "country", label: "Country" },
+];
+
+const ADJUSTMENT_LABELS = {
+  NONE: "No payment change",
+  PAYMENT_UPDATED: "Unpaid payment updated to the new total",
+  CHARGE: "Balance billed to customer",
+  REFUND: "Difference refunded",
+};
+
+const EMPTY_SHIPMENT = {
+  carrier: "",
+  trackingNumber: "",
+  trackingUrl: "",
+  estimatedDelivery: "",
+};
+
+/**
+ * Key of an order, shipment or edit line: its product id, plus its variant when it has one
+ * @param {Object|string} product - Populated product or its id
+ * @param {string} [variant] - Variant id
+ * @returns {string}
+ */
+const lineKeyOf = (product, variant) => {
+  const productId = product?._id || product;
+  return variant ? `${productId}:${variant}` : productId;
+};
+
 const OrderDetails = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const [downloading, setDownloading] = useState(false);
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeImage, setActiveImage] = useState("");
+  const [isShipmentModalOpen, setIsShipmentModalOpen] = useState(false);
+  const [shipmentForm, setShipmentForm] = useState(EMPTY_SHIPMENT);
+  const [shipQuantities, setShipQuantities] = useState({});
+  const [savingShipment, setSavingShipment] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editQuantities, setEditQuantities] = useState({});
+  const [addressForm, setAddressForm] = useState({});
+  const [editNote, setEditNote] = useState("");
+  const [newLineKey, setNewLineKey] = useState("");
+  const [savingEdit, setSavingEdit] = useState(false);
+  const products = useSelector((state) => state.products.products || []);
 
   console.log("ORDER", order);
 
@@ -60,6 +127,13 @@ const OrderDetails = () => {
       </div>
     );
 
+  // Amounts are stored in the currency the customer was charged in
+  const formatMoney = (amount) =>
+    new Intl.NumberFormat("en-GB", {
+      style: "currency",
+      currency: order.currency || "USD",
+    }).format(amount);
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString("en-GB", {
       day: "numeric",
@@ -68,8 +142,241 @@ const OrderDetails = () => {
     });
   };
 
+  const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString("en-GB", {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const handleDownloadInvoice = async () => {
+    setDownloading(true);
+    const result = await dispatch(downloadInvoice(order._id));
+    setDownloading(false);
+
+    if (!downloadInvoice.fulfilled.match(result)) {
+      toast.error(result.payload?.message || "Failed to download invoice");
+    }
+  };
+
+  // Units of a line not yet shipped or refunded
+  const getUnshippedQuantity = (item) => {
+    const shipped = (order.shipments || [])
+      .flatMap((shipment) => shipment.items)
+      .filter(
+        (line) =>
+          lineKeyOf(line.product, line.variant) ===
+          lineKeyOf(item.product, item.variant),
+      )
+      .reduce((sum, line) => sum + line.quantity, 0);
+    return Math.max(item.quantity - (item.refundedQuantity || 0) - shipped, 0);
+  };
+
+  const handleOpenShipmentModal = () => {
+    setShipmentForm(EMPTY_SHIPMENT);
+    setShipQuantities(
+      Object.fromEntries(
+        order.items.map((item) => [
+          lineKeyOf(item.product, item.variant),
+          getUnshippedQuantity(item),
+        ]),
+      ),
+    );
+    setIsShipmentModalOpen(true);
+  };
+
+  const handleShipmentChange = (field) => (e) =>
+    setShipmentForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleAddShipment = async () => {
+    if (!shipmentForm.carrier.trim() || !shipmentForm.trackingNumber.trim()) {
+      toast.error("Carrier and tracking number are required");
+      return;
+    }
+
+    const items = order.items
+      .map((item) => ({
+        productId: item.product?._id,
+        variantId: item.variant || undefined,
+        quantity: shipQuantities[lineKeyOf(item.product, item.variant)] || 0,
+      }))
+      .filter(({ quantity }) => quantity > 0);
+
+    if (items.length === 0) {
+      toast.error("Select at least one unit to ship");
+      return;
+    }
+
+    setSavingShipment(true);
+    const result = await dispatch(
+      addShipment({
+        orderId: order._id,
+        carrier: shipmentForm.carrier.trim(),
+        trackingNumber: shipmentForm.trackingNumber.trim(),
+        trackingUrl: shipmentForm.trackingUrl.trim() || undefined,
+        estimatedDelivery: shipmentForm.estimatedDelivery || undefined,
+        items,
+      }),
+    );
+    setSavingShipment(false);
+
+    if (addShipment.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setOrder(result.payload.shippedOrder);
+      setIsShipmentModalOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to add shipment");
+    }
+  };
+
+  // Title of a shipment or edit line, with the variant it refers to
+  const lineTitle = (line) => {
+    const key = lineKeyOf(line.product, line.variant);
+    const item = order.items.find(
+      (i) => lineKeyOf(i.product, i.variant) === key,
+    );
+    const title =
+      line.product?.title || item?.product?.title || "Deleted product";
+    return item?.variantLabel ? `${title} (${item.variantLabel})` : title;
+  };
+
+  // Changes are only possible until the first parcel leaves or money goes back
+  const isEditable =
+    EDITABLE_STATUSES.includes(order.status) &&
+    EDITABLE_PAYMENT_STATUSES.includes(order.paymentStatus) &&
+    !order.shipments?.length &&
+    !order.amountRefunded;
+
+  const pendingBalance = order.edits?.findLast(
+    (edit) =>
+      edit.adjustment?.type === "CHARGE" &&
+      edit.adjustment.status === "PENDING",
+  )?.adjustment;
+
+  const originalQuantity = (key) =>
+    order.items.find((item) => lineKeyOf(item.product, item.variant) === key)
+      ?.quantity || 0;
+
+  const handleStartEdit = () => {
+    setEditQuantities(
+      Object.fromEntries(
+        order.items.map((item) => [
+          lineKeyOf(item.product, item.variant),
+          item.quantity,
+        ]),
+      ),
+    );
+    setAddressForm(
+      Object.fromEntries(
+        ADDRESS_FIELDS.map(({ key }) => [
+          key,
+          order.shippingAddressDetails?.[key] || "",
+        ]),
+      ),
+    );
+    setEditNote("");
+    setNewLineKey("");
+    if (products.length === 0) dispatch(getAllProducts());
+    setIsEditing(true);
+  };
+
+  const handleEditQuantity = (key, value) =>
+    setEditQuantities((prev) => ({
+      ...prev,
+      [key]: Math.max(parseInt(value) || 0, 0),
+    }));
+
+  const handleAddProduct = () => {
+    if (!newLineKey) return;
+    if (editQuantities[newLineKey] > 0) {
+      toast.error("That product is already in the order");
+      return;
+    }
+    handleEditQuantity(newLineKey, 1);
+    setNewLineKey("");
+  };
+
+  const handleSaveEdit = async () => {
+    const items = Object.entries(editQuantities)
+      .filter(([key, quantity]) => quantity !== originalQuantity(key))
+      .map(([key, quantity]) => {
+        const [productId, variantId] = key.split(":");
+        return { productId, variantId, quantity };
+      });
+
+    const addressChanged = ADDRESS_FIELDS.some(
+      ({ key }) =>
+        (addressForm[key] || "").trim() !==
+        (order.shippingAddressDetails?.[key] || ""),
+    );
+
+    if (items.length === 0 && !addressChanged) {
+      toast.error("Nothing has changed");
+      return;
+    }
+
+    if (Object.values(editQuantities).every((quantity) => quantity === 0)) {
+      toast.error("An order needs at least one item");
+      return;
+    }
+
+    setSavingEdit(true);
+    const result = await dispatch(
+      editOrder({
+        orderId: order._id,
+        items: items.length ? items : undefined,
+        address: addressChanged ? addressForm : undefined,
+        note: editNote.trim() || undefined,
+      }),
+    );
+    setSavingEdit(false);
+
+    if (editOrder.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setOrder(result.payload.editedOrder);
+      setIsEditing(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to edit order");
+    }
+  };
+
+  // Products (or each of their variants) that can be added: active, in stock
+  // and not already on the order
+  const addableProducts = products
+    .filter((product) => product.status !== "INACTIVE")
+    .flatMap((product) =>
+      product.variants?.length
+        ? product.variants.map((variant) => ({
+            key: lineKeyOf(product, variant._id),
+            title: `${product.title} (${variant.options.map((o) => o.value).join(" / ")})`,
+            stock: variant.stock,
+          }))
+        : [{ key: product._id, title: product.title, stock: product.stock }],
+    )
+    .filter(({ key, stock }) => stock > 0 && !(editQuantities[key] > 0))
+    .map(({ key, title, stock }) => ({
+      value: key,
+      label: `${title} (${stock} in stock)`,
+    }));
+
+  const editedLines = Object.entries(editQuantities).map(([key, quantity]) => {
+    const [productId, variantId] = key.split(":");
+    const item = order.items.find(
+      (i) => lineKeyOf(i.product, i.variant) === key,
+    );
+    const product = item?.product || products.find((p) => p._id === productId);
+    const variant = product?.variants?.find((v) => v._id === variantId);
+    const variantLabel =
+      item?.variantLabel || variant?.options.map((o) => o.value).join(" / ");
+    return { key, quantity, item, product, variantLabel };
+  });
+
   const formatPhone = (phone) => {
     if (!phone) return "Not Provided";
+    // Guests give their phone as plain text
+    if (typeof phone === "string") return phone;
     return `${phone.countryCode} ${phone.phoneNumber}`;
   };
 
@@ -86,6 +393,44 @@ const OrderDetails = () => {
           <span className={`od-status-pill ${order.status.toLowerCase()}`}>
             {order.status}
           </span>
+          <div className="od-header-actions">
+            {isEditable && !isEditing && (
+              <button className="od-action-btn" onClick={handleStartEdit}>
+                <i className="fas fa-pen"></i> Edit Order
+              </button>
+            )}
+            {order.stripePaymentIntentId && (
+              <button
+                className="od-action-btn"
+                onClick={() =>
+                  navigate(
+                    `/super-admin/payments/payment-events?orderId=${order._id}`,
+                  )
+                }
+              >
+                <i className="fas fa-credit-card"></i> Payment Events
+              </button>
+            )}
+            {SHIPPABLE_STATUSES.includes(order.status) &&
+              order.items.some((item) => getUnshippedQuantity(item) > 0) && (
+                <button
+                  className="od-action-btn"
+                  onClick={handleOpenShipmentModal}
+                >
+                  <i className="fas fa-truck"></i> Add Shipment
+                </button>
+              )}
+            {INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus) && (
+              <button
+                className="od-action-btn"
+                onClick={handleDownloadInvoice}
+                disabled={downloading}
+              >
+                <i className="fas fa-file-invoice"></i>{" "}
+                {downloading ? "Downloading..." : "Download Invoice"}
+              </button>
+            )}
+          </div>
         </div>
       </div>
 
@@ -121,7 +466,9 @@ const OrderDetails = () => {
             <div className="metrics-grid">
               <div className="metric-item color1">
                 <label>Total Amount</label>
-                <span className="price-text">${order.totalAmount}</span>
+                <span className="price-text">
+                  {formatMoney(order.totalAmount)}
+                </span>
               </div>
               <div className="metric-item color2">
                 <label>Payment Status</label>
@@ -133,9 +480,16 @@ const OrderDetails = () => {
               </div>
               <div className="metric-item color4">
                 <label>Shipping Cost</label>
-                <span>${order.shippingCost}</span>
+                <span>{formatMoney(order.shippingCost)}</span>
               </div>
             </div>
+            {pendingBalance && (
+              <p className="od-balance-due">
+                <i className="fas fa-exclamation-circle"></i> Balance due from
+                customer: {formatMoney(pendingBalance.amount)} – hold shipment
+                until it is paid
+              </p>
+            )}
           </div>
 
           <div className="od-section">
@@ -143,55 +497,391 @@ const OrderDetails = () => {
             <div className="info-box">
               <div className="info-row">
                 <small>Name</small>
-                <p>{order.user.userName}</p>
+                <p>
+                  {order.user?.userName ||
+                    (order.guest?.name ? `${order.guest.name} (guest)` : "N/A")}
+                </p>
               </div>
               <div className="info-row">
                 <small>Email</small>
-                <p>{order.user.email}</p>
+                <p>{order.user?.email || order.guest?.email}</p>
               </div>
               <div className="info-row">
                 <small>Phone</small>
-                <p>{formatPhone(order.user.phone)}</p>
+                <p>{formatPhone(order.user?.phone || order.guest?.phone)}</p>
               </div>
+              {order.shippingAddressDetails?.recipientName && (
+                <div className="info-row">
+                  <small>Deliver To</small>
+                  <p>
+                    {order.shippingAddressDetails.recipientName}
+                    {order.shippingAddressDetails.phone &&
+                      ` · ${order.shippingAddressDetails.phone}`}
+                  </p>
+                </div>
+              )}
               <div className="info-row">
                 <small>Shipping Address</small>
                 <p>{order.shippingAddress}</p>
               </div>
             </div>
+            {isEditing && (
+              <div id="order-edit-address">
+                <p className="edit-hint">Delivery address</p>
+                <div className="edit-address-grid">
+                  {ADDRESS_FIELDS.map(({ key, label }) => (
+                    <InputField
+                      key={key}
+                      label={label}
+                      value={addressForm[key] || ""}
+                      onChange={(e) =>
+                        setAddressForm((prev) => ({
+                          ...prev,
+                          [key]: e.target.value,
+                        }))
+                      }
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="od-section">
             <h2 className="section-title">Order Items</h2>
-            <div className="items-container">
-              {order.items?.map((item, idx) => (
-                <div className="item-card" key={idx}>
-                  <img
-                    src={item.product.productImages[0]}
-                    alt={item.product.title}
-                    className="item-thumb"
+            {isEditing ? (
+              <div id="order-edit-items">
+                {editedLines.map(
+                  ({ key, quantity, item, product, variantLabel }) => (
+                    <div
+                      className={`edit-line ${quantity === 0 ? "removed" : ""}`}
+                      key={key}
+                    >
+                      <span className="edit-line-title">
+                        {product?.title || "Deleted product"}
+                        {variantLabel && ` (${variantLabel})`}
+                        {!item && <em> (new)</em>}
+                      </span>
+                      <span className="edit-line-price">
+                        {item
+                          ? formatMoney(item.priceAtPurchase)
+                          : "Catalog price"}
+                      </span>
+                      <InputField
+                        type="number"
+                        width={90}
+                        value={quantity}
+                        onChange={(e) =>
+                          handleEditQuantity(key, e.target.value)
+                        }
+                      />
+                      <button
+                        className="edit-line-remove"
+                        title={quantity === 0 ? "Restore" : "Remove"}
+                        onClick={() =>
+                          handleEditQuantity(
+                            key,
+                            quantity === 0 ? originalQuantity(key) || 1 : 0,
+                          )
+                        }
+                      >
+                        <i
+                          className={`fas ${quantity === 0 ? "fa-undo" : "fa-trash"}`}
+                        ></i>
+                      </button>
+                    </div>
+                  ),
+                )}
+                <div className="edit-add-product">
+                  <InputField
+                    label="Add a product"
+                    dropdownOptions={addableProducts}
+                    selectedValue={newLineKey}
+                    onValueChange={(e) => setNewLineKey(e.target.value)}
                   />
-                  <div className="item-details">
-                    <h3>{item.product.title}</h3>
-                    <p>Quantity: {item.quantity}</p>
-                    <p>Price: ${item.priceAtPurchase}</p>
-                    <p>Subtotal: ${item.quantity * item.priceAtPurchase}</p>
+                  <button
+                    className="od-action-btn"
+                    onClick={handleAddProduct}
+                    disabled={!newLineKey}
+                  >
+                    <i className="fas fa-plus"></i> Add
+                  </button>
+                </div>
+                <InputField
+                  label="Reason for the change (shown to the customer)"
+                  multiline
+                  rows={2}
+                  value={editNote}
+                  onChange={(e) => setEditNote(e.target.value)}
+                />
+                <p className="edit-hint">
+                  Existing lines keep their price. Shipping, discount and tax
+                  are re-priced; a paid order is refunded or billed the
+                  difference.
+                </p>
+                <div className="edit-actions">
+                  <button
+                    className="od-action-btn"
+                    onClick={() => setIsEditing(false)}
+                    disabled={savingEdit}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className="od-action-btn primary"
+                    onClick={handleSaveEdit}
+                    disabled={savingEdit}
+                  >
+                    <i className="fas fa-save"></i>{" "}
+                    {savingEdit ? "Saving..." : "Save Changes"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="items-container">
+                {order.items?.map((item, idx) => (
+                  <div className="item-card" key={idx}>
+                    <img
+                      src={item.product.productImages[0]}
+                      alt={item.product.title}
+                      className="item-thumb"
+                    />
+                    <div className="item-details">
+                      <h3>{item.product.title}</h3>
+                      {item.variantLabel && (
+                        <p>
+                          Variant: {item.variantLabel}
+                          {item.sku && ` · ${item.sku}`}
+                        </p>
+                      )}
+                      <p>Quantity: {item.quantity}</p>
+                      <p>Price: {formatMoney(item.priceAtPurchase)}</p>
+                      <p>
+                        Subtotal:{" "}
+                        {formatMoney(item.quantity * item.priceAtPurchase)}
+                      </p>
+                      {item.taxAmount > 0 && (
+                        <p>Tax: {formatMoney(item.taxAmount)}</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {order.taxLines?.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">Tax Breakdown</h2>
+              <div className="info-box">
+                {order.taxLines.map((line, idx) => (
+                  <div className="info-row" key={idx}>
+                    <small>
+                      {line.name} ({line.rate}% of{" "}
+                      {formatMoney(line.taxableAmount)})
+                    </small>
+                    <p>{formatMoney(line.amount)}</p>
                   </div>
+                ))}
+                <div className="info-row">
+                  <small>Total Tax</small>
+                  <p>{formatMoney(order.taxAmount)}</p>
                 </div>
-              ))}
+              </div>
             </div>
-          </div>
+          )}
+
+          {order.shipments?.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">Shipments</h2>
+              <div className="info-box">
+                {order.shipments.map((shipment) => (
+                  <div className="shipment-card" key={shipment._id}>
+                    <div className="info-row">
+                      <small>
+                        {shipment.carrier} · Shipped{" "}
+                        {formatDate(shipment.shippedAt)}
+                      </small>
+                      <p>
+                        {shipment.trackingUrl ? (
+                          <a
+                            href={shipment.trackingUrl}
+                            target="_blank"
+                            rel="noreferrer"
+                          >
+                            {shipment.trackingNumber}
+                          </a>
+                        ) : (
+                          shipment.trackingNumber
+                        )}
+                      </p>
+                    </div>
+                    {shipment.estimatedDelivery && (
+                      <div className="info-row">
+                        <small>Estimated Delivery</small>
+                        <p>{formatDate(shipment.estimatedDelivery)}</p>
+                      </div>
+                    )}
+                    <ul className="shipment-items">
+                      {shipment.items.map((line) => (
+                        <li key={line._id}>
+                          {lineTitle(line)} × {line.quantity}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {order.edits?.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">Edit History</h2>
+              <div className="timeline-box">
+                {order.edits.map((edit) => (
+                  <div className="timeline-item" key={edit._id}>
+                    <small>{formatDateTime(edit.editedAt)} · SUPERADMIN</small>
+                    <p>
+                      {formatMoney(edit.previousTotal)} →{" "}
+                      {formatMoney(edit.newTotal)}
+                    </p>
+                    {edit.items.map((line) => (
+                      <span className="timeline-note" key={line._id}>
+                        {lineTitle(line)}:{" "}
+                        {line.toQuantity === 0
+                          ? "removed"
+                          : line.fromQuantity === 0
+                            ? `added × ${line.toQuantity}`
+                            : `${line.fromQuantity} → ${line.toQuantity}`}
+                      </span>
+                    ))}
+                    {edit.shippingAddress?.to && (
+                      <span className="timeline-note">
+                        Address: {edit.shippingAddress.to}
+                      </span>
+                    )}
+                    <span className="timeline-note">
+                      {ADJUSTMENT_LABELS[edit.adjustment.type]}
+                      {edit.adjustment.amount > 0 &&
+                        edit.adjustment.type !== "PAYMENT_UPDATED" &&
+                        ` · ${formatMoney(edit.adjustment.amount)}`}
+                      {edit.adjustment.status && ` · ${edit.adjustment.status}`}
+                    </span>
+                    {edit.note && (
+                      <span className="timeline-note">{edit.note}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
 
           <div className="od-section">
             <h2 className="section-title">Order Timeline</h2>
             <div className="timeline-box">
-              <div className="timeline-item">
-                <small>Place At</small>
-                <p>{formatDate(order.createdAt)}</p>
-              </div>
+              {order.statusHistory?.length ? (
+                order.statusHistory.map((entry) => (
+                  <div className="timeline-item" key={entry._id}>
+                    <small>
+                      {formatDateTime(entry.changedAt)} · {entry.actor}
+                    </small>
+                    <p>
+                      {entry.from
+                        ? `${entry.from.replace(/_/g, " ")} → ${entry.to.replace(/_/g, " ")}`
+                        : entry.to.replace(/_/g, " ")}
+                    </p>
+                    {entry.note && (
+                      <span className="timeline-note">{entry.note}</span>
+                    )}
+                  </div>
+                ))
+              ) : (
+                <div className="timeline-item">
+                  <small>Place At</small>
+                  <p>{formatDate(order.createdAt)}</p>
+                </div>
+              )}
             </div>
           </div>
         </div>
       </div>
+
+      {/* Add Shipment Modal */}
+      <Modal
+        isOpen={isShipmentModalOpen}
+        onClose={() => setIsShipmentModalOpen(false)}
+        title="Add Shipment"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsShipmentModalOpen(false),
+          },
+          {
+            label: "Save Shipment",
+            className: "primary-btn",
+            onClick: handleAddShipment,
+            loading: savingShipment,
+          },
+        ]}
+      >
+        <div id="shipment-form">
+          <InputField
+            label="Carrier (e.g. DHL, FedEx, TCS)"
+            value={shipmentForm.carrier}
+            onChange={handleShipmentChange("carrier")}
+            required
+          />
+          <InputField
+            label="Tracking Number"
+            value={shipmentForm.trackingNumber}
+            onChange={handleShipmentChange("trackingNumber")}
+            required
+          />
+          <InputField
+            label="Tracking URL (optional)"
+            value={shipmentForm.trackingUrl}
+            onChange={handleShipmentChange("trackingUrl")}
+          />
+          <InputField
+            label="Estimated Delivery"
+            type="date"
+            value={shipmentForm.estimatedDelivery}
+            onChange={handleShipmentChange("estimatedDelivery")}
+          />
+          <p className="shipment-hint">Units in this parcel</p>
+          {order.items.map((item) => {
+            const remaining = getUnshippedQuantity(item);
+            return (
+              <div className="shipment-line" key={item._id}>
+                <span className="shipment-line-title">
+                  {item.product?.title || "Deleted product"}
+                  {item.variantLabel && ` (${item.variantLabel})`}
+                </span>
+                <InputField
+                  type="number"
+                  width={90}
+                  value={
+                    shipQuantities[lineKeyOf(item.product, item.variant)] ?? 0
+                  }
+                  editable={remaining > 0}
+                  onChange={(e) =>
+                    setShipQuantities((prev) => ({
+                      ...prev,
+                      [lineKeyOf(item.product, item.variant)]: Math.min(
+                        Math.max(parseInt(e.target.value) || 0, 0),
+                        remaining,
+                      ),
+                    }))
+                  }
+                />
+                <span className="shipment-line-remaining">of {remaining}</span>
+              </div>
+            );
+          })}
+        </div>
+      </Modal>
     </section>
   );
 };
@@ -6,11 +6,15 @@
  * * **Visual Architecture:**
  * - **KPI Stats Grid:** A top-level summary row using color-coded cards to display real-time counts of PENDING, SHIPPED, and DELIVERED orders.
  * - **Actionable Data Table:** A dense, responsive grid featuring contextual `PopOver` menus for each row to keep the UI clean while providing deep-link actions.
- * - **Workflow Modals:** Controlled confirmation overlays that manage state transitions for both Order and Payment statuses.
+ * - **Workflow Modals:** Controlled confirmation overlays that manage order status transitions.
+ * - **Cash Collection:** Pay-on-delivery orders are settled through "Mark Cash Collected" once shipped; payment status is never set by hand.
+ * - **Refund Modal:** Per-line quantity pickers for full or partial Stripe refunds; refunded units are restocked by the backend.
+ * - **Export Modal:** Downloads orders for finance as CSV or JSON Lines (one row per line item), filtered by date range, order status and payment status.
  * * **Technical Logic:**
- * - **Redux Integration:** Dispatches `getAllOrders` on mount and utilizes `updateOrderStatus` for persistent state changes.
- * - **State Machine Logic:** Implements `getNextOrderStatus` and `getNextPaymentStatus` to enforce a strictly sequential workflow (e.g., Pending -> Processing -> Shipped).
- * - **Client-Side Search:** Real-time filtering engine that scans Order IDs and Customer Usernames without additional API overhead.
+ * - **Redux Integration:** Dispatches `getAllOrders` whenever the page, filters or sort change and utilizes `updateOrderStatus` for persistent state changes.
+ * - **State Machine Logic:** Implements `getNextOrderStatus` to offer only the next step of the workflow (e.g., Pending -> Processing -> Shipped); the backend transition table has the final say.
+ * - **Status Notes:** An optional note typed in the status modal is stored on the order's status history.
+ * - **Server-Side Querying:** Search (debounced), filters (status, payment, method, date range, customer email, total range), sorting and pagination all run on the backend; the stat cards use its per-status counts across every order.
  * - **Dynamic Anchor Positioning:** Uses `useRef` mapping (`actionButtonRefs`) to precisely anchor popover menus to specific table rows.
  * * @requires react-redux
  * @requires react-router-dom
@@ -25,20 +29,104 @@ import {
   getAllOrders,
   updateOrderStatus,
   deleteOrder,
+  refundOrder,
+  collectCashPayment,
+  exportOrders,
 } from "../../../redux/slices/order.slice";
 import Loader from "../../../utilities/loader/Loader.utility";
 import PopOver from "../../../utilities/pop-over/PopOver.utility";
 import InputField from "../../../utilities/input-field/InputField.utility";
 import Modal from "../../../utilities/modal/Modal.utlity";
+import Button from "../../../utilities/Button/Button.utility";
 import { toast } from "react-hot-toast";
 
+/**
+ * Format an amount in the currency the order was charged in
+ * @param {number} amount
+ * @param {string} [currency="USD"]
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = "USD") =>
+  new Intl.NumberFormat("en-GB", { style: "currency", currency }).format(
+    amount,
+  );
+
+/**
+ * Key of an order line: its product, plus its variant when it has one
+ * @param {Object} item - Order item
+ * @returns {string}
+ */
+const lineKeyOf = (item) =>
+  item.variant ? `${item.product?._id}:${item.variant}` : item.product?._id;
+
+const ORDER_STATUSES = [
+  "PENDING",
+  "PROCESSING",
+  "SHIPPED",
+  "DELIVERED",
+  "CANCELLED",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+];
+
+const PAYMENT_STATUSES = [
+  "PENDING",
+  "PAID",
+  "FAILED",
+  "CANCELLED",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+];
+
+const PAYMENT_METHODS = ["STRIPE", "PAY_ON_DELIVERY"];
+
+// "field:direction" values of the sort dropdown
+const SORT_OPTIONS = [
+  { value: "createdAt:desc", label: "Newest first" },
+  { value: "createdAt:asc", label: "Oldest first" },
+  { value: "totalAmount:desc", label: "Highest total" },
+  { value: "totalAmount:asc", label: "Lowest total" },
+  { value: "status:asc", label: "Status" },
+  { value: "paymentStatus:asc", label: "Payment status" },
+];
+
+const PAGE_SIZE = 20;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 400;
+
+const EMPTY_FILTERS = {
+  status: "",
+  paymentStatus: "",
+  paymentMethod: "",
+  from: "",
+  to: "",
+  email: "",
+  minTotal: "",
+  maxTotal: "",
+};
+
+const EMPTY_EXPORT_FILTERS = {
+  format: "csv",
+  from: "",
+  to: "",
+  status: "",
+  paymentStatus: "",
+};
+
 const Orders = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const actionButtonRefs = useRef({});
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+  const [page, setPage] = useState(1);
   const user = useSelector((state) => state.auth.user);
   const orders = useSelector((state) => state.orders.allOrders || []);
+  const pagination = useSelector((state) => state.orders.pagination);
+  const statusCounts = useSelector((state) => state.orders.statusCounts);
   const loading = useSelector((state) => state.orders.loading);
   const [activePopover, setActivePopover] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
@@ -46,66 +134,100 @@ const Orders = () => {
   const [deletingOrder, setDeletingOrder] = useState(false);
 
   const [isOrderStatusModalOpen, setIsOrderStatusModalOpen] = useState(false);
-  const [isPaymentStatusModalOpen, setIsPaymentStatusModalOpen] =
-    useState(false);
   const [updatingOrderStatus, setUpdatingOrderStatus] = useState(false);
-  const [updatingPaymentStatus, setUpdatingPaymentStatus] = useState(false);
+  const [statusNote, setStatusNote] = useState("");
+  const [isCashModalOpen, setIsCashModalOpen] = useState(false);
+  const [collectingCash, setCollectingCash] = useState(false);
+
+  const [isRefundModalOpen, setIsRefundModalOpen] = useState(false);
+  const [refundQuantities, setRefundQuantities] = useState({});
+  const [refundReason, setRefundReason] = useState("");
+  const [refunding, setRefunding] = useState(false);
+
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [exportFilters, setExportFilters] = useState(EMPTY_EXPORT_FILTERS);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
 
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllOrders());
+      const [sortBy, sortOrder] = sort.split(":");
+      dispatch(
+        getAllOrders({
+          ...filters,
+          search: debouncedSearch,
+          sortBy,
+          sortOrder,
+          page,
+          limit: PAGE_SIZE,
+        }),
+      );
     }
-  }, [dispatch, user?.id]);
+  }, [dispatch, user?.id, filters, debouncedSearch, sort, page]);
 
   const stats = {
-    total: orders.length,
-    pending: orders.filter((o) => o.status === "PENDING").length,
-    processing: orders.filter((o) => o.status === "PROCESSING").length,
-    shipped: orders.filter((o) => o.status === "SHIPPED").length,
-    delivered: orders.filter((o) => o.status === "DELIVERED").length,
-    refunded: orders.filter((o) => o.status === "REFUNDED").length,
+    total: Object.values(statusCounts).reduce((sum, count) => sum + count, 0),
+    pending: statusCounts.PENDING,
+    processing: statusCounts.PROCESSING,
+    shipped: statusCounts.SHIPPED,
+    delivered: statusCounts.DELIVERED,
+    refunded:
+      (statusCounts.REFUNDED || 0) + (statusCounts.PARTIALLY_REFUNDED || 0),
   };
 
-  const filteredOrders = orders.filter(
-    (order) =>
-      order._id?.toLowerCase().includes(search.toLowerCase()) ||
-      order?.user?.userName?.toLowerCase().includes(search.toLowerCase()),
-  );
+  const hasFilters =
+    Object.values(filters).some(Boolean) || Boolean(debouncedSearch);
 
-  const getNextOrderStatus = (currentStatus) => {
-    const flow = ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "REFUNDED"];
-    const index = flow.indexOf(currentStatus);
-    return index >= 0 && index < flow.length - 1 ? flow[index + 1] : null;
+  const handleFilterChange = (field) => (e) => {
+    setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+    setPage(1);
   };
 
-  const getNextPaymentStatus = (currentPaymentStatus) => {
-    const flow = ["PENDING", "PAID", "REFUNDED"];
-    const index = flow.indexOf(currentPaymentStatus);
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearch("");
+    setDebouncedSearch("");
+    setPage(1);
+  };
+
+  const firstShown = (pagination.page - 1) * pagination.limit + 1;
+  const lastShown = firstShown + orders.length - 1;
+
+  const getNextOrderStatus = (order) => {
+    // Unpaid card orders start processing when the payment webhook arrives
+    if (
+      order.status === "PENDING" &&
+      order.paymentMethod === "STRIPE" &&
+      order.paymentStatus !== "PAID"
+    ) {
+      return null;
+    }
+    const flow = ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED"];
+    const index = flow.indexOf(order.status);
     return index >= 0 && index < flow.length - 1 ? flow[index + 1] : null;
   };
 
   const nextOrderStatus = selectedOrder
-    ? getNextOrderStatus(selectedOrder.status)
-    : null;
-  const nextPaymentStatus = selectedOrder
-    ? getNextPaymentStatus(selectedOrder.paymentStatus)
+    ? getNextOrderStatus(selectedOrder)
     : null;
 
   const handleOpenOrderStatusModal = (order) => {
     setSelectedOrder(order);
+    setStatusNote("");
     setIsOrderStatusModalOpen(true);
     setActivePopover(null);
   };
 
-  const handleOpenPaymentModal = (order) => {
-    setSelectedOrder(order);
-    setIsPaymentStatusModalOpen(true);
-    setActivePopover(null);
-  };
-
   const handleUpdateOrderStatus = async () => {
     if (!selectedOrder) return;
-    const nextStatus = getNextOrderStatus(selectedOrder.status);
+    const nextStatus = getNextOrderStatus(selectedOrder);
     if (!nextStatus) return;
     setUpdatingOrderStatus(true);
     try {
@@ -113,6 +235,7 @@ const Orders = () => {
         updateOrderStatus({
           orderId: selectedOrder._id,
           status: nextStatus,
+          note: statusNote.trim() || undefined,
         }),
       );
       if (updateOrderStatus.fulfilled.match(result)) {
@@ -131,33 +254,110 @@ const Orders = () => {
     }
   };
 
-  const handleUpdatePaymentStatus = async () => {
+  const handleCollectCash = async () => {
     if (!selectedOrder) return;
-    const nextPayment = getNextPaymentStatus(selectedOrder.paymentStatus);
-    if (!nextPayment) return;
-    setUpdatingPaymentStatus(true);
+    setCollectingCash(true);
+    const result = await dispatch(collectCashPayment(selectedOrder._id));
+    setCollectingCash(false);
+
+    if (collectCashPayment.fulfilled.match(result)) {
+      toast.success(result.payload?.message);
+      setIsCashModalOpen(false);
+      setSelectedOrder(null);
+    } else {
+      toast.error(result.payload?.message || "Failed to record cash payment");
+    }
+  };
+
+  const getRemainingQuantity = (item) =>
+    item.quantity - (item.refundedQuantity || 0);
+
+  const handleOpenRefundModal = (order) => {
+    setSelectedOrder(order);
+    setRefundQuantities(
+      Object.fromEntries(
+        order.items.map((item) => [
+          lineKeyOf(item),
+          getRemainingQuantity(item),
+        ]),
+      ),
+    );
+    setRefundReason("");
+    setIsRefundModalOpen(true);
+    setActivePopover(null);
+  };
+
+  const refundLines = selectedOrder
+    ? selectedOrder.items
+        .map((item) => ({
+          productId: item.product?._id,
+          variantId: item.variant || undefined,
+          quantity: Number(refundQuantities[lineKeyOf(item)]) || 0,
+          // What the customer paid per unit after the line's coupon share
+          price:
+            item.priceAtPurchase - (item.discountAmount || 0) / item.quantity,
+        }))
+        .filter((line) => line.quantity > 0)
+    : [];
+
+  // Mirrors the backend: refunding every remaining unit refunds the balance
+  const refundsEverything =
+    selectedOrder?.items.every(
+      (item) =>
+        (Number(refundQuantities[lineKeyOf(item)]) || 0) ===
+        getRemainingQuantity(item),
+    ) ?? false;
+
+  const refundLinesTotal = refundsEverything
+    ? selectedOrder.totalAmount - (selectedOrder.amountRefunded || 0)
+    : refundLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  const handleRefundOrder = async () => {
+    if (!selectedOrder || refundLines.length === 0) return;
+    setRefunding(true);
     try {
       const result = await dispatch(
-        updateOrderStatus({
+        refundOrder({
           orderId: selectedOrder._id,
-          paymentStatus: nextPayment,
+          items: refundLines.map(({ productId, variantId, quantity }) => ({
+            productId,
+            variantId,
+            quantity,
+          })),
+          reason: refundReason.trim() || undefined,
         }),
       );
-      if (updateOrderStatus.fulfilled.match(result)) {
-        toast.success(
-          result.payload?.message || `Payment status updated to ${nextPayment}`,
-        );
-        setIsPaymentStatusModalOpen(false);
+      if (refundOrder.fulfilled.match(result)) {
+        toast.success(result.payload?.message);
+        setIsRefundModalOpen(false);
         setSelectedOrder(null);
       } else {
-        toast.error(
-          result.payload?.message || "Failed to update payment status",
-        );
+        toast.error(result.payload?.message || "Failed to refund order");
       }
-    } catch (error) {
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const handleExportChange = (field) => (e) =>
+    setExportFilters((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleExportOrders = async () => {
+    setExporting(true);
+    try {
+      const result = await dispatch(exportOrders(exportFilters));
+      if (exportOrders.fulfilled.match(result)) {
+        toast.success(result.payload?.message);
+        setIsExportModalOpen(false);
+      } else {
+        toast.error(result.payload?.message || "Failed to export orders");
+      }
+    } catch {
       toast.error("Unexpected error occurred");
     } finally {
-      setUpdatingPaymentStatus(false);
+      setExporting(false);
     }
   };
 
@@ -176,18 +376,36 @@ const Orders = () => {
         ),
     });
 
-    if (order.status !== "DELIVERED" && order.status !== "REFUNDED") {
+    if (getNextOrderStatus(order)) {
       items.push({
         label: "Change Order Status",
         icon: "fas fa-sync",
         action: () => handleOpenOrderStatusModal(order),
       });
     }
-    if (order.paymentStatus !== "PAID" && order.paymentStatus !== "REFUNDED") {
+    if (
+      order.paymentStatus === "PENDING" &&
+      order.paymentMethod === "PAY_ON_DELIVERY" &&
+      ["SHIPPED", "DELIVERED"].includes(order.status)
+    ) {
+      items.push({
+        label: "Mark Cash Collected",
+        icon: "fas fa-money-bill-wave",
+        action: () => {
+          setSelectedOrder(order);
+          setIsCashModalOpen(true);
+          setActivePopover(null);
+        },
+      });
+    }
+    if (
+      order.paymentMethod === "STRIPE" &&
+      ["PAID", "PARTIALLY_REFUNDED"].includes(order.paymentStatus)
+    ) {
       items.push({
-        label: "Update Payment Status",
-        icon: "fas fa-credit-card",
-        action: () => handleOpenPaymentModal(order),
+        label: "Issue Refund",
+        icon: "fas fa-undo",
+        action: () => handleOpenRefundModal(order),
       });
     }
 
@@ -236,6 +454,7 @@ const Orders = () => {
       case "delivered":
         return "status-delivered";
       case "refunded":
+      case "partially_refunded":
         return "status-refunded";
       default:
         return "";
@@ -254,12 +473,18 @@ const Orders = () => {
           </div>
           <div className="search-wrapper">
             <InputField
-              placeholder="Search"
+              placeholder="Search order, invoice, customer or payment"
               value={search}
               onChange={(e) => setSearch(e.target.value)}
               width={450}
               icon={<i className="fas fa-search"></i>}
             />
+            <Button
+              title="Export"
+              width={120}
+              icon={<i className="fas fa-file-export"></i>}
+              onPress={() => setIsExportModalOpen(true)}
+            />
           </div>
         </div>
 
@@ -290,6 +515,96 @@ const Orders = () => {
           </div>
         </div>
 
+        <div className="filter-bar">
+          <select
+            className="filter-select"
+            value={filters.status}
+            onChange={handleFilterChange("status")}
+          >
+            <option value="">All order statuses</option>
+            {ORDER_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            value={filters.paymentStatus}
+            onChange={handleFilterChange("paymentStatus")}
+          >
+            <option value="">All payment statuses</option>
+            {PAYMENT_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            value={filters.paymentMethod}
+            onChange={handleFilterChange("paymentMethod")}
+          >
+            <option value="">All payment methods</option>
+            {PAYMENT_METHODS.map((method) => (
+              <option key={method} value={method}>
+                {method === "PAY_ON_DELIVERY" ? "Cash on delivery" : method}
+              </option>
+            ))}
+          </select>
+          <InputField
+            type="date"
+            width={160}
+            value={filters.from}
+            onChange={handleFilterChange("from")}
+          />
+          <InputField
+            type="date"
+            width={160}
+            value={filters.to}
+            onChange={handleFilterChange("to")}
+          />
+          <InputField
+            placeholder="Customer email"
+            width={200}
+            value={filters.email}
+            onChange={handleFilterChange("email")}
+          />
+          <InputField
+            type="number"
+            placeholder="Min total"
+            width={110}
+            value={filters.minTotal}
+            onChange={handleFilterChange("minTotal")}
+          />
+          <InputField
+            type="number"
+            placeholder="Max total"
+            width={110}
+            value={filters.maxTotal}
+            onChange={handleFilterChange("maxTotal")}
+          />
+          <select
+            className="filter-select"
+            value={sort}
+            onChange={(e) => {
+              setSort(e.target.value);
+              setPage(1);
+            }}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button className="clear-filters-btn" onClick={handleClearFilters}>
+              Clear filters
+            </button>
+          )}
+        </div>
+
         <div className="table-card">
           <div className="table-responsive">
             {loading ? (
@@ -310,12 +625,17 @@ const Orders = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredOrders.map((order) => (
+                  {orders.map((order) => (
                     <tr key={order._id}>
                       <td className="order-id">
                         #{order._id?.slice(-6).toUpperCase()}
                       </td>
-                      <td>{order?.user?.userName || "N/A"}</td>
+                      <td>
+                        {order?.user?.userName ||
+                          (order?.guest?.name
+                            ? `${order.guest.name} (guest)`
+                            : "N/A")}
+                      </td>
                       <td>
                         <span
                           className={`status-pill ${getStatusClass(order.status)}`}
@@ -323,9 +643,18 @@ const Orders = () => {
                           {order.status || "N/A"}
                         </span>
                       </td>
-                      <td>{order.paymentStatus || "N/A"}</td>
+                      <td>
+                        {order.paymentStatus || "N/A"}
+                        {order.paymentMethod === "PAY_ON_DELIVERY" && (
+                          <small className="payment-method">
+                            Cash on delivery
+                          </small>
+                        )}
+                      </td>
                       <td className="order-total">
-                        ${order.totalAmount ?? "N/A"}
+                        {order.totalAmount === undefined
+                          ? "N/A"
+                          : formatMoney(order.totalAmount, order.currency)}
                       </td>
                       <td>
                         {new Date(order.createdAt).toLocaleDateString("en-GB", {
@@ -363,13 +692,40 @@ const Orders = () => {
                 </tbody>
               </table>
             )}
-            {!loading && filteredOrders.length === 0 && (
+            {!loading && orders.length === 0 && (
               <div className="no-orders-state">
                 <i className="fas fa-box-open no-orders-icon"></i>
                 <h3>No Orders Found</h3>
               </div>
             )}
           </div>
+          {pagination.total > 0 && (
+            <div className="pagination-bar">
+              <span className="pagination-info">
+                Showing {firstShown}–{lastShown} of{" "}
+                {pagination.total.toLocaleString()}
+              </span>
+              <div className="pagination-controls">
+                <button
+                  className="pagination-btn"
+                  disabled={loading || pagination.page <= 1}
+                  onClick={() => setPage(pagination.page - 1)}
+                >
+                  <i className="fas fa-chevron-left"></i>
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages}
+                </span>
+                <button
+                  className="pagination-btn"
+                  disabled={loading || pagination.page >= pagination.totalPages}
+                  onClick={() => setPage(pagination.page + 1)}
+                >
+                  <i className="fas fa-chevron-right"></i>
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -395,56 +751,200 @@ const Orders = () => {
         ]}
       >
         {nextOrderStatus ? (
-          <p>
-            Are you sure you want to move order{" "}
-            <strong>
-              {selectedOrder?._id
-                ? `#${selectedOrder._id.slice(-6).toUpperCase()}`
-                : "#------"}
-            </strong>{" "}
-            from <strong>{selectedOrder?.status}</strong> to{" "}
-            <strong>{nextOrderStatus}</strong>?
-          </p>
+          <>
+            <p>
+              Are you sure you want to move order{" "}
+              <strong>
+                {selectedOrder?._id
+                  ? `#${selectedOrder._id.slice(-6).toUpperCase()}`
+                  : "#------"}
+              </strong>{" "}
+              from <strong>{selectedOrder?.status}</strong> to{" "}
+              <strong>{nextOrderStatus}</strong>?
+            </p>
+            <InputField
+              label="Note (optional)"
+              value={statusNote}
+              onChange={(e) => setStatusNote(e.target.value)}
+            />
+          </>
         ) : (
           <p>This order cannot be moved forward.</p>
         )}
       </Modal>
 
       <Modal
-        isOpen={isPaymentStatusModalOpen}
-        onClose={() => setIsPaymentStatusModalOpen(false)}
-        title="Update Payment Status"
+        isOpen={isRefundModalOpen}
+        onClose={() => setIsRefundModalOpen(false)}
+        title="Issue Refund"
         buttons={[
           {
             label: "Cancel",
             className: "cancel-btn",
-            onClick: () => setIsPaymentStatusModalOpen(false),
+            onClick: () => setIsRefundModalOpen(false),
           },
           {
-            label: nextPaymentStatus
-              ? `Move to ${nextPaymentStatus}`
-              : "Update Payment",
-            className: "primary-btn",
-            onClick: handleUpdatePaymentStatus,
-            loading: updatingPaymentStatus,
-            disabled: !nextPaymentStatus,
+            label: `Refund ${formatMoney(refundLinesTotal, selectedOrder?.currency)}`,
+            className: "danger-btn",
+            onClick: handleRefundOrder,
+            loading: refunding,
           },
         ]}
       >
-        {nextPaymentStatus ? (
+        <div className="refund-content">
           <p>
-            Are you sure you want to change payment status for order{" "}
+            Choose how many units to refund for order{" "}
             <strong>
               {selectedOrder?._id
                 ? `#${selectedOrder._id.slice(-6).toUpperCase()}`
                 : "#------"}
-            </strong>{" "}
-            from <strong>{selectedOrder?.paymentStatus || "N/A"}</strong> to{" "}
-            <strong>{nextPaymentStatus}</strong>?
+            </strong>
+            . Refunding every remaining unit also refunds shipping.
           </p>
-        ) : (
-          <p>Payment status cannot be updated further.</p>
-        )}
+          {selectedOrder?.items.map((item) => {
+            const remaining = getRemainingQuantity(item);
+            return (
+              <div className="refund-line" key={item._id}>
+                <span className="refund-line-title">
+                  {item.product?.title || "Deleted product"}
+                  {item.variantLabel ? ` (${item.variantLabel})` : ""} –{" "}
+                  {formatMoney(item.priceAtPurchase, selectedOrder.currency)}
+                </span>
+                <InputField
+                  type="number"
+                  width={90}
+                  value={refundQuantities[lineKeyOf(item)] ?? 0}
+                  editable={remaining > 0}
+                  onChange={(e) =>
+                    setRefundQuantities((prev) => ({
+                      ...prev,
+                      [lineKeyOf(item)]: Math.min(
+                        Math.max(parseInt(e.target.value) || 0, 0),
+                        remaining,
+                      ),
+                    }))
+                  }
+                />
+                <span className="refund-line-remaining">of {remaining}</span>
+              </div>
+            );
+          })}
+          <InputField
+            label="Reason (optional)"
+            value={refundReason}
+            onChange={(e) => setRefundReason(e.target.value)}
+          />
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isExportModalOpen}
+        onClose={() => setIsExportModalOpen(false)}
+        title="Export Orders"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsExportModalOpen(false),
+          },
+          {
+            label: "Download",
+            className: "primary-btn",
+            onClick: handleExportOrders,
+            loading: exporting,
+          },
+        ]}
+      >
+        <div className="export-content">
+          <p>
+            One row per line item with its price, shipping, customer and payment
+            intent. Leave a filter empty to include everything.
+          </p>
+          <div className="export-dates">
+            <InputField
+              label="From"
+              type="date"
+              value={exportFilters.from}
+              onChange={handleExportChange("from")}
+            />
+            <InputField
+              label="To"
+              type="date"
+              value={exportFilters.to}
+              onChange={handleExportChange("to")}
+            />
+          </div>
+          <select
+            className="export-select"
+            value={exportFilters.status}
+            onChange={handleExportChange("status")}
+          >
+            <option value="">All order statuses</option>
+            {ORDER_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+          <select
+            className="export-select"
+            value={exportFilters.paymentStatus}
+            onChange={handleExportChange("paymentStatus")}
+          >
+            <option value="">All payment statuses</option>
+            {PAYMENT_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+          <select
+            className="export-select"
+            value={exportFilters.format}
+            onChange={handleExportChange("format")}
+          >
+            <option value="csv">CSV (spreadsheets)</option>
+            <option value="jsonl">JSON Lines (accounting imports)</option>
+          </select>
+        </div>
+      </Modal>
+
+      {/* Cash Collection Modal */}
+      <Modal
+        isOpen={isCashModalOpen}
+        onClose={() => setIsCashModalOpen(false)}
+        title="Mark Cash Collected"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsCashModalOpen(false),
+          },
+          {
+            label: "Confirm Collection",
+            className: "primary-btn",
+            onClick: handleCollectCash,
+            loading: collectingCash,
+          },
+        ]}
+      >
+        <p>
+          Confirm that{" "}
+          <strong>
+            {selectedOrder
+              ? formatMoney(selectedOrder.totalAmount, selectedOrder.currency)
+              : ""}
+          </strong>{" "}
+          was collected in cash for order{" "}
+          <strong>
+            {selectedOrder?._id
+              ? `#${selectedOrder._id.slice(-6).toUpperCase()}`
+              : "#------"}
+          </strong>
+          ?
+          {selectedOrder?.status === "SHIPPED" &&
+            " The order will also be marked as delivered."}
+        </p>
       </Modal>
 
       {/* Delete Confirmation Modal */}
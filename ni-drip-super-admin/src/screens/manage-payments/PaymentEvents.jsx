@@ -0,0 +1,227 @@
+/**
+ * @file PaymentEvents.jsx
+ * @module Screens/Payments/Events
+ * @description
+ * Read-only log of the Stripe webhook events the backend received.
+ * * **Core Functionality:**
+ * - **Event Registry:** Lists each event with its type, order, processing status, outcome and attempts.
+ * - **Filters:** Narrows by order ID, event type and status; `?orderId=` pre-fills the order filter (linked from Order Details).
+ * - **Raw Payload:** Each row expands to the event exactly as Stripe delivered it.
+ * * @requires react-redux
+ * @requires react-router-dom
+ */
+
+import React, { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useSearchParams } from "react-router-dom";
+import { getPaymentEvents } from "../../redux/slices/payment.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import "./PaymentEvents.css";
+
+const EVENT_TYPES = [
+  "payment_intent.succeeded",
+  "payment_intent.payment_failed",
+  "payment_intent.canceled",
+  "charge.refunded",
+  "charge.dispute.created",
+];
+
+const EVENT_STATUSES = [
+  "RECEIVED",
+  "PROCESSING",
+  "PROCESSED",
+  "IGNORED",
+  "FAILED",
+];
+
+const STATUS_BADGES = {
+  PROCESSED: "badge-success",
+  FAILED: "badge-error",
+};
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+const PaymentEvents = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const { allPaymentEvents = [], loading } = useSelector(
+    (state) => state.payments,
+  );
+  const [searchParams] = useSearchParams();
+  const [orderId, setOrderId] = useState(searchParams.get("orderId") || "");
+  const [type, setType] = useState("");
+  const [status, setStatus] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+
+  const trimmedOrderId = orderId.trim();
+  // Only query once a full ObjectId has been typed
+  const isOrderIdComplete =
+    !trimmedOrderId || /^[a-f\d]{24}$/i.test(trimmedOrderId);
+
+  useEffect(() => {
+    if (user?.id && isOrderIdComplete) {
+      dispatch(getPaymentEvents({ orderId: trimmedOrderId, type, status }));
+    }
+  }, [dispatch, user?.id, trimmedOrderId, isOrderIdComplete, type, status]);
+
+  const toggleExpanded = (eventId) =>
+    setExpandedId((current) => (current === eventId ? null : eventId));
+
+  return (
+    <section id="payment-events">
+      <div className="payment-events-container">
+        <div className="payment-events-breadcrumb">
+          <div className="payment-events-header">
+            <h1 className="payment-events-title">Payment Events</h1>
+            <p className="payment-events-subtitle">
+              Stripe webhook deliveries and how each one was processed
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Order ID"
+              value={orderId}
+              onChange={(e) => setOrderId(e.target.value)}
+              width={320}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="filter-row">
+          <select
+            className="filter-select"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            <option value="">All event types</option>
+            {EVENT_TYPES.map((eventType) => (
+              <option key={eventType} value={eventType}>
+                {eventType}
+              </option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+          >
+            <option value="">All statuses</option>
+            {EVENT_STATUSES.map((eventStatus) => (
+              <option key={eventStatus} value={eventStatus}>
+                {eventStatus}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Received</th>
+                    <th>Event</th>
+                    <th>Order</th>
+                    <th>Status</th>
+                    <th>Outcome</th>
+                    <th className="text-center">Attempts</th>
+                    <th className="text-center">Payload</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {allPaymentEvents.map((event) => (
+                    <React.Fragment key={event._id}>
+                      <tr>
+                        <td className="event-date">
+                          {formatDateTime(event.createdAt)}
+                        </td>
+                        <td>
+                          <span className="event-type">{event.type}</span>
+                          <span className="event-id">
+                            {event.stripeEventId}
+                          </span>
+                        </td>
+                        <td className="event-order">
+                          {event.order ? `#${event.order.slice(-8)}` : "—"}
+                        </td>
+                        <td>
+                          <span
+                            className={`badge ${STATUS_BADGES[event.status] || "badge-muted"}`}
+                          >
+                            {event.status}
+                          </span>
+                        </td>
+                        <td className="event-outcome">
+                          {event.outcome || "—"}
+                          {event.error && (
+                            <span className="event-error">{event.error}</span>
+                          )}
+                        </td>
+                        <td className="text-center">{event.attempts}</td>
+                        <td>
+                          <div className="action-group">
+                            <button
+                              className="btn-icon"
+                              onClick={() => toggleExpanded(event._id)}
+                              title={
+                                expandedId === event._id
+                                  ? "Hide Payload"
+                                  : "Show Payload"
+                              }
+                            >
+                              <i
+                                className={`fas ${expandedId === event._id ? "fa-chevron-up" : "fa-code"}`}
+                              ></i>
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                      {expandedId === event._id && (
+                        <tr className="payload-row">
+                          <td colSpan={7}>
+                            <pre className="event-payload">
+                              {JSON.stringify(event.payload, null, 2)}
+                            </pre>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && allPaymentEvents.length === 0 && (
+              <div className="no-events-state">
+                <i className="fas fa-credit-card no-events-icon"></i>
+                <h3>No Payment Events Found</h3>
+                <p>
+                  {isOrderIdComplete
+                    ? "Stripe has not sent any events matching these filters."
+                    : "Enter the full 24-character order ID."}
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default PaymentEvents;
@@ -7,14 +7,15 @@
  * - **Form Handling:** Input fields for product details including title, description, price, stock, category, and specifications.
  * - **Validation:** Client-side validation for all input fields to ensure data integrity before submission.
  * - **Image Uploads:** Support for uploading multiple product images with previews.
+ * - **Variants:** Option axes (e.g. Color, Storage) and per-variant SKU, price, stock and images.
  * - **Submission Workflow:** Integration with Redux actions to handle product creation and provide user feedback.
  * * @requires react-redux
  * @requires react-router-dom
  * @requires react-hot-toast
  */
 
-import React, { useState, useRef } from "react";
-import { useDispatch } from "react-redux";
+import React, { useState, useRef, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import productPlaceholder from "../../../assets/placeHolder/product-placeholder.jpg";
 import {
@@ -28,23 +29,49 @@ import {
 import "./AddProduct.css";
 import InputField from "../../../utilities/input-field/InputField.utility";
 import Button from "../../../utilities/button/Button.utility";
+import CategoryPicker from "../../../utilities/category-picker/CategoryPicker.utility";
+import VariantBuilder from "../../../utilities/variant-builder/VariantBuilder.utility";
+import {
+  appendVariants,
+  validateVariants,
+} from "../../../utilities/variant-builder/VariantForm.utility";
 import { addProduct } from "../../../redux/slices/product.slice";
+import { getAllCategories } from "../../../redux/slices/category.slice";
 import { toast } from "react-hot-toast";
 
 const AddProduct = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const fileInputRef = useRef(null);
+  const { allCategories } = useSelector((state) => state.categories);
 
   const [productImages, setProductImages] = useState([]);
   const [productImagePreviews, setProductImagePreviews] = useState([]);
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [price, setPrice] = useState("");
-  const [category, setCategory] = useState("");
+  const [category, setCategory] = useState([]);
   const [stock, setStock] = useState("");
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
   const [loading, setLoading] = useState(false);
 
+  // A product with variants takes the lowest variant price and the total stock
+  const hasVariants = variants.length > 0;
+  const variantPrices = variants
+    .map((variant) => parseFloat(variant.price))
+    .filter((value) => !isNaN(value));
+  const variantPrice = variantPrices.length
+    ? Math.min(...variantPrices).toString()
+    : "";
+  const variantStock = variants
+    .reduce((sum, variant) => sum + (parseInt(variant.stock, 10) || 0), 0)
+    .toString();
+
+  useEffect(() => {
+    dispatch(getAllCategories());
+  }, [dispatch]);
+
   // Replacement for raw JSON string: Array of Objects
   const [specSections, setSpecSections] = useState([
     { section: "", items: [{ name: "", value: "" }] },
@@ -104,17 +131,9 @@ const AddProduct = () => {
   const handleUploadProduct = async (event) => {
     event.preventDefault();
 
-    const categoryArray = category
-      .split(",")
-      .map((c) => c.trim())
-      .filter((c) => c !== "");
-    const fields = {
-      title,
-      description,
-      price,
-      category: categoryArray,
-      stock,
-    };
+    const fields = hasVariants
+      ? { title, description, category }
+      : { title, description, price, category, stock };
 
     const errors = validateFields(fields);
     if (Object.keys(errors).length > 0) {
@@ -122,6 +141,12 @@ const AddProduct = () => {
       return;
     }
 
+    const variantError = validateVariants(variantOptions, variants);
+    if (variantError) {
+      toast.error(variantError);
+      return;
+    }
+
     if (productImages.length === 0) {
       toast.error("Please upload at least one image.");
       return;
@@ -134,13 +159,14 @@ const AddProduct = () => {
       formData.append("description", description);
       formData.append("price", price);
       formData.append("stock", stock);
-      formData.append("category", JSON.stringify(categoryArray));
+      formData.append("category", JSON.stringify(category));
 
       // Clean up empty specifications before sending
       const filteredSpecs = specSections.filter((s) => s.section.trim() !== "");
       formData.append("specifications", JSON.stringify(filteredSpecs));
 
       productImages.forEach((file) => formData.append("productImage", file));
+      appendVariants(formData, variantOptions, variants);
 
       const resultAction = await dispatch(addProduct(formData));
 
@@ -170,7 +196,7 @@ const AddProduct = () => {
         <section className="upload-product-form-section">
           <div className="container">
             <div className="row">
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
                   label="Title"
                   value={title}
@@ -178,35 +204,36 @@ const AddProduct = () => {
                   icon={<i className="fas fa-signature"></i>}
                 />
               </div>
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
-                  label="Price"
-                  value={price}
+                  label={hasVariants ? "Price (from variants)" : "Price"}
+                  value={hasVariants ? variantPrice : price}
+                  editable={!hasVariants}
                   onChange={(e) => setPrice(e.target.value)}
                   icon={<i className="fas fa-money-bill"></i>}
                 />
               </div>
-            </div>
-
-            <div className="row">
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
-                  label="Category (Comma separated)"
-                  value={category}
-                  onChange={(e) => setCategory(e.target.value)}
-                  icon={<i className="fas fa-tags"></i>}
-                />
-              </div>
-              <div className="col-md-6 mb-3">
-                <InputField
-                  label="Stock"
-                  value={stock}
+                  label={hasVariants ? "Stock (from variants)" : "Stock"}
+                  value={hasVariants ? variantStock : stock}
+                  editable={!hasVariants}
                   onChange={(e) => setStock(e.target.value)}
                   icon={<i className="fas fa-truck"></i>}
                 />
               </div>
             </div>
 
+            <div className="row">
+              <div className="col-12 mb-3">
+                <CategoryPicker
+                  categories={allCategories}
+                  selected={category}
+                  onChange={setCategory}
+                />
+              </div>
+            </div>
+
             <div className="row">
               <div className="col-12 mb-3">
                 <InputField
@@ -309,6 +336,15 @@ const AddProduct = () => {
               ))}
             </div>
 
+            <div className="mb-4">
+              <VariantBuilder
+                options={variantOptions}
+                variants={variants}
+                onOptionsChange={setVariantOptions}
+                onVariantsChange={setVariants}
+              />
+            </div>
+
             <div className="images-upload-grid mb-4">
               {productImagePreviews.map((src, index) => (
                 <div className="img-preview-wrapper" key={index}>
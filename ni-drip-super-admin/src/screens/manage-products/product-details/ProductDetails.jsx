@@ -59,9 +59,9 @@ const ProductDetails = () => {
         </button>
         <div className="header-content">
           <div className="category-stack">
-            {product.category?.map((cat, i) => (
-              <span key={i} className="category-tag">
-                {cat}
+            {product.category?.map((cat) => (
+              <span key={cat._id} className="category-tag">
+                {cat.name}
               </span>
             ))}
           </div>
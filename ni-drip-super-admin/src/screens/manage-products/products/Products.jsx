@@ -181,7 +181,7 @@ const Products = () => {
                   {filteredProducts.map((product) => (
                     <tr key={product._id}>
                       <td className="product-name">{product.title}</td>
-                      <td>{product.category?.[0] || "N/A"}</td>
+                      <td>{product.category?.[0]?.name || "N/A"}</td>
                       <td>
                         <span
                           className={`status-badge ${
@@ -191,7 +191,14 @@ const Products = () => {
                           {product.status === "ACTIVE" ? "Active" : "Inactive"}
                         </span>
                       </td>
-                      <td>${product.price?.toFixed(2)}</td>
+                      <td>
+                        ${product.price?.toFixed(2)}
+                        {product.compareAtPrice > product.price && (
+                          <s className="compare-at-price">
+                            ${product.compareAtPrice.toFixed(2)}
+                          </s>
+                        )}
+                      </td>
                       <td className="action-dots">
                         <div className="popover-anchor">
                           <button
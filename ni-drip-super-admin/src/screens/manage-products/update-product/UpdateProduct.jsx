@@ -6,10 +6,19 @@ import { validateFields } from "../../../utilities/validations/Validation.utilit
 import "./UpdateProduct.css";
 import InputField from "../../../utilities/input-field/InputField.utility";
 import Button from "../../../utilities/button/Button.utility";
+import CategoryPicker from "../../../utilities/category-picker/CategoryPicker.utility";
+import VariantBuilder from "../../../utilities/variant-builder/VariantBuilder.utility";
+import PricingPanel from "../../../utilities/pricing-panel/PricingPanel.utility";
+import {
+  appendVariants,
+  toVariantState,
+  validateVariants,
+} from "../../../utilities/variant-builder/VariantForm.utility";
 import {
   getProductById,
   updateProduct,
 } from "../../../redux/slices/product.slice";
+import { getAllCategories } from "../../../redux/slices/category.slice";
 import { toast } from "react-hot-toast";
 import Loader from "../../../utilities/loader/Loader.utility";
 
@@ -22,23 +31,40 @@ const UpdateProduct = () => {
   const { selectedProduct, loading: sliceLoading } = useSelector(
     (state) => state.products,
   );
+  const { allCategories } = useSelector((state) => state.categories);
 
   const [productImages, setProductImages] = useState([]);
   const [productImagePreviews, setProductImagePreviews] = useState([]);
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [price, setPrice] = useState("");
-  const [category, setCategory] = useState("");
+  const [category, setCategory] = useState([]);
   const [stock, setStock] = useState("");
   const [specSections, setSpecSections] = useState([
     { section: "", items: [{ name: "", value: "" }] },
   ]);
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [onSale, setOnSale] = useState(false);
+
+  // A product with variants takes the lowest variant price and the total stock
+  const hasVariants = variants.length > 0;
+  const variantPrices = variants
+    .map((variant) => parseFloat(variant.price))
+    .filter((value) => !isNaN(value));
+  const variantPrice = variantPrices.length
+    ? Math.min(...variantPrices).toString()
+    : "";
+  const variantStock = variants
+    .reduce((sum, variant) => sum + (parseInt(variant.stock, 10) || 0), 0)
+    .toString();
 
   useEffect(() => {
     if (productId) {
       dispatch(getProductById(productId));
     }
+    dispatch(getAllCategories());
   }, [productId, dispatch]);
 
   useEffect(() => {
@@ -46,8 +72,13 @@ const UpdateProduct = () => {
       setTitle(selectedProduct.title || "");
       setDescription(selectedProduct.description || "");
       setPrice(selectedProduct.price?.toString() || "");
+      setOnSale(Boolean(selectedProduct.sale?.appliedAt));
       setStock(selectedProduct.stock?.toString() || "");
-      setCategory(selectedProduct.category?.join(", ") || "");
+      setCategory((selectedProduct.category || []).map((c) => c._id || c));
+
+      const variantState = toVariantState(selectedProduct);
+      setVariantOptions(variantState.options);
+      setVariants(variantState.variants);
 
       if (
         selectedProduct.specifications &&
@@ -134,20 +165,26 @@ const UpdateProduct = () => {
     }
   };
 
+  // Sales and scheduled prices are saved on their own; mirror the new prices
+  const handlePricingChange = (pricing) => {
+    setOnSale(Boolean(pricing.sale?.appliedAt));
+    setPrice(pricing.price.toString());
+    setVariants((prev) =>
+      prev.map((variant) => {
+        const priced = pricing.variants.find((v) => v._id === variant._id);
+        return priced
+          ? { ...variant, price: priced.price.toString() }
+          : variant;
+      }),
+    );
+  };
+
   const handleUpdateProduct = async (event) => {
     event.preventDefault();
 
-    const categoryArray = category
-      .split(",")
-      .map((c) => c.trim())
-      .filter((c) => c !== "");
-    const fields = {
-      title,
-      description,
-      price,
-      category: categoryArray,
-      stock,
-    };
+    const fields = hasVariants
+      ? { title, description, category }
+      : { title, description, price, category, stock };
 
     const errors = validateFields(fields);
     if (Object.keys(errors).length > 0) {
@@ -155,6 +192,12 @@ const UpdateProduct = () => {
       return;
     }
 
+    const variantError = validateVariants(variantOptions, variants);
+    if (variantError) {
+      toast.error(variantError);
+      return;
+    }
+
     setLoading(true);
     try {
       const formData = new FormData();
@@ -162,7 +205,7 @@ const UpdateProduct = () => {
       formData.append("description", description);
       formData.append("price", price);
       formData.append("stock", stock);
-      formData.append("category", JSON.stringify(categoryArray));
+      formData.append("category", JSON.stringify(category));
 
       const filteredSpecs = specSections.filter((s) => s.section.trim() !== "");
       formData.append("specifications", JSON.stringify(filteredSpecs));
@@ -170,6 +213,7 @@ const UpdateProduct = () => {
       productImages.forEach((file) => {
         formData.append("productImage", file);
       });
+      appendVariants(formData, variantOptions, variants);
 
       const resultAction = await dispatch(
         updateProduct({ productId, formData }),
@@ -207,7 +251,7 @@ const UpdateProduct = () => {
         <section className="update-product-form-section">
           <div className="container">
             <div className="row">
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
                   label="Title"
                   value={title}
@@ -215,35 +259,42 @@ const UpdateProduct = () => {
                   icon={<i className="fas fa-signature"></i>}
                 />
               </div>
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
-                  label="Price"
-                  value={price}
+                  label={
+                    hasVariants
+                      ? "Price (from variants)"
+                      : onSale
+                        ? "Price (on sale)"
+                        : "Price"
+                  }
+                  value={hasVariants ? variantPrice : price}
+                  editable={!hasVariants && !onSale}
                   onChange={(e) => setPrice(e.target.value)}
                   icon={<i className="fas fa-money-bill"></i>}
                 />
               </div>
-            </div>
-
-            <div className="row">
-              <div className="col-md-6 mb-3">
-                <InputField
-                  label="Category (Comma separated)"
-                  value={category}
-                  onChange={(e) => setCategory(e.target.value)}
-                  icon={<i className="fas fa-tags"></i>}
-                />
-              </div>
-              <div className="col-md-6 mb-3">
+              <div className="col-md-4 mb-3">
                 <InputField
-                  label="Stock"
-                  value={stock}
+                  label={hasVariants ? "Stock (from variants)" : "Stock"}
+                  value={hasVariants ? variantStock : stock}
+                  editable={!hasVariants}
                   onChange={(e) => setStock(e.target.value)}
                   icon={<i className="fas fa-truck"></i>}
                 />
               </div>
             </div>
 
+            <div className="row">
+              <div className="col-12 mb-3">
+                <CategoryPicker
+                  categories={allCategories}
+                  selected={category}
+                  onChange={setCategory}
+                />
+              </div>
+            </div>
+
             <div className="row">
               <div className="col-12 mb-3">
                 <InputField
@@ -344,6 +395,23 @@ const UpdateProduct = () => {
               ))}
             </div>
 
+            <div className="mb-4">
+              <VariantBuilder
+                options={variantOptions}
+                variants={variants}
+                onOptionsChange={setVariantOptions}
+                onVariantsChange={setVariants}
+                pricesLocked={onSale}
+              />
+            </div>
+
+            <div className="mb-4">
+              <PricingPanel
+                productId={productId}
+                onPricingChange={handlePricingChange}
+              />
+            </div>
+
             <div className="images-upload-grid mb-4">
               {productImagePreviews.map((src, index) => (
                 <div className="img-preview-wrapper" key={index}>
@@ -0,0 +1,431 @@
+/**
+ * @file Returns.jsx
+ * @module Screens/Returns/Management
+ * @description
+ * Queue of customer return requests (RMAs) and their workflow.
+ * * **Core Functionality:**
+ * - **Return Queue:** Lists each return with its customer, items, reason, photos and status, oldest first; filters by status.
+ * - **Approval:** Requested returns are approved, or rejected with a reason the customer receives by email.
+ * - **Inspection:** Once the parcel arrives every line is marked for restock or write-off.
+ * - **Refund:** Completing an inspected return refunds Stripe orders automatically and records the amount owed for pay-on-delivery orders.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-hot-toast";
+import {
+  getAllReturns,
+  reviewReturn,
+  receiveReturn,
+  completeReturn,
+} from "../../redux/slices/return.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import "./Returns.css";
+
+const RETURN_STATUSES = [
+  "REQUESTED",
+  "APPROVED",
+  "RECEIVED",
+  "COMPLETED",
+  "REJECTED",
+  "CANCELLED",
+];
+
+const STATUS_BADGES = {
+  REQUESTED: "badge-warning",
+  APPROVED: "badge-info",
+  RECEIVED: "badge-info",
+  COMPLETED: "badge-success",
+  REJECTED: "badge-error",
+};
+
+const REASON_LABELS = {
+  DOA: "Dead on arrival",
+  DAMAGED: "Arrived damaged",
+  WRONG_ITEM: "Wrong item",
+  NOT_AS_DESCRIBED: "Not as described",
+  CHANGED_MIND: "Changed mind",
+};
+
+const MODAL_TITLES = {
+  APPROVE: "Approve Return",
+  REJECT: "Reject Return",
+  INSPECT: "Inspect Return",
+  COMPLETE: "Complete Return",
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+const formatMoney = (amount, currency = "USD") =>
+  new Intl.NumberFormat("en-GB", { style: "currency", currency }).format(
+    amount || 0,
+  );
+
+/**
+ * Key of a returned line: its product, plus its variant when it has one
+ * @param {Object} item - Return item
+ * @returns {string}
+ */
+const lineKeyOf = (item) =>
+  item.variant ? `${item.product?._id}:${item.variant}` : item.product?._id;
+
+// Product title of a returned line, with its variant
+const lineTitle = (item) =>
+  `${item.product?.title || "Deleted product"}${item.variantLabel ? ` (${item.variantLabel})` : ""}`;
+
+const Returns = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const {
+    allReturns = [],
+    loading,
+    actionLoading,
+  } = useSelector((state) => state.returns);
+  const [status, setStatus] = useState("REQUESTED");
+  // { action: "APPROVE" | "REJECT" | "INSPECT" | "COMPLETE", returnRequest }
+  const [activeAction, setActiveAction] = useState(null);
+  const [note, setNote] = useState("");
+  const [dispositions, setDispositions] = useState({});
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllReturns({ status }));
+    }
+  }, [dispatch, user?.id, status]);
+
+  const openAction = (action, returnRequest) => {
+    setActiveAction({ action, returnRequest });
+    setNote("");
+    // Faulty units are written off by default, everything else restocked
+    setDispositions(
+      Object.fromEntries(
+        returnRequest.items.map((item) => [
+          lineKeyOf(item),
+          ["DOA", "DAMAGED"].includes(returnRequest.reason)
+            ? "WRITE_OFF"
+            : "RESTOCK",
+        ]),
+      ),
+    );
+  };
+
+  const closeAction = () => setActiveAction(null);
+
+  const handleConfirm = async () => {
+    const { action, returnRequest } = activeAction;
+    const returnId = returnRequest._id;
+
+    if (action === "REJECT" && !note.trim()) {
+      toast.error("Please give the customer a reason");
+      return;
+    }
+
+    let result;
+    if (action === "APPROVE" || action === "REJECT") {
+      result = await dispatch(
+        reviewReturn({ returnId, decision: action, note: note.trim() }),
+      );
+    } else if (action === "INSPECT") {
+      result = await dispatch(
+        receiveReturn({
+          returnId,
+          inspectionNote: note.trim(),
+          items: returnRequest.items.map((item) => ({
+            productId: item.product?._id,
+            variantId: item.variant || undefined,
+            disposition: dispositions[lineKeyOf(item)],
+          })),
+        }),
+      );
+    } else {
+      result = await dispatch(completeReturn({ returnId, note: note.trim() }));
+    }
+
+    if (result.meta.requestStatus === "fulfilled") {
+      toast.success(result.payload.message);
+      closeAction();
+      // The return has moved on, so refresh the filtered queue
+      dispatch(getAllReturns({ status }));
+    } else {
+      toast.error(result.payload?.message || "Failed to update return");
+    }
+  };
+
+  const renderActions = (returnRequest) => {
+    switch (returnRequest.status) {
+      case "REQUESTED":
+        return (
+          <>
+            <button
+              className="btn-icon"
+              title="Approve"
+              onClick={() => openAction("APPROVE", returnRequest)}
+            >
+              <i className="fas fa-check"></i>
+            </button>
+            <button
+              className="btn-icon reject"
+              title="Reject"
+              onClick={() => openAction("REJECT", returnRequest)}
+            >
+              <i className="fas fa-times"></i>
+            </button>
+          </>
+        );
+      case "APPROVED":
+        return (
+          <button
+            className="btn-icon"
+            title="Parcel received – inspect"
+            onClick={() => openAction("INSPECT", returnRequest)}
+          >
+            <i className="fas fa-box-open"></i>
+          </button>
+        );
+      case "RECEIVED":
+        return (
+          <button
+            className="btn-icon"
+            title="Refund and complete"
+            onClick={() => openAction("COMPLETE", returnRequest)}
+          >
+            <i className="fas fa-undo"></i>
+          </button>
+        );
+      default:
+        return <span className="return-muted">—</span>;
+    }
+  };
+
+  const activeReturn = activeAction?.returnRequest;
+  const isStripeOrder = activeReturn?.order?.paymentMethod === "STRIPE";
+
+  return (
+    <section id="returns">
+      <div className="returns-container">
+        <div className="returns-breadcrumb">
+          <div className="returns-header">
+            <h1 className="returns-title">Returns</h1>
+            <p className="returns-subtitle">
+              Approve, inspect and refund customer return requests
+            </p>
+          </div>
+
+          <div className="filter-row">
+            <select
+              className="filter-select"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+            >
+              <option value="">All statuses</option>
+              {RETURN_STATUSES.map((returnStatus) => (
+                <option key={returnStatus} value={returnStatus}>
+                  {returnStatus}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Return</th>
+                    <th>Customer</th>
+                    <th>Items</th>
+                    <th>Reason</th>
+                    <th>Photos</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {allReturns.map((returnRequest) => (
+                    <tr key={returnRequest._id}>
+                      <td>
+                        <span className="return-rma">
+                          {returnRequest.rmaNumber}
+                        </span>
+                        <span className="return-meta">
+                          Order #{returnRequest.order?._id?.slice(-8)} ·{" "}
+                          {formatDate(returnRequest.createdAt)}
+                        </span>
+                      </td>
+                      <td>
+                        {returnRequest.user?.userName || "Deleted user"}
+                        <span className="return-meta">
+                          {returnRequest.user?.email}
+                        </span>
+                      </td>
+                      <td>
+                        {returnRequest.items.map((item) => (
+                          <span className="return-item" key={item._id}>
+                            {lineTitle(item)} × {item.quantity}
+                            {item.disposition && (
+                              <span
+                                className={`return-disposition ${item.disposition === "RESTOCK" ? "restock" : "write-off"}`}
+                              >
+                                {item.disposition.replace("_", " ")}
+                              </span>
+                            )}
+                          </span>
+                        ))}
+                      </td>
+                      <td className="return-reason">
+                        {REASON_LABELS[returnRequest.reason] ||
+                          returnRequest.reason}
+                        {returnRequest.description && (
+                          <span className="return-meta">
+                            {returnRequest.description}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="return-photos">
+                          {returnRequest.photos.length === 0 && (
+                            <span className="return-muted">None</span>
+                          )}
+                          {returnRequest.photos.map((photo) => (
+                            <a
+                              key={photo}
+                              href={photo}
+                              target="_blank"
+                              rel="noreferrer"
+                            >
+                              <img src={photo} alt="Return" />
+                            </a>
+                          ))}
+                        </div>
+                      </td>
+                      <td>
+                        <span
+                          className={`badge ${STATUS_BADGES[returnRequest.status] || "badge-muted"}`}
+                        >
+                          {returnRequest.status}
+                        </span>
+                        {returnRequest.status === "COMPLETED" && (
+                          <span className="return-meta">
+                            {formatMoney(
+                              returnRequest.refund?.amount,
+                              returnRequest.order?.currency,
+                            )}{" "}
+                            {returnRequest.refund?.method === "STRIPE"
+                              ? "refunded"
+                              : "to refund manually"}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          {renderActions(returnRequest)}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && allReturns.length === 0 && (
+              <div className="no-returns-state">
+                <i className="fas fa-undo no-returns-icon"></i>
+                <h3>No Returns Found</h3>
+                <p>No customer returns match this status.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={!!activeAction}
+        onClose={closeAction}
+        title={`${MODAL_TITLES[activeAction?.action] || ""} ${activeReturn?.rmaNumber || ""}`}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeAction,
+          },
+          {
+            label: activeAction?.action === "REJECT" ? "Reject" : "Confirm",
+            className:
+              activeAction?.action === "REJECT" ? "danger-btn" : "primary-btn",
+            onClick: handleConfirm,
+            loading: actionLoading,
+          },
+        ]}
+      >
+        {activeReturn && (
+          <div id="return-action-form">
+            {activeAction.action === "INSPECT" &&
+              activeReturn.items.map((item) => (
+                <div className="return-line" key={item._id}>
+                  <span className="return-line-title">
+                    {lineTitle(item)} × {item.quantity}
+                  </span>
+                  <InputField
+                    dropdownOptions={[
+                      { value: "RESTOCK", label: "Restock" },
+                      { value: "WRITE_OFF", label: "Write off" },
+                    ]}
+                    selectedValue={dispositions[lineKeyOf(item)]}
+                    onValueChange={(e) =>
+                      setDispositions((prev) => ({
+                        ...prev,
+                        [lineKeyOf(item)]: e.target.value,
+                      }))
+                    }
+                    width={160}
+                  />
+                </div>
+              ))}
+
+            {activeAction.action === "COMPLETE" && (
+              <p className="return-hint">
+                {isStripeOrder
+                  ? "The returned units will be refunded to the customer's card through Stripe."
+                  : "This is a pay-on-delivery order – the refund amount will be recorded for you to pay out manually."}{" "}
+                Restocked lines go back into inventory; written-off lines do
+                not.
+              </p>
+            )}
+
+            <InputField
+              label={
+                activeAction.action === "REJECT"
+                  ? "Reason (sent to the customer)"
+                  : activeAction.action === "INSPECT"
+                    ? "Inspection notes (optional)"
+                    : "Note (optional)"
+              }
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              multiline
+              rows={3}
+              fullWidth
+              required={activeAction.action === "REJECT"}
+            />
+          </div>
+        )}
+      </Modal>
+    </section>
+  );
+};
+
+export default Returns;
@@ -0,0 +1,481 @@
+/**
+ * @file Shipping.jsx
+ * @module Screens/Shipping/Management
+ * @description
+ * Administrative interface for the shipping zones that drive server-side shipping fees.
+ * * **Core Functionality:**
+ * - **Zone Registry:** Lists every zone with its destinations, rate tiers and free-shipping threshold.
+ * - **Rate Tier Builder:** Add/remove item-count tiers (`minItems`–`maxItems` → `rate`) inside the zone form.
+ * - **Single Default Zone:** Marking a zone as default is mirrored locally; the backend clears the flag elsewhere.
+ * - **Cash on Delivery:** Per-zone COD switch and order-total limit; city-specific zones give a city its own limit.
+ * - **Destructive Workflows:** Deleting a zone requires Modal confirmation.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllShippingZones,
+  addShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../../redux/slices/shipping.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+import "./Shipping.css";
+
+const EMPTY_TIER = { minItems: "1", maxItems: "", rate: "" };
+
+const EMPTY_FORM = {
+  name: "",
+  cities: "",
+  countries: "",
+  freeShippingThreshold: "",
+  codEnabled: false,
+  codMaxOrderAmount: "",
+  isDefault: false,
+  isActive: true,
+  rateTiers: [{ ...EMPTY_TIER }],
+};
+
+/**
+ * Convert a zone document into editable form values
+ * @param {Object} zone
+ * @returns {Object}
+ */
+const toFormValues = (zone) => ({
+  name: zone.name,
+  cities: zone.cities.join(", "),
+  countries: zone.countries.join(", "),
+  freeShippingThreshold: zone.freeShippingThreshold ?? "",
+  codEnabled: Boolean(zone.codEnabled),
+  codMaxOrderAmount: zone.codMaxOrderAmount ?? "",
+  isDefault: zone.isDefault,
+  isActive: zone.isActive,
+  rateTiers: zone.rateTiers.map((tier) => ({
+    minItems: String(tier.minItems),
+    maxItems: tier.maxItems === null ? "" : String(tier.maxItems),
+    rate: String(tier.rate),
+  })),
+});
+
+/**
+ * Human readable label for a rate tier
+ * @param {Object} tier
+ * @returns {string}
+ */
+const formatTier = (tier) =>
+  `${tier.minItems}${tier.maxItems === null ? "+" : `–${tier.maxItems}`} items: $${Number(tier.rate).toFixed(2)}`;
+
+const Shipping = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const { allZones = [], loading } = useSelector((state) => state.shipping);
+  const [search, setSearch] = useState("");
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [selectedZone, setSelectedZone] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllShippingZones());
+    }
+  }, [dispatch, user?.id]);
+
+  const filteredZones = useMemo(() => {
+    const term = search.toLowerCase();
+    return allZones.filter(
+      (zone) =>
+        zone.name?.toLowerCase().includes(term) ||
+        zone.cities?.some((c) => c.toLowerCase().includes(term)) ||
+        zone.countries?.some((c) => c.toLowerCase().includes(term)),
+    );
+  }, [allZones, search]);
+
+  const openCreateForm = () => {
+    setEditingZone(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (zone) => {
+    setEditingZone(zone);
+    setForm(toFormValues(zone));
+    setIsFormOpen(true);
+  };
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateTier = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      rateTiers: prev.rateTiers.map((tier, i) =>
+        i === index ? { ...tier, [field]: value } : tier,
+      ),
+    }));
+
+  const addTier = () =>
+    setForm((prev) => ({
+      ...prev,
+      rateTiers: [...prev.rateTiers, { ...EMPTY_TIER }],
+    }));
+
+  const removeTier = (index) =>
+    setForm((prev) => ({
+      ...prev,
+      rateTiers: prev.rateTiers.filter((_, i) => i !== index),
+    }));
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error("Zone name is required");
+      return;
+    }
+
+    const rateTiers = form.rateTiers.map((tier) => ({
+      minItems: Number(tier.minItems),
+      maxItems: tier.maxItems === "" ? null : Number(tier.maxItems),
+      rate: Number(tier.rate),
+    }));
+
+    if (
+      rateTiers.length === 0 ||
+      rateTiers.some((t) => !(t.minItems >= 1) || isNaN(t.rate) || t.rate < 0)
+    ) {
+      toast.error("Every rate tier needs a minimum item count and a rate");
+      return;
+    }
+
+    const zoneData = {
+      name: form.name.trim(),
+      cities: form.cities,
+      countries: form.countries,
+      freeShippingThreshold:
+        form.freeShippingThreshold === ""
+          ? null
+          : Number(form.freeShippingThreshold),
+      codEnabled: form.codEnabled,
+      codMaxOrderAmount:
+        form.codMaxOrderAmount === "" ? null : Number(form.codMaxOrderAmount),
+      isDefault: form.isDefault,
+      isActive: form.isActive,
+      rateTiers,
+    };
+
+    setSaving(true);
+    const result = editingZone
+      ? await dispatch(
+          updateShippingZone({ zoneId: editingZone._id, zoneData }),
+        )
+      : await dispatch(addShippingZone(zoneData));
+    setSaving(false);
+
+    const thunk = editingZone ? updateShippingZone : addShippingZone;
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsFormOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to save zone");
+    }
+  };
+
+  const handleOpenDeleteModal = (zone) => {
+    setSelectedZone(zone);
+    setIsDeleteModalOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!selectedZone) return;
+    setDeleting(true);
+
+    const result = await dispatch(deleteShippingZone(selectedZone._id));
+
+    if (deleteShippingZone.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsDeleteModalOpen(false);
+      setSelectedZone(null);
+    } else {
+      toast.error(result.payload?.message || "Deletion failed");
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <section id="shipping">
+      <div className="shipping-container">
+        <div className="shipping-breadcrumb">
+          <div className="shipping-header">
+            <h1 className="shipping-title">Shipping</h1>
+            <p className="shipping-subtitle">
+              Manage shipping zones, rate tiers and free-shipping thresholds
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={450}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="btn-container">
+          <Button
+            title="Add Zone"
+            width={150}
+            icon={<i className="fas fa-plus-circle"></i>}
+            onPress={openCreateForm}
+          />
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Zone</th>
+                    <th>Destinations</th>
+                    <th>Rate Tiers</th>
+                    <th>Free Shipping</th>
+                    <th>Cash on Delivery</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredZones.map((zone) => (
+                    <tr key={zone._id}>
+                      <td>
+                        <span className="zone-name">{zone.name}</span>
+                        {zone.isDefault && (
+                          <span className="badge badge-default">Default</span>
+                        )}
+                      </td>
+                      <td className="destinations">
+                        {[...zone.cities, ...zone.countries].join(", ") || "—"}
+                      </td>
+                      <td>
+                        <ul className="tier-list">
+                          {zone.rateTiers.map((tier, index) => (
+                            <li key={index}>{formatTier(tier)}</li>
+                          ))}
+                        </ul>
+                      </td>
+                      <td>
+                        {zone.freeShippingThreshold === null
+                          ? "—"
+                          : `Over $${zone.freeShippingThreshold.toFixed(2)}`}
+                      </td>
+                      <td>
+                        {!zone.codEnabled
+                          ? "—"
+                          : zone.codMaxOrderAmount === null
+                            ? "Any total"
+                            : `Up to $${zone.codMaxOrderAmount.toFixed(2)}`}
+                      </td>
+                      <td>
+                        <span
+                          className={`badge ${zone.isActive ? "badge-success" : "badge-error"}`}
+                        >
+                          {zone.isActive ? "Active" : "Inactive"}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          <button
+                            className="btn-icon"
+                            onClick={() => openEditForm(zone)}
+                            title="Edit Zone"
+                          >
+                            <i className="fas fa-pencil-alt"></i>
+                          </button>
+                          <button
+                            className="btn-icon btn-danger"
+                            onClick={() => handleOpenDeleteModal(zone)}
+                            title="Delete Zone"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && filteredZones.length === 0 && (
+              <div className="no-zones-state">
+                <i className="fas fa-truck no-zones-icon"></i>
+                <h3>No Shipping Zones Found</h3>
+                <p>
+                  Checkout is blocked until at least one zone serves the
+                  customer.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingZone ? "Edit Shipping Zone" : "Add Shipping Zone"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsFormOpen(false),
+          },
+          {
+            label: editingZone ? "Save Changes" : "Create Zone",
+            className: "primary-btn",
+            onClick: handleSave,
+            loading: saving,
+          },
+        ]}
+      >
+        <div id="shipping-zone-form">
+          <InputField
+            label="Zone Name"
+            value={form.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            required
+          />
+          <InputField
+            label="Cities (comma separated)"
+            value={form.cities}
+            onChange={(e) => updateField("cities", e.target.value)}
+          />
+          <InputField
+            label="Countries (comma separated)"
+            value={form.countries}
+            onChange={(e) => updateField("countries", e.target.value)}
+          />
+          <InputField
+            label="Free shipping over ($)"
+            type="number"
+            value={form.freeShippingThreshold}
+            onChange={(e) =>
+              updateField("freeShippingThreshold", e.target.value)
+            }
+          />
+
+          <div className="tiers-header">
+            <span>Rate Tiers</span>
+            <button type="button" className="btn-link" onClick={addTier}>
+              <i className="fas fa-plus"></i> Add Tier
+            </button>
+          </div>
+          {form.rateTiers.map((tier, index) => (
+            <div className="tier-row" key={index}>
+              <InputField
+                label="Min items"
+                type="number"
+                value={tier.minItems}
+                onChange={(e) => updateTier(index, "minItems", e.target.value)}
+              />
+              <InputField
+                label="Max items"
+                type="number"
+                value={tier.maxItems}
+                onChange={(e) => updateTier(index, "maxItems", e.target.value)}
+              />
+              <InputField
+                label="Rate ($)"
+                type="number"
+                value={tier.rate}
+                onChange={(e) => updateTier(index, "rate", e.target.value)}
+              />
+              <button
+                type="button"
+                className="btn-icon btn-danger"
+                onClick={() => removeTier(index)}
+                disabled={form.rateTiers.length === 1}
+                title="Remove Tier"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+          ))}
+          <p className="tier-hint">
+            Leave "Max items" empty for no upper bound.
+          </p>
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.codEnabled}
+              onChange={(e) => updateField("codEnabled", e.target.checked)}
+            />
+            Offer cash on delivery
+          </label>
+          {form.codEnabled && (
+            <InputField
+              label="Cash on delivery up to ($, empty = no limit)"
+              type="number"
+              value={form.codMaxOrderAmount}
+              onChange={(e) => updateField("codMaxOrderAmount", e.target.value)}
+            />
+          )}
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) => updateField("isDefault", e.target.checked)}
+            />
+            Default zone (used when no city or country matches)
+          </label>
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+            />
+            Active
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Shipping Zone?"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsDeleteModalOpen(false),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: deleting,
+          },
+        ]}
+      >
+        Are you sure you want to delete <strong>{selectedZone?.name}</strong>?
+      </Modal>
+    </section>
+  );
+};
+
+export default Shipping;
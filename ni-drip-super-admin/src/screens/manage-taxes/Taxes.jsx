@@ -0,0 +1,444 @@
+/**
+ * @file Taxes.jsx
+ * @module Screens/Taxes/Management
+ * @description
+ * Administrative interface for the destination tax rules applied at checkout.
+ * * **Core Functionality:**
+ * - **Rule Registry:** Lists every rule with its destination, base rate and category overrides.
+ * - **Rule Form:** Create or edit a rule's name, country/region, rate, per-category overrides and shipping flag.
+ * - **Destructive Workflows:** Deleting a rule requires Modal confirmation; orders to its destination are no longer taxed.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllTaxRules,
+  addTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} from "../../redux/slices/tax.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+import "./Taxes.css";
+
+const EMPTY_FORM = {
+  name: "",
+  country: "",
+  region: "",
+  rate: "",
+  categoryRates: [],
+  appliesToShipping: false,
+  isActive: true,
+};
+
+/**
+ * Convert a tax rule document into editable form values
+ * @param {Object} rule
+ * @returns {Object}
+ */
+const toFormValues = (rule) => ({
+  name: rule.name,
+  country: rule.country,
+  region: rule.region || "",
+  rate: String(rule.rate),
+  categoryRates: rule.categoryRates.map((c) => ({
+    category: c.category,
+    rate: String(c.rate),
+  })),
+  appliesToShipping: rule.appliesToShipping,
+  isActive: rule.isActive,
+});
+
+/**
+ * Check a percentage entered in the form
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidRate = (value) => {
+  const rate = Number(value);
+  return value !== "" && rate >= 0 && rate <= 100;
+};
+
+const Taxes = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const { allTaxRules = [], loading } = useSelector((state) => state.taxes);
+  const [search, setSearch] = useState("");
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [selectedRule, setSelectedRule] = useState(null);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllTaxRules());
+    }
+  }, [dispatch, user?.id]);
+
+  const filteredRules = useMemo(() => {
+    const term = search.toLowerCase();
+    return allTaxRules.filter(
+      (rule) =>
+        rule.name?.toLowerCase().includes(term) ||
+        rule.country?.toLowerCase().includes(term) ||
+        rule.region?.toLowerCase().includes(term),
+    );
+  }, [allTaxRules, search]);
+
+  const openCreateForm = () => {
+    setEditingRule(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (rule) => {
+    setEditingRule(rule);
+    setForm(toFormValues(rule));
+    setIsFormOpen(true);
+  };
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateCategoryRate = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: prev.categoryRates.map((c, i) =>
+        i === index ? { ...c, [field]: value } : c,
+      ),
+    }));
+
+  const addCategoryRate = () =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: [...prev.categoryRates, { category: "", rate: "" }],
+    }));
+
+  const removeCategoryRate = (index) =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: prev.categoryRates.filter((_, i) => i !== index),
+    }));
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.country.trim()) {
+      toast.error("Name and country are required");
+      return;
+    }
+
+    if (!isValidRate(form.rate)) {
+      toast.error("Tax rate must be between 0 and 100");
+      return;
+    }
+
+    const categoryRates = form.categoryRates.filter((c) => c.category.trim());
+    if (categoryRates.some((c) => !isValidRate(c.rate))) {
+      toast.error("Category rates must be between 0 and 100");
+      return;
+    }
+
+    const ruleData = {
+      name: form.name.trim(),
+      country: form.country.trim(),
+      region: form.region.trim(),
+      rate: Number(form.rate),
+      categoryRates: categoryRates.map((c) => ({
+        category: c.category.trim(),
+        rate: Number(c.rate),
+      })),
+      appliesToShipping: form.appliesToShipping,
+      isActive: form.isActive,
+    };
+
+    setSaving(true);
+    const result = editingRule
+      ? await dispatch(updateTaxRule({ ruleId: editingRule._id, ruleData }))
+      : await dispatch(addTaxRule(ruleData));
+    setSaving(false);
+
+    const thunk = editingRule ? updateTaxRule : addTaxRule;
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsFormOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to save tax rule");
+    }
+  };
+
+  const handleOpenDeleteModal = (rule) => {
+    setSelectedRule(rule);
+    setIsDeleteModalOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!selectedRule) return;
+    setDeleting(true);
+
+    const result = await dispatch(deleteTaxRule(selectedRule._id));
+
+    if (deleteTaxRule.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsDeleteModalOpen(false);
+      setSelectedRule(null);
+    } else {
+      toast.error(result.payload?.message || "Deletion failed");
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <section id="taxes">
+      <div className="taxes-container">
+        <div className="taxes-breadcrumb">
+          <div className="taxes-header">
+            <h1 className="taxes-title">Taxes</h1>
+            <p className="taxes-subtitle">
+              Manage tax rates charged per destination
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={450}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="btn-container">
+          <Button
+            title="Add Tax Rule"
+            width={150}
+            icon={<i className="fas fa-plus-circle"></i>}
+            onPress={openCreateForm}
+          />
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Destination</th>
+                    <th>Rate</th>
+                    <th>Category Overrides</th>
+                    <th>Shipping</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredRules.map((rule) => (
+                    <tr key={rule._id}>
+                      <td className="rule-name">{rule.name}</td>
+                      <td>
+                        {rule.country}
+                        <span className="rule-region">
+                          {rule.region || "Whole country"}
+                        </span>
+                      </td>
+                      <td>{rule.rate}%</td>
+                      <td className="category-rates">
+                        {rule.categoryRates.length
+                          ? rule.categoryRates
+                              .map((c) => `${c.category}: ${c.rate}%`)
+                              .join(", ")
+                          : "—"}
+                      </td>
+                      <td>{rule.appliesToShipping ? "Taxed" : "Exempt"}</td>
+                      <td>
+                        <span
+                          className={`badge ${rule.isActive ? "badge-success" : "badge-error"}`}
+                        >
+                          {rule.isActive ? "Active" : "Inactive"}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-group">
+                          <button
+                            className="btn-icon"
+                            onClick={() => openEditForm(rule)}
+                            title="Edit Rule"
+                          >
+                            <i className="fas fa-pencil-alt"></i>
+                          </button>
+                          <button
+                            className="btn-icon btn-danger"
+                            onClick={() => handleOpenDeleteModal(rule)}
+                            title="Delete Rule"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!loading && filteredRules.length === 0 && (
+              <div className="no-taxes-state">
+                <i className="fas fa-percent no-taxes-icon"></i>
+                <h3>No Tax Rules Found</h3>
+                <p>
+                  Orders are not taxed until a rule covers their destination.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingRule ? "Edit Tax Rule" : "Add Tax Rule"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsFormOpen(false),
+          },
+          {
+            label: editingRule ? "Save Changes" : "Create Rule",
+            className: "primary-btn",
+            onClick: handleSave,
+            loading: saving,
+          },
+        ]}
+      >
+        <div id="tax-form">
+          <InputField
+            label="Name (shown on tax lines)"
+            value={form.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            required
+          />
+          <div className="form-row">
+            <InputField
+              label="Country"
+              value={form.country}
+              onChange={(e) => updateField("country", e.target.value)}
+              required
+            />
+            <InputField
+              label="Region / City"
+              value={form.region}
+              onChange={(e) => updateField("region", e.target.value)}
+            />
+          </div>
+          <p className="form-hint">
+            Leave the region empty to cover the whole country. Region rules win
+            over the country-wide rule.
+          </p>
+          <InputField
+            label="Rate (%)"
+            type="number"
+            value={form.rate}
+            onChange={(e) => updateField("rate", e.target.value)}
+            required
+          />
+
+          <div className="category-rates-header">
+            <span>Category overrides</span>
+            <button
+              type="button"
+              className="link-btn"
+              onClick={addCategoryRate}
+            >
+              <i className="fas fa-plus"></i> Add
+            </button>
+          </div>
+          {form.categoryRates.map((c, index) => (
+            <div className="form-row category-rate-row" key={index}>
+              <InputField
+                label="Category slug"
+                value={c.category}
+                onChange={(e) =>
+                  updateCategoryRate(index, "category", e.target.value)
+                }
+              />
+              <InputField
+                label="Rate (%)"
+                type="number"
+                value={c.rate}
+                onChange={(e) =>
+                  updateCategoryRate(index, "rate", e.target.value)
+                }
+              />
+              <button
+                type="button"
+                className="btn-icon btn-danger"
+                onClick={() => removeCategoryRate(index)}
+                title="Remove Override"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+          ))}
+
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.appliesToShipping}
+              onChange={(e) =>
+                updateField("appliesToShipping", e.target.checked)
+              }
+            />
+            Tax shipping at the base rate
+          </label>
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateField("isActive", e.target.checked)}
+            />
+            Active
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Tax Rule?"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsDeleteModalOpen(false),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: deleting,
+          },
+        ]}
+      >
+        Are you sure you want to delete <strong>{selectedRule?.name}</strong>?
+        Orders to {selectedRule?.region || selectedRule?.country} will no longer
+        be taxed by it.
+      </Modal>
+    </section>
+  );
+};
+
+export default Taxes;
@@ -48,6 +48,11 @@ const Sidebar = () => {
       path: "/super-admin/orders/manage-orders",
       icon: "fas fa-shopping-bag",
     },
+    {
+      name: "Manage Returns",
+      path: "/super-admin/returns/manage-returns",
+      icon: "fas fa-undo",
+    },
     {
       name: "Manage Customers",
       path: "/super-admin/users/manage-users",
@@ -58,11 +63,41 @@ const Sidebar = () => {
       path: "/super-admin/products/manage-products",
       icon: "fas fa-box-open",
     },
+    {
+      name: "Manage Categories",
+      path: "/super-admin/categories/manage-categories",
+      icon: "fas fa-sitemap",
+    },
     {
       name: "Manage Stock",
       path: "/super-admin/inventory/manage-inventory",
       icon: "fas fa-warehouse",
     },
+    {
+      name: "Manage Coupons",
+      path: "/super-admin/coupons/manage-coupons",
+      icon: "fas fa-tags",
+    },
+    {
+      name: "Manage Currencies",
+      path: "/super-admin/currencies/manage-currencies",
+      icon: "fas fa-coins",
+    },
+    {
+      name: "Manage Taxes",
+      path: "/super-admin/taxes/manage-taxes",
+      icon: "fas fa-percent",
+    },
+    {
+      name: "Payment Events",
+      path: "/super-admin/payments/payment-events",
+      icon: "fas fa-credit-card",
+    },
+    {
+      name: "Manage Shipping",
+      path: "/super-admin/shipping/manage-shipping",
+      icon: "fas fa-truck",
+    },
     {
       name: "Manage Reviews",
       path: "/super-admin/reviews/manage-reviews",
@@ -0,0 +1,86 @@
+/**
+ * A multi-select of product categories rendered as toggle chips.
+ * * @component
+ * @example
+ * <CategoryPicker
+ * categories={allCategories}
+ * selected={categoryIds}
+ * onChange={setCategoryIds}
+ * />
+ * * @param {Object} props - Component properties.
+ * @param {Array<Object>} props.categories - Category records (`_id`, `name`, `parent`, `isActive`).
+ * @param {Array<string>} props.selected - Ids of the selected categories.
+ * @param {Function} props.onChange - Called with the new array of selected ids.
+ * @param {string} [props.label="Categories"] - Heading shown above the chips.
+ * * @returns {React.JSX.Element} The rendered chip list.
+ */
+
+import "./CategoryPicker.utility.css";
+
+/**
+ * Full path of a category ("Electronics › Laptops")
+ * @param {Map<string, Object>} byId
+ * @param {Object} category
+ * @returns {string}
+ */
+const pathOf = (byId, category) => {
+  const names = [];
+  const seen = new Set();
+  for (
+    let current = category;
+    current && !seen.has(current._id);
+    current = byId.get(current.parent)
+  ) {
+    seen.add(current._id);
+    names.unshift(current.name);
+  }
+  return names.join(" › ");
+};
+
+const CategoryPicker = ({
+  categories = [],
+  selected = [],
+  onChange,
+  label = "Categories",
+}) => {
+  const byId = new Map(categories.map((category) => [category._id, category]));
+  const options = categories
+    .map((category) => ({ ...category, path: pathOf(byId, category) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const toggle = (id) =>
+    onChange(
+      selected.includes(id)
+        ? selected.filter((selectedId) => selectedId !== id)
+        : [...selected, id],
+    );
+
+  return (
+    <section id="category-picker">
+      <span className="picker-label">
+        <i className="fas fa-tags"></i> {label}
+      </span>
+      {options.length === 0 ? (
+        <p className="picker-empty">
+          No categories yet — create them under Manage Categories.
+        </p>
+      ) : (
+        <div className="picker-chips">
+          {options.map((category) => (
+            <button
+              key={category._id}
+              type="button"
+              className={`picker-chip ${selected.includes(category._id) ? "selected" : ""} ${category.isActive ? "" : "hidden-category"}`}
+              onClick={() => toggle(category._id)}
+              title={category.isActive ? undefined : "Hidden in the app"}
+            >
+              {category.path}
+            </button>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CategoryPicker;
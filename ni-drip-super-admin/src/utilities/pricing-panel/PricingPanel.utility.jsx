@@ -0,0 +1,304 @@
+/**
+ * Pricing section of the product form: the sale (running or upcoming),
+ * scheduled changes of the regular price and the recorded price history.
+ * Every action is saved straight away; the server applies sales and
+ * scheduled prices when they are due.
+ * * @component
+ * @example
+ * <PricingPanel productId={productId} onPricingChange={handlePricingChange} />
+ * * @param {Object} props - Component properties.
+ * @param {string} props.productId - Product whose pricing is managed.
+ * @param {Function} [props.onPricingChange] - Called with the new pricing after every change.
+ * * @returns {React.JSX.Element} The rendered pricing panel.
+ */
+
+import { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { toast } from "react-hot-toast";
+import InputField from "../input-field/InputField.utility";
+import {
+  getProductPricing,
+  setProductSale,
+  endProductSale,
+  schedulePriceChange,
+  cancelScheduledPrice,
+} from "../../redux/slices/product.slice";
+import "./PricingPanel.utility.css";
+
+const REASON_LABELS = {
+  CREATED: "Created",
+  MANUAL: "Edited",
+  SCHEDULED: "Scheduled change",
+  SALE_START: "Sale started",
+  SALE_END: "Sale ended",
+};
+
+const EMPTY_SALE = { type: "percentOff", value: "", startsAt: "", endsAt: "" };
+const EMPTY_CHANGE = { variantId: "", price: "", effectiveAt: "" };
+
+const formatMoney = (amount) =>
+  amount === null || amount === undefined ? "–" : `$${amount.toFixed(2)}`;
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// datetime-local inputs give local time without a zone
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : "");
+
+const PricingPanel = ({ productId, onPricingChange }) => {
+  const dispatch = useDispatch();
+  const [pricing, setPricing] = useState(null);
+  const [saleForm, setSaleForm] = useState(EMPTY_SALE);
+  const [changeForm, setChangeForm] = useState(EMPTY_CHANGE);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(getProductPricing(productId)).then((result) => {
+      if (getProductPricing.fulfilled.match(result)) {
+        setPricing(result.payload.pricing);
+      }
+    });
+  }, [dispatch, productId]);
+
+  if (!pricing) return null;
+
+  const hasVariants = pricing.variants.length > 0;
+  const { sale } = pricing;
+
+  const runAction = async (thunk, payload, onDone) => {
+    setSaving(true);
+    const result = await dispatch(thunk(payload));
+    setSaving(false);
+
+    if (thunk.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setPricing(result.payload.pricing);
+      onPricingChange?.(result.payload.pricing);
+      onDone?.();
+    } else {
+      toast.error(result.payload?.message || "Failed to update pricing");
+    }
+  };
+
+  const handleSaveSale = () => {
+    if (!saleForm.value || !saleForm.endsAt) {
+      toast.error("Enter the discount and when the sale ends");
+      return;
+    }
+    runAction(
+      setProductSale,
+      {
+        productId,
+        [saleForm.type]: Number(saleForm.value),
+        startsAt: toIsoDate(saleForm.startsAt) || undefined,
+        endsAt: toIsoDate(saleForm.endsAt),
+      },
+      () => setSaleForm(EMPTY_SALE),
+    );
+  };
+
+  const handleScheduleChange = () => {
+    if (!changeForm.price || !changeForm.effectiveAt) {
+      toast.error("Enter the new price and when it takes effect");
+      return;
+    }
+    if (hasVariants && !changeForm.variantId) {
+      toast.error("Choose the variant the price is for");
+      return;
+    }
+    runAction(
+      schedulePriceChange,
+      {
+        productId,
+        price: Number(changeForm.price),
+        variantId: changeForm.variantId || undefined,
+        effectiveAt: toIsoDate(changeForm.effectiveAt),
+      },
+      () => setChangeForm(EMPTY_CHANGE),
+    );
+  };
+
+  const updateSaleForm = (field) => (e) =>
+    setSaleForm((prev) => ({ ...prev, [field]: e.target.value }));
+  const updateChangeForm = (field) => (e) =>
+    setChangeForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <section id="pricing-panel">
+      <h5>Pricing</h5>
+
+      <div className="pricing-block">
+        <p className="pricing-label">Sale</p>
+        {sale ? (
+          <div className="pricing-sale">
+            <span
+              className={`pricing-badge ${sale.appliedAt ? "live" : "upcoming"}`}
+            >
+              {sale.appliedAt ? "On sale" : "Upcoming"}
+            </span>
+            <span>
+              {sale.percentOff
+                ? `${sale.percentOff}% off`
+                : `${formatMoney(sale.price)} sale price`}{" "}
+              · {formatDateTime(sale.startsAt)} – {formatDateTime(sale.endsAt)}
+            </span>
+            <button
+              type="button"
+              className="pricing-link-btn"
+              disabled={saving}
+              onClick={() => runAction(endProductSale, productId)}
+            >
+              {sale.appliedAt ? "End Now" : "Cancel"}
+            </button>
+          </div>
+        ) : (
+          <p className="pricing-hint">No sale.</p>
+        )}
+
+        <div className="pricing-form">
+          {!hasVariants && (
+            <InputField
+              dropdownOptions={[
+                { value: "percentOff", label: "% off" },
+                { value: "price", label: "Sale price" },
+              ]}
+              selectedValue={saleForm.type}
+              onValueChange={updateSaleForm("type")}
+              width={140}
+            />
+          )}
+          <InputField
+            label={saleForm.type === "price" ? "Sale price" : "% off"}
+            type="number"
+            value={saleForm.value}
+            onChange={updateSaleForm("value")}
+            width={120}
+          />
+          <InputField
+            label="Starts (empty = now)"
+            type="datetime-local"
+            value={saleForm.startsAt}
+            onChange={updateSaleForm("startsAt")}
+          />
+          <InputField
+            label="Ends"
+            type="datetime-local"
+            value={saleForm.endsAt}
+            onChange={updateSaleForm("endsAt")}
+          />
+          <button
+            type="button"
+            className="pricing-btn"
+            disabled={saving}
+            onClick={handleSaveSale}
+          >
+            {sale ? "Replace Sale" : "Set Sale"}
+          </button>
+        </div>
+      </div>
+
+      <div className="pricing-block">
+        <p className="pricing-label">Scheduled price changes</p>
+        {pricing.scheduledPrices.length === 0 && (
+          <p className="pricing-hint">Nothing scheduled.</p>
+        )}
+        {pricing.scheduledPrices.map((change) => (
+          <div className="pricing-row" key={change._id}>
+            <span>
+              {formatDateTime(change.effectiveAt)}
+              {change.variantLabel && ` · ${change.variantLabel}`}
+            </span>
+            <strong>{formatMoney(change.price)}</strong>
+            <button
+              type="button"
+              className="pricing-link-btn"
+              disabled={saving}
+              onClick={() =>
+                runAction(cancelScheduledPrice, {
+                  productId,
+                  scheduleId: change._id,
+                })
+              }
+            >
+              Cancel
+            </button>
+          </div>
+        ))}
+
+        <div className="pricing-form">
+          {hasVariants && (
+            <InputField
+              label="Variant"
+              dropdownOptions={pricing.variants.map((variant) => ({
+                value: variant._id,
+                label: `${variant.label} (${variant.sku})`,
+              }))}
+              selectedValue={changeForm.variantId}
+              onValueChange={updateChangeForm("variantId")}
+              width={200}
+            />
+          )}
+          <InputField
+            label="New regular price"
+            type="number"
+            value={changeForm.price}
+            onChange={updateChangeForm("price")}
+            width={160}
+          />
+          <InputField
+            label="Takes effect"
+            type="datetime-local"
+            value={changeForm.effectiveAt}
+            onChange={updateChangeForm("effectiveAt")}
+          />
+          <button
+            type="button"
+            className="pricing-btn"
+            disabled={saving}
+            onClick={handleScheduleChange}
+          >
+            Schedule
+          </button>
+        </div>
+      </div>
+
+      <div className="pricing-block">
+        <p className="pricing-label">Price history</p>
+        {pricing.priceHistory.length === 0 ? (
+          <p className="pricing-hint">No changes recorded yet.</p>
+        ) : (
+          <table className="pricing-history">
+            <thead>
+              <tr>
+                <th>When</th>
+                {hasVariants && <th>Variant</th>}
+                <th>Price</th>
+                <th>Compare at</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pricing.priceHistory.map((entry, index) => (
+                <tr key={index}>
+                  <td>{formatDateTime(entry.changedAt)}</td>
+                  {hasVariants && <td>{entry.variantLabel || "–"}</td>}
+                  <td>{formatMoney(entry.price)}</td>
+                  <td>{formatMoney(entry.compareAtPrice)}</td>
+                  <td>{REASON_LABELS[entry.reason] || entry.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default PricingPanel;
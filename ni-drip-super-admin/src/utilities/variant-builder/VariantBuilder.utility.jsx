@@ -0,0 +1,332 @@
+/**
+ * Editor for the variants of a product: option axes (e.g. Color, Storage)
+ * and one row per variant with its SKU, option values, price, stock and images.
+ * * @component
+ * @example
+ * <VariantBuilder
+ * options={variantOptions}
+ * variants={variants}
+ * onOptionsChange={setVariantOptions}
+ * onVariantsChange={setVariants}
+ * />
+ * * @param {Object} props - Component properties.
+ * @param {Array<{name: string, values: string}>} props.options - Option axes; `values` is comma separated.
+ * @param {Array<Object>} props.variants - Variant rows (`_id`, `sku`, `options`, `price`, `stock`, `images`, `files`, `previews`).
+ * @param {Function} props.onOptionsChange - Called with the new option axes.
+ * @param {Function} props.onVariantsChange - Called with the new variant rows.
+ * @param {boolean} [props.pricesLocked=false] - Saved variants keep their price (a sale is running).
+ * * @returns {React.JSX.Element} The rendered variant editor.
+ */
+
+import { useRef, useState } from "react";
+import { toast } from "react-hot-toast";
+import { parseValues } from "./VariantForm.utility";
+import "./VariantBuilder.utility.css";
+
+const MAX_OPTIONS = 3;
+const MAX_VARIANT_IMAGES = 5;
+
+/**
+ * Every combination of the option values ([{ Color: "Black", Storage: "128GB" }, ...])
+ * @param {Array<{name: string, values: string}>} options
+ * @returns {Array<Object>}
+ */
+const combinationsOf = (options) =>
+  options
+    .filter((option) => option.name.trim())
+    .reduce(
+      (combos, option) =>
+        combos.flatMap((combo) =>
+          parseValues(option.values).map((value) => ({
+            ...combo,
+            [option.name.trim()]: value,
+          })),
+        ),
+      [{}],
+    );
+
+const emptyVariant = (options = {}) => ({
+  sku: "",
+  options,
+  price: "",
+  stock: "",
+  images: [],
+  files: [],
+  previews: [],
+});
+
+const VariantBuilder = ({
+  options = [],
+  variants = [],
+  onOptionsChange,
+  onVariantsChange,
+  pricesLocked = false,
+}) => {
+  const fileInputRef = useRef(null);
+  const [imageTarget, setImageTarget] = useState(null);
+
+  const axes = options.filter((option) => option.name.trim());
+
+  const updateOption = (index, field, value) =>
+    onOptionsChange(
+      options.map((option, i) =>
+        i === index ? { ...option, [field]: value } : option,
+      ),
+    );
+
+  const updateVariant = (index, changes) =>
+    onVariantsChange(
+      variants.map((variant, i) =>
+        i === index ? { ...variant, ...changes } : variant,
+      ),
+    );
+
+  const generateVariants = () => {
+    const existing = new Set(
+      variants.map((variant) => JSON.stringify(variant.options)),
+    );
+    const missing = combinationsOf(options).filter(
+      (combo) => !existing.has(JSON.stringify(combo)),
+    );
+    if (missing.length === 0) {
+      toast.error("Every combination already has a variant.");
+      return;
+    }
+    onVariantsChange([...variants, ...missing.map(emptyVariant)]);
+  };
+
+  const handleImageSelect = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = "";
+    const variant = variants[imageTarget];
+    if (!variant) return;
+
+    if (
+      variant.images.length + variant.files.length + files.length >
+      MAX_VARIANT_IMAGES
+    ) {
+      toast.error(`A variant can have up to ${MAX_VARIANT_IMAGES} images.`);
+      return;
+    }
+    updateVariant(imageTarget, {
+      files: [...variant.files, ...files],
+      previews: [
+        ...variant.previews,
+        ...files.map((file) => URL.createObjectURL(file)),
+      ],
+    });
+  };
+
+  const removeKeptImage = (vIndex, url) =>
+    updateVariant(vIndex, {
+      images: variants[vIndex].images.filter((image) => image !== url),
+    });
+
+  const removeNewImage = (vIndex, fIndex) =>
+    updateVariant(vIndex, {
+      files: variants[vIndex].files.filter((_, i) => i !== fIndex),
+      previews: variants[vIndex].previews.filter((_, i) => i !== fIndex),
+    });
+
+  return (
+    <section id="variant-builder">
+      <div className="builder-header">
+        <h5 className="m-0">Variants</h5>
+        <button
+          type="button"
+          className="builder-btn"
+          disabled={options.length >= MAX_OPTIONS}
+          onClick={() =>
+            onOptionsChange([...options, { name: "", values: "" }])
+          }
+        >
+          <i className="fas fa-plus-circle"></i> Add Option
+        </button>
+      </div>
+
+      {options.length === 0 && (
+        <p className="builder-hint">
+          No variants – add an option such as Color or Storage when the product
+          comes in several versions.
+        </p>
+      )}
+
+      {options.map((option, index) => (
+        <div key={index} className="option-row">
+          <input
+            type="text"
+            placeholder="Option (e.g., Color)"
+            value={option.name}
+            onChange={(e) => updateOption(index, "name", e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Values, comma separated (e.g., Black, White)"
+            value={option.values}
+            onChange={(e) => updateOption(index, "values", e.target.value)}
+          />
+          <button
+            type="button"
+            className="remove-btn"
+            onClick={() =>
+              onOptionsChange(options.filter((_, i) => i !== index))
+            }
+          >
+            <i className="fas fa-trash"></i>
+          </button>
+        </div>
+      ))}
+
+      {axes.length > 0 && (
+        <>
+          <div className="builder-actions">
+            <button
+              type="button"
+              className="outline-btn"
+              onClick={() => onVariantsChange([...variants, emptyVariant()])}
+            >
+              + Add Variant
+            </button>
+            <button
+              type="button"
+              className="outline-btn"
+              onClick={generateVariants}
+            >
+              <i className="fas fa-magic"></i> Add All Combinations
+            </button>
+          </div>
+
+          {variants.length > 0 && (
+            <p className="builder-hint">
+              The product price and stock follow its variants: the lowest
+              variant price and the total stock.
+            </p>
+          )}
+
+          {variants.map((variant, vIndex) => (
+            <div key={variant._id || vIndex} className="variant-card">
+              <div className="variant-fields">
+                <input
+                  type="text"
+                  placeholder="SKU"
+                  value={variant.sku}
+                  onChange={(e) =>
+                    updateVariant(vIndex, { sku: e.target.value.toUpperCase() })
+                  }
+                />
+                {axes.map((option) => {
+                  const name = option.name.trim();
+                  return (
+                    <select
+                      key={name}
+                      value={variant.options[name] || ""}
+                      onChange={(e) =>
+                        updateVariant(vIndex, {
+                          options: {
+                            ...variant.options,
+                            [name]: e.target.value,
+                          },
+                        })
+                      }
+                    >
+                      <option value="">{name}</option>
+                      {parseValues(option.values).map((value) => (
+                        <option key={value} value={value}>
+                          {value}
+                        </option>
+                      ))}
+                    </select>
+                  );
+                })}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Price"
+                  title={
+                    pricesLocked && variant._id
+                      ? "Prices are locked while the product is on sale"
+                      : undefined
+                  }
+                  disabled={pricesLocked && Boolean(variant._id)}
+                  value={variant.price}
+                  onChange={(e) =>
+                    updateVariant(vIndex, { price: e.target.value })
+                  }
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  placeholder="Stock"
+                  value={variant.stock}
+                  onChange={(e) =>
+                    updateVariant(vIndex, { stock: e.target.value })
+                  }
+                />
+                <button
+                  type="button"
+                  className="remove-btn"
+                  onClick={() =>
+                    onVariantsChange(variants.filter((_, i) => i !== vIndex))
+                  }
+                >
+                  <i className="fas fa-trash"></i>
+                </button>
+              </div>
+
+              <div className="variant-images">
+                {variant.images.map((url) => (
+                  <div key={url} className="variant-thumb">
+                    <img src={url} alt={variant.sku} />
+                    <button
+                      type="button"
+                      onClick={() => removeKeptImage(vIndex, url)}
+                    >
+                      <i className="fas fa-times-circle"></i>
+                    </button>
+                  </div>
+                ))}
+                {variant.previews.map((src, fIndex) => (
+                  <div key={src} className="variant-thumb">
+                    <img src={src} alt={variant.sku} />
+                    <button
+                      type="button"
+                      onClick={() => removeNewImage(vIndex, fIndex)}
+                    >
+                      <i className="fas fa-times-circle"></i>
+                    </button>
+                  </div>
+                ))}
+                {variant.images.length + variant.files.length <
+                  MAX_VARIANT_IMAGES && (
+                  <button
+                    type="button"
+                    className="variant-upload"
+                    onClick={() => {
+                      setImageTarget(vIndex);
+                      fileInputRef.current.click();
+                    }}
+                  >
+                    <i className="fas fa-image"></i> Images
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      <input
+        type="file"
+        ref={fileInputRef}
+        accept="image/*"
+        multiple
+        style={{ display: "none" }}
+        onChange={handleImageSelect}
+      />
+    </section>
+  );
+};
+
+export default VariantBuilder;
@@ -0,0 +1,109 @@
+/**
+ * @file VariantForm.utility.jsx
+ * @module Utilities/VariantForm
+ * @description
+ * Helpers shared by the product forms and VariantBuilder: converting a
+ * product's variants to editor state, checking the rows before submit and
+ * adding them to the multipart form the product endpoints expect.
+ */
+
+/**
+ * Distinct, trimmed values of a comma separated list
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseValues = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean),
+  ),
+];
+
+/**
+ * Editor state for a product loaded from the API
+ * @param {Object} product
+ * @returns {{ options: Array, variants: Array }}
+ */
+export const toVariantState = (product) => ({
+  options: (product?.variantOptions || []).map((option) => ({
+    name: option.name,
+    values: option.values.join(", "),
+  })),
+  variants: (product?.variants || []).map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku,
+    options: Object.fromEntries(
+      variant.options.map((option) => [option.name, option.value]),
+    ),
+    price: variant.price?.toString() || "",
+    stock: variant.stock?.toString() || "",
+    images: variant.images || [],
+    files: [],
+    previews: [],
+  })),
+});
+
+/**
+ * First problem with the variants, if any
+ * @param {Array} options
+ * @param {Array} variants
+ * @returns {string|null}
+ */
+export const validateVariants = (options, variants) => {
+  if (variants.length === 0) return null;
+
+  const axes = options.filter((option) => option.name.trim());
+  if (axes.length === 0) return "Add the options the variants differ on.";
+
+  for (const [index, variant] of variants.entries()) {
+    const label = variant.sku.trim() || `Variant ${index + 1}`;
+    if (!variant.sku.trim()) return `${label}: SKU is required.`;
+    const missing = axes.find((option) => !variant.options[option.name.trim()]);
+    if (missing) return `${label}: choose a ${missing.name.trim()}.`;
+    if (variant.price === "" || isNaN(variant.price) || variant.price < 0)
+      return `${label}: enter a valid price.`;
+    if (!Number.isInteger(Number(variant.stock)) || variant.stock < 0)
+      return `${label}: enter a valid stock.`;
+  }
+
+  return null;
+};
+
+/**
+ * Add the variants to a product form: `variantOptions` and `variants` as
+ * JSON, and the new images as `variantImage` files in variant order
+ * @param {FormData} formData
+ * @param {Array} options
+ * @param {Array} variants
+ */
+export const appendVariants = (formData, options, variants) => {
+  const axes = variants.length
+    ? options
+        .filter((option) => option.name.trim())
+        .map((option) => ({
+          name: option.name.trim(),
+          values: parseValues(option.values),
+        }))
+    : [];
+
+  formData.append("variantOptions", JSON.stringify(axes));
+  formData.append(
+    "variants",
+    JSON.stringify(
+      variants.map((variant) => ({
+        _id: variant._id,
+        sku: variant.sku.trim(),
+        options: variant.options,
+        price: variant.price,
+        stock: variant.stock === "" ? 0 : variant.stock,
+        images: variant.images,
+        newImages: variant.files.length,
+      })),
+    ),
+  );
+  variants.forEach((variant) =>
+    variant.files.forEach((file) => formData.append("variantImage", file)),
+  );
+};
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Idempotent requests for the slices
+ * @module redux/helpers/idempotency.helper
+ */
+
+import axios from 'axios';
+
+// Attempts per request before giving up on a flaky connection
+const MAX_ATTEMPTS = 3;
+
+/**
+ * POST with an Idempotency-Key, resending the same key on retry
+ * @description Retries requests that got no response (or a 409 while the first
+ * attempt is still running); the server answers a retry with the original
+ * response, so the change is only ever made once.
+ * @param {string} url
+ * @param {Object} data
+ * @param {Object} headers
+ * @param {string} idempotencyKey
+ */
+export const postIdempotent = async (url, data, headers, idempotencyKey) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.post(url, data, {
+        headers: { ...headers, 'Idempotency-Key': idempotencyKey },
+      });
+    } catch (error) {
+      const retryable = !error.response || error.response.status === 409;
+      if (!retryable || attempt >= MAX_ATTEMPTS) throw error;
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+};
@@ -2,6 +2,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import CONFIG from '../config/Config';
+import { postIdempotent } from '../helpers/idempotency.helper';
 
 const { BACKEND_API_URL } = CONFIG;
 
@@ -15,20 +16,26 @@ const getToken = async rejectWithValue => {
   }
 };
 
+// A cart line is one product, or one variant of it
+const isSameLine = (item, productId, variantId = null) =>
+  item.productId._id === productId && (item.variantId || null) === variantId;
+
 export const addToCart = createAsyncThunk(
   'cart/addToCart',
-  async ({ productId, quantity = 1 }, { rejectWithValue }) => {
+  async (
+    { productId, variantId = null, quantity = 1 },
+    { requestId, rejectWithValue },
+  ) => {
     try {
       const token = await getToken(rejectWithValue);
-      const response = await axios.post(
+      const response = await postIdempotent(
         `${BACKEND_API_URL}/cart/add-to-cart`,
-        { productId, quantity },
+        { productId, variantId, quantity },
         {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
         },
+        requestId,
       );
 
       return response.data.cartItem;
@@ -40,19 +47,18 @@ export const addToCart = createAsyncThunk(
 
 export const decreaseCartItem = createAsyncThunk(
   'cart/decreaseCartItem',
-  async ({ productId }, { rejectWithValue }) => {
+  async ({ productId, variantId = null }, { requestId, rejectWithValue }) => {
     try {
       const token = await getToken(rejectWithValue);
-      const response = await axios.post(
+      const response = await postIdempotent(
         `${BACKEND_API_URL}/cart/remove-from-cart`,
-        { productId },
+        { productId, variantId },
         {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
+          Authorization: `Bearer ${token}`,
         },
+        requestId,
       );
-      return { productId, message: response.data.message };
+      return { productId, variantId, message: response.data.message };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -61,19 +67,18 @@ export const decreaseCartItem = createAsyncThunk(
 
 export const removeProductFromCart = createAsyncThunk(
   'cart/removeProductFromCart',
-  async ({ productId }, { rejectWithValue }) => {
+  async ({ productId, variantId = null }, { requestId, rejectWithValue }) => {
     try {
       const token = await getToken(rejectWithValue);
-      const response = await axios.post(
+      const response = await postIdempotent(
         `${BACKEND_API_URL}/cart/remove-product-from-cart`,
-        { productId },
+        { productId, variantId },
         {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
+          Authorization: `Bearer ${token}`,
         },
+        requestId,
       );
-      return { productId };
+      return { productId, variantId };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -132,8 +137,8 @@ const cartSlice = createSlice({
       .addCase(addToCart.fulfilled, (state, action) => {
         state.loading = false;
         const newItem = action.payload;
-        const index = state.cartItems.findIndex(
-          item => item.productId._id === newItem.productId._id,
+        const index = state.cartItems.findIndex(item =>
+          isSameLine(item, newItem.productId._id, newItem.variantId),
         );
         if (index !== -1) {
           state.cartItems[index] = newItem;
@@ -143,9 +148,9 @@ const cartSlice = createSlice({
       })
 
       .addCase(decreaseCartItem.fulfilled, (state, action) => {
-        const { productId } = action.payload;
-        const index = state.cartItems.findIndex(
-          item => item.productId._id === productId,
+        const { productId, variantId } = action.payload;
+        const index = state.cartItems.findIndex(item =>
+          isSameLine(item, productId, variantId),
         );
         if (index !== -1) {
           if (state.cartItems[index].quantity > 1) {
@@ -159,8 +164,9 @@ const cartSlice = createSlice({
       })
 
       .addCase(removeProductFromCart.fulfilled, (state, action) => {
+        const { productId, variantId } = action.payload;
         state.cartItems = state.cartItems.filter(
-          item => item.productId._id !== action.payload.productId,
+          item => !isSameLine(item, productId, variantId),
         );
       });
   },
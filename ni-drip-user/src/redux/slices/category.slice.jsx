@@ -0,0 +1,68 @@
+/**
+ * @file category.slice.js
+ * @module Redux/Slices/Category
+ * @description
+ * Redux Toolkit slice holding the product categories shown on the dashboard.
+ * Categories, their images, order and product counts are managed by the
+ * admin; the app only lists the active ones returned by the backend.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import CONFIG from '../config/Config';
+
+const { BACKEND_API_URL } = CONFIG;
+
+/**
+ * Fetch the active categories
+ * @returns {Array} Categories sorted for display; each has `_id`, `name`,
+ * `slug`, `parent`, `image` and `productCount`
+ */
+export const getCategories = createAsyncThunk(
+  'category/getCategories',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${BACKEND_API_URL}/category`, {
+        timeout: 10000,
+      });
+
+      return response.data.categories;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const initialState = {
+  categories: [],
+  loading: false,
+  error: null,
+};
+
+const categorySlice = createSlice({
+  name: 'category',
+  initialState,
+  reducers: {},
+  extraReducers: builder => {
+    builder
+      .addCase(getCategories.pending, state => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getCategories.fulfilled, (state, action) => {
+        state.loading = false;
+        state.categories = action.payload;
+      })
+      .addCase(getCategories.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default categorySlice.reducer;
@@ -0,0 +1,70 @@
+/**
+ * @file currency.slice.js
+ * @module Redux/Slices/Currency
+ * @description
+ * Redux Toolkit slice holding the currency the customer is charged in.
+ * Catalog prices come from the API in the base currency and are localized
+ * on screen with the same rate checkout uses.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CONFIG from '../config/Config';
+
+const { BACKEND_API_URL } = CONFIG;
+
+const BASE_CURRENCY = { code: 'USD', symbol: '$', rate: 1 };
+
+/**
+ * Resolve the logged-in customer's currency from their preferred city
+ * @returns {Object} { currency: { code, symbol, rate }, baseCurrency }
+ */
+export const getMyCurrency = createAsyncThunk(
+  'currency/getMyCurrency',
+  async (_, { rejectWithValue }) => {
+    try {
+      const token = await AsyncStorage.getItem('authToken');
+      const response = await axios.get(
+        `${BACKEND_API_URL}/currency/get-my-currency`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return {
+        currency: response.data.currency,
+        baseCurrency: response.data.baseCurrency,
+      };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+const currencySlice = createSlice({
+  name: 'currency',
+  initialState: {
+    currency: BASE_CURRENCY,
+    baseCurrency: BASE_CURRENCY.code,
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: builder => {
+    builder
+      .addCase(getMyCurrency.pending, state => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getMyCurrency.fulfilled, (state, action) => {
+        state.loading = false;
+        state.currency = action.payload.currency;
+        state.baseCurrency = action.payload.baseCurrency;
+      })
+      .addCase(getMyCurrency.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default currencySlice.reducer;
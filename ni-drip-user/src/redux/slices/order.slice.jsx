@@ -7,6 +7,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import CONFIG from '../config/Config';
+import { postIdempotent } from '../helpers/idempotency.helper';
 
 const { BACKEND_API_URL } = CONFIG;
 
@@ -21,18 +22,46 @@ const getToken = async rejectWithValue => {
 };
 
 /**
- * Place an order and get Stripe client secret
- * @param {Object} orderData - { shippingAddress, shippingCost }
- * @returns {Object} { order, clientSecret }
+ * Get the server-side shipping and tax quote for the current cart
+ * @param {Object} [quoteData] - { addressId, shippingAddress, productId, quantity, couponCode }
+ * @returns {Object} { subtotal, shippingCost, taxLines, taxAmount, totalAmount, zone, amountToFreeShipping, shippingAddress }
  */
-export const placeOrder = createAsyncThunk(
-  'order/placeOrder',
-  async (orderData, { rejectWithValue }) => {
+export const getShippingQuote = createAsyncThunk(
+  'order/getShippingQuote',
+  async (quoteData = {}, { rejectWithValue }) => {
     try {
       const token = await getToken(rejectWithValue);
       const response = await axios.post(
-        `${BACKEND_API_URL}/order/place-order`,
-        orderData,
+        `${BACKEND_API_URL}/order/get-shipping-quote`,
+        quoteData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+        },
+      );
+
+      return response.data.quote;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+/**
+ * Check a coupon code against the current cart before checkout
+ * @param {Object} couponData - { couponCode, productId, quantity }
+ * @returns {Object} { coupon, subtotal, eligibleSubtotal, discountAmount }
+ */
+export const validateCoupon = createAsyncThunk(
+  'order/validateCoupon',
+  async (couponData, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.post(
+        `${BACKEND_API_URL}/order/validate-coupon`,
+        couponData,
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -41,13 +70,47 @@ export const placeOrder = createAsyncThunk(
         },
       );
 
+      const { coupon, subtotal, eligibleSubtotal, discountAmount } =
+        response.data;
+      return { coupon, subtotal, eligibleSubtotal, discountAmount };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+/**
+ * Place an order and get Stripe client secret
+ * @description The checkout key is kept until the server answers, so a second
+ * tap after a dropped connection resends it instead of placing a new order.
+ * @param {Object} orderData - { addressId, shippingAddress, couponCode, paymentMethod } (shipping and discounts are priced by the server; without an address the default address-book entry is used)
+ * @returns {Object} { order, clientSecret } – clientSecret is null for cash on delivery
+ */
+export const placeOrder = createAsyncThunk(
+  'order/placeOrder',
+  async (orderData, { getState, rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await postIdempotent(
+        `${BACKEND_API_URL}/order/place-order`,
+        orderData,
+        {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        getState().order.checkoutKey,
+      );
+
       return {
         order: response.data.order,
         clientSecret: response.data.clientSecret,
         summary: response.data.summary,
       };
     } catch (error) {
-      return rejectWithValue(error.response?.data || error.message);
+      // Keep the key while the server has not answered this checkout
+      return rejectWithValue(error.response?.data || error.message, {
+        unanswered: !error.response || error.response.status === 409,
+      });
     }
   },
 );
@@ -101,21 +164,111 @@ export const cancelOrder = createAsyncThunk(
   },
 );
 
+/**
+ * Get a short-lived signed link to a paid order's PDF invoice
+ * @param {string} orderId
+ * @returns {string} Download URL that opens without auth headers
+ */
+export const getInvoiceLink = createAsyncThunk(
+  'order/getInvoiceLink',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/invoice-link/${orderId}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      return response.data.downloadUrl;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+/**
+ * Get the Stripe client secret for a balance owed after support edited an order
+ * @param {string} orderId
+ * @returns {Object} { clientSecret, amount, currency }
+ */
+export const getBalancePayment = createAsyncThunk(
+  'order/getBalancePayment',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/balance-payment/${orderId}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      const { clientSecret, amount, currency } = response.data;
+      return { clientSecret, amount, currency };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+/**
+ * Buy again – add a past order's items back to the cart
+ * @description Lines are re-checked against current price, stock and status;
+ * the ones that could not be added come back in `skipped` with a reason.
+ * @param {string} orderId
+ * @returns {Object} { message, added, skipped }
+ */
+export const reorder = createAsyncThunk(
+  'order/reorder',
+  async (orderId, { requestId, rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await postIdempotent(
+        `${BACKEND_API_URL}/order/reorder/${orderId}`,
+        {},
+        {
+          Authorization: `Bearer ${token}`,
+        },
+        requestId,
+      );
+
+      const { message, added, skipped } = response.data;
+      return { message, added, skipped };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
 const orderSlice = createSlice({
   name: 'order',
   initialState: {
     orders: [],
     currentOrder: null,
     clientSecret: null,
+    shippingQuote: null,
+    quoteLoading: false,
+    quoteError: null,
+    appliedCoupon: null,
+    couponLoading: false,
+    couponError: null,
     loading: false,
     error: null,
     paymentSuccess: false,
+    checkoutKey: null,
   },
   reducers: {
     clearCurrentOrder: state => {
       state.currentOrder = null;
       state.clientSecret = null;
       state.paymentSuccess = false;
+      state.checkoutKey = null;
     },
     setPaymentSuccess: (state, action) => {
       state.paymentSuccess = action.payload;
@@ -123,22 +276,61 @@ const orderSlice = createSlice({
     clearError: state => {
       state.error = null;
     },
+    clearCoupon: state => {
+      state.appliedCoupon = null;
+      state.couponError = null;
+    },
   },
   extraReducers: builder => {
     builder
       // Place Order
-      .addCase(placeOrder.pending, state => {
+      .addCase(placeOrder.pending, (state, action) => {
         state.loading = true;
         state.error = null;
+        // Reuse the key of an attempt that never got an answer
+        state.checkoutKey = state.checkoutKey || action.meta.requestId;
       })
       .addCase(placeOrder.fulfilled, (state, action) => {
         state.loading = false;
         state.currentOrder = action.payload.order;
         state.clientSecret = action.payload.clientSecret;
+        state.appliedCoupon = null;
+        state.checkoutKey = null;
       })
       .addCase(placeOrder.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+        if (!action.meta.unanswered) state.checkoutKey = null;
+      })
+
+      // Shipping Quote
+      .addCase(getShippingQuote.pending, state => {
+        state.quoteLoading = true;
+        state.quoteError = null;
+      })
+      .addCase(getShippingQuote.fulfilled, (state, action) => {
+        state.quoteLoading = false;
+        state.shippingQuote = action.payload;
+      })
+      .addCase(getShippingQuote.rejected, (state, action) => {
+        state.quoteLoading = false;
+        state.shippingQuote = null;
+        state.quoteError = action.payload;
+      })
+
+      // Validate Coupon
+      .addCase(validateCoupon.pending, state => {
+        state.couponLoading = true;
+        state.couponError = null;
+      })
+      .addCase(validateCoupon.fulfilled, (state, action) => {
+        state.couponLoading = false;
+        state.appliedCoupon = action.payload;
+      })
+      .addCase(validateCoupon.rejected, (state, action) => {
+        state.couponLoading = false;
+        state.appliedCoupon = null;
+        state.couponError = action.payload;
       })
 
       // Get User Orders
@@ -166,6 +358,6 @@ const orderSlice = createSlice({
   },
 });
 
-export const { clearCurrentOrder, setPaymentSuccess, clearError } =
+export const { clearCurrentOrder, setPaymentSuccess, clearError, clearCoupon } =
   orderSlice.actions;
 export default orderSlice.reducer;
@@ -6,6 +6,8 @@
  *
  * Handles:
  * - Fetching all products from the backend via JWT-authorized requests
+ * - Full-text product search with typo correction and highlight ranges
+ * - Filtered, sorted and paged category listings with facet counts
  * - State management for product listing (loading, success, and error states)
  * - AsyncStorage integration for token retrieval during API calls
  * - Global product state storage for cross-component access
@@ -17,8 +19,8 @@
  * - Manual state clearance for clean navigation
  *
  * Exports:
- * - Thunks: getAllProducts
- * - Action: clearProductState
+ * - Thunks: getAllProducts, searchProducts, getCategoryProducts
+ * - Actions: clearProductState, clearSearch, clearCategoryProducts
  * - Reducer: default export for store configuration
  */
 
@@ -78,11 +80,102 @@ export const getAllProducts = createAsyncThunk(
   },
 );
 
+/**
+ * Search the catalog by text
+ * @param {Object} params - { q, page }
+ * @returns {Object} { products, correctedQuery, pagination } – each product
+ * carries `highlights` (title ranges and a snippet with its own ranges)
+ */
+export const searchProducts = createAsyncThunk(
+  'product/searchProducts',
+  async ({ q, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${BACKEND_API_URL}/product/search`, {
+        params: { q, page },
+        timeout: 10000,
+      });
+
+      const { products, correctedQuery, pagination } = response.data;
+      return { products, correctedQuery, pagination };
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch one page of a category, filtered and sorted
+ * @param {Object} params - { category, filters, sort, page }
+ * `filters` is { minPrice, maxPrice, minRating, inStock, specs } where
+ * `specs` maps a specification name to the selected values
+ * @returns {Object} { products, facets, pagination }
+ */
+export const getCategoryProducts = createAsyncThunk(
+  'product/getCategoryProducts',
+  async (
+    { category, filters = {}, sort = 'newest', page = 1 },
+    { rejectWithValue },
+  ) => {
+    try {
+      const { minPrice, maxPrice, minRating, inStock, specs = {} } = filters;
+
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/get-all-products`,
+        {
+          params: {
+            category,
+            status: 'ACTIVE',
+            sort,
+            page,
+            minPrice,
+            maxPrice,
+            minRating,
+            inStock: inStock || undefined,
+            spec: Object.entries(specs).flatMap(([name, values]) =>
+              values.map(value => `${name}:${value}`),
+            ),
+          },
+          // Repeat `spec=` for every pair instead of sending `spec[]=`
+          paramsSerializer: { indexes: null },
+          timeout: 10000,
+        },
+      );
+
+      const { allProducts, facets, pagination } = response.data;
+      return { products: allProducts, facets, pagination };
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
 const initialState = {
   products: [],
   loading: false,
   error: null,
   message: null,
+  searchResults: [],
+  searchCorrectedQuery: null,
+  searchPagination: null,
+  searchLoading: false,
+  searchError: null,
+  searchRequestId: null,
+  categoryProducts: [],
+  categoryFacets: null,
+  categoryPagination: null,
+  categoryLoading: false,
+  categoryError: null,
+  categoryRequestId: null,
 };
 
 const productSlice = createSlice({
@@ -97,6 +190,24 @@ const productSlice = createSlice({
       state.error = null;
       state.message = null;
     },
+
+    clearSearch: state => {
+      state.searchResults = [];
+      state.searchCorrectedQuery = null;
+      state.searchPagination = null;
+      state.searchLoading = false;
+      state.searchError = null;
+      state.searchRequestId = null;
+    },
+
+    clearCategoryProducts: state => {
+      state.categoryProducts = [];
+      state.categoryFacets = null;
+      state.categoryPagination = null;
+      state.categoryLoading = false;
+      state.categoryError = null;
+      state.categoryRequestId = null;
+    },
   },
   extraReducers: builder => {
     builder
@@ -113,9 +224,60 @@ const productSlice = createSlice({
       .addCase(getAllProducts.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+
+      // Only the latest search may fill the results while the user types
+      .addCase(searchProducts.pending, (state, action) => {
+        state.searchLoading = true;
+        state.searchError = null;
+        state.searchRequestId = action.meta.requestId;
+      })
+      .addCase(searchProducts.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.searchRequestId) return;
+        const { products, correctedQuery, pagination } = action.payload;
+        state.searchLoading = false;
+        state.searchResults =
+          pagination.page > 1
+            ? [...state.searchResults, ...products]
+            : products;
+        state.searchCorrectedQuery = correctedQuery;
+        state.searchPagination = pagination;
+      })
+      .addCase(searchProducts.rejected, (state, action) => {
+        if (action.meta.requestId !== state.searchRequestId) return;
+        state.searchLoading = false;
+        state.searchError = action.payload;
+      })
+
+      // Changing a filter while a page loads must not mix the two results
+      .addCase(getCategoryProducts.pending, (state, action) => {
+        state.categoryLoading = true;
+        state.categoryError = null;
+        state.categoryRequestId = action.meta.requestId;
+      })
+      .addCase(getCategoryProducts.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.categoryRequestId) return;
+        const { products, facets, pagination } = action.payload;
+        state.categoryLoading = false;
+        state.categoryProducts =
+          pagination.page > 1
+            ? [...state.categoryProducts, ...products]
+            : products;
+        state.categoryFacets = facets;
+        state.categoryPagination = pagination;
+      })
+      .addCase(getCategoryProducts.rejected, (state, action) => {
+        if (action.meta.requestId !== state.categoryRequestId) return;
+        state.categoryLoading = false;
+        state.categoryError = action.payload;
       });
   },
 });
 
-export const { setProducts, clearProductState } = productSlice.actions;
+export const {
+  setProducts,
+  clearProductState,
+  clearSearch,
+  clearCategoryProducts,
+} = productSlice.actions;
 export default productSlice.reducer;
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Return slice - return requests for delivered orders
+ * @module redux/slices/return.slice
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import CONFIG from '../config/Config';
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = async rejectWithValue => {
+  try {
+    const token = await AsyncStorage.getItem('authToken');
+    if (!token) throw new Error('User is not authenticated.');
+    return token;
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to fetch token.');
+  }
+};
+
+/**
+ * Request a return for delivered items
+ * @param {FormData} formData - orderId, items (JSON string of { productId, quantity }), reason, description, returnPhoto files
+ * @returns {Object} { newReturn, message }
+ */
+export const requestReturn = createAsyncThunk(
+  'return/requestReturn',
+  async (formData, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.post(
+        `${BACKEND_API_URL}/return/request-return`,
+        formData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'multipart/form-data',
+          },
+        },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || 'Failed to request the return',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Get the user's returns
+ * @returns {Object} { allReturns }
+ */
+export const getMyReturns = createAsyncThunk(
+  'return/getMyReturns',
+  async (_, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/return/get-my-returns`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || 'Failed to fetch returns',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Withdraw a return before the parcel is received
+ * @param {string} returnId
+ * @returns {Object} { updatedReturn, message }
+ */
+export const cancelReturn = createAsyncThunk(
+  'return/cancelReturn',
+  async (returnId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/return/action/cancel-return/${returnId}`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message: error.response?.data?.message || 'Failed to cancel return',
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+const returnSlice = createSlice({
+  name: 'return',
+  initialState: {
+    returns: [],
+    loading: false,
+    submitting: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: builder => {
+    builder
+      .addCase(requestReturn.pending, state => {
+        state.submitting = true;
+        state.error = null;
+      })
+      .addCase(requestReturn.fulfilled, (state, action) => {
+        state.submitting = false;
+        state.returns.unshift(action.payload.newReturn);
+      })
+      .addCase(requestReturn.rejected, (state, action) => {
+        state.submitting = false;
+        state.error = action.payload;
+      })
+
+      .addCase(getMyReturns.pending, state => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getMyReturns.fulfilled, (state, action) => {
+        state.loading = false;
+        state.returns = action.payload.allReturns || [];
+      })
+      .addCase(getMyReturns.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      .addCase(cancelReturn.pending, state => {
+        state.submitting = true;
+        state.error = null;
+      })
+      .addCase(cancelReturn.fulfilled, (state, action) => {
+        state.submitting = false;
+        const { updatedReturn } = action.payload;
+        const index = state.returns.findIndex(r => r._id === updatedReturn._id);
+        // The cancel response has no populated products – keep the listed ones
+        if (index !== -1) {
+          state.returns[index] = {
+            ...state.returns[index],
+            status: updatedReturn.status,
+            statusHistory: updatedReturn.statusHistory,
+          };
+        }
+      })
+      .addCase(cancelReturn.rejected, (state, action) => {
+        state.submitting = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default returnSlice.reducer;
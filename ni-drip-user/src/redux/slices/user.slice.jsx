@@ -10,6 +10,7 @@
  * - Send Email Verification
  * - Verify Email
  * - Update User Location
+ * - Address book (list, add, update, delete saved shipping addresses)
  * - Deleting user account with server-side removal + local cleanup
  *
  * Features:
@@ -20,12 +21,13 @@
  * - Integration point with auth slice via clearUser action
  *
  * Exports:
- * - Thunks: getUser, updateUser, deleteAccount
+ * - Thunks: getUser, updateUser, deleteAccount, getAddresses, addAddress,
+ *   updateAddress, deleteAddress
  * - Action: clearUser (manual user state reset)
  * - Reducer: default export for store configuration
  */
 
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import CONFIG from '../config/Config';
@@ -228,9 +230,111 @@ export const updateLocation = createAsyncThunk(
   },
 );
 
+export const getAddresses = createAsyncThunk(
+  'user/getAddresses',
+  async (_, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+
+      const response = await axios.get(
+        `${BACKEND_API_URL}/user/get-addresses`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      return response.data;
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message:
+          backend?.message || error.message || 'Failed to fetch addresses',
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+export const addAddress = createAsyncThunk(
+  'user/addAddress',
+  async (addressData, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+
+      const response = await axios.post(
+        `${BACKEND_API_URL}/user/add-address`,
+        addressData,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      return response.data;
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to save address',
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+export const updateAddress = createAsyncThunk(
+  'user/updateAddress',
+  async ({ addressId, addressData }, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/user/update-address/${addressId}`,
+        addressData,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      return response.data;
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message:
+          backend?.message || error.message || 'Failed to update address',
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+export const deleteAddress = createAsyncThunk(
+  'user/deleteAddress',
+  async (addressId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/user/delete-address/${addressId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      return response.data;
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message:
+          backend?.message || error.message || 'Failed to delete address',
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
 const initialState = {
   user: null,
   loading: false,
+  addressLoading: false,
   error: null,
   message: null,
 };
@@ -349,7 +453,49 @@ const userSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
         state.message = action.payload?.message;
-      });
+      })
+
+      // Every address book response carries the full list, since changing
+      // the default flips another entry too
+      .addMatcher(
+        isAnyOf(
+          getAddresses.pending,
+          addAddress.pending,
+          updateAddress.pending,
+          deleteAddress.pending,
+        ),
+        state => {
+          state.addressLoading = true;
+          state.error = null;
+          state.message = null;
+        },
+      )
+      .addMatcher(
+        isAnyOf(
+          getAddresses.fulfilled,
+          addAddress.fulfilled,
+          updateAddress.fulfilled,
+          deleteAddress.fulfilled,
+        ),
+        (state, action) => {
+          state.addressLoading = false;
+          if (state.user) state.user.addresses = action.payload.allAddresses;
+          state.message = action.payload.message;
+        },
+      )
+      .addMatcher(
+        isAnyOf(
+          getAddresses.rejected,
+          addAddress.rejected,
+          updateAddress.rejected,
+          deleteAddress.rejected,
+        ),
+        (state, action) => {
+          state.addressLoading = false;
+          state.error = action.payload;
+          state.message = action.payload?.message;
+        },
+      );
   },
 });
 
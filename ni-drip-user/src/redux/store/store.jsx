@@ -11,6 +11,9 @@ import reviewReducer from '../slices/review.slice';
 import ratingReducer from '../slices/rating.slice';
 import cartReducer from '../slices/cart.slice';
 import orderReducer from '../slices/order.slice';
+import currencyReducer from '../slices/currency.slice';
+import returnReducer from '../slices/return.slice';
+import categoryReducer from '../slices/category.slice';
 
 const persistConfig = {
   key: 'root',
@@ -28,6 +31,9 @@ const rootReducer = combineReducers({
   rating: ratingReducer,
   cart: cartReducer,
   order: orderReducer,
+  currency: currencyReducer,
+  returns: returnReducer,
+  category: categoryReducer,
 });
 
 const persistedReducer = persistReducer(persistConfig, rootReducer);
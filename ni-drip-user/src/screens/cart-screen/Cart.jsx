@@ -1,7 +1,10 @@
 /**
  * @fileoverview Shopping Cart Screen
  * @module screens/cart/CartScreen
- * @description Displays cart items, handles quantity updates, removal, and Stripe checkout.
+ * @description Displays cart items, handles quantity updates, removal, coupons and checkout
+ *              by card (Stripe) or cash on delivery where the shipping zone allows it.
+ *              The order ships to the address picked from the address book (the default
+ *              one unless the customer chooses another).
  */
 
 import React, { useEffect, useState, useRef } from 'react';
@@ -16,6 +19,7 @@ import {
   RefreshControl,
   ScrollView,
   TouchableOpacity,
+  TextInput,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
@@ -35,7 +39,22 @@ import {
   removeProductFromCart,
   clearLocalCart,
 } from '../../redux/slices/cart.slice';
-import { placeOrder, clearCurrentOrder } from '../../redux/slices/order.slice';
+import {
+  placeOrder,
+  clearCurrentOrder,
+  getShippingQuote,
+  validateCoupon,
+  clearCoupon,
+} from '../../redux/slices/order.slice';
+import { getAddresses } from '../../redux/slices/user.slice';
+import {
+  convertPrice,
+  formatPrice,
+} from '../../utilities/custom-components/currency/Currency.utility';
+import {
+  formatAddress,
+  getDefaultAddress,
+} from '../../utilities/custom-components/address/Address.utility';
 
 const { width, height } = Dimensions.get('window');
 
@@ -44,18 +63,61 @@ const Cart = () => {
   const navigation = useNavigation();
   const { initPaymentSheet, presentPaymentSheet } = useStripe();
   const { cartItems, loading } = useSelector(state => state.cart);
-  const { loading: orderLoading } = useSelector(state => state.order);
+  const {
+    loading: orderLoading,
+    shippingQuote,
+    quoteLoading,
+    quoteError,
+    appliedCoupon,
+    couponLoading,
+    couponError,
+  } = useSelector(state => state.order);
+  const currency = useSelector(state => state.currency.currency);
+  const addresses = useSelector(state => state.user.user?.addresses) || [];
 
   const [refreshing, setRefreshing] = useState(false);
   const [paymentLoading, setPaymentLoading] = useState(false);
+  const [couponCode, setCouponCode] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('STRIPE');
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const translateY = useRef(new Animated.Value(height * 0.03)).current;
 
   useEffect(() => {
     StatusBar.setBackgroundColor(theme.colors.primary);
     dispatch(getAllCartItems());
+    dispatch(getAddresses());
   }, []);
 
+  const appliedCode = appliedCoupon?.coupon.code;
+
+  // Falls back to the default entry when nothing is picked or the picked
+  // address was deleted
+  const selectedAddress =
+    addresses.find(address => address._id === selectedAddressId) ||
+    getDefaultAddress(addresses);
+  const addressId = selectedAddress?._id;
+
+  // Re-quote whenever the cart, coupon or address changes so the footer
+  // (shipping and tax on the discounted lines) matches what checkout charges
+  useEffect(() => {
+    if (cartItems?.length > 0) {
+      dispatch(
+        getShippingQuote({
+          ...(appliedCode && { couponCode: appliedCode }),
+          ...(addressId && { addressId }),
+        }),
+      );
+    }
+  }, [dispatch, cartItems, appliedCode, addressId]);
+
+  // Re-check an applied coupon against the changed cart (min spend, scope)
+  useEffect(() => {
+    if (appliedCode && cartItems?.length > 0) {
+      dispatch(validateCoupon({ couponCode: appliedCode }));
+    }
+  }, [dispatch, cartItems, appliedCode]);
+
   useEffect(() => {
     if (!loading && cartItems?.length === 0) {
       Animated.parallel([
@@ -73,8 +135,10 @@ const Cart = () => {
     }
   }, [loading, cartItems]);
 
-  const handleIncrease = async productId => {
-    const result = await dispatch(addToCart({ productId, quantity: 1 }));
+  const handleIncrease = async (productId, variantId) => {
+    const result = await dispatch(
+      addToCart({ productId, variantId, quantity: 1 }),
+    );
     if (addToCart.fulfilled.match(result)) {
       Toast.show({
         type: 'success',
@@ -84,8 +148,8 @@ const Cart = () => {
     }
   };
 
-  const handleDecrease = async productId => {
-    const result = await dispatch(decreaseCartItem({ productId }));
+  const handleDecrease = async (productId, variantId) => {
+    const result = await dispatch(decreaseCartItem({ productId, variantId }));
     if (decreaseCartItem.fulfilled.match(result)) {
       Toast.show({
         type: 'success',
@@ -95,8 +159,10 @@ const Cart = () => {
     }
   };
 
-  const handleRemove = async productId => {
-    const result = await dispatch(removeProductFromCart({ productId }));
+  const handleRemove = async (productId, variantId) => {
+    const result = await dispatch(
+      removeProductFromCart({ productId, variantId }),
+    );
     if (removeProductFromCart.fulfilled.match(result)) {
       Toast.show({
         type: 'error',
@@ -106,18 +172,64 @@ const Cart = () => {
     }
   };
 
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) return;
+
+    const result = await dispatch(
+      validateCoupon({ couponCode: couponCode.trim() }),
+    );
+    if (validateCoupon.fulfilled.match(result)) {
+      Toast.show({
+        type: 'success',
+        text1: 'Coupon Applied',
+        text2: `You save ${formatPrice(
+          result.payload.discountAmount,
+          result.payload.currency,
+        )}`,
+      });
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    dispatch(clearCoupon());
+    setCouponCode('');
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await dispatch(getAllCartItems());
     setRefreshing(false);
   };
 
-  const shippingFee = 5;
-  const itemTotal = cartItems.reduce(
-    (sum, item) => sum + (item.productId?.price || 0) * item.quantity,
-    0,
-  );
-  const totalAmount = itemTotal + (cartItems.length > 0 ? shippingFee : 0);
+  // Unit prices are converted before multiplying, matching checkout
+  const itemTotal =
+    Math.round(
+      cartItems.reduce(
+        (sum, item) =>
+          sum +
+          convertPrice(item.variant?.price ?? item.productId?.price, currency) *
+            item.quantity,
+        0,
+      ) * 100,
+    ) / 100;
+  const shippingFee = shippingQuote?.shippingCost ?? 0;
+  const discountAmount = appliedCoupon?.discountAmount ?? 0;
+  const taxAmount = shippingQuote?.taxAmount ?? 0;
+  const totalAmount =
+    Math.round((itemTotal - discountAmount + shippingFee + taxAmount) * 100) /
+    100;
+
+  // Cash on delivery depends on the destination zone and its order-total limit
+  const cashOnDelivery = shippingQuote?.cashOnDelivery;
+  const codEligible =
+    !!cashOnDelivery?.available &&
+    (cashOnDelivery.maxOrderAmount === null ||
+      totalAmount <= cashOnDelivery.maxOrderAmount);
+  const isCashOnDelivery = paymentMethod === 'PAY_ON_DELIVERY';
+
+  useEffect(() => {
+    if (isCashOnDelivery && !codEligible) setPaymentMethod('STRIPE');
+  }, [isCashOnDelivery, codEligible]);
 
   const handleCheckout = async () => {
     if (cartItems.length === 0) return;
@@ -127,15 +239,27 @@ const Cart = () => {
     try {
       // Step 1: Place order and get client secret
       const result = await dispatch(
-        placeOrder({
-          shippingCost: shippingFee,
-        }),
+        placeOrder({ couponCode: appliedCode, paymentMethod, addressId }),
       );
 
       if (!placeOrder.fulfilled.match(result)) {
         throw new Error(result.payload?.message || 'Failed to place order');
       }
 
+      // Cash orders are confirmed straight away – no payment sheet
+      if (isCashOnDelivery) {
+        Toast.show({
+          type: 'success',
+          text1: 'Order Placed!',
+          text2: 'Pay in cash when your order arrives',
+        });
+
+        dispatch(clearLocalCart());
+        dispatch(clearCurrentOrder());
+        navigation.navigate('Main');
+        return;
+      }
+
       const { clientSecret } = result.payload;
 
       // Step 2: Initialize Payment Sheet
@@ -198,19 +322,29 @@ const Cart = () => {
         <>
           <FlatList
             data={cartItems}
-            keyExtractor={item => item.productId._id}
+            keyExtractor={item =>
+              `${item.productId._id}:${item.variantId || ''}`
+            }
             renderItem={({ item }) => (
               <CartCard
                 title={item.productId.title}
-                price={item.productId.price}
+                variantLabel={item.variantLabel}
+                price={item.variant?.price ?? item.productId.price}
                 imageUrl={
+                  item.variant?.images?.[0] ||
                   item.productId.productImages?.[0] ||
                   item.productId.productImage
                 }
                 quantity={item.quantity}
-                onIncrease={() => handleIncrease(item.productId._id)}
-                onDecrease={() => handleDecrease(item.productId._id)}
-                onRemove={() => handleRemove(item.productId._id)}
+                onIncrease={() =>
+                  handleIncrease(item.productId._id, item.variantId)
+                }
+                onDecrease={() =>
+                  handleDecrease(item.productId._id, item.variantId)
+                }
+                onRemove={() =>
+                  handleRemove(item.productId._id, item.variantId)
+                }
               />
             )}
             contentContainerStyle={styles.listContainer}
@@ -225,26 +359,214 @@ const Cart = () => {
           />
 
           <View style={styles.checkoutFooter}>
+            <View style={styles.addressHeader}>
+              <Text style={styles.summaryLabel}>Deliver to</Text>
+              <TouchableOpacity
+                onPress={() => navigation.navigate('My_Profile')}
+              >
+                <Text style={styles.manageAddresses}>
+                  {addresses.length > 0 ? 'Manage' : 'Add address'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {addresses.length > 0 ? (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.addressRow}
+              >
+                {addresses.map(address => {
+                  const selected = address._id === addressId;
+                  return (
+                    <TouchableOpacity
+                      key={address._id}
+                      style={[
+                        styles.addressChip,
+                        selected && styles.paymentOptionSelected,
+                      ]}
+                      onPress={() => setSelectedAddressId(address._id)}
+                    >
+                      <Text
+                        style={[
+                          styles.paymentOptionText,
+                          selected && styles.paymentOptionTextSelected,
+                        ]}
+                      >
+                        {address.label || address.recipientName}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.addressChipText,
+                          selected && styles.paymentOptionTextSelected,
+                        ]}
+                        numberOfLines={1}
+                      >
+                        {formatAddress(address)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            ) : (
+              <Text style={styles.shippingNote}>
+                {shippingQuote?.shippingAddress ||
+                  'Add a delivery address to your address book'}
+              </Text>
+            )}
+
+            <View style={styles.couponRow}>
+              <TextInput
+                placeholder="Coupon code"
+                placeholderTextColor="#94A3B8"
+                style={styles.couponInput}
+                value={appliedCode || couponCode}
+                onChangeText={text => setCouponCode(text.toUpperCase())}
+                autoCapitalize="characters"
+                editable={!appliedCode}
+              />
+              <TouchableOpacity
+                style={styles.couponBtn}
+                onPress={appliedCode ? handleRemoveCoupon : handleApplyCoupon}
+                disabled={couponLoading}
+              >
+                <Text style={styles.couponBtnText}>
+                  {couponLoading ? '...' : appliedCode ? 'Remove' : 'Apply'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {couponError ? (
+              <Text style={styles.couponError}>
+                {couponError.message || 'Coupon could not be applied'}
+              </Text>
+            ) : null}
+
             <View style={styles.summaryRow}>
               <Text style={styles.summaryLabel}>Subtotal</Text>
-              <Text style={styles.summaryValue}>${itemTotal.toFixed(2)}</Text>
+              <Text style={styles.summaryValue}>
+                {formatPrice(itemTotal, currency)}
+              </Text>
             </View>
 
+            {appliedCoupon ? (
+              <View style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>
+                  Discount ({appliedCoupon.coupon.code})
+                </Text>
+                <Text style={[styles.summaryValue, styles.discountValue]}>
+                  -{formatPrice(discountAmount, currency)}
+                </Text>
+              </View>
+            ) : null}
+
             <View style={styles.summaryRow}>
               <Text style={styles.summaryLabel}>Shipping</Text>
-              <Text style={styles.summaryValue}>${shippingFee.toFixed(2)}</Text>
+              <Text style={styles.summaryValue}>
+                {quoteLoading
+                  ? 'Calculating...'
+                  : shippingQuote?.freeShippingApplied
+                  ? 'FREE'
+                  : formatPrice(shippingFee, currency)}
+              </Text>
             </View>
 
+            {shippingQuote?.taxLines?.map(line => (
+              <View style={styles.summaryRow} key={`${line.name}-${line.rate}`}>
+                <Text style={styles.summaryLabel}>
+                  {line.name} ({line.rate}%)
+                </Text>
+                <Text style={styles.summaryValue}>
+                  {formatPrice(line.amount, currency)}
+                </Text>
+              </View>
+            ))}
+
+            {quoteError ? (
+              <Text style={styles.shippingNote}>
+                {quoteError.message || 'Shipping is unavailable right now'}
+              </Text>
+            ) : shippingQuote?.amountToFreeShipping > 0 ? (
+              <Text style={styles.shippingNote}>
+                Add {formatPrice(shippingQuote.amountToFreeShipping, currency)}{' '}
+                more for free shipping
+              </Text>
+            ) : null}
+
             <View style={[styles.summaryRow, styles.totalRow]}>
               <Text style={styles.totalLabel}>Total Amount</Text>
-              <Text style={styles.totalValue}>${totalAmount.toFixed(2)}</Text>
+              <Text style={styles.totalValue}>
+                {formatPrice(totalAmount, currency)}
+              </Text>
+            </View>
+
+            <View style={styles.paymentRow}>
+              {[
+                { value: 'STRIPE', label: 'Card', icon: 'credit-card-outline' },
+                {
+                  value: 'PAY_ON_DELIVERY',
+                  label: 'Cash on Delivery',
+                  icon: 'cash',
+                },
+              ].map(option => {
+                const selected = paymentMethod === option.value;
+                const disabled =
+                  option.value === 'PAY_ON_DELIVERY' && !codEligible;
+                return (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[
+                      styles.paymentOption,
+                      selected && styles.paymentOptionSelected,
+                      disabled && styles.paymentOptionDisabled,
+                    ]}
+                    onPress={() => setPaymentMethod(option.value)}
+                    disabled={disabled}
+                  >
+                    <MaterialCommunityIcons
+                      name={option.icon}
+                      size={18}
+                      color={
+                        selected ? theme.colors.white : theme.colors.primary
+                      }
+                    />
+                    <Text
+                      style={[
+                        styles.paymentOptionText,
+                        selected && styles.paymentOptionTextSelected,
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
             </View>
 
+            {shippingQuote && !codEligible ? (
+              <Text style={styles.shippingNote}>
+                {cashOnDelivery?.available
+                  ? `Cash on delivery is available for orders up to ${formatPrice(
+                      cashOnDelivery.maxOrderAmount,
+                      currency,
+                    )}`
+                  : 'Cash on delivery is not available in your area'}
+              </Text>
+            ) : null}
+
             <Button
-              title={paymentLoading ? 'Processing...' : `Checkout (${cartItems.length} items)`}
+              title={
+                paymentLoading
+                  ? 'Processing...'
+                  : `${isCashOnDelivery ? 'Place Order' : 'Checkout'} (${
+                      cartItems.length
+                    } items)`
+              }
               backgroundColor={theme.colors.primary}
               onPress={handleCheckout}
-              disabled={paymentLoading || orderLoading}
+              disabled={
+                paymentLoading || orderLoading || quoteLoading || !!quoteError
+              }
               style={styles.checkoutBtn}
             />
           </View>
@@ -383,6 +705,127 @@ const styles = StyleSheet.create({
     fontFamily: theme.typography.semiBold,
   },
 
+  couponRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: height * 0.015,
+  },
+
+  couponInput: {
+    flex: 1,
+    height: height * 0.05,
+    borderWidth: 1,
+    borderColor: theme.colors.gray,
+    borderRadius: theme.borderRadius.medium,
+    paddingHorizontal: width * 0.03,
+    color: theme.colors.dark,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  couponBtn: {
+    marginLeft: width * 0.02,
+    height: height * 0.05,
+    paddingHorizontal: width * 0.04,
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  couponBtnText: {
+    color: theme.colors.white,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.bold,
+  },
+
+  couponError: {
+    color: theme.colors.error,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    marginBottom: height * 0.01,
+  },
+
+  discountValue: {
+    color: theme.colors.secondary,
+  },
+
+  addressHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: height * 0.008,
+  },
+
+  manageAddresses: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  addressRow: {
+    gap: width * 0.02,
+    marginBottom: height * 0.012,
+  },
+
+  addressChip: {
+    width: width * 0.5,
+    paddingHorizontal: width * 0.03,
+    paddingVertical: height * 0.008,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  addressChipText: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.regular,
+  },
+
+  paymentRow: {
+    flexDirection: 'row',
+    gap: width * 0.02,
+    marginTop: height * 0.01,
+    marginBottom: height * 0.01,
+  },
+
+  paymentOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: width * 0.015,
+    height: height * 0.05,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  paymentOptionSelected: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  paymentOptionDisabled: {
+    opacity: 0.4,
+  },
+
+  paymentOptionText: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  paymentOptionTextSelected: {
+    color: theme.colors.white,
+  },
+
+  shippingNote: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    marginBottom: height * 0.01,
+  },
+
   totalRow: {
     marginTop: height * 0.015,
     paddingTop: height * 0.015,
@@ -4,13 +4,13 @@
  * @description
  * Primary landing screen for the NiDrip Central application.
  * Responsibilities:
- * - Displays a curated list of electronic and appliance categories (Laptops, Smartphones, etc.).
+ * - Displays the top-level product categories managed in the admin panel.
  * - Handles real-time location detection and permission management to provide localized services.
- * - Integrates with Redux for fetching and filtering global product data.
- * - Provides search functionality to filter available categories dynamically.
+ * - Provides a product search bar backed by the server's full-text search
+ *   (typo-tolerant, matched words highlighted); categories show while it is empty.
  * Features:
  * - Automated Geolocation: Requests and updates user coordinates on component mount.
- * - Dynamic Category Extraction: Parses product metadata to count and display relevant categories.
+ * - Backend Categories: Names, images, order and product counts come from `GET /api/category`.
  * - Responsive UI: Utilizes a dual-column FlatList for an elegant, modern shopping experience.
  * - Theme Integration: Uses global theme colors and typography for brand consistency.
  */
@@ -27,6 +27,7 @@ import {
   PermissionsAndroid,
   Platform,
   RefreshControl,
+  ActivityIndicator,
 } from 'react-native';
 import * as Animatable from 'react-native-animatable';
 import Geolocation from 'react-native-geolocation-service';
@@ -35,37 +36,21 @@ import Header from '../../utilities/custom-components/header/header/Header';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import InputField from '../../utilities/custom-components/input-field/InputField.utility';
 import CategoryCard from '../../utilities/custom-components/card/category-card/CategoryCard';
+import SearchResultCard from '../../utilities/custom-components/card/search-result-card/SearchResultCard';
 import { useDispatch, useSelector } from 'react-redux';
-import { getAllProducts } from '../../redux/slices/product.slice';
+import { searchProducts, clearSearch } from '../../redux/slices/product.slice';
+import { getCategories } from '../../redux/slices/category.slice';
 import { getUser, updateLocation } from '../../redux/slices/user.slice';
+import { getMyCurrency } from '../../redux/slices/currency.slice';
 import { useNavigation } from '@react-navigation/native';
 
 const { width, height } = Dimensions.get('window');
 
-const ALLOWED_CATEGORIES = [
-  'laptops',
-  'smartphones',
-  'refrigerators',
-  'washingmachines',
-  'xbox',
-  'consoles',
-  'playstations',
-  'televisions',
-];
-
-const extractCategories = product => {
-  const result = [];
-  if (!product?.category) return result;
-  product.category.forEach(c => {
-    try {
-      const parsed = JSON.parse(c);
-      if (Array.isArray(parsed)) {
-        parsed.forEach(p => p && result.push(p));
-      }
-    } catch {}
-  });
-  return result;
-};
+// Shortest query sent to the product search
+const MIN_SEARCH_LENGTH = 2;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 350;
 
 const Home = () => {
   const dispatch = useDispatch();
@@ -74,17 +59,58 @@ const Home = () => {
 
   const user = useSelector(state => state.auth.user);
   const profile = useSelector(state => state.user.user);
-  const AllProducts = useSelector(state => state.product.products || []);
-  const loading = useSelector(state => state.product.loading || false);
+  const { categories, loading } = useSelector(state => state.category);
+  const {
+    searchResults,
+    searchCorrectedQuery,
+    searchPagination,
+    searchLoading,
+  } = useSelector(state => state.product);
+
+  const trimmedQuery = searchQuery.trim();
+  const isSearching = trimmedQuery.length >= MIN_SEARCH_LENGTH;
 
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllProducts());
+      dispatch(getCategories());
       dispatch(getUser(user.id));
       requestLocationPermission();
     }
   }, [dispatch, user]);
 
+  // Prices are shown in the currency of the customer's preferred city
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getMyCurrency());
+    }
+  }, [dispatch, user, profile?.preferredCity]);
+
+  useEffect(() => {
+    if (!isSearching) {
+      dispatch(clearSearch());
+      return;
+    }
+
+    const timer = setTimeout(
+      () => dispatch(searchProducts({ q: trimmedQuery })),
+      SEARCH_DEBOUNCE_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [dispatch, trimmedQuery, isSearching]);
+
+  const loadMoreResults = () => {
+    if (
+      searchLoading ||
+      !searchPagination ||
+      searchPagination.page >= searchPagination.totalPages
+    ) {
+      return;
+    }
+    dispatch(
+      searchProducts({ q: trimmedQuery, page: searchPagination.page + 1 }),
+    );
+  };
+
   useEffect(() => {
     StatusBar.setBarStyle('light-content');
     StatusBar.setTranslucent(true);
@@ -131,33 +157,11 @@ const Home = () => {
     );
   };
 
-  const categoriesData = useMemo(() => {
-    const map = {};
-    AllProducts.forEach(p => {
-      const cats = extractCategories(p);
-      cats.forEach(cat => {
-        if (!ALLOWED_CATEGORIES.includes(cat)) return;
-        if (!map[cat]) {
-          map[cat] = {
-            title: cat,
-            itemCount: 0,
-            imageUrl: p.productImages?.[0] || null,
-          };
-        }
-        map[cat].itemCount += 1;
-        if (!map[cat].imageUrl && p.productImages?.[0]) {
-          map[cat].imageUrl = p.productImages[0];
-        }
-      });
-    });
-    return ALLOWED_CATEGORIES.map(c => map[c]).filter(Boolean);
-  }, [AllProducts]);
-
-  const filteredCategories = useMemo(() => {
-    if (!searchQuery) return categoriesData;
-    const q = searchQuery.toLowerCase();
-    return categoriesData.filter(c => c.title.toLowerCase().includes(q));
-  }, [searchQuery, categoriesData]);
+  // Sub-categories are reached through their parent's product list
+  const categoriesData = useMemo(
+    () => categories.filter(category => !category.parent),
+    [categories],
+  );
 
   const EmptyState = () => (
     <Animatable.View
@@ -178,10 +182,10 @@ const Home = () => {
         />
       </Animatable.View>
       <Text style={styles.emptyTitle}>
-        {searchQuery ? 'No matching categories' : 'No categories available'}
+        {isSearching ? 'No matching products' : 'No categories available'}
       </Text>
       <Text style={styles.emptySubtitle}>
-        {searchQuery
+        {isSearching
           ? 'Try a different search term'
           : 'New categories are added regularly – check back soon!'}
       </Text>
@@ -201,18 +205,26 @@ const Home = () => {
       easing="ease-out-cubic"
     >
       <CategoryCard
-        title={item.title}
-        imageUrl={item.imageUrl}
-        itemCount={item.itemCount}
+        title={item.name}
+        imageUrl={item.image}
+        itemCount={item.productCount}
         onPress={() => {
           navigation.navigate('Product_Category', {
-            category: item.title,
+            category: item.slug,
+            title: item.name,
           });
         }}
       />
     </Animatable.View>
   );
 
+  const renderSearchResult = ({ item }) => (
+    <SearchResultCard
+      product={item}
+      onPress={() => navigation.navigate('Product_Details', { product: item })}
+    />
+  );
+
   return (
     <View style={styles.container}>
       <Header
@@ -247,7 +259,7 @@ const Home = () => {
 
       <View style={styles.searchSection}>
         <InputField
-          placeholder="Search categories..."
+          placeholder="Search products..."
           value={searchQuery}
           onChangeText={setSearchQuery}
           leftIcon={
@@ -260,38 +272,75 @@ const Home = () => {
         />
       </View>
 
-      <View style={styles.content}>
-        <View style={styles.headerRow}>
-          <Text style={styles.sectionTitle}>Explore Categories</Text>
-          <Pressable style={styles.viewAllBtn} activeOpacity={0.7}>
-            <Text style={styles.viewAllText}>View all</Text>
-            <MaterialCommunityIcons
-              name="chevron-right"
-              size={22}
-              color={theme.colors.primary}
-            />
-          </Pressable>
+      {isSearching ? (
+        <View style={styles.content}>
+          <View style={styles.headerRow}>
+            <Text style={styles.sectionTitle}>
+              {searchCorrectedQuery
+                ? `Showing results for "${searchCorrectedQuery}"`
+                : 'Search results'}
+            </Text>
+            {searchPagination && (
+              <Text style={styles.resultCount}>
+                {searchPagination.total} found
+              </Text>
+            )}
+          </View>
+
+          <FlatList
+            data={searchResults}
+            keyExtractor={item => item._id}
+            contentContainerStyle={styles.resultList}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+            onEndReached={loadMoreResults}
+            onEndReachedThreshold={0.5}
+            renderItem={renderSearchResult}
+            ListEmptyComponent={searchLoading ? null : <EmptyState />}
+            ListFooterComponent={
+              searchLoading ? (
+                <ActivityIndicator
+                  color={theme.colors.primary}
+                  style={styles.searchSpinner}
+                />
+              ) : null
+            }
+          />
         </View>
-
-        <FlatList
-          data={filteredCategories}
-          keyExtractor={item => item.title}
-          numColumns={2}
-          columnWrapperStyle={styles.columnWrapper}
-          contentContainerStyle={styles.list}
-          showsVerticalScrollIndicator={false}
-          refreshControl={
-            <RefreshControl
-              refreshing={loading}
-              onRefresh={() => dispatch(getAllProducts())}
-              colors={[theme.colors.primary]}
-              tintColor={theme.colors.primary}
-            />
-          }
-          renderItem={renderCategory}
-          ListEmptyComponent={<EmptyState />}
-        />
-      </View>
+      ) : (
+        <View style={styles.content}>
+          <View style={styles.headerRow}>
+            <Text style={styles.sectionTitle}>Explore Categories</Text>
+            <Pressable style={styles.viewAllBtn} activeOpacity={0.7}>
+              <Text style={styles.viewAllText}>View all</Text>
+              <MaterialCommunityIcons
+                name="chevron-right"
+                size={22}
+                color={theme.colors.primary}
+              />
+            </Pressable>
+          </View>
+
+          <FlatList
+            data={categoriesData}
+            keyExtractor={item => item._id}
+            numColumns={2}
+            columnWrapperStyle={styles.columnWrapper}
+            contentContainerStyle={styles.list}
+            showsVerticalScrollIndicator={false}
+            refreshControl={
+              <RefreshControl
+                refreshing={loading}
+                onRefresh={() => dispatch(getCategories())}
+                colors={[theme.colors.primary]}
+                tintColor={theme.colors.primary}
+              />
+            }
+            renderItem={renderCategory}
+            ListEmptyComponent={<EmptyState />}
+          />
+        </View>
+      )}
     </View>
   );
 };
@@ -374,6 +423,21 @@ const styles = StyleSheet.create({
     paddingBottom: height * 0.08,
   },
 
+  resultList: {
+    paddingHorizontal: width * 0.04,
+    paddingBottom: height * 0.08,
+  },
+
+  resultCount: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: '#64748B',
+  },
+
+  searchSpinner: {
+    marginVertical: height * 0.02,
+  },
+
   columnWrapper: {
     justifyContent: 'space-between',
     marginBottom: height * 0.025,
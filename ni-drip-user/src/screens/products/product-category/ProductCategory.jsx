@@ -2,8 +2,8 @@
  * @component ProductCategory
  * @description A specialized screen that filters and displays products based on a selected category.
  * * * Key Features:
- * - Dynamic Filtering: Uses `useMemo` to efficiently filter the global product state
- * based on category arrays (handling JSON-parsed string inputs).
+ * - Server-side Filtering: Loads the category page by page from the backend, narrowed by
+ * the filter sheet (price, rating, stock, specifications) and ordered by the sort chips.
  * - Grid Layout: Renders products in a two-column responsive grid using `FlatList`.
  * - Empty States: Provides visual feedback using `MaterialCommunityIcons` when no
  * products match the selected category.
@@ -11,12 +11,13 @@
  * * * @param {Object} props
  * @param {Object} props.route - React Navigation route object.
  * @param {Object} props.route.params - Route parameters.
- * @param {string} props.route.params.category - The category slug/name passed from the previous screen.
+ * @param {string} props.route.params.category - The category slug passed from the previous screen.
+ * @param {string} [props.route.params.title] - The category's display name.
  * @param {Object} props.navigation - React Navigation prop used to navigate to "ProductDetails".
  * * @returns {React.JSX.Element}
  */
 
-import React, { useMemo } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   StyleSheet,
   View,
@@ -24,29 +25,80 @@ import {
   Text,
   Dimensions,
   RefreshControl,
+  ScrollView,
+  TouchableOpacity,
 } from 'react-native';
 import * as Animatable from 'react-native-animatable';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { theme } from '../../../styles/Themes';
 import Header from '../../../utilities/custom-components/header/header/Header';
 import ProductCard from '../../../utilities/custom-components/card/product-card/ProductCard';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import FilterSheet, {
+  countActiveFilters,
+} from '../../../utilities/custom-components/filter-sheet/FilterSheet.utility';
+import {
+  getCategoryProducts,
+  clearCategoryProducts,
+} from '../../../redux/slices/product.slice';
 
 const { width, height } = Dimensions.get('window');
 
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'popularity', label: 'Popular' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+];
+
 const ProductCategory = ({ route, navigation }) => {
-  const { category } = route.params;
-  const allProducts = useSelector(state => state.product.products || []);
-  const loading = useSelector(state => state.product.loading || false);
+  const { category, title } = route.params;
+  const dispatch = useDispatch();
+  const {
+    categoryProducts,
+    categoryFacets,
+    categoryPagination,
+    categoryLoading,
+  } = useSelector(state => state.product);
+
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState('newest');
+  const [filterSheetOpen, setFilterSheetOpen] = useState(false);
+
+  const categoryTitle =
+    title || category.charAt(0).toUpperCase() + category.slice(1);
+  const activeFilterCount = countActiveFilters(filters);
+
+  useEffect(() => {
+    dispatch(getCategoryProducts({ category, filters, sort }));
+  }, [dispatch, category, filters, sort]);
+
+  // Don't flash the previous category's products on the next visit
+  useEffect(() => () => dispatch(clearCategoryProducts()), [dispatch]);
 
-  const categoryTitle = category.charAt(0).toUpperCase() + category.slice(1);
+  const loadMoreProducts = () => {
+    if (
+      categoryLoading ||
+      !categoryPagination ||
+      categoryPagination.page >= categoryPagination.totalPages
+    ) {
+      return;
+    }
+    dispatch(
+      getCategoryProducts({
+        category,
+        filters,
+        sort,
+        page: categoryPagination.page + 1,
+      }),
+    );
+  };
 
-  const filteredProducts = useMemo(() => {
-    return allProducts.filter(p => {
-      const cats = p.category?.map(c => JSON.parse(c)).flat() || [];
-      return cats.includes(category);
-    });
-  }, [allProducts, category]);
+  const applyFilters = nextFilters => {
+    setFilters(nextFilters);
+    setFilterSheetOpen(false);
+  };
 
   const EmptyState = () => (
     <Animatable.View
@@ -66,9 +118,15 @@ const ProductCategory = ({ route, navigation }) => {
           color="#CBD5E1"
         />
       </Animatable.View>
-      <Text style={styles.emptyTitle}>No products in {categoryTitle}</Text>
+      <Text style={styles.emptyTitle}>
+        {activeFilterCount
+          ? 'No products match these filters'
+          : `No products in ${categoryTitle}`}
+      </Text>
       <Text style={styles.emptySubtitle}>
-        Check back later or explore other categories
+        {activeFilterCount
+          ? 'Try removing a filter or two'
+          : 'Check back later or explore other categories'}
       </Text>
       <Animatable.View animation="fadeInUp" delay={400} duration={600}>
         <Text style={styles.emptyHint}>New arrivals are added daily!</Text>
@@ -86,7 +144,6 @@ const ProductCategory = ({ route, navigation }) => {
       <ProductCard
         product={item}
         onPress={() => {
-          console.log(item);
           navigation.navigate('Product_Details', { product: item });
         }}
       />
@@ -100,8 +157,48 @@ const ProductCategory = ({ route, navigation }) => {
         title={categoryTitle}
       />
 
+      <View style={styles.toolbar}>
+        <TouchableOpacity
+          style={[styles.chip, activeFilterCount > 0 && styles.chipActive]}
+          onPress={() => setFilterSheetOpen(true)}
+        >
+          <MaterialCommunityIcons
+            name="tune-variant"
+            size={16}
+            color={activeFilterCount > 0 ? theme.colors.white : '#666'}
+          />
+          <Text
+            style={[
+              styles.chipText,
+              activeFilterCount > 0 && styles.chipTextActive,
+            ]}
+          >
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {SORT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.chip, sort === option.value && styles.chipActive]}
+              onPress={() => setSort(option.value)}
+            >
+              <Text
+                style={[
+                  styles.chipText,
+                  sort === option.value && styles.chipTextActive,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
       <FlatList
-        data={filteredProducts}
+        data={categoryProducts}
         keyExtractor={item => item._id}
         numColumns={2}
         columnWrapperStyle={styles.columnWrapper}
@@ -109,14 +206,26 @@ const ProductCategory = ({ route, navigation }) => {
         showsVerticalScrollIndicator={false}
         refreshControl={
           <RefreshControl
-            refreshing={loading}
-            onRefresh={() => {}}
+            refreshing={categoryLoading && !categoryPagination}
+            onRefresh={() =>
+              dispatch(getCategoryProducts({ category, filters, sort }))
+            }
             colors={[theme.colors.primary]}
             tintColor={theme.colors.primary}
           />
         }
         renderItem={renderProduct}
-        ListEmptyComponent={<EmptyState />}
+        onEndReached={loadMoreProducts}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={categoryLoading ? null : <EmptyState />}
+      />
+
+      <FilterSheet
+        isOpen={filterSheetOpen}
+        onClose={() => setFilterSheetOpen(false)}
+        facets={categoryFacets}
+        filters={filters}
+        onApply={applyFilters}
       />
     </View>
   );
@@ -130,9 +239,45 @@ const styles = StyleSheet.create({
     backgroundColor: '#F8FAFC',
   },
 
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: width * 0.04,
+    paddingTop: height * 0.02,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: theme.borderRadius.circle,
+    backgroundColor: '#fff',
+    marginRight: 10,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+
+  chipText: {
+    fontFamily: theme.typography.medium,
+    fontSize: 14,
+    color: '#666',
+  },
+
+  chipTextActive: {
+    color: theme.colors.white,
+    fontFamily: theme.typography.semiBold,
+  },
+
   list: {
     paddingHorizontal: width * 0.02,
-    paddingTop: height * 0.025,
+    paddingTop: height * 0.02,
     paddingBottom: height * 0.08,
   },
 
@@ -22,9 +22,21 @@ import { setProducts } from '../../../redux/slices/product.slice';
 import { theme } from '../../../styles/Themes';
 import Button from '../../../utilities/custom-components/button/Button.utility';
 import Toast from 'react-native-toast-message';
+import {
+  convertPrice,
+  formatPrice,
+} from '../../../utilities/custom-components/currency/Currency.utility';
 
 const { width, height } = Dimensions.get('window');
 
+/**
+ * Option values of a variant keyed by option name ({ Color: 'Black' })
+ * @param {Object} variant
+ * @returns {Object}
+ */
+const optionsOf = variant =>
+  Object.fromEntries(variant.options.map(o => [o.name, o.value]));
+
 const ProductDetails = () => {
   const route = useRoute();
   const navigation = useNavigation();
@@ -36,10 +48,48 @@ const ProductDetails = () => {
   const favorites = useSelector(state => state.favorites.favorites || []);
   const isFavorite = favorites.some(fav => fav.productId?._id === product._id);
   const { loading: cartLoading } = useSelector(state => state.cart);
+  const currency = useSelector(state => state.currency.currency);
 
   const [activeSlide, setActiveSlide] = useState(0);
   const heartRef = useRef(null);
 
+  // Start on the first variant that can be bought
+  const variants = product.variants || [];
+  const hasVariants = variants.length > 0;
+  const [selectedOptions, setSelectedOptions] = useState(() => {
+    const initial = variants.find(v => v.stock > 0) || variants[0];
+    return initial ? optionsOf(initial) : {};
+  });
+  const selectedVariant =
+    variants.find(v =>
+      v.options.every(o => selectedOptions[o.name] === o.value),
+    ) || null;
+  const price = selectedVariant ? selectedVariant.price : product.price;
+  // Regular price, shown struck through while a sale runs
+  const compareAtPrice = selectedVariant
+    ? selectedVariant.compareAtPrice
+    : product.compareAtPrice;
+  const isOnSale = compareAtPrice > price;
+  const stock = hasVariants ? selectedVariant?.stock ?? 0 : product.stock;
+
+  const selectOption = (name, value) => {
+    setSelectedOptions(prev => ({ ...prev, [name]: value }));
+    setActiveSlide(0);
+  };
+
+  // A value is available when some in-stock variant has it together with
+  // the values picked on the other options
+  const isAvailable = (name, value) =>
+    variants.some(
+      v =>
+        v.stock > 0 &&
+        v.options.every(o =>
+          o.name === name
+            ? o.value === value
+            : !selectedOptions[o.name] || selectedOptions[o.name] === o.value,
+        ),
+    );
+
   useEffect(() => {
     if (route.params?.product) {
       setProducts(route.params.product);
@@ -75,9 +125,22 @@ const ProductDetails = () => {
   };
 
   const handleAddToCart = async () => {
+    if (hasVariants && !selectedVariant) {
+      Toast.show({
+        type: 'error',
+        text1: 'Choose an option',
+        text2: 'This combination is not available',
+      });
+      return;
+    }
+
     try {
       const resultAction = await dispatch(
-        addToCart({ productId: product._id, quantity: 1 }),
+        addToCart({
+          productId: product._id,
+          variantId: selectedVariant?._id || null,
+          quantity: 1,
+        }),
       );
 
       if (addToCart.fulfilled.match(resultAction)) {
@@ -101,7 +164,9 @@ const ProductDetails = () => {
   };
 
   const images =
-    product.productImages?.length > 0
+    selectedVariant?.images?.length > 0
+      ? selectedVariant.images
+      : product.productImages?.length > 0
       ? product.productImages
       : ['https://via.placeholder.com/400'];
 
@@ -144,6 +209,7 @@ const ProductDetails = () => {
       <ScrollView showsVerticalScrollIndicator={false} bounces={false}>
         <View style={styles.imageBox}>
           <ScrollView
+            key={selectedVariant?._id || 'product'}
             horizontal
             pagingEnabled
             showsHorizontalScrollIndicator={false}
@@ -167,8 +233,29 @@ const ProductDetails = () => {
         </View>
 
         <View style={styles.infoSection}>
-          <Text style={styles.priceText}>${product.price?.toFixed(2)}</Text>
+          <View style={styles.priceRow}>
+            <Text style={styles.priceText}>
+              {formatPrice(convertPrice(price, currency), currency)}
+            </Text>
+            {isOnSale ? (
+              <Text style={styles.compareAtText}>
+                {formatPrice(convertPrice(compareAtPrice, currency), currency)}
+              </Text>
+            ) : null}
+          </View>
+          {isOnSale && product.sale?.endsAt ? (
+            <Text style={styles.saleText}>
+              Sale ends{' '}
+              {new Date(product.sale.endsAt).toLocaleDateString('en-GB', {
+                day: 'numeric',
+                month: 'short',
+              })}
+            </Text>
+          ) : null}
           <Text style={styles.productTitle}>{product.title}</Text>
+          {selectedVariant ? (
+            <Text style={styles.skuText}>SKU {selectedVariant.sku}</Text>
+          ) : null}
 
           <View style={styles.ratingRow}>
             <View style={styles.starBox}>
@@ -189,6 +276,51 @@ const ProductDetails = () => {
           </View>
         </View>
 
+        {hasVariants && (
+          <View style={styles.infoSection}>
+            {product.variantOptions.map(option => (
+              <View key={option.name} style={styles.optionGroup}>
+                <Text style={styles.optionLabel}>
+                  {option.name}
+                  {selectedOptions[option.name] ? (
+                    <Text style={styles.optionValue}>
+                      {'  '}
+                      {selectedOptions[option.name]}
+                    </Text>
+                  ) : null}
+                </Text>
+                <View style={styles.chipRow}>
+                  {option.values.map(value => {
+                    const selected = selectedOptions[option.name] === value;
+                    return (
+                      <TouchableOpacity
+                        key={value}
+                        activeOpacity={0.7}
+                        onPress={() => selectOption(option.name, value)}
+                        style={[
+                          styles.chip,
+                          selected && styles.chipSelected,
+                          !isAvailable(option.name, value) &&
+                            styles.chipUnavailable,
+                        ]}
+                      >
+                        <Text
+                          style={[
+                            styles.chipText,
+                            selected && styles.chipTextSelected,
+                          ]}
+                        >
+                          {value}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
         <View style={styles.gap} />
 
         <View style={styles.infoSection}>
@@ -303,14 +435,16 @@ const ProductDetails = () => {
             size={width * 0.06}
             color={theme.colors.secondary}
           />
-          <Text style={styles.stockLabel}>Stock {product.stock}</Text>
+          <Text style={styles.stockLabel}>
+            {hasVariants && !selectedVariant ? 'Unavailable' : `Stock ${stock}`}
+          </Text>
         </View>
 
         <View style={styles.buttonGroup}>
           <Button
             title={cartLoading ? 'Adding...' : 'Add to Cart'}
             onPress={handleAddToCart}
-            disabled={cartLoading || product.stock < 1} // Disable if out of stock or loading
+            disabled={cartLoading || stock < 1} // Disable if out of stock or loading
             width={100}
             backgroundColor={theme.colors.gray}
             textColor={theme.colors.dark}
@@ -395,10 +529,30 @@ const styles = StyleSheet.create({
     padding: width * 0.05,
   },
 
+  priceRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    gap: width * 0.03,
+    marginBottom: height * 0.005,
+  },
+
   priceText: {
     fontSize: theme.typography.fontSize.xl,
     color: theme.colors.primary,
     fontFamily: theme.typography.black,
+  },
+
+  compareAtText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: '#718096',
+    fontFamily: theme.typography.medium,
+    textDecorationLine: 'line-through',
+  },
+
+  saleText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.error,
+    fontFamily: theme.typography.medium,
     marginBottom: height * 0.005,
   },
 
@@ -409,6 +563,65 @@ const styles = StyleSheet.create({
     lineHeight: theme.typography.lineHeight.md,
   },
 
+  skuText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: '#718096',
+    fontFamily: theme.typography.medium,
+    marginTop: height * 0.005,
+  },
+
+  optionGroup: {
+    marginBottom: height * 0.015,
+  },
+
+  optionLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.dark,
+    fontFamily: theme.typography.bold,
+    marginBottom: height * 0.01,
+  },
+
+  optionValue: {
+    color: '#718096',
+    fontFamily: theme.typography.medium,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: width * 0.02,
+  },
+
+  chip: {
+    paddingHorizontal: width * 0.04,
+    paddingVertical: height * 0.008,
+    borderRadius: theme.borderRadius.large,
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    backgroundColor: theme.colors.white,
+  },
+
+  chipSelected: {
+    borderColor: theme.colors.primary,
+    backgroundColor: '#FDF2F8',
+  },
+
+  chipUnavailable: {
+    opacity: 0.4,
+    borderStyle: 'dashed',
+  },
+
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.dark,
+    fontFamily: theme.typography.medium,
+  },
+
+  chipTextSelected: {
+    color: theme.colors.primary,
+    fontFamily: theme.typography.bold,
+  },
+
   ratingRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2,7 +2,12 @@
  * @fileoverview My Orders Screen
  * @module screens/orders/MyOrdersScreen
  * @description Displays user's order history with status filtering, animated cards
- *              and pull-to-refresh support
+ *              pull-to-refresh support, PDF invoice downloads for paid orders,
+ *              carrier tracking for shipped parcels, a per-order status
+ *              timeline behind "Track Order", return requests (with photos)
+ *              for delivered orders still inside the return window and
+ *              paying a balance owed after support edited an order, and
+ *              "Buy again" to put a past order's items back in the cart
  */
 
 import React, { useEffect, useState, useRef } from 'react';
@@ -16,20 +21,55 @@ import {
   Animated,
   RefreshControl,
   TouchableOpacity,
+  Linking,
+  ScrollView,
+  TextInput,
+  Image,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
+import { useStripe } from '@stripe/stripe-react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import Toast from 'react-native-toast-message';
+import ImagePicker from 'react-native-image-crop-picker';
 import { theme } from '../../../styles/Themes';
 import { globalStyles } from '../../../styles/GlobalStyles';
 import Header from '../../../utilities/custom-components/header/header/Header';
 import Loader from '../../../utilities/custom-components/loader/Loader.utility';
 import Button from '../../../utilities/custom-components/button/Button.utility';
-import { getUserOrders } from '../../../redux/slices/order.slice';
+import Modal from '../../../utilities/custom-components/modal/Modal.utility';
+import {
+  getUserOrders,
+  getInvoiceLink,
+  getBalancePayment,
+  reorder,
+} from '../../../redux/slices/order.slice';
+import {
+  requestReturn,
+  getMyReturns,
+  cancelReturn,
+} from '../../../redux/slices/return.slice';
+import { formatPrice } from '../../../utilities/custom-components/currency/Currency.utility';
 
 const { width, height } = Dimensions.get('window');
 
+const INVOICEABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const RETURNABLE_ORDER_STATUSES = ['DELIVERED', 'PARTIALLY_REFUNDED'];
+
+const RETURN_REASONS = [
+  { value: 'DOA', label: 'Dead on arrival' },
+  { value: 'DAMAGED', label: 'Arrived damaged' },
+  { value: 'WRONG_ITEM', label: 'Wrong item' },
+  { value: 'NOT_AS_DESCRIBED', label: 'Not as described' },
+  { value: 'CHANGED_MIND', label: 'Changed my mind' },
+];
+
+// Returns that can still be withdrawn by the customer
+const CANCELLABLE_RETURN_STATUSES = ['REQUESTED', 'APPROVED'];
+
+const MAX_RETURN_PHOTOS = 5;
+
 const MyOrdersScreen = () => {
   const dispatch = useDispatch();
   const navigation = useNavigation();
@@ -39,11 +79,25 @@ const MyOrdersScreen = () => {
 
   const [refreshing, setRefreshing] = useState(false);
   const [activeFilter, setActiveFilter] = useState('ALL');
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [payingId, setPayingId] = useState(null);
+  const [reorderingId, setReorderingId] = useState(null);
+  const [trackingId, setTrackingId] = useState(null);
+  const [returnOrder, setReturnOrder] = useState(null);
+  const [returnQuantities, setReturnQuantities] = useState({});
+  const [returnReason, setReturnReason] = useState(null);
+  const [returnDescription, setReturnDescription] = useState('');
+  const [returnPhotos, setReturnPhotos] = useState([]);
+  const { returns, submitting: returnSubmitting } = useSelector(
+    state => state.returns,
+  );
   const fadeAnim = useRef(new Animated.Value(0)).current;
+  const { initPaymentSheet, presentPaymentSheet } = useStripe();
 
   useEffect(() => {
     StatusBar.setBackgroundColor(theme.colors.primary);
     dispatch(getUserOrders());
+    dispatch(getMyReturns());
   }, []);
 
   useEffect(() => {
@@ -77,14 +131,243 @@ const MyOrdersScreen = () => {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await dispatch(getUserOrders());
+    await Promise.all([dispatch(getUserOrders()), dispatch(getMyReturns())]);
     setRefreshing(false);
   };
 
+  const getOrderReturns = orderId =>
+    returns?.filter(r => (r.order?._id || r.order) === orderId) || [];
+
+  const isReturnable = order =>
+    RETURNABLE_ORDER_STATUSES.includes(order.status?.toUpperCase()) &&
+    !!order.returnDeadline &&
+    new Date(order.returnDeadline) >= new Date();
+
+  // Lines of one product are told apart by their variant
+  const lineKeyOf = line => {
+    const productId = line.product?._id || line.product;
+    return line.variant ? `${productId}:${line.variant}` : productId;
+  };
+
+  // Units of a line not yet refunded or held by another open return
+  const getReturnableQuantity = (order, line) => {
+    const key = lineKeyOf(line);
+    const held = getOrderReturns(order._id)
+      .filter(r => !['REJECTED', 'CANCELLED', 'COMPLETED'].includes(r.status))
+      .flatMap(r => r.items)
+      .filter(i => lineKeyOf(i) === key)
+      .reduce((sum, i) => sum + i.quantity, 0);
+    return Math.max(line.quantity - (line.refundedQuantity || 0) - held, 0);
+  };
+
+  const openReturnForm = order => {
+    setReturnOrder(order);
+    setReturnQuantities({});
+    setReturnReason(null);
+    setReturnDescription('');
+    setReturnPhotos([]);
+  };
+
+  const changeReturnQuantity = (key, delta, max) =>
+    setReturnQuantities(prev => ({
+      ...prev,
+      [key]: Math.min(Math.max((prev[key] || 0) + delta, 0), max),
+    }));
+
+  const pickReturnPhotos = () => {
+    ImagePicker.openPicker({
+      multiple: true,
+      mediaType: 'photo',
+      maxFiles: MAX_RETURN_PHOTOS - returnPhotos.length,
+      compressImageQuality: 0.8,
+    })
+      .then(images =>
+        setReturnPhotos(prev =>
+          [...prev, ...images.map(image => image.path)].slice(
+            0,
+            MAX_RETURN_PHOTOS,
+          ),
+        ),
+      )
+      .catch(err => {
+        if (err.code !== 'E_PICKER_CANCELLED') {
+          Toast.show({ type: 'error', text1: 'Error', text2: err.message });
+        }
+      });
+  };
+
+  const handleSubmitReturn = async () => {
+    const items = returnOrder.items
+      .filter(line => (returnQuantities[lineKeyOf(line)] || 0) > 0)
+      .map(line => ({
+        productId: line.product?._id || line.product,
+        variantId: line.variant || null,
+        quantity: returnQuantities[lineKeyOf(line)],
+      }));
+
+    if (items.length === 0 || !returnReason) {
+      Toast.show({
+        type: 'error',
+        text1: 'Return',
+        text2: 'Choose the items to return and a reason',
+      });
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('orderId', returnOrder._id);
+    formData.append('items', JSON.stringify(items));
+    formData.append('reason', returnReason);
+    formData.append('description', returnDescription.trim());
+    returnPhotos.forEach(path => {
+      const fileName = path.split('/').pop();
+      formData.append('returnPhoto', {
+        uri: path,
+        name: fileName,
+        type: `image/${fileName.split('.').pop()}`,
+      });
+    });
+
+    const result = await dispatch(requestReturn(formData));
+
+    if (requestReturn.fulfilled.match(result)) {
+      setReturnOrder(null);
+      Toast.show({
+        type: 'success',
+        text1: 'Return Requested',
+        text2: result.payload.message,
+      });
+    } else {
+      Toast.show({
+        type: 'error',
+        text1: 'Return',
+        text2: result.payload?.message || 'Failed to request the return',
+      });
+    }
+  };
+
+  const handleCancelReturn = async returnId => {
+    const result = await dispatch(cancelReturn(returnId));
+    Toast.show({
+      type: cancelReturn.fulfilled.match(result) ? 'success' : 'error',
+      text1: 'Return',
+      text2: result.payload?.message || 'Failed to cancel return',
+    });
+  };
+
+  // The PDF opens in the browser through a signed link, which saves it
+  const handleDownloadInvoice = async orderId => {
+    setDownloadingId(orderId);
+    const result = await dispatch(getInvoiceLink(orderId));
+    setDownloadingId(null);
+
+    if (getInvoiceLink.fulfilled.match(result)) {
+      Linking.openURL(result.payload).catch(() =>
+        Toast.show({
+          type: 'error',
+          text1: 'Invoice',
+          text2: 'Could not open the invoice',
+        }),
+      );
+    } else {
+      Toast.show({
+        type: 'error',
+        text1: 'Invoice',
+        text2: result.payload?.message || 'Failed to download invoice',
+      });
+    }
+  };
+
+  // Balance billed when support edited the order and the new total was higher
+  const getPendingBalance = order =>
+    order.edits?.findLast(
+      edit =>
+        edit.adjustment?.type === 'CHARGE' &&
+        edit.adjustment.status === 'PENDING',
+    )?.adjustment;
+
+  const handlePayBalance = async orderId => {
+    setPayingId(orderId);
+    try {
+      const result = await dispatch(getBalancePayment(orderId));
+      if (!getBalancePayment.fulfilled.match(result)) {
+        throw new Error(
+          result.payload?.message || 'Could not start the payment',
+        );
+      }
+
+      const { error: initError } = await initPaymentSheet({
+        paymentIntentClientSecret: result.payload.clientSecret,
+        merchantDisplayName: 'NiDrip',
+        style: 'automatic',
+      });
+      if (initError) throw new Error(initError.message);
+
+      const { error: paymentError } = await presentPaymentSheet();
+      if (paymentError) {
+        if (paymentError.code !== 'Canceled') {
+          throw new Error(paymentError.message);
+        }
+        return;
+      }
+
+      Toast.show({
+        type: 'success',
+        text1: 'Payment Successful!',
+        text2: 'Your balance is paid – we will ship your order soon',
+      });
+      dispatch(getUserOrders());
+    } catch (err) {
+      Toast.show({
+        type: 'error',
+        text1: 'Payment Failed',
+        text2: err.message || 'Something went wrong',
+      });
+    } finally {
+      setPayingId(null);
+    }
+  };
+
+  const handleBuyAgain = async orderId => {
+    setReorderingId(orderId);
+    try {
+      const result = await dispatch(reorder(orderId));
+      const { added = [], skipped = [] } = result.payload || {};
+
+      if (!reorder.fulfilled.match(result)) {
+        Toast.show({
+          type: 'error',
+          text1: 'Could not add to cart',
+          text2: skipped[0]?.reason
+            ? `${skipped[0].title || 'Item'}: ${skipped[0].reason}`
+            : result.payload?.message || 'Something went wrong',
+        });
+        return;
+      }
+
+      Toast.show({
+        type: skipped.length ? 'info' : 'success',
+        text1: result.payload.message,
+        text2: skipped.length
+          ? skipped
+              .map(line => `${line.title || 'Item'}: ${line.reason}`)
+              .join('\n')
+          : added.some(line => line.priceChanged)
+          ? 'Some prices have changed since you ordered'
+          : undefined,
+      });
+      navigation.navigate('Cart');
+    } finally {
+      setReorderingId(null);
+    }
+  };
+
   const filteredOrders =
     orders?.filter(order => {
       const status = (order?.status || '').toUpperCase();
       if (activeFilter === 'ALL') return true;
+      // Partial refunds are listed under the Refunded tab too
+      if (activeFilter === 'REFUNDED') return status.endsWith('REFUNDED');
       return status === activeFilter;
     }) || [];
 
@@ -126,6 +409,20 @@ const MyOrdersScreen = () => {
           bg: '#FFEBEE',
           icon: 'close-circle-outline',
         };
+      case 'PARTIALLY_REFUNDED':
+        return {
+          label: 'Partially Refunded',
+          color: '#6A1B9A',
+          bg: '#F3E5F5',
+          icon: 'cash-refund',
+        };
+      case 'REFUNDED':
+        return {
+          label: 'Refunded',
+          color: '#6A1B9A',
+          bg: '#F3E5F5',
+          icon: 'cash-refund',
+        };
       default:
         return {
           label: s || 'Unknown',
@@ -228,11 +525,100 @@ const MyOrdersScreen = () => {
                 {count} item{count !== 1 ? 's' : ''}
               </Text>
               <Text style={styles.totalAmount}>
-                ${Number(item.totalAmount || 0).toFixed(2)}
+                {formatPrice(item.totalAmount, item.currency)}
               </Text>
             </View>
           </View>
 
+          {/* Shipment tracking */}
+          {item.shipments?.length > 0 && (
+            <View style={styles.trackingSection}>
+              {item.shipments.map(shipment => (
+                <View key={shipment._id} style={styles.trackingRow}>
+                  <MaterialCommunityIcons
+                    name="truck-delivery-outline"
+                    size={18}
+                    color={theme.colors.primary}
+                  />
+                  <View style={styles.trackingInfo}>
+                    <Text style={styles.trackingCarrier}>
+                      {shipment.carrier} · {shipment.trackingNumber}
+                    </Text>
+                    {!!shipment.estimatedDelivery && (
+                      <Text style={styles.trackingEta}>
+                        Arrives by{' '}
+                        {new Date(
+                          shipment.estimatedDelivery,
+                        ).toLocaleDateString('en-GB', {
+                          day: 'numeric',
+                          month: 'short',
+                        })}
+                      </Text>
+                    )}
+                  </View>
+                  {!!shipment.trackingUrl && (
+                    <TouchableOpacity
+                      onPress={() =>
+                        Linking.openURL(shipment.trackingUrl).catch(() =>
+                          Toast.show({
+                            type: 'error',
+                            text1: 'Tracking',
+                            text2: 'Could not open the tracking page',
+                          }),
+                        )
+                      }
+                    >
+                      <Text style={styles.trackingLink}>Track</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
+          {/* Returns */}
+          {getOrderReturns(item._id).length > 0 && (
+            <View style={styles.trackingSection}>
+              {getOrderReturns(item._id).map(returnRequest => (
+                <View key={returnRequest._id} style={styles.trackingRow}>
+                  <MaterialCommunityIcons
+                    name="keyboard-return"
+                    size={18}
+                    color={theme.colors.primary}
+                  />
+                  <View style={styles.trackingInfo}>
+                    <Text style={styles.trackingCarrier}>
+                      {returnRequest.rmaNumber} ·{' '}
+                      {returnRequest.status.replace(/_/g, ' ')}
+                    </Text>
+                    <Text style={styles.trackingEta}>
+                      {returnRequest.items.reduce(
+                        (sum, line) => sum + line.quantity,
+                        0,
+                      )}{' '}
+                      unit(s)
+                      {returnRequest.refund?.amount > 0 &&
+                        ` · ${formatPrice(
+                          returnRequest.refund.amount,
+                          item.currency,
+                        )} refund`}
+                    </Text>
+                  </View>
+                  {CANCELLABLE_RETURN_STATUSES.includes(
+                    returnRequest.status,
+                  ) && (
+                    <TouchableOpacity
+                      disabled={returnSubmitting}
+                      onPress={() => handleCancelReturn(returnRequest._id)}
+                    >
+                      <Text style={styles.returnCancelLink}>Cancel</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* Action row */}
           <View style={styles.actionRow}>
             {item.status?.toUpperCase() === 'PENDING' && (
@@ -244,15 +630,130 @@ const MyOrdersScreen = () => {
               </TouchableOpacity>
             )}
 
-            <TouchableOpacity style={styles.trackButton}>
+            {getPendingBalance(item) && (
+              <TouchableOpacity
+                style={styles.invoiceButton}
+                disabled={payingId === item._id}
+                onPress={() => handlePayBalance(item._id)}
+              >
+                <MaterialCommunityIcons
+                  name="credit-card-outline"
+                  size={16}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.invoiceButtonText}>
+                  {payingId === item._id
+                    ? 'Opening...'
+                    : `Pay ${formatPrice(
+                        getPendingBalance(item).amount,
+                        item.currency,
+                      )}`}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              style={styles.invoiceButton}
+              disabled={reorderingId === item._id}
+              onPress={() => handleBuyAgain(item._id)}
+            >
+              <MaterialCommunityIcons
+                name="cart-arrow-down"
+                size={16}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.invoiceButtonText}>
+                {reorderingId === item._id ? 'Adding...' : 'Buy again'}
+              </Text>
+            </TouchableOpacity>
+
+            {isReturnable(item) && (
+              <TouchableOpacity
+                style={styles.invoiceButton}
+                onPress={() => openReturnForm(item)}
+              >
+                <MaterialCommunityIcons
+                  name="keyboard-return"
+                  size={16}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.invoiceButtonText}>Return</Text>
+              </TouchableOpacity>
+            )}
+
+            {INVOICEABLE_PAYMENT_STATUSES.includes(item.paymentStatus) && (
+              <TouchableOpacity
+                style={styles.invoiceButton}
+                disabled={downloadingId === item._id}
+                onPress={() => handleDownloadInvoice(item._id)}
+              >
+                <MaterialCommunityIcons
+                  name="file-download-outline"
+                  size={16}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.invoiceButtonText}>
+                  {downloadingId === item._id ? 'Opening...' : 'Invoice'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              style={styles.trackButton}
+              onPress={() =>
+                setTrackingId(trackingId === item._id ? null : item._id)
+              }
+            >
               <Text style={styles.trackButtonText}>Track Order</Text>
               <MaterialCommunityIcons
-                name="chevron-right"
+                name={trackingId === item._id ? 'chevron-up' : 'chevron-down'}
                 size={18}
                 color={theme.colors.white}
               />
             </TouchableOpacity>
           </View>
+
+          {/* Status timeline */}
+          {trackingId === item._id && (
+            <View style={styles.timeline}>
+              {(item.statusHistory?.length
+                ? item.statusHistory
+                : [{ to: item.status, changedAt: item.createdAt }]
+              ).map((entry, index, entries) => (
+                <View key={entry._id || index} style={styles.timelineRow}>
+                  <View style={styles.timelineMarker}>
+                    <View
+                      style={[
+                        styles.timelineDot,
+                        {
+                          backgroundColor: getStatusInfo(entry.to).color,
+                        },
+                      ]}
+                    />
+                    {index < entries.length - 1 && (
+                      <View style={styles.timelineLine} />
+                    )}
+                  </View>
+                  <View style={styles.timelineContent}>
+                    <Text style={styles.timelineStatus}>
+                      {getStatusInfo(entry.to).label}
+                    </Text>
+                    <Text style={styles.timelineDate}>
+                      {new Date(entry.changedAt).toLocaleString('en-GB', {
+                        day: 'numeric',
+                        month: 'short',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                      })}
+                    </Text>
+                    {!!entry.note && (
+                      <Text style={styles.timelineNote}>{entry.note}</Text>
+                    )}
+                  </View>
+                </View>
+              ))}
+            </View>
+          )}
         </TouchableOpacity>
       </View>
     );
@@ -304,6 +805,7 @@ const MyOrdersScreen = () => {
             { label: 'Shipped', value: 'SHIPPED' },
             { label: 'Delivered', value: 'DELIVERED' },
             { label: 'Cancelled', value: 'CANCELLED' },
+            { label: 'Refunded', value: 'REFUNDED' },
           ]}
           keyExtractor={item => item.value}
           renderItem={({ item }) => renderFilterTab(item.label, item.value)}
@@ -331,9 +833,155 @@ const MyOrdersScreen = () => {
             }
             ListEmptyComponent={renderEmptyState}
             renderItem={renderOrderItem}
+            extraData={{
+              trackingId,
+              downloadingId,
+              payingId,
+              reorderingId,
+              returns,
+            }}
           />
         </Animated.View>
       )}
+
+      <Modal
+        isOpen={!!returnOrder}
+        onClose={() => setReturnOrder(null)}
+        title="Request Return"
+        showCloseButton={true}
+        closeOnBackdrop={true}
+      >
+        {returnOrder && (
+          <ScrollView
+            style={styles.returnForm}
+            keyboardShouldPersistTaps="handled"
+          >
+            <Text style={styles.returnHint}>
+              Returns are accepted until{' '}
+              {new Date(returnOrder.returnDeadline).toLocaleDateString(
+                'en-GB',
+                { day: 'numeric', month: 'short', year: 'numeric' },
+              )}
+            </Text>
+
+            <Text style={styles.returnSectionTitle}>Items</Text>
+            {returnOrder.items.map(line => {
+              const key = lineKeyOf(line);
+              const max = getReturnableQuantity(returnOrder, line);
+              const selected = returnQuantities[key] || 0;
+              return (
+                <View key={key} style={styles.returnItemRow}>
+                  <Text style={styles.returnItemName} numberOfLines={2}>
+                    {line.product?.title || 'Item'}
+                    {line.variantLabel ? ` (${line.variantLabel})` : ''}
+                  </Text>
+                  {max === 0 ? (
+                    <Text style={styles.returnHint}>Already returned</Text>
+                  ) : (
+                    <View style={styles.returnStepper}>
+                      <TouchableOpacity
+                        onPress={() => changeReturnQuantity(key, -1, max)}
+                      >
+                        <MaterialCommunityIcons
+                          name="minus-circle-outline"
+                          size={24}
+                          color={theme.colors.primary}
+                        />
+                      </TouchableOpacity>
+                      <Text style={styles.returnQuantity}>
+                        {selected}/{max}
+                      </Text>
+                      <TouchableOpacity
+                        onPress={() => changeReturnQuantity(key, 1, max)}
+                      >
+                        <MaterialCommunityIcons
+                          name="plus-circle-outline"
+                          size={24}
+                          color={theme.colors.primary}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+
+            <Text style={styles.returnSectionTitle}>Reason</Text>
+            <View style={styles.returnReasons}>
+              {RETURN_REASONS.map(reason => (
+                <TouchableOpacity
+                  key={reason.value}
+                  style={[
+                    styles.filterTab,
+                    returnReason === reason.value && styles.filterTabActive,
+                  ]}
+                  onPress={() => setReturnReason(reason.value)}
+                >
+                  <Text
+                    style={[
+                      styles.filterTabText,
+                      returnReason === reason.value &&
+                        styles.filterTabTextActive,
+                    ]}
+                  >
+                    {reason.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TextInput
+              style={styles.returnInput}
+              placeholder="Tell us what went wrong (optional)"
+              placeholderTextColor="#94A3B8"
+              value={returnDescription}
+              onChangeText={setReturnDescription}
+              maxLength={1000}
+              multiline
+            />
+
+            <Text style={styles.returnSectionTitle}>
+              Photos ({returnPhotos.length}/{MAX_RETURN_PHOTOS})
+            </Text>
+            <View style={styles.returnPhotos}>
+              {returnPhotos.map(path => (
+                <TouchableOpacity
+                  key={path}
+                  onPress={() =>
+                    setReturnPhotos(prev => prev.filter(p => p !== path))
+                  }
+                >
+                  <Image source={{ uri: path }} style={styles.returnPhoto} />
+                </TouchableOpacity>
+              ))}
+              {returnPhotos.length < MAX_RETURN_PHOTOS && (
+                <TouchableOpacity
+                  style={[styles.returnPhoto, styles.returnAddPhoto]}
+                  onPress={pickReturnPhotos}
+                >
+                  <MaterialCommunityIcons
+                    name="camera-plus-outline"
+                    size={26}
+                    color={theme.colors.primary}
+                  />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.btnContainer}>
+              <Button
+                title="Submit Return"
+                onPress={handleSubmitReturn}
+                width={width * 0.8}
+                loading={returnSubmitting}
+                backgroundColor={theme.colors.primary}
+                textColor={theme.colors.white}
+                borderRadius={theme.borderRadius.medium}
+              />
+            </View>
+          </ScrollView>
+        )}
+      </Modal>
     </View>
   );
 };
@@ -503,6 +1151,44 @@ const styles = StyleSheet.create({
     color: theme.colors.primary,
   },
 
+  trackingSection: {
+    paddingHorizontal: width * 0.04,
+    paddingBottom: 12,
+    gap: 8,
+  },
+
+  trackingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF5F8',
+    borderRadius: theme.borderRadius.medium,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    gap: 8,
+  },
+
+  trackingInfo: {
+    flex: 1,
+  },
+
+  trackingCarrier: {
+    fontFamily: theme.typography.medium,
+    fontSize: 13,
+    color: theme.colors.dark,
+  },
+
+  trackingEta: {
+    fontFamily: theme.typography.regular,
+    fontSize: 12,
+    color: theme.colors.gray,
+  },
+
+  trackingLink: {
+    fontFamily: theme.typography.bold,
+    fontSize: 13,
+    color: theme.colors.primary,
+  },
+
   actionRow: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -528,6 +1214,23 @@ const styles = StyleSheet.create({
     color: theme.colors.dark,
   },
 
+  invoiceButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: theme.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    gap: 4,
+  },
+
+  invoiceButtonText: {
+    fontFamily: theme.typography.medium,
+    fontSize: 13,
+    color: theme.colors.primary,
+  },
+
   trackButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -544,6 +1247,60 @@ const styles = StyleSheet.create({
     color: theme.colors.white,
   },
 
+  timeline: {
+    paddingHorizontal: width * 0.04,
+    paddingTop: 4,
+    paddingBottom: 14,
+  },
+
+  timelineRow: {
+    flexDirection: 'row',
+  },
+
+  timelineMarker: {
+    alignItems: 'center',
+    width: 16,
+    marginRight: 10,
+  },
+
+  timelineDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 4,
+  },
+
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#eee',
+    marginVertical: 2,
+  },
+
+  timelineContent: {
+    flex: 1,
+    paddingBottom: 12,
+  },
+
+  timelineStatus: {
+    fontFamily: theme.typography.medium,
+    fontSize: 13,
+    color: theme.colors.dark,
+  },
+
+  timelineDate: {
+    fontFamily: theme.typography.regular,
+    fontSize: 12,
+    color: theme.colors.gray,
+  },
+
+  timelineNote: {
+    fontFamily: theme.typography.regular,
+    fontSize: 12,
+    color: theme.colors.dark,
+    marginTop: 2,
+  },
+
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -580,4 +1337,99 @@ const styles = StyleSheet.create({
   btnContainer: {
     marginTop: height * 0.035,
   },
+
+  returnCancelLink: {
+    fontFamily: theme.typography.medium,
+    fontSize: 13,
+    color: theme.colors.error,
+  },
+
+  returnForm: {
+    maxHeight: height * 0.65,
+    width: width * 0.84,
+  },
+
+  returnHint: {
+    fontFamily: theme.typography.regular,
+    fontSize: 12,
+    color: theme.colors.gray,
+  },
+
+  returnSectionTitle: {
+    fontFamily: theme.typography.semiBold,
+    fontSize: 15,
+    color: theme.colors.dark,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+
+  returnItemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    gap: 12,
+  },
+
+  returnItemName: {
+    flex: 1,
+    fontFamily: theme.typography.medium,
+    fontSize: 14,
+    color: theme.colors.dark,
+  },
+
+  returnStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+
+  returnQuantity: {
+    fontFamily: theme.typography.semiBold,
+    fontSize: 14,
+    color: theme.colors.dark,
+    minWidth: 36,
+    textAlign: 'center',
+  },
+
+  returnReasons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 10,
+  },
+
+  returnInput: {
+    backgroundColor: '#F1F5F9',
+    borderRadius: theme.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    padding: 12,
+    marginTop: 16,
+    minHeight: 90,
+    fontFamily: theme.typography.regular,
+    fontSize: 14,
+    color: theme.colors.dark,
+    textAlignVertical: 'top',
+  },
+
+  returnPhotos: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+
+  returnPhoto: {
+    width: 64,
+    height: 64,
+    borderRadius: theme.borderRadius.medium,
+    backgroundColor: '#f8f9fa',
+  },
+
+  returnAddPhoto: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: theme.colors.primary,
+  },
 });
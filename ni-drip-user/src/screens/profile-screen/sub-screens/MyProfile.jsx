@@ -9,7 +9,8 @@
  * - Managed Profile Sync: Displays real-time user data from the Redux store.
  * - Media Management: Handles image selection via camera or gallery using `react-native-image-crop-picker`.
  * - Security & Verification: Provides a dedicated workflow for email verification including OTP requests.
- * - Dynamic Modals: Implements separate modal forms for individual data point updates (Name, Phone, Address).
+ * - Dynamic Modals: Implements separate modal forms for individual data point updates (Name, Phone).
+ * - Address Book: Lists saved shipping addresses with add, edit, delete and set-default actions; the default is preselected at checkout.
  * - Location/Phone Formatting: Uses `useMemo` to format complex objects (like international phone codes and flags) for UI display.
  * * * Features:
  * - Animated Transitions: Uses `react-native-animatable` for sophisticated entry effects (fade-ins, pulses).
@@ -40,10 +41,15 @@ import { useDispatch, useSelector } from 'react-redux';
 import {
   updateUser,
   requestEmailVerification,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
 } from '../../../redux/slices/user.slice';
 import Header from '../../../utilities/custom-components/header/header/Header';
 import Button from '../../../utilities/custom-components/button/Button.utility';
 import { useNavigation } from '@react-navigation/native';
+import { formatAddress } from '../../../utilities/custom-components/address/Address.utility';
 
 const { width, height } = Dimensions.get('window');
 
@@ -63,17 +69,42 @@ const COUNTRY_FLAGS = {
   '+9 Saudi': '🇸🇦',
 };
 
+const EMPTY_ADDRESS = {
+  label: '',
+  recipientName: '',
+  phone: '',
+  line1: '',
+  line2: '',
+  city: '',
+  postcode: '',
+  country: '',
+  isDefault: false,
+};
+
+const ADDRESS_INPUTS = [
+  { field: 'label', placeholder: 'Label (e.g. Home, Office)' },
+  { field: 'recipientName', placeholder: 'Recipient name *' },
+  { field: 'phone', placeholder: 'Phone', keyboardType: 'phone-pad' },
+  { field: 'line1', placeholder: 'Address line 1 *' },
+  { field: 'line2', placeholder: 'Address line 2' },
+  { field: 'city', placeholder: 'City *' },
+  { field: 'postcode', placeholder: 'Postcode' },
+  { field: 'country', placeholder: 'Country *' },
+];
+
 const MyProfile = () => {
   const dispatch = useDispatch();
   const navigation = useNavigation();
-  const { user, loading } = useSelector(state => state.user);
+  const { user, loading, addressLoading } = useSelector(state => state.user);
+  const addresses = user?.addresses || [];
 
   const isFirstRender = useRef(true);
   const [showImageUploadModal, setShowImageUploadModal] = useState(false);
   const [showNameModal, setShowNameModal] = useState(false);
   const [showAddressModal, setShowAddressModal] = useState(false);
   const [newName, setNewName] = useState('');
-  const [newAddress, setNewAddress] = useState('');
+  const [editingAddressId, setEditingAddressId] = useState(null);
+  const [addressForm, setAddressForm] = useState(EMPTY_ADDRESS);
   const [showPhoneModal, setShowPhoneModal] = useState(false);
   const [countryCode, setCountryCode] = useState('');
   const [phoneNumber, setPhoneNumber] = useState('');
@@ -94,6 +125,10 @@ const MyProfile = () => {
     }, 1000);
   });
 
+  useEffect(() => {
+    dispatch(getAddresses());
+  }, [dispatch]);
+
   const handleUpdateProfile = async (formData, setModalVisible) => {
     try {
       const resultAction = await dispatch(
@@ -126,6 +161,80 @@ const MyProfile = () => {
     }
   };
 
+  const openAddressForm = address => {
+    setEditingAddressId(address?._id || null);
+    setAddressForm(
+      address
+        ? Object.fromEntries(
+            Object.keys(EMPTY_ADDRESS).map(field => [
+              field,
+              address[field] ?? EMPTY_ADDRESS[field],
+            ]),
+          )
+        : { ...EMPTY_ADDRESS, isDefault: addresses.length === 0 },
+    );
+    setShowAddressModal(true);
+  };
+
+  const updateAddressField = (field, value) =>
+    setAddressForm(prev => ({ ...prev, [field]: value }));
+
+  const showAddressResult = (resultAction, thunk, fallback) => {
+    const succeeded = thunk.fulfilled.match(resultAction);
+    Toast.show({
+      type: succeeded ? 'success' : 'error',
+      text1: succeeded ? 'Success' : 'Address Error',
+      text2: resultAction.payload?.message || fallback,
+    });
+    return succeeded;
+  };
+
+  const handleSaveAddress = async () => {
+    const addressData = Object.fromEntries(
+      Object.entries(addressForm).map(([field, value]) => [
+        field,
+        typeof value === 'string' ? value.trim() : value,
+      ]),
+    );
+
+    if (
+      !addressData.recipientName ||
+      !addressData.line1 ||
+      !addressData.city ||
+      !addressData.country
+    ) {
+      Toast.show({
+        type: 'error',
+        text1: 'Missing Details',
+        text2: 'Recipient, address line 1, city and country are required',
+      });
+      return;
+    }
+
+    const thunk = editingAddressId ? updateAddress : addAddress;
+    const resultAction = await dispatch(
+      editingAddressId
+        ? updateAddress({ addressId: editingAddressId, addressData })
+        : addAddress(addressData),
+    );
+
+    if (showAddressResult(resultAction, thunk, 'Failed to save address')) {
+      setShowAddressModal(false);
+    }
+  };
+
+  const handleSetDefaultAddress = async addressId => {
+    const resultAction = await dispatch(
+      updateAddress({ addressId, addressData: { isDefault: true } }),
+    );
+    showAddressResult(resultAction, updateAddress, 'Failed to update address');
+  };
+
+  const handleDeleteAddress = async addressId => {
+    const resultAction = await dispatch(deleteAddress(addressId));
+    showAddressResult(resultAction, deleteAddress, 'Failed to delete address');
+  };
+
   const handleImageUpload = async imagePath => {
     try {
       const formData = new FormData();
@@ -400,17 +509,6 @@ const MyProfile = () => {
               setShowPhoneModal(true);
             }}
           />
-          <DetailRow
-            icon="map-marker"
-            label="Address"
-            value={user?.address}
-            isEditable
-            delay={800}
-            onPress={() => {
-              setNewAddress(user?.address || '');
-              setShowAddressModal(true);
-            }}
-          />
           <DetailRow
             icon="email"
             label="Email Address"
@@ -418,9 +516,83 @@ const MyProfile = () => {
             verificationStatus={
               user?.isEmailVerified ? 'verified' : 'not-verified'
             }
-            delay={1000}
+            delay={800}
           />
         </Animatable.View>
+
+        <Animatable.View
+          animation={isFirstRender.current ? 'fadeIn' : undefined}
+          delay={900}
+          duration={1000}
+          style={styles.infoSection}
+        >
+          <View style={styles.addressHeader}>
+            <Text style={styles.sectionTitle}>Address Book</Text>
+            <TouchableOpacity
+              onPress={() => openAddressForm(null)}
+              activeOpacity={0.7}
+            >
+              <MaterialCommunityIcons
+                name="plus-circle"
+                size={width * 0.08}
+                color={theme.colors.primary}
+              />
+            </TouchableOpacity>
+          </View>
+
+          {addresses.length === 0 ? (
+            <Text style={styles.emptyAddress}>
+              No saved addresses yet. Add one to speed up checkout.
+            </Text>
+          ) : (
+            addresses.map(address => (
+              <View key={address._id} style={styles.addressCard}>
+                <View style={styles.valueRow}>
+                  <MaterialCommunityIcons
+                    name="map-marker"
+                    size={20}
+                    color={theme.colors.primary}
+                  />
+                  <Text style={styles.addressLabel}>
+                    {address.label || 'Address'}
+                  </Text>
+                  {address.isDefault && (
+                    <Text style={styles.defaultBadge}>Default</Text>
+                  )}
+                </View>
+                <Text style={styles.value}>
+                  {address.recipientName}
+                  {address.phone ? ` · ${address.phone}` : ''}
+                </Text>
+                <Text style={styles.addressText}>{formatAddress(address)}</Text>
+                <View style={styles.addressActions}>
+                  {!address.isDefault && (
+                    <TouchableOpacity
+                      onPress={() => handleSetDefaultAddress(address._id)}
+                      disabled={addressLoading}
+                    >
+                      <Text style={styles.addressAction}>Set Default</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity
+                    onPress={() => openAddressForm(address)}
+                    disabled={addressLoading}
+                  >
+                    <Text style={styles.addressAction}>Edit</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => handleDeleteAddress(address._id)}
+                    disabled={addressLoading}
+                  >
+                    <Text style={[styles.addressAction, styles.deleteAction]}>
+                      Delete
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))
+          )}
+        </Animatable.View>
       </ScrollView>
 
       <Modal
@@ -487,36 +659,56 @@ const MyProfile = () => {
       <Modal
         isOpen={showAddressModal}
         onClose={() => setShowAddressModal(false)}
-        title="Update Address"
+        title={editingAddressId ? 'Edit Address' : 'Add Address'}
         showCloseButton={true}
         closeOnBackdrop={true}
       >
-        <View style={styles.editModalContainer}>
-          <TextInput
-            style={[styles.input, { height: height * 0.12 }]}
-            placeholder="Enter your address"
-            value={newAddress}
-            onChangeText={setNewAddress}
-            placeholderTextColor="#94A3B8"
-            multiline
-          />
+        <ScrollView
+          style={styles.addressFormScroll}
+          contentContainerStyle={styles.editModalContainer}
+          keyboardShouldPersistTaps="handled"
+        >
+          {ADDRESS_INPUTS.map(({ field, placeholder, keyboardType }) => (
+            <TextInput
+              key={field}
+              style={[styles.input, styles.addressInput]}
+              placeholder={placeholder}
+              value={addressForm[field]}
+              onChangeText={value => updateAddressField(field, value)}
+              placeholderTextColor="#94A3B8"
+              keyboardType={keyboardType}
+            />
+          ))}
+          <TouchableOpacity
+            style={styles.defaultToggle}
+            onPress={() =>
+              updateAddressField('isDefault', !addressForm.isDefault)
+            }
+            activeOpacity={0.7}
+          >
+            <MaterialCommunityIcons
+              name={
+                addressForm.isDefault
+                  ? 'checkbox-marked'
+                  : 'checkbox-blank-outline'
+              }
+              size={24}
+              color={theme.colors.primary}
+            />
+            <Text style={styles.label}>Use as default address</Text>
+          </TouchableOpacity>
           <View style={styles.btnContainer}>
             <Button
-              title="Save"
-              onPress={() =>
-                handleUpdateProfile(
-                  { address: newAddress.trim() },
-                  setShowAddressModal,
-                )
-              }
+              title="Save Address"
+              onPress={handleSaveAddress}
               width={width * 0.84}
-              loading={loading}
+              loading={addressLoading}
               backgroundColor={theme.colors.primary}
               textColor={theme.colors.white}
               borderRadius={theme.borderRadius.medium}
             />
           </View>
-        </View>
+        </ScrollView>
       </Modal>
 
       <Modal
@@ -797,4 +989,94 @@ const styles = StyleSheet.create({
   numberInput: {
     flex: 1,
   },
+
+  addressHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: height * 0.015,
+  },
+
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: '#0F172A',
+  },
+
+  emptyAddress: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.regular,
+    color: '#64748B',
+    marginBottom: height * 0.025,
+  },
+
+  addressCard: {
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    marginBottom: height * 0.02,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.12,
+    shadowRadius: 16,
+    elevation: 8,
+  },
+
+  addressLabel: {
+    flex: 1,
+    marginLeft: width * 0.02,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+    color: '#64748B',
+  },
+
+  defaultBadge: {
+    backgroundColor: `${theme.colors.primary}15`,
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    paddingHorizontal: width * 0.025,
+    paddingVertical: height * 0.004,
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  addressText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.regular,
+    color: '#334155',
+    marginTop: height * 0.008,
+  },
+
+  addressActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: width * 0.05,
+    marginTop: height * 0.015,
+  },
+
+  addressAction: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+  },
+
+  deleteAction: {
+    color: '#F44336',
+  },
+
+  addressFormScroll: {
+    maxHeight: height * 0.6,
+  },
+
+  addressInput: {
+    marginBottom: height * 0.015,
+  },
+
+  defaultToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: width * 0.02,
+    width: width * 0.84,
+    marginBottom: height * 0.01,
+  },
 });
@@ -0,0 +1,30 @@
+/**
+ * @file Address.utility.js
+ * @module Utilities/Address
+ * @description
+ * Address book helpers. The single-line format matches the one the backend
+ * stores on orders, so what the customer picks is what the order shows.
+ */
+
+/**
+ * Format a saved address on one line, e.g. "12 High St, London SW1A 1AA, United Kingdom"
+ * @param {Object} address - { line1, line2, city, postcode, country }
+ * @returns {string}
+ */
+export const formatAddress = address =>
+  [
+    address?.line1,
+    address?.line2,
+    [address?.city, address?.postcode].filter(Boolean).join(' '),
+    address?.country,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * The address checkout uses unless the customer picks another
+ * @param {Array<Object>} [addresses]
+ * @returns {Object|null}
+ */
+export const getDefaultAddress = addresses =>
+  addresses?.find(address => address.isDefault) || addresses?.[0] || null;
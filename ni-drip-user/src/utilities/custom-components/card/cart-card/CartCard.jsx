@@ -14,12 +14,15 @@ import {
   Dimensions,
 } from 'react-native';
 import Ionicons from 'react-native-vector-icons/Ionicons';
+import { useSelector } from 'react-redux';
 import { theme } from '../../../../styles/Themes';
+import { convertPrice, formatPrice } from '../../currency/Currency.utility';
 
 const { width, height } = Dimensions.get('window');
 
 const CartCard = ({
   title,
+  variantLabel,
   price,
   imageUrl,
   onRemove,
@@ -27,6 +30,8 @@ const CartCard = ({
   onDecrease,
   quantity,
 }) => {
+  // `price` is in the base currency; shown in the customer's currency
+  const currency = useSelector(state => state.currency.currency);
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const scaleAnim = useRef(new Animated.Value(0.95)).current;
 
@@ -71,7 +76,15 @@ const CartCard = ({
           {title}
         </Text>
 
-        <Text style={styles.price}>${price?.toFixed(2)}</Text>
+        {variantLabel ? (
+          <Text style={styles.variant} numberOfLines={1}>
+            {variantLabel}
+          </Text>
+        ) : null}
+
+        <Text style={styles.price}>
+          {formatPrice(convertPrice(price, currency), currency)}
+        </Text>
 
         <View style={styles.quantityContainer}>
           <TouchableOpacity onPress={onDecrease} style={styles.quantityButton}>
@@ -155,6 +168,12 @@ const styles = StyleSheet.create({
     lineHeight: theme.typography.fontSize.lg,
   },
 
+  variant: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.gray,
+  },
+
   price: {
     fontSize: theme.typography.fontSize.sm,
     fontFamily: theme.typography.bold,
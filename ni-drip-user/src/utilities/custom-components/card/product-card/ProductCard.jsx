@@ -10,9 +10,10 @@
  * @param {Object} props.product - The product data object.
  * @param {string} props.product._id - Unique identifier for the product.
  * @param {string} props.product.title - Name of the product.
- * @param {number} props.product.price - Numeric price value.
+ * @param {number} props.product.price - Numeric price value in the base currency (localized on display).
+ * @param {number} [props.product.compareAtPrice] - Regular price while the product is on sale, shown struck through.
  * @param {Array<string>} [props.product.productImages] - Array of image URLs.
- * @param {string} [props.product.category] - Product category name for the brand label.
+ * @param {Array<{name: string}>} [props.product.category] - Populated categories; the first names the brand label.
  * @param {number|string} [props.product.rating] - Product rating score.
  * @param {Function} props.onPress - Navigation callback triggered on card selection.
  * * @returns {React.JSX.Element}
@@ -38,12 +39,14 @@ import {
   getFavorites,
 } from '../../../../redux/slices/favorite.slice';
 import { theme } from '../../../../styles/Themes';
+import { convertPrice, formatPrice } from '../../currency/Currency.utility';
 
 const { width, height } = Dimensions.get('window');
 
 const ProductCard = ({ product, onPress }) => {
   const dispatch = useDispatch();
   const { favorites = [], loading } = useSelector(state => state.favorites);
+  const currency = useSelector(state => state.currency.currency);
   const isFavorite = favorites.some(fav => fav.productId?._id === product._id);
 
   console.log('Favorite', favorites);
@@ -129,7 +132,7 @@ const ProductCard = ({ product, onPress }) => {
         </View>
 
         <View style={styles.info}>
-          <Text style={styles.brandText}>{product?.category}</Text>
+          <Text style={styles.brandText}>{product?.category?.[0]?.name}</Text>
           <Text style={styles.title} numberOfLines={1}>
             {product.title}
           </Text>
@@ -137,8 +140,16 @@ const ProductCard = ({ product, onPress }) => {
           <View style={styles.bottomRow}>
             <View>
               <Text style={styles.price}>
-                ${product.price?.toLocaleString() || '0'}
+                {formatPrice(convertPrice(product.price, currency), currency)}
               </Text>
+              {product.compareAtPrice > product.price ? (
+                <Text style={styles.compareAtPrice}>
+                  {formatPrice(
+                    convertPrice(product.compareAtPrice, currency),
+                    currency,
+                  )}
+                </Text>
+              ) : null}
             </View>
           </View>
         </View>
@@ -232,4 +243,11 @@ const styles = StyleSheet.create({
     fontFamily: theme.typography.bold,
     color: theme.colors.primary,
   },
+
+  compareAtPrice: {
+    fontSize: theme.typography.fontSize.xs - 3,
+    fontFamily: theme.typography.medium,
+    color: '#718096',
+    textDecorationLine: 'line-through',
+  },
 });
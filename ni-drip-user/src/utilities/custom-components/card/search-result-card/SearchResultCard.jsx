@@ -0,0 +1,137 @@
+/**
+ * @component SearchResultCard
+ * @description A compact row for one product search hit.
+ * * Responsibilities:
+ * - Shows the product image, title, localized price and a text snippet.
+ * - Highlights the words of the title and snippet that matched the search,
+ *   using the character ranges returned by the backend.
+ * * @param {Object} props
+ * @param {Object} props.product - Search hit (product fields plus `highlights`).
+ * @param {Array<{start: number, end: number}>} [props.product.highlights.title] - Matched ranges of the title.
+ * @param {Object} [props.product.highlights.snippet] - `{ text, matches }` from the description or specifications.
+ * @param {Function} props.onPress - Callback triggered when the row is tapped.
+ * * @returns {React.JSX.Element}
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { useSelector } from 'react-redux';
+import { theme } from '../../../../styles/Themes';
+import { convertPrice, formatPrice } from '../../currency/Currency.utility';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * Render text with the matched ranges in bold brand color
+ * @param {string} text
+ * @param {Array<{start: number, end: number}>} [matches]
+ * @returns {Array<React.ReactNode>}
+ */
+const renderHighlighted = (text, matches = []) => {
+  const parts = [];
+  let cursor = 0;
+
+  matches.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <Text key={start} style={styles.highlight}>
+        {text.slice(start, end)}
+      </Text>,
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return parts;
+};
+
+const SearchResultCard = ({ product, onPress }) => {
+  const currency = useSelector(state => state.currency.currency);
+  const { title: titleMatches, snippet } = product.highlights || {};
+
+  return (
+    <TouchableOpacity style={styles.card} activeOpacity={0.8} onPress={onPress}>
+      <Image
+        source={
+          product.productImages?.[0]
+            ? { uri: product.productImages[0] }
+            : require('../../../../assets/placeHolder/product-placeholder.jpg')
+        }
+        style={styles.image}
+      />
+      <View style={styles.info}>
+        <Text style={styles.title} numberOfLines={2}>
+          {renderHighlighted(product.title, titleMatches)}
+        </Text>
+        {snippet?.text ? (
+          <Text style={styles.snippet} numberOfLines={2}>
+            {renderHighlighted(snippet.text, snippet.matches)}
+          </Text>
+        ) : null}
+        <Text style={styles.price}>
+          {formatPrice(convertPrice(product.price, currency), currency)}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+export default SearchResultCard;
+
+const styles = StyleSheet.create({
+  card: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.03,
+    marginBottom: height * 0.015,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    ...theme.elevation.depth1,
+  },
+
+  image: {
+    width: width * 0.2,
+    height: width * 0.2,
+    borderRadius: theme.borderRadius.medium,
+    backgroundColor: '#F1F5F9',
+  },
+
+  info: {
+    flex: 1,
+    marginLeft: width * 0.03,
+    justifyContent: 'space-between',
+  },
+
+  title: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: '#0F172A',
+  },
+
+  snippet: {
+    fontSize: 13,
+    fontFamily: theme.typography.regular,
+    color: '#64748B',
+    marginTop: 2,
+  },
+
+  highlight: {
+    fontFamily: theme.typography.bold,
+    color: theme.colors.primary,
+  },
+
+  price: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.primary,
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,29 @@
+/**
+ * @file Currency.utility.js
+ * @module Utilities/Currency
+ * @description
+ * Price localization helpers. Conversion rounds each unit price to cents
+ * exactly like the backend, so the cart total matches the amount charged.
+ */
+
+/**
+ * Convert a base-currency amount into the customer's currency
+ * @param {number} amount - Amount in the base currency
+ * @param {{ rate: number }} [currency]
+ * @returns {number}
+ */
+export const convertPrice = (amount, currency) =>
+  Math.round((amount || 0) * (currency?.rate ?? 1) * 100) / 100;
+
+/**
+ * Format an amount that is already in the given currency, e.g. "£1,250.00"
+ * @param {number} amount
+ * @param {{ code: string }|string} [currency] - Currency object or ISO code
+ * @returns {string}
+ */
+export const formatPrice = (amount, currency) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency:
+      (typeof currency === 'string' ? currency : currency?.code) || 'USD',
+  }).format(amount || 0);
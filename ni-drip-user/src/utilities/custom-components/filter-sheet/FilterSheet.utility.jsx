@@ -0,0 +1,311 @@
+/**
+ * @file FilterSheet.jsx
+ * @module Components/FilterSheet
+ * @description
+ * Bottom sheet for narrowing a product list by price, rating, availability
+ * and specifications.
+ * Features:
+ * - Options and their product counts come from the backend `facets`
+ * - Selections are kept as a draft until "Show results" applies them
+ * - Prices are shown in the customer's currency; buckets stay in the base price
+ * - Several values of one specification may be picked (any of them matches)
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object|null} props.facets - `facets` of the product list response
+ * @param {Object} props.filters - Applied { minPrice, maxPrice, minRating, inStock, specs }
+ * @param {Function} props.onApply - Called with the new filters
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+  Dimensions,
+} from 'react-native';
+import { useSelector } from 'react-redux';
+import { theme } from '../../../styles/Themes';
+import Button from '../button/Button.utility';
+import { convertPrice, formatPrice } from '../currency/Currency.utility';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * Count the filters that are set, for the badge of the filter button
+ * @param {Object} filters
+ * @returns {number}
+ */
+export const countActiveFilters = filters =>
+  (filters.minPrice !== undefined || filters.maxPrice !== undefined ? 1 : 0) +
+  (filters.minRating ? 1 : 0) +
+  (filters.inStock ? 1 : 0) +
+  Object.values(filters.specs || {}).filter(values => values.length).length;
+
+const Chip = ({ label, count, active, onPress }) => (
+  <TouchableOpacity
+    style={[styles.chip, active && styles.chipActive]}
+    onPress={onPress}
+    disabled={!active && count === 0}
+  >
+    <Text
+      style={[
+        styles.chipText,
+        active && styles.chipTextActive,
+        !active && count === 0 && styles.chipTextEmpty,
+      ]}
+    >
+      {label}
+      {count !== undefined ? ` (${count})` : ''}
+    </Text>
+  </TouchableOpacity>
+);
+
+const FilterSheet = ({ isOpen, onClose, facets, filters, onApply }) => {
+  const currency = useSelector(state => state.currency.currency);
+  const [draft, setDraft] = useState(filters);
+
+  useEffect(() => {
+    if (isOpen) setDraft(filters);
+  }, [isOpen, filters]);
+
+  const showPrice = amount =>
+    formatPrice(convertPrice(amount, currency), currency);
+
+  const toggleSpec = (name, value) =>
+    setDraft(prev => {
+      const selected = prev.specs?.[name] || [];
+      return {
+        ...prev,
+        specs: {
+          ...prev.specs,
+          [name]: selected.includes(value)
+            ? selected.filter(v => v !== value)
+            : [...selected, value],
+        },
+      };
+    });
+
+  return (
+    <Modal
+      visible={isOpen}
+      transparent
+      animationType="slide"
+      statusBarTranslucent
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        <View style={styles.handle} />
+        <Text style={styles.title}>Filters</Text>
+
+        <ScrollView showsVerticalScrollIndicator={false}>
+          {facets?.price?.buckets?.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Price</Text>
+              <View style={styles.chips}>
+                {facets.price.buckets.map(bucket => {
+                  const active =
+                    draft.minPrice === bucket.min &&
+                    draft.maxPrice === bucket.max;
+                  return (
+                    <Chip
+                      key={bucket.min}
+                      label={`${showPrice(bucket.min)} – ${showPrice(
+                        bucket.max,
+                      )}`}
+                      count={bucket.count}
+                      active={active}
+                      onPress={() =>
+                        setDraft(prev => ({
+                          ...prev,
+                          minPrice: active ? undefined : bucket.min,
+                          maxPrice: active ? undefined : bucket.max,
+                        }))
+                      }
+                    />
+                  );
+                })}
+              </View>
+            </>
+          )}
+
+          {facets?.ratings && (
+            <>
+              <Text style={styles.sectionTitle}>Rating</Text>
+              <View style={styles.chips}>
+                {facets.ratings.map(({ minRating, count }) => {
+                  const active = draft.minRating === minRating;
+                  return (
+                    <Chip
+                      key={minRating}
+                      label={`${minRating}★ & up`}
+                      count={count}
+                      active={active}
+                      onPress={() =>
+                        setDraft(prev => ({
+                          ...prev,
+                          minRating: active ? undefined : minRating,
+                        }))
+                      }
+                    />
+                  );
+                })}
+              </View>
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>Availability</Text>
+          <View style={styles.chips}>
+            <Chip
+              label="In stock only"
+              count={facets?.inStock}
+              active={!!draft.inStock}
+              onPress={() =>
+                setDraft(prev => ({ ...prev, inStock: !prev.inStock }))
+              }
+            />
+          </View>
+
+          {facets?.specifications?.map(facet => (
+            <View key={facet.name}>
+              <Text style={styles.sectionTitle}>{facet.name}</Text>
+              <View style={styles.chips}>
+                {facet.values.map(({ value, count }) => (
+                  <Chip
+                    key={value}
+                    label={value}
+                    count={count}
+                    active={!!draft.specs?.[facet.name]?.includes(value)}
+                    onPress={() => toggleSpec(facet.name, value)}
+                  />
+                ))}
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={styles.resetBtn}
+            onPress={() => setDraft({})}
+          >
+            <Text style={styles.resetText}>Reset</Text>
+          </TouchableOpacity>
+          <Button
+            title="Show results"
+            onPress={() => onApply(draft)}
+            width={width * 0.55}
+            backgroundColor={theme.colors.primary}
+            textColor={theme.colors.white}
+            borderRadius={theme.borderRadius.medium}
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default FilterSheet;
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+
+  sheet: {
+    maxHeight: height * 0.8,
+    backgroundColor: '#F8FAFC',
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    paddingHorizontal: width * 0.05,
+    paddingBottom: height * 0.03,
+  },
+
+  handle: {
+    alignSelf: 'center',
+    width: width * 0.12,
+    height: 5,
+    borderRadius: theme.borderRadius.circle,
+    backgroundColor: '#CBD5E1',
+    marginVertical: height * 0.012,
+  },
+
+  title: {
+    fontFamily: theme.typography.bold,
+    fontSize: theme.typography.fontSize.md,
+    color: '#0F172A',
+    marginBottom: 4,
+  },
+
+  sectionTitle: {
+    fontFamily: theme.typography.semiBold,
+    fontSize: 15,
+    color: theme.colors.dark,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 10,
+  },
+
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: theme.borderRadius.circle,
+    backgroundColor: '#fff',
+    marginRight: 10,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+
+  chipText: {
+    fontFamily: theme.typography.medium,
+    fontSize: 14,
+    color: '#666',
+  },
+
+  chipTextActive: {
+    color: theme.colors.white,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  chipTextEmpty: {
+    color: '#CBD5E1',
+  },
+
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: height * 0.02,
+  },
+
+  resetBtn: {
+    paddingVertical: 10,
+    paddingHorizontal: width * 0.04,
+  },
+
+  resetText: {
+    fontFamily: theme.typography.semiBold,
+    fontSize: theme.typography.fontSize.xs,
+    color: '#64748B',
+  },
+});